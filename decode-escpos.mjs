@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+
+import { readFileSync, writeFileSync } from "fs";
+import { decodeEscPos, formatCommands } from "./src/lib/escpos-decoder.mjs";
+
+const args = process.argv.slice(2);
+const showOffsets = args.includes("--offsets");
+const outIndex = args.indexOf("--out");
+const outFile = outIndex !== -1 ? args[outIndex + 1] : null;
+const inputFile = args.find(
+  (arg, index) =>
+    !arg.startsWith("--") && (outIndex === -1 || index !== outIndex + 1)
+);
+
+if (!inputFile) {
+  console.error("Usage: npm run decode-escpos -- <capture.bin> [--offsets] [--out decoded.txt]");
+  console.error(
+    "\n💡 Tip: Capture a job with PRINTER_TRANSPORT=capture PRINTER_CAPTURE_FILE=job.bin npm run write"
+  );
+  process.exit(1);
+}
+
+try {
+  const commands = decodeEscPos(readFileSync(inputFile));
+  const output = formatCommands(commands, { offsets: showOffsets });
+
+  if (outFile) {
+    writeFileSync(outFile, output, "utf-8");
+    console.log(`Decoded ${commands.length} commands to ${outFile}`);
+  } else {
+    process.stdout.write(output);
+  }
+} catch (error) {
+  console.error(`❌ Could not decode ${inputFile}:`, error.message);
+  process.exit(1);
+}
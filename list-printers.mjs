@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+import { listPrinters } from "./src/lib/transports/discovery.mjs";
+import { PROFILES } from "./src/lib/profiles.mjs";
+
+console.log("🔌 Motivational Printer - Printer Discovery");
+console.log("==========================================\n");
+
+async function runDiscovery() {
+  const { usb, serial } = await listPrinters();
+
+  console.log(`USB printers (${usb.length}):`);
+  if (usb.length === 0) {
+    console.log("  (none found)");
+  }
+  for (const device of usb) {
+    console.log(
+      `  - vendor ${device.vendorId}, product ${device.productId} (bus ${device.bus}, address ${device.address})`
+    );
+    console.log(
+      `      PRINTER_TRANSPORT=usb PRINTER_USB_VENDOR_ID=${device.vendorId} PRINTER_USB_PRODUCT_ID=${device.productId}`
+    );
+  }
+
+  console.log(`\nSerial / USB-CDC printers (${serial.length}):`);
+  if (serial.length === 0) {
+    console.log("  (none found)");
+  }
+  for (const port of serial) {
+    const details = [
+      port.manufacturer,
+      port.vendorId && `vendor ${port.vendorId}`,
+      port.productId && `product ${port.productId}`,
+    ].filter(Boolean);
+    console.log(
+      `  - ${port.path}${details.length ? ` (${details.join(", ")})` : ""}`
+    );
+    console.log(`      PRINTER_TRANSPORT=serial PRINTER_SERIAL_PATH=${port.path}`);
+  }
+
+  if (usb.length === 0 && serial.length === 0) {
+    console.log(
+      "\n💡 Tip: Check that the printer is powered on and plugged in. Network printers are not discovered; set PRINTER_HOST instead."
+    );
+  } else {
+    console.log("\n💡 Add the settings for your printer to your .env file");
+  }
+
+  console.log(`\nPrinter profiles (${Object.keys(PROFILES).length}):`);
+  for (const profile of Object.values(PROFILES)) {
+    const features = [
+      profile.cutter && "cutter",
+      profile.beeper && "beeper",
+      profile.twoColor && "two-color",
+      profile.qrCode && "native QR",
+    ].filter(Boolean);
+    console.log(
+      `  - ${profile.id}: ${profile.name}, ${profile.paperWidth}mm, ${profile.dotsPerLine} dots at ${profile.dpi} dpi${features.length ? ` (${features.join(", ")})` : ""}`
+    );
+  }
+  console.log("      PRINTER_PROFILE=<profile>");
+}
+
+runDiscovery().catch((error) => {
+  console.error("\n❌ Printer discovery failed:", error.message);
+  process.exit(1);
+});
@@ -2,6 +2,7 @@
 
 import { config as dotenvConfig } from 'dotenv';
 import Planner from './src/lib/planner.mjs';
+import RunLog from './src/lib/run-log.mjs';
 
 // Load environment variables
 dotenvConfig();
@@ -10,6 +11,9 @@ console.log('🔍 Motivational Printer - Planning Phase');
 console.log('========================================\n');
 
 async function runPlanning() {
+  const runLog = new RunLog({ command: 'plan' });
+  let planner = null;
+
   try {
     // Configuration
     const plannerConfig = {
@@ -29,9 +33,9 @@ async function runPlanning() {
     console.log('');
 
     // Initialize planner
-    const planner = new Planner(plannerConfig);
+    planner = new Planner(plannerConfig);
 
-    console.log('🤖 Starting AI-powered planning with Claude Sonnet 4...');
+    console.log('🤖 Starting AI-powered planning...');
     console.log('This may take a few moments as we gather and analyze information.\n');
 
     // Generate plan using tool use
@@ -46,17 +50,22 @@ async function runPlanning() {
     console.log(`- Generated on: ${result.metadata.date}`);
     console.log(`- Days analyzed: ${result.metadata.daysLookedBack}`);
 
+    runLog.set({ promptPath: result.promptPath, requests: planner.requestAttempts });
+    console.log(`🗒️  Run logged to: ${runLog.finish('planned')}`);
+
     console.log('\n🎯 Next step: Run `npm run write` to generate your personalized letter');
 
   } catch (error) {
     console.error('\n❌ Planning failed:', error.message);
+    if (planner) runLog.set({ requests: planner.requestAttempts });
+    console.error(`🗒️  Run logged to: ${runLog.finish('failed', error)}`);
 
     if (error.message.includes('API key')) {
-      console.error('\n💡 Tip: Make sure your ANTHROPIC_API_KEY is set in your .env file');
+      console.error('\n💡 Tip: Make sure your ANTHROPIC_API_KEY (or PLANNER_API_KEY for other providers) is set in your .env file');
     } else if (error.message.includes('organization')) {
       console.error('\n💡 Tip: Check your Claude AI configuration (CLAUDE_ORG_ID, CLAUDE_API_KEY)');
-    } else if (error.message.includes('tool use')) {
-      console.error('\n💡 Tip: This might be a temporary API issue. Try again in a moment.');
+    } else if (error.message.includes('tool use') || /did not answer within|overloaded|529/.test(error.message)) {
+      console.error('\n💡 Tip: This might be a temporary API issue. Try again in a moment, or set PLANNER_FALLBACK_MODEL.');
     }
 
     console.error('\nFor debugging, check the logs above for specific error details.');
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+import { config as dotenvConfig } from "dotenv";
+import PrinterManager, { loadPrinterConfig } from "./src/lib/printer-manager.mjs";
+
+dotenvConfig();
+
+const argv = process.argv.slice(2);
+const printerFlag = argv.indexOf("--printer");
+const printerName = printerFlag >= 0 ? argv.splice(printerFlag, 2)[1] : null;
+const [command = "list", ...args] = argv;
+
+/** @type {PrinterManager} */
+let manager;
+
+console.log("📬 Motivational Printer - Print Queue");
+console.log("=====================================\n");
+
+function waitFor(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function reportResults(name, results) {
+  for (const { job, printed, error } of results) {
+    if (printed) {
+      console.log(`✅ ${name}: printed ${job.id} (${job.description})`);
+    } else {
+      console.log(`❌ ${name}: ${job.id} failed: ${error.message}`);
+      console.log(`   Next retry: ${new Date(job.nextAttemptAt).toLocaleString()}`);
+    }
+  }
+}
+
+/**
+ * Finds the printer whose queue holds a job.
+ * @param {string} id
+ * @returns {import("./src/lib/printer-manager.mjs").ManagedPrinter}
+ */
+function findJobPrinter(id) {
+  const matches = manager.printers.filter((printer) => printer.spooler.list().some((job) => job.id === id));
+  if (matches.length === 0) throw new Error(`No queued job with ID ${id}`);
+  if (matches.length > 1) {
+    throw new Error(
+      `Job ${id} is queued on ${matches.map((printer) => printer.name).join(" and ")}; pick one with --printer <name>`
+    );
+  }
+  return matches[0];
+}
+
+function listJobs() {
+  const queued = manager.printers.flatMap((printer) => printer.spooler.list().map((job) => ({ printer, job })));
+  if (queued.length === 0) {
+    console.log("The queue is empty.");
+    return;
+  }
+
+  console.log(`${queued.length} queued job(s):\n`);
+  for (const { printer, job } of queued) {
+    console.log(`- ${job.id}: ${job.description}${manager.printers.length > 1 ? ` [${printer.name}]` : ""}`);
+    console.log(`    Queued: ${new Date(job.createdAt).toLocaleString()}, attempts: ${job.attempts}`);
+    if (job.lastError) {
+      console.log(`    Last error: ${job.lastError}`);
+    }
+    if (job.resume) {
+      console.log(`    Resumes after chunk ${job.resume.chunks} (printed before the error)`);
+    }
+    console.log(`    Next retry: ${new Date(job.nextAttemptAt).toLocaleString()}`);
+  }
+  console.log("\n💡 Retry now with `npm run queue -- retry`, or drop a job with `npm run queue -- drop <id>`");
+}
+
+async function retryJobs(id) {
+  if (id) {
+    const printer = findJobPrinter(id);
+    reportResults(printer.name, [await printer.spooler.print(printer.spooler.get(id))]);
+    return;
+  }
+
+  const queues = await manager.processQueues({ force: true });
+  if (queues.every(({ results }) => results.length === 0)) console.log("The queue is empty.");
+  for (const { printer, results } of queues) reportResults(printer, results);
+}
+
+function dropJob(id) {
+  if (!id) throw new Error("Usage: npm run queue -- drop <id>");
+  const printer = findJobPrinter(id);
+  const job = printer.spooler.drop(id);
+  console.log(`🗑️  Dropped ${job.id} (${job.description}) from ${printer.name}`);
+}
+
+async function watchQueue() {
+  console.log("👀 Printing queued jobs as they come due (Ctrl+C to stop)...\n");
+
+  for (let next = manager.nextAttemptAt; next; next = manager.nextAttemptAt) {
+    const delay = next.getTime() - Date.now();
+    if (delay > 0) {
+      console.log(`⏳ Next attempt at ${next.toLocaleString()}`);
+      await waitFor(delay);
+    }
+    for (const { printer, results } of await manager.processQueues()) reportResults(printer, results);
+  }
+
+  console.log("\n✅ The queue is empty.");
+}
+
+async function runQueue() {
+  // `--printer <name>` limits every command to one printer's queue
+  const printers = loadPrinterConfig().filter((printer) => !printerName || printer.name === printerName);
+  if (printers.length === 0) throw new Error(`No printer named ${printerName} in the printer config`);
+  manager = new PrinterManager({ printers });
+
+  switch (command) {
+    case "list":
+      listJobs();
+      break;
+    case "retry":
+      await retryJobs(args[0]);
+      break;
+    case "drop":
+      dropJob(args[0]);
+      break;
+    case "watch":
+      await watchQueue();
+      break;
+    default:
+      throw new Error(`Unknown queue command: ${command} (expected list, retry, drop or watch)`);
+  }
+}
+
+runQueue()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ Queue command failed:", error.message);
+    process.exit(1);
+  });
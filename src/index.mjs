@@ -1,7 +1,7 @@
-import PrinterAdapter from "./lib/printer.mjs";
+import PrinterManager, { summarizeResults } from "./lib/printer-manager.mjs";
+import RunLog from "./lib/run-log.mjs";
 import LLMAdapter from "./lib/llm.mjs";
-import { getShortDateFormatted } from "./lib/date.mjs";
-import { archiveMessage } from "./lib/archive.mjs";
+import { archiveMessage, countArchivedMessages } from "./lib/archive.mjs";
 
 // Configuration - set to true to enable planner functionality
 const USE_PLANNER = process.env.USE_PLANNER === 'true' || false;
@@ -13,7 +13,6 @@ const CLAUDE_CONFIG = {
   dataPath: process.env.CLAUDE_DATA_PATH
 };
 
-const printer = new PrinterAdapter();
 const llm = new LLMAdapter({
   usePlanner: USE_PLANNER,
   plannerConfig: {
@@ -24,6 +23,8 @@ const llm = new LLMAdapter({
 });
 
 (async function main() {
+  const runLog = new RunLog({ command: "start" });
+
   try {
     console.log(
       "Motivational Printer - " +
@@ -37,31 +38,45 @@ const llm = new LLMAdapter({
       console.log("Planner mode enabled - will gather information from available sources");
     }
 
-    console.log("Starting printer...");
-    await printer.start();
+    const manager = new PrinterManager();
 
     console.log("Generating motivational message...");
 
     const message = await llm.generateMessage();
 
     // Save the message to a timestamped text file in the ./archive directory
-    archiveMessage(message);
+    const { filename } = archiveMessage(message);
     console.log("Message generated and archived.");
+    runLog.set({ archiveFile: filename, messageLength: message.length });
 
-    await printer.printText(getShortDateFormatted() + "\n\n", "CT", 1);
-
-    await printer.printText(
-      // Add extra newlines to ensure the message can be torn off
-      message + "\n\n\n",
-      "LT"
-    );
+    // Each copy is queued first so it is retried on the next run if its printer is unavailable
+    const results = await manager.printLetter({
+      variables: {
+        MESSAGE: message,
+        LETTER_NUMBER: countArchivedMessages(),
+        ARCHIVE_FILE: filename,
+      },
+      description: "Daily message",
+    });
+    runLog.set({ printers: results });
 
-    await printer.close();
+    for (const result of results) {
+      if (result.printed) {
+        console.log(`Print job completed on ${result.printer}.`);
+      } else if (result.jobId) {
+        console.error(`Print job ${result.jobId} queued for retry on ${result.printer}: ${result.error}`);
+      } else {
+        console.error(`Could not print on ${result.printer}: ${result.error}`);
+      }
+    }
 
-    console.log("Print job completed and printer closed.");
+    runLog.set({ requests: llm.requestAttempts });
+    runLog.finish(summarizeResults(results));
   } catch (error) {
     // Log failures to stderr
-    console.error("Failed to initialize printer:");
+    console.error("Daily letter failed:");
     console.error(error);
+    runLog.set({ requests: llm.requestAttempts });
+    runLog.finish("failed", error);
   }
 })();
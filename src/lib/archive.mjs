@@ -1,12 +1,48 @@
 import fs from "fs";
 import { getArchiveDateFormatted } from "./date.mjs";
 
+/**
+ * Path of the archive file for a letter written at the given time.
+ * @param {Date} [date=new Date()]
+ * @returns {string}
+ */
+export function archivePath(date = new Date()) {
+  return `./archive/${getArchiveDateFormatted(date)}.txt`;
+}
+
 /**
  * Archives the provided message to a timestamped text file in the ./archive directory.
  * @param {string} message - The message to archive
+ * @param {Date} [date=new Date()] - When the message was written; names the file.
  */
-export function archiveMessage(message) {
-  const filename = `./archive/${getArchiveDateFormatted()}.txt`;
+export function archiveMessage(message, date = new Date()) {
+  const filename = archivePath(date);
   fs.writeFileSync(filename, message);
   return { filename };
 }
+
+/**
+ * Counts the letters archived so far, including today's once it is archived.
+ * @returns {number}
+ */
+export function countArchivedMessages() {
+  return fs.readdirSync("./archive").filter((file) => file.endsWith(".txt")).length;
+}
+
+/**
+ * Reads the most recent archived letters, newest first.
+ * @param {number} count - How many letters to read at most.
+ * @returns {Array<{filename: string, text: string}>}
+ */
+export function readRecentLetters(count) {
+  return fs
+    .readdirSync("./archive")
+    .filter((file) => file.endsWith(".txt"))
+    .sort()
+    .reverse()
+    .slice(0, Math.max(0, count))
+    .map((file) => ({
+      filename: `./archive/${file}`,
+      text: fs.readFileSync(`./archive/${file}`, "utf-8"),
+    }));
+}
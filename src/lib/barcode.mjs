@@ -0,0 +1,141 @@
+import { Image } from "@node-escpos/core";
+import qr from "qr-image";
+
+/**
+ * QR codes and barcodes. Printers that understand `GS ( k` get native QR
+ * commands, which print faster and sharper than an image; the rest get the
+ * QR code as an image. Barcodes use `GS k`, which every ESC/POS printer has.
+ */
+
+const GS = 0x1d;
+
+/** QR error correction levels, from 7% (L) to 30% (H) of the code recoverable. */
+export const QR_ERROR_CORRECTION = ["L", "M", "Q", "H"];
+
+/** `GS k` barcode systems (function B numbering) by name. */
+export const BARCODE_TYPES = {
+  "UPC-A": 65,
+  "UPC-E": 66,
+  EAN13: 67,
+  EAN8: 68,
+  CODE39: 69,
+  ITF: 70,
+  NW7: 71,
+  CODE93: 72,
+  CODE128: 73,
+};
+
+/** Where a barcode's human-readable text goes, as `GS H` values. */
+export const BARCODE_TEXT_POSITIONS = { none: 0, above: 1, below: 2, both: 3 };
+
+/**
+ * @typedef {Object} QrCodeOptions
+ * @property {number} [size=6] - Dots per module (1-16).
+ * @property {"L" | "M" | "Q" | "H"} [errorCorrection="M"]
+ */
+
+/**
+ * @typedef {Object} BarcodeOptions
+ * @property {keyof BARCODE_TYPES} [type="CODE128"]
+ * @property {number} [height=80] - Bar height in dots (1-255).
+ * @property {number} [width=2] - Narrow bar width in dots (2-6).
+ * @property {keyof BARCODE_TEXT_POSITIONS} [textPosition="below"]
+ */
+
+/**
+ * Builds a `GS ( k` QR code command (cn 49).
+ * @param {number} fn - Function code, e.g. 0x43 for the module size.
+ * @param {Buffer | number[]} parameters
+ * @returns {Buffer}
+ */
+const qrFunction = (fn, parameters) => {
+  const length = parameters.length + 2;
+  return Buffer.concat([
+    Buffer.from([GS, 0x28, 0x6b, length & 0xff, length >> 8, 0x31, fn]),
+    Buffer.from(parameters),
+  ]);
+};
+
+/**
+ * Checks QR code options and fills in the defaults.
+ * @param {QrCodeOptions} [options={}]
+ * @returns {Required<QrCodeOptions>}
+ */
+function qrOptions({ size = 6, errorCorrection = "M" } = {}) {
+  if (!QR_ERROR_CORRECTION.includes(errorCorrection)) {
+    throw new Error(
+      `Unknown QR error correction level: ${errorCorrection} (expected one of ${QR_ERROR_CORRECTION.join(", ")})`
+    );
+  }
+  return { size: Math.min(16, Math.max(1, Math.round(size))), errorCorrection };
+}
+
+/**
+ * Native ESC/POS commands that store and print a QR code (model 2).
+ * @param {string} data
+ * @param {QrCodeOptions} [options={}]
+ * @returns {Buffer}
+ */
+export function qrCodeCommands(data, options = {}) {
+  const { size, errorCorrection } = qrOptions(options);
+  return Buffer.concat([
+    qrFunction(0x41, [0x32, 0x00]),
+    qrFunction(0x43, [size]),
+    qrFunction(0x45, [0x30 + QR_ERROR_CORRECTION.indexOf(errorCorrection)]),
+    qrFunction(0x50, Buffer.concat([Buffer.from([0x30]), Buffer.from(data, "utf8")])),
+    qrFunction(0x51, [0x30]),
+  ]);
+}
+
+/**
+ * Renders a QR code as an image, for printers without native QR codes.
+ * @param {string} data
+ * @param {QrCodeOptions} [options={}]
+ * @returns {Promise<Image>}
+ */
+export async function qrCodeImage(data, options = {}) {
+  const { size, errorCorrection } = qrOptions(options);
+  const png = qr.imageSync(data, { type: "png", size, margin: 1, ec_level: errorCorrection });
+  return Image.load(png, "image/png");
+}
+
+/**
+ * ESC/POS commands that print a barcode with `GS k`.
+ * @param {string} data
+ * @param {BarcodeOptions} [options={}]
+ * @returns {Buffer}
+ */
+export function barcodeCommands(
+  data,
+  { type = "CODE128", height = 80, width = 2, textPosition = "below" } = {}
+) {
+  const system = BARCODE_TYPES[type];
+  if (!system) {
+    throw new Error(`Unknown barcode type: ${type} (expected one of ${Object.keys(BARCODE_TYPES).join(", ")})`);
+  }
+  if (BARCODE_TEXT_POSITIONS[textPosition] === undefined) {
+    throw new Error(
+      `Unknown barcode text position: ${textPosition} (expected one of ${Object.keys(BARCODE_TEXT_POSITIONS).join(", ")})`
+    );
+  }
+  if (!/^[\x20-\x7e]+$/.test(data)) {
+    throw new Error(`Barcode data must be printable ASCII: ${JSON.stringify(data)}`);
+  }
+  if (["UPC-A", "UPC-E", "EAN13", "EAN8", "ITF"].includes(type) && !/^\d+$/.test(data)) {
+    throw new Error(`${type} barcodes only hold digits: ${data}`);
+  }
+
+  // CODE128 data starts by selecting a code set; set B covers printable ASCII
+  const payload = Buffer.from(type === "CODE128" ? `{B${data.replace(/\{/g, "{{")}` : data, "ascii");
+  if (payload.length > 255) {
+    throw new Error(`Barcode data is too long (${data.length} characters)`);
+  }
+  return Buffer.concat([
+    Buffer.from([GS, 0x48, BARCODE_TEXT_POSITIONS[textPosition]]),
+    Buffer.from([GS, 0x66, 0x00]),
+    Buffer.from([GS, 0x68, Math.min(255, Math.max(1, Math.round(height)))]),
+    Buffer.from([GS, 0x77, Math.min(6, Math.max(2, Math.round(width)))]),
+    Buffer.from([GS, 0x6b, system, payload.length]),
+    payload,
+  ]);
+}
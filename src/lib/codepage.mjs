@@ -0,0 +1,223 @@
+import iconv from "iconv-lite";
+
+/**
+ * Legacy codepages most ESC/POS printers support, with the `ESC t n`
+ * character code table number (Epson numbering) that selects each one.
+ * `utf8` is for the few printers that understand UTF-8 natively.
+ */
+export const CODEPAGES = {
+  cp437: { table: 0, name: "PC437 (USA, Standard Europe)" },
+  cp850: { table: 2, name: "PC850 (Multilingual)" },
+  cp860: { table: 3, name: "PC860 (Portuguese)" },
+  cp863: { table: 4, name: "PC863 (Canadian-French)" },
+  cp865: { table: 5, name: "PC865 (Nordic)" },
+  cp857: { table: 13, name: "PC857 (Turkish)" },
+  cp737: { table: 14, name: "PC737 (Greek)" },
+  cp1252: { table: 16, name: "WPC1252 (Latin 1)" },
+  cp866: { table: 17, name: "PC866 (Cyrillic #2)" },
+  cp852: { table: 18, name: "PC852 (Latin 2)" },
+  cp858: { table: 19, name: "PC858 (Euro)" },
+  cp1250: { table: 45, name: "WPC1250 (Latin 2)" },
+  cp1251: { table: 46, name: "WPC1251 (Cyrillic)" },
+  cp1253: { table: 47, name: "WPC1253 (Greek)" },
+  cp1254: { table: 48, name: "WPC1254 (Turkish)" },
+  cp1257: { table: 51, name: "WPC1257 (Baltic)" },
+  utf8: { table: null, name: "UTF-8" },
+};
+
+/**
+ * Readable ASCII stand-ins for characters LLMs like to use. Anything not
+ * listed falls back to stripping accents, then to `?`.
+ */
+const TRANSLITERATIONS = {
+  "‘": "'", "’": "'", "‚": "'", "‛": "'",
+  "“": '"', "”": '"', "„": '"', "‟": '"',
+  "′": "'", "″": '"', "«": "<<", "»": ">>",
+  "‹": "<", "›": ">",
+  "‐": "-", "‑": "-", "‒": "-", "–": "-",
+  "—": "--", "―": "--", "−": "-",
+  "…": "...", "•": "*", "·": "*", "‣": ">",
+  "\u00a0": " ", "\u2002": " ", "\u2003": " ", "\u2009": " ", "\u202f": " ",
+  "\u200b": "", "\u200d": "", "\ufe0f": "", "\ufeff": "",
+  "ß": "ss", "æ": "ae", "Æ": "AE", "œ": "oe", "Œ": "OE",
+  "ø": "o", "Ø": "O", "ł": "l", "Ł": "L", "đ": "d", "Đ": "D",
+  "þ": "th", "Þ": "Th", "ð": "d", "Ð": "D", "ı": "i",
+  "€": "EUR", "£": "GBP", "¥": "JPY", "©": "(c)", "®": "(R)",
+  "™": "(TM)", "°": " deg", "½": "1/2", "¼": "1/4", "¾": "3/4",
+  "×": "x", "÷": "/", "→": "->", "←": "<-", "↔": "<->",
+  "⇒": "=>", "≤": "<=", "≥": ">=", "≠": "!=", "≈": "~",
+  "✓": "v", "✔": "v", "✗": "x", "★": "*", "☆": "*",
+  "♥": "<3", "❤": "<3", "\u{1f499}": "<3", "\u{1f49b}": "<3", "\u{1f49a}": "<3",
+  "\u{1f49c}": "<3", "\u{1f9e1}": "<3", "\u{1f495}": "<3", "\u{1f496}": "<3",
+  "\u{1f642}": ":)", "\u{1f60a}": ":)", "\u{1f600}": ":D", "\u{1f603}": ":D",
+  "\u{1f604}": ":D", "\u{1f601}": ":D", "\u{1f609}": ";)", "\u{1f622}": ":'(",
+  "\u{1f641}": ":(", "\u{1f917}": "(hug)", "\u{1f64f}": "(thank you)",
+  "☀": "(sun)", "\u{1f31e}": "(sun)", "\u{1f308}": "(rainbow)", "\u{1f331}": "(sprout)",
+  "\u{1f338}": "(flower)", "\u{1f33b}": "(flower)", "✨": "*", "\u{1f31f}": "*",
+  "\u{1f4aa}": "(strong)", "\u{1f44d}": "(thumbs up)", "\u{1f389}": "(party)",
+};
+
+// Emoji without a listed stand-in are dropped rather than printed as "?"
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Emoji_Modifier}|\p{Regional_Indicator}/u;
+
+/** @type {Map<string, boolean>} */
+const encodableCache = new Map();
+
+/**
+ * Whether a single character survives a round trip through the codepage.
+ * @param {string} char
+ * @param {string} codepage
+ * @returns {boolean}
+ */
+function isEncodable(char, codepage) {
+  if (codepage === "utf8" || char.charCodeAt(0) < 0x80) return true;
+
+  const key = codepage + char;
+  if (!encodableCache.has(key)) {
+    encodableCache.set(
+      key,
+      iconv.decode(iconv.encode(char, codepage), codepage) === char
+    );
+  }
+  return encodableCache.get(key);
+}
+
+/**
+ * Finds the closest readable stand-in for a character that cannot be printed.
+ * @param {string} char
+ * @param {(char: string) => boolean} canPrint
+ * @returns {string}
+ */
+function transliterate(char, canPrint) {
+  if (char in TRANSLITERATIONS) {
+    const replacement = TRANSLITERATIONS[char];
+    if ([...replacement].every(canPrint)) {
+      return replacement;
+    }
+  }
+
+  // "é" -> "e" + combining accent -> "e"
+  const stripped = char.normalize("NFD").replace(/\p{Mark}/gu, "");
+  if (stripped && stripped !== char && [...stripped].every(canPrint)) {
+    return stripped;
+  }
+
+  // Compatibility forms such as ligatures ("ﬁ" -> "fi") and full-width letters
+  const compatible = char.normalize("NFKD").replace(/\p{Mark}/gu, "");
+  if (compatible && compatible !== char && [...compatible].every(canPrint)) {
+    return compatible;
+  }
+
+  return EMOJI_PATTERN.test(char) ? "" : "?";
+}
+
+/**
+ * @typedef {Object} Replacement
+ * @property {string} char - The original character.
+ * @property {string} replacement - What was printed instead ("" if dropped).
+ * @property {number} count - How many times it occurred.
+ */
+
+/**
+ * Rewrites text so every character exists in the codepage, transliterating
+ * the rest into readable ASCII.
+ * @param {string} text
+ * @param {string} [codepage="cp437"]
+ * @returns {{text: string, replacements: Replacement[]}}
+ */
+export function transliterateText(text, codepage = "cp437") {
+  return replaceUnprintable(text, (char) => isEncodable(char, codepage));
+}
+
+/**
+ * Rewrites text so every character passes `canPrint`, e.g. has a glyph in
+ * a font, transliterating the rest as `transliterateText()` does.
+ * @param {string} text
+ * @param {(char: string) => boolean} canPrint
+ * @returns {{text: string, replacements: Replacement[]}}
+ */
+export function replaceUnprintable(text, canPrint) {
+  /** @type {Map<string, Replacement>} */
+  const replacements = new Map();
+  let result = "";
+
+  for (const char of text) {
+    if (canPrint(char)) {
+      result += char;
+      continue;
+    }
+
+    const replacement = transliterate(char, canPrint);
+    result += replacement;
+
+    const entry = replacements.get(char) ?? { char, replacement, count: 0 };
+    entry.count++;
+    replacements.set(char, entry);
+  }
+
+  return { text: result, replacements: [...replacements.values()] };
+}
+
+/**
+ * Picks the supported codepage that can print the most of the text as-is.
+ * Ties go to the codepage listed first.
+ * @param {string} text
+ * @param {string[]} [supported=["cp437"]] - Codepages the printer supports, in order of preference.
+ * @returns {string}
+ */
+export function selectCodepage(text, supported = ["cp437"]) {
+  const candidates = supported.filter((codepage) => codepage in CODEPAGES);
+  if (candidates.length === 0) {
+    throw new Error(
+      `No known codepage in [${supported.join(", ")}] (expected some of ${Object.keys(CODEPAGES).join(", ")})`
+    );
+  }
+
+  const chars = [...new Set(text)].filter((char) => char.charCodeAt(0) >= 0x80);
+  let best = candidates[0];
+  let bestMissing = Infinity;
+
+  for (const codepage of candidates) {
+    const missing = chars.filter((char) => !isEncodable(char, codepage)).length;
+    if (missing < bestMissing) {
+      best = codepage;
+      bestMissing = missing;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Prepares text for a printer: picks the best supported codepage and
+ * transliterates whatever that codepage cannot print.
+ * @param {string} text
+ * @param {string[]} [supported=["cp437"]]
+ * @returns {{text: string, codepage: string, table: number | null, replacements: Replacement[]}}
+ */
+export function prepareText(text, supported = ["cp437"]) {
+  const codepage = selectCodepage(text, supported);
+  return {
+    codepage,
+    table: CODEPAGES[codepage].table,
+    ...transliterateText(text, codepage),
+  };
+}
+
+/**
+ * Summarizes replacements for logging, e.g. `"“" -> """ (x2), "—" -> "--"`.
+ * @param {Replacement[]} replacements
+ * @returns {string}
+ */
+export function describeReplacements(replacements) {
+  return replacements
+    .map(({ char, replacement, count }) => {
+      // Spell out invisible characters such as variation selectors
+      const shown = /[\p{C}\p{Z}\p{M}]/u.test(char)
+        ? "U+" + char.codePointAt(0).toString(16).toUpperCase().padStart(4, "0")
+        : `"${char}"`;
+      const printed = replacement ? `"${replacement}"` : "(dropped)";
+      return `${shown} -> ${printed}${count > 1 ? ` (x${count})` : ""}`;
+    })
+    .join(", ");
+}
@@ -0,0 +1,442 @@
+import iconv from "iconv-lite";
+import { CODEPAGES } from "./codepage.mjs";
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const DLE = 0x10;
+const FS = 0x1c;
+const LF = 0x0a;
+
+const ALIGNMENTS = { 0: "left", 1: "center", 2: "right" };
+const FONTS = { 0: "A", 1: "B", 2: "C" };
+const QR_LEVELS = { 48: "L", 49: "M", 50: "Q", 51: "H" };
+const BARCODE_TYPES = {
+  0: "UPC-A", 1: "UPC-E", 2: "EAN13", 3: "EAN8", 4: "CODE39", 5: "ITF", 6: "NW7",
+  65: "UPC-A", 66: "UPC-E", 67: "EAN13", 68: "EAN8", 69: "CODE39", 70: "ITF",
+  71: "NW7", 72: "CODE93", 73: "CODE128",
+};
+const STATUS_TYPES = { 1: "printer", 2: "offline cause", 3: "error cause", 4: "paper sensor" };
+
+/**
+ * @typedef {Object} DecodedCommand
+ * @property {number} offset - Byte offset of the command in the stream.
+ * @property {string} name - Command name, e.g. "ALIGN", "TEXT", "RASTER".
+ * @property {Object} [args] - Decoded parameters.
+ * @property {string[]} [art] - Raster images as rows of `#` (black) and `.` (white).
+ */
+
+/**
+ * Reverse lookup from `ESC t` table number to codepage name.
+ * @param {number} table
+ * @returns {string | undefined}
+ */
+const codepageForTable = (table) =>
+  Object.keys(CODEPAGES).find((codepage) => CODEPAGES[codepage].table === table);
+
+/**
+ * ESC/POS parameters for "on/off" and small enums may be sent either as
+ * 0/1/2 or as the ASCII digits "0"/"1"/"2".
+ * @param {number} n
+ * @returns {number}
+ */
+const digit = (n) => (n >= 48 && n <= 57 ? n - 48 : n);
+
+/**
+ * Converts row-major raster bytes (1 bit per dot, MSB first) to ASCII art.
+ * @param {Buffer} data
+ * @param {number} widthBytes
+ * @param {number} height
+ * @returns {string[]}
+ */
+function rasterToArt(data, widthBytes, height) {
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    let row = "";
+    for (let x = 0; x < widthBytes * 8; x++) {
+      const byte = data[y * widthBytes + (x >> 3)] ?? 0;
+      row += byte & (0x80 >> (x & 7)) ? "#" : ".";
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Converts column-major `ESC *` bit image bytes to ASCII art.
+ * @param {Buffer} data
+ * @param {number} width - Columns (dots).
+ * @param {number} bytesPerColumn - 1 for 8-dot modes, 3 for 24-dot modes.
+ * @returns {string[]}
+ */
+function bitImageToArt(data, width, bytesPerColumn) {
+  const rows = [];
+  for (let y = 0; y < bytesPerColumn * 8; y++) {
+    let row = "";
+    for (let x = 0; x < width; x++) {
+      const byte = data[x * bytesPerColumn + (y >> 3)] ?? 0;
+      row += byte & (0x80 >> (y & 7)) ? "#" : ".";
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Decodes a raw ESC/POS byte stream into commands and text.
+ *
+ * Covers the commands this project and `@node-escpos/core` emit (formatting,
+ * alignment, sizes, codepages, raster and bit images, QR codes, barcodes,
+ * cuts, status requests). Anything else is reported as `UNKNOWN` with its
+ * bytes so a diff still shows it.
+ *
+ * @param {Buffer} buffer
+ * @returns {DecodedCommand[]}
+ */
+export function decodeEscPos(buffer) {
+  /** @type {DecodedCommand[]} */
+  const commands = [];
+  let codepage = "cp437";
+  let i = 0;
+
+  const byte = (offset) => buffer[i + offset];
+  const push = (offset, name, args, extra = {}) =>
+    commands.push({ offset, name, ...(args ? { args } : {}), ...extra });
+
+  while (i < buffer.length) {
+    const start = i;
+    const b = buffer[i];
+
+    // Text runs: everything up to the next control character
+    if (b >= 0x20) {
+      let end = i;
+      while (end < buffer.length && buffer[end] >= 0x20) end++;
+      const bytes = buffer.subarray(i, end);
+      const text = codepage === "utf8" ? bytes.toString("utf8") : iconv.decode(bytes, codepage);
+      push(start, "TEXT", { text });
+      i = end;
+      continue;
+    }
+
+    if (b === LF) {
+      let count = 0;
+      while (buffer[i] === LF) {
+        count++;
+        i++;
+      }
+      push(start, "LF", count > 1 ? { count } : null);
+      continue;
+    }
+
+    if (b === ESC) {
+      const cmd = byte(1);
+      const n = byte(2);
+      switch (String.fromCharCode(cmd)) {
+        case "@":
+          push(start, "INIT");
+          i += 2;
+          continue;
+        case "!":
+          push(start, "PRINT_MODE", {
+            font: n & 1 ? "B" : "A",
+            bold: Boolean(n & 8),
+            doubleHeight: Boolean(n & 16),
+            doubleWidth: Boolean(n & 32),
+            underline: Boolean(n & 128),
+          });
+          i += 3;
+          continue;
+        case "E":
+          push(start, "BOLD", { on: Boolean(n & 1) });
+          i += 3;
+          continue;
+        case "G":
+          push(start, "DOUBLE_STRIKE", { on: Boolean(n & 1) });
+          i += 3;
+          continue;
+        case "-":
+          push(start, "UNDERLINE", { weight: digit(n) });
+          i += 3;
+          continue;
+        case "4":
+          push(start, "ITALIC", { on: Boolean(digit(n)) });
+          i += 3;
+          continue;
+        case "M":
+          push(start, "FONT", { font: FONTS[digit(n)] ?? n });
+          i += 3;
+          continue;
+        case "a":
+          push(start, "ALIGN", { align: ALIGNMENTS[digit(n)] ?? n });
+          i += 3;
+          continue;
+        case "t":
+          codepage = codepageForTable(n) ?? codepage;
+          push(start, "CODEPAGE", { table: n, codepage: codepageForTable(n) ?? "unknown" });
+          i += 3;
+          continue;
+        case "R":
+          push(start, "CHARSET", { charset: n });
+          i += 3;
+          continue;
+        case "2":
+          push(start, "LINE_SPACING", { dots: "default" });
+          i += 2;
+          continue;
+        case "3":
+          push(start, "LINE_SPACING", { dots: n });
+          i += 3;
+          continue;
+        case " ":
+          push(start, "CHAR_SPACING", { dots: n });
+          i += 3;
+          continue;
+        case "d":
+          push(start, "FEED_LINES", { lines: n });
+          i += 3;
+          continue;
+        case "J":
+          push(start, "FEED_DOTS", { dots: n });
+          i += 3;
+          continue;
+        case "e":
+          push(start, "REVERSE_FEED_LINES", { lines: n });
+          i += 3;
+          continue;
+        case "r":
+          push(start, "COLOR", { color: digit(n) === 1 ? "red" : "black" });
+          i += 3;
+          continue;
+        case "B":
+          push(start, "BEEP", { count: n, duration: byte(3) });
+          i += 4;
+          continue;
+        case "p":
+          push(start, "CASH_DRAWER", { pin: digit(n) === 1 ? 5 : 2 });
+          i += 5;
+          continue;
+        case "i":
+          push(start, "CUT", { type: "full" });
+          i += 2;
+          continue;
+        case "m":
+          push(start, "CUT", { type: "partial" });
+          i += 2;
+          continue;
+        case "{":
+          push(start, "UPSIDE_DOWN", { on: Boolean(n & 1) });
+          i += 3;
+          continue;
+        case "Z": {
+          // Legacy 2D code: ESC Z version level size dL dH data
+          const length = byte(5) + byte(6) * 256;
+          push(start, "CODE2D_PRINT", {
+            version: n,
+            level: String.fromCharCode(byte(3)),
+            size: byte(4),
+            data: buffer.subarray(i + 7, i + 7 + length).toString("utf8"),
+          });
+          i += 7 + length;
+          continue;
+        }
+        case "*": {
+          const width = byte(3) + byte(4) * 256;
+          const bytesPerColumn = n === 32 || n === 33 ? 3 : 1;
+          const data = buffer.subarray(i + 5, i + 5 + width * bytesPerColumn);
+          push(
+            start,
+            "BIT_IMAGE",
+            { mode: n, width, height: bytesPerColumn * 8 },
+            { art: bitImageToArt(data, width, bytesPerColumn) }
+          );
+          i += 5 + width * bytesPerColumn;
+          continue;
+        }
+      }
+    }
+
+    if (b === GS) {
+      const cmd = byte(1);
+      const n = byte(2);
+      switch (String.fromCharCode(cmd)) {
+        case "!":
+          push(start, "SIZE", { width: (n >> 4) + 1, height: (n & 15) + 1 });
+          i += 3;
+          continue;
+        case "B":
+          push(start, "REVERSE", { on: Boolean(n & 1) });
+          i += 3;
+          continue;
+        case "Z":
+          push(start, "CODE2D_TYPE", { type: ["PDF417", "DataMatrix", "QR"][n] ?? n });
+          i += 3;
+          continue;
+        case "V": {
+          const m = digit(n);
+          if (n === 65 || n === 66) {
+            push(start, "CUT", { type: n === 65 ? "full" : "partial", feed: byte(3) });
+            i += 4;
+          } else {
+            push(start, "CUT", { type: m === 1 ? "partial" : "full" });
+            i += 3;
+          }
+          continue;
+        }
+        case "v": {
+          const widthBytes = byte(4) + byte(5) * 256;
+          const height = byte(6) + byte(7) * 256;
+          const data = buffer.subarray(i + 8, i + 8 + widthBytes * height);
+          push(
+            start,
+            "RASTER",
+            { mode: digit(byte(3)), width: widthBytes * 8, height },
+            { art: rasterToArt(data, widthBytes, height) }
+          );
+          i += 8 + widthBytes * height;
+          continue;
+        }
+        case "k": {
+          if (n <= 6) {
+            let end = i + 3;
+            while (end < buffer.length && buffer[end] !== 0) end++;
+            push(start, "BARCODE", {
+              type: BARCODE_TYPES[n],
+              data: buffer.subarray(i + 3, end).toString("latin1"),
+            });
+            i = end + 1;
+          } else {
+            const length = byte(3);
+            let data = buffer.subarray(i + 4, i + 4 + length).toString("latin1");
+            // CODE128 data carries code set selections such as "{B"; "{{" is a literal "{"
+            if (n === 73) data = data.replace(/\{([ABC{])/g, (match, set) => (set === "{" ? "{" : ""));
+            push(start, "BARCODE", { type: BARCODE_TYPES[n] ?? n, data });
+            i += 4 + length;
+          }
+          continue;
+        }
+        case "h":
+          push(start, "BARCODE_HEIGHT", { dots: n });
+          i += 3;
+          continue;
+        case "w":
+          push(start, "BARCODE_WIDTH", { width: n });
+          i += 3;
+          continue;
+        case "H":
+          push(start, "BARCODE_TEXT_POSITION", { position: ["none", "above", "below", "both"][digit(n)] });
+          i += 3;
+          continue;
+        case "f":
+          push(start, "BARCODE_TEXT_FONT", { font: FONTS[digit(n)] ?? n });
+          i += 3;
+          continue;
+        case "L":
+          push(start, "LEFT_MARGIN", { dots: n + byte(3) * 256 });
+          i += 4;
+          continue;
+        case "W":
+          push(start, "PRINT_AREA_WIDTH", { dots: n + byte(3) * 256 });
+          i += 4;
+          continue;
+        case "a":
+          push(start, "AUTO_STATUS_BACK", { mask: n });
+          i += 3;
+          continue;
+        case "r":
+          push(start, "TRANSMIT_STATUS", { type: digit(n) });
+          i += 3;
+          continue;
+        case "(": {
+          const length = byte(3) + byte(4) * 256;
+          const body = buffer.subarray(i + 5, i + 5 + length);
+          if (String.fromCharCode(n) === "k" && body[0] === 49) {
+            push(start, ...decodeQrFunction(body));
+          } else {
+            push(start, "GS_PAREN", {
+              function: String.fromCharCode(n),
+              bytes: body.toString("hex"),
+            });
+          }
+          i += 5 + length;
+          continue;
+        }
+      }
+    }
+
+    if (b === DLE && byte(1) === 0x04) {
+      push(start, "STATUS_REQUEST", { type: STATUS_TYPES[byte(2)] ?? byte(2) });
+      i += 3;
+      continue;
+    }
+
+    if (b === FS && (byte(1) === 0x2e || byte(1) === 0x26)) {
+      push(start, "KANJI_MODE", { on: byte(1) === 0x26 });
+      i += 2;
+      continue;
+    }
+
+    // Unknown ESC/GS/FS sequences take at least their command byte; other
+    // control characters stand alone
+    const length = [ESC, GS, FS, DLE].includes(b) ? Math.min(2, buffer.length - i) : 1;
+    push(start, "UNKNOWN", { bytes: buffer.subarray(i, i + length).toString("hex") });
+    i += length;
+  }
+
+  return commands;
+}
+
+/**
+ * Decodes the body of a `GS ( k` QR code function.
+ * @param {Buffer} body - Bytes after pL pH, starting with cn (49).
+ * @returns {[string, Object]}
+ */
+function decodeQrFunction(body) {
+  const fn = body[1];
+  switch (fn) {
+    case 65:
+      return ["QR_MODEL", { model: digit(body[2]) }];
+    case 67:
+      return ["QR_SIZE", { module: body[2] }];
+    case 69:
+      return ["QR_ERROR_CORRECTION", { level: QR_LEVELS[body[2]] ?? body[2] }];
+    case 80:
+      return ["QR_STORE", { data: body.subarray(3).toString("utf8") }];
+    case 81:
+      return ["QR_PRINT"];
+    default:
+      return ["QR_FUNCTION", { fn, bytes: body.subarray(2).toString("hex") }];
+  }
+}
+
+/**
+ * Formats decoded commands as one readable line per command, suitable for
+ * golden files and diffs.
+ * @param {DecodedCommand[]} commands
+ * @param {Object} [options={}]
+ * @param {boolean} [options.offsets=false] - Prefix each line with its byte offset.
+ * @returns {string}
+ */
+export function formatCommands(commands, { offsets = false } = {}) {
+  const lines = [];
+
+  for (const command of commands) {
+    const prefix = offsets ? command.offset.toString(16).padStart(6, "0") + "  " : "";
+    let line = command.name;
+
+    if (command.name === "TEXT") {
+      line += " " + JSON.stringify(command.args.text);
+    } else if (command.args) {
+      line +=
+        " " +
+        Object.entries(command.args)
+          .map(([key, value]) => `${key}=${typeof value === "string" && /\s/.test(value) ? JSON.stringify(value) : value}`)
+          .join(" ");
+    }
+
+    lines.push(prefix + line);
+    for (const row of command.art ?? []) {
+      lines.push(prefix + "  |" + row + "|");
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
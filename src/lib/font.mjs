@@ -0,0 +1,403 @@
+import { existsSync, readFileSync } from "fs";
+import opentype from "opentype.js";
+import { replaceUnprintable } from "./codepage.mjs";
+import { LIST_MARKER_PATTERN } from "./layout.mjs";
+import { parseMarkdown, toSegments } from "./markdown.mjs";
+import { imageFromBits } from "./image.mjs";
+import { resolveProfile } from "./profiles.mjs";
+
+/**
+ * Letters in a TrueType or OpenType font. The built-in fonts A and B look
+ * like a receipt, so the letter body can instead be laid out in a chosen
+ * font, word-wrapped to the paper width in dots, and filled glyph by glyph
+ * into a one-bit image the printer prints as a raster image.
+ */
+
+/** Heading sizes relative to the body text, following markdown's heading styles. */
+const HEADING_SCALE = { 1: 1.75, 2: 1.375, 3: 1 };
+
+/** Scanlines per row of dots when filling glyph outlines. */
+const SUBSAMPLES = 4;
+
+/** Line segments each curve of an outline is flattened into. */
+const CURVE_STEPS = 8;
+
+/**
+ * Share of a dot an outline must cover for the dot to print. Slightly
+ * under half, so the hairlines of script faces do not drop out.
+ */
+const COVERAGE_THRESHOLD = 0.4;
+
+/** Fonts already parsed, by path. @type {Map<string, import("opentype.js").Font>} */
+const fonts = new Map();
+
+/**
+ * @typedef {Object} FontOptions
+ * @property {string} font - Path to a TTF or OTF file.
+ * @property {number} [fontSize=32] - Body text size in dots (the font's em height).
+ * @property {import("./profiles.mjs").PrinterProfile} [profile] - Printer profile; defaults to the generic one for `paperWidth`.
+ * @property {number} [paperWidth=58] - Paper width in mm, when no profile is given.
+ */
+
+/**
+ * A run of text in one style, placed on a laid-out line.
+ * @typedef {{text: string, bold: boolean, underline: boolean, x: number, width: number}} Run
+ */
+
+/**
+ * One laid-out line of the image.
+ * @typedef {Object} FontLine
+ * @property {"LT" | "CT" | "RT"} align
+ * @property {number} size - Font size in dots.
+ * @property {Run[]} runs
+ * @property {number} width - Dots from the left margin to the end of the last run.
+ * @property {boolean} [rule] - True for horizontal rules.
+ */
+
+/**
+ * Loads a TrueType or OpenType font, parsing each file only once.
+ * @param {string} path
+ * @returns {import("opentype.js").Font}
+ */
+export function loadFont(path) {
+  if (fonts.has(path)) return fonts.get(path);
+  if (!existsSync(path)) {
+    throw new Error(`Font not found: ${path}`);
+  }
+
+  let font;
+  try {
+    font = opentype.parse(readFileSync(path));
+  } catch (error) {
+    throw new Error(`Could not read font ${path}: ${error.message}`);
+  }
+  if (font.supported === false) {
+    throw new Error(`Unsupported font ${path} (expected TrueType or CFF outlines)`);
+  }
+  fonts.set(path, font);
+  return font;
+}
+
+/**
+ * Whether the font can draw a character. Whitespace and control
+ * characters take no glyph.
+ * @param {import("opentype.js").Font} font
+ * @param {string} char
+ * @returns {boolean}
+ */
+const hasGlyph = (font, char) => /[\s\x00-\x1f]/.test(char) || font.hasChar(char);
+
+/**
+ * Transliterates characters the font has no glyph for, the way text is
+ * fitted to a codepage (see `transliterateText()`).
+ * @param {string} text
+ * @param {import("opentype.js").Font} font
+ * @returns {{text: string, replacements: import("./codepage.mjs").Replacement[]}}
+ */
+export function fitToFont(text, font) {
+  return replaceUnprintable(text, (char) => hasGlyph(font, char));
+}
+
+/**
+ * Width of the extra strike that makes text bold, in dots.
+ * @param {number} size
+ * @returns {number}
+ */
+const boldOffset = (size) => Math.max(1, Math.round(size / 24));
+
+/**
+ * Height of one line of text and the baseline's distance from its top.
+ * @param {import("opentype.js").Font} font
+ * @param {number} size
+ * @returns {{height: number, baseline: number}}
+ */
+function lineMetrics(font, size) {
+  const scale = size / font.unitsPerEm;
+  return {
+    height: Math.ceil((font.ascender - font.descender) * scale),
+    baseline: Math.round(font.ascender * scale),
+  };
+}
+
+/**
+ * Lays out one paragraph, heading or list item in dots: greedy word
+ * wrapping, a hanging indent for list items, and words too long for a
+ * line broken where they reach the margin.
+ * @param {import("./markdown.mjs").Segment[]} segments
+ * @param {Object} options
+ * @param {import("opentype.js").Font} options.font
+ * @param {number} options.size
+ * @param {number} options.width - Dots per line.
+ * @param {"LT" | "CT" | "RT"} options.align
+ * @returns {FontLine[]}
+ */
+function wrapSegments(segments, { font, size, width, align }) {
+  const measure = (text, bold) =>
+    font.getAdvanceWidth(text, size, { kerning: true }) + (bold ? boldOffset(size) : 0);
+  const plain = segments.map((segment) => segment.text).join("");
+  const marker = plain.match(LIST_MARKER_PATTERN);
+  const leading = plain.match(/^\s*/)[0];
+  const hangingIndent = Math.min(measure(marker ? marker[0] : leading, false), width / 2);
+  const space = measure(" ", false);
+
+  // Words keep their styled runs, so "**bold**," stays one word
+  const words = [];
+  let word = null;
+  for (const { text, bold, underline } of segments) {
+    for (const part of text.split(/(\s+)/)) {
+      if (!part) continue;
+      if (/^\s+$/.test(part)) {
+        word = null;
+        continue;
+      }
+      if (!word) words.push((word = []));
+      word.push({ text: part, bold, underline, width: measure(part, bold) });
+    }
+  }
+
+  const lines = [];
+  let line = { align, size, runs: [], width: measure(leading, false) };
+  const pushLine = () => {
+    lines.push(line);
+    line = { align, size, runs: [], width: hangingIndent };
+  };
+  const place = (runs) => {
+    for (const run of runs) {
+      line.runs.push({ ...run, x: line.width });
+      line.width += run.width;
+    }
+  };
+
+  for (const runs of words) {
+    const wordWidth = runs.reduce((total, run) => total + run.width, 0);
+    if (line.runs.length > 0 && line.width + space + wordWidth > width) pushLine();
+
+    if (line.runs.length > 0) {
+      const previous = line.runs[line.runs.length - 1];
+      place([{ text: " ", bold: false, underline: previous.underline && runs[0].underline, width: space }]);
+    }
+    if (line.width + wordWidth <= width) {
+      place(runs);
+      continue;
+    }
+
+    // Longer than a whole line: break it character by character
+    for (const run of runs) {
+      let piece = "";
+      for (const char of run.text) {
+        if (piece && line.width + measure(piece + char, run.bold) > width) {
+          place([{ ...run, text: piece, width: measure(piece, run.bold) }]);
+          pushLine();
+          piece = "";
+        }
+        piece += char;
+      }
+      if (piece) place([{ ...run, text: piece, width: measure(piece, run.bold) }]);
+    }
+  }
+
+  if (line.runs.length > 0 || lines.length === 0) lines.push(line);
+  return lines;
+}
+
+/**
+ * Lays out a markdown letter in a font: headings larger, centered and
+ * bold, emphasis underlined and rules across the paper, as `renderMarkdown()`
+ * does with the printer's own font.
+ * @param {string} markdown
+ * @param {Object} options
+ * @param {import("opentype.js").Font} options.font
+ * @param {number} options.size - Body text size in dots.
+ * @param {number} options.width - Dots per line.
+ * @returns {FontLine[]}
+ */
+export function layoutMarkdown(markdown, { font, size, width }) {
+  const lines = [];
+
+  for (const block of parseMarkdown(markdown)) {
+    switch (block.type) {
+      case "blank":
+        lines.push({ align: "LT", size, runs: [], width: 0 });
+        break;
+
+      case "rule":
+        lines.push({ align: "LT", size, runs: [], width, rule: true });
+        break;
+
+      case "heading": {
+        const level = Math.min(block.level, 3);
+        const [{ segments }] = toSegments([block.text], {}, { bold: true, underline: level >= 3 });
+        const align = level < 3 ? "CT" : "LT";
+        lines.push(...wrapSegments(segments, { font, size: Math.round(size * HEADING_SCALE[level]), width, align }));
+        break;
+      }
+
+      default: {
+        const [{ segments }] = toSegments([block.text], {});
+        lines.push(...wrapSegments(segments, { font, size, width, align: "LT" }));
+      }
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Fills a glyph outline into one-bit dots with the nonzero winding rule.
+ * Curves are flattened into line segments, and each row of dots is
+ * sampled on several scanlines so a dot prints when the outline covers
+ * enough of it.
+ * @param {Uint8Array} bits - 1 for a black dot, row by row; drawn into in place.
+ * @param {number} width
+ * @param {number} height
+ * @param {import("opentype.js").PathCommand[]} commands - Outline in dots, y pointing down.
+ * @param {number} [dx=0] - Horizontal offset, for the extra strike of bold text.
+ */
+export function fillOutline(bits, width, height, commands, dx = 0) {
+  const edges = [];
+  const addEdge = ([x0, y0], [x1, y1]) => {
+    if (y0 !== y1) edges.push({ x0, y0, x1, y1, direction: y1 > y0 ? 1 : -1 });
+  };
+
+  let start = null;
+  let point = null;
+  const lineTo = (next) => {
+    addEdge(point, next);
+    point = next;
+  };
+  for (const command of commands) {
+    switch (command.type) {
+      case "M":
+        if (point && start) addEdge(point, start);
+        start = point = [command.x + dx, command.y];
+        break;
+      case "L":
+        lineTo([command.x + dx, command.y]);
+        break;
+      case "Q": {
+        const [x0, y0] = point;
+        for (let step = 1; step <= CURVE_STEPS; step++) {
+          const t = step / CURVE_STEPS;
+          const u = 1 - t;
+          lineTo([
+            u * u * x0 + 2 * u * t * (command.x1 + dx) + t * t * (command.x + dx),
+            u * u * y0 + 2 * u * t * command.y1 + t * t * command.y,
+          ]);
+        }
+        break;
+      }
+      case "C": {
+        const [x0, y0] = point;
+        for (let step = 1; step <= CURVE_STEPS; step++) {
+          const t = step / CURVE_STEPS;
+          const u = 1 - t;
+          lineTo([
+            u * u * u * x0 + 3 * u * u * t * (command.x1 + dx) + 3 * u * t * t * (command.x2 + dx) + t * t * t * (command.x + dx),
+            u * u * u * y0 + 3 * u * u * t * command.y1 + 3 * u * t * t * command.y2 + t * t * t * command.y,
+          ]);
+        }
+        break;
+      }
+      case "Z":
+        if (point && start) addEdge(point, start);
+        point = start;
+        break;
+    }
+  }
+  if (point && start && point !== start) addEdge(point, start);
+  if (edges.length === 0) return;
+
+  // Index the edges by the rows they cross, so each scanline only looks at its own
+  const top = Math.max(0, Math.floor(Math.min(...edges.map((edge) => Math.min(edge.y0, edge.y1)))));
+  const bottom = Math.min(height, Math.ceil(Math.max(...edges.map((edge) => Math.max(edge.y0, edge.y1)))));
+  const rows = Array.from({ length: Math.max(0, bottom - top) }, () => []);
+  for (const edge of edges) {
+    const first = Math.max(top, Math.floor(Math.min(edge.y0, edge.y1)));
+    const last = Math.min(bottom, Math.ceil(Math.max(edge.y0, edge.y1)));
+    for (let row = first; row < last; row++) rows[row - top].push(edge);
+  }
+
+  const coverage = new Float32Array(width);
+  for (let row = top; row < bottom; row++) {
+    coverage.fill(0);
+    for (let sample = 0; sample < SUBSAMPLES; sample++) {
+      const y = row + (sample + 0.5) / SUBSAMPLES;
+      const crossings = [];
+      for (const { x0, y0, x1, y1, direction } of rows[row - top]) {
+        if (y >= Math.min(y0, y1) && y < Math.max(y0, y1)) {
+          crossings.push({ x: x0 + ((y - y0) * (x1 - x0)) / (y1 - y0), direction });
+        }
+      }
+      crossings.sort((a, b) => a.x - b.x);
+
+      let winding = 0;
+      let spanStart = 0;
+      for (const { x, direction } of crossings) {
+        const before = winding;
+        winding += direction;
+        if (before === 0 && winding !== 0) spanStart = x;
+        if (before !== 0 && winding === 0) {
+          const left = Math.max(0, spanStart);
+          const right = Math.min(width, x);
+          for (let dot = Math.floor(left); dot < right; dot++) {
+            coverage[dot] += (Math.min(right, dot + 1) - Math.max(left, dot)) / SUBSAMPLES;
+          }
+        }
+      }
+    }
+    for (let dot = 0; dot < width; dot++) {
+      if (coverage[dot] >= COVERAGE_THRESHOLD) bits[row * width + dot] = 1;
+    }
+  }
+}
+
+/**
+ * Renders a markdown letter in a TrueType or OpenType font as one image
+ * the width of the paper. Throws if the font lacks a character; see
+ * `fitToFont()`.
+ * @param {string} markdown
+ * @param {FontOptions} options
+ * @returns {import("@node-escpos/core").Image}
+ */
+export function renderMarkdownImage(markdown, { font: path, fontSize = 32, profile, paperWidth }) {
+  const font = loadFont(path);
+  const { dotsPerLine: width } = resolveProfile({ profile, paperWidth });
+  const lines = layoutMarkdown(markdown, { font, size: fontSize, width });
+
+  const text = lines.flatMap((line) => line.runs.map((run) => run.text)).join("");
+  const missing = [...new Set(text)].filter((char) => !hasGlyph(font, char));
+  if (missing.length > 0) {
+    throw new Error(`Font ${path} has no glyph for ${missing.map((char) => `"${char}"`).join(", ")}`);
+  }
+  const metrics = lines.map((line) => lineMetrics(font, line.size));
+  const height = Math.max(1, metrics.reduce((total, { height }) => total + height, 0));
+  const bits = new Uint8Array(width * height);
+
+  let top = 0;
+  lines.forEach((line, index) => {
+    const { height: lineHeight, baseline } = metrics[index];
+    const stroke = Math.max(1, Math.round(line.size / 16));
+    const fillRect = (left, y, right) => {
+      for (let row = y; row < Math.min(height, y + stroke); row++) {
+        bits.fill(1, row * width + Math.max(0, Math.round(left)), row * width + Math.min(width, Math.round(right)));
+      }
+    };
+
+    if (line.rule) fillRect(0, top + Math.floor(lineHeight / 2), width);
+
+    const padding = Math.max(0, width - line.width);
+    const left = line.align === "CT" ? padding / 2 : line.align === "RT" ? padding : 0;
+    for (const run of line.runs) {
+      const x = left + run.x;
+      if (run.text.trim()) {
+        const { commands } = font.getPath(run.text, x, top + baseline, line.size, { kerning: true });
+        fillOutline(bits, width, height, commands);
+        if (run.bold) fillOutline(bits, width, height, commands, boldOffset(line.size));
+      }
+      if (run.underline) fillRect(x, top + baseline + stroke, x + run.width);
+    }
+    top += lineHeight;
+  });
+
+  return imageFromBits(bits, width, height);
+}
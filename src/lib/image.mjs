@@ -0,0 +1,265 @@
+import { existsSync, readFileSync } from "fs";
+import { Image } from "@node-escpos/core";
+import jpeg from "jpeg-js";
+import { PNG } from "pngjs";
+import { resolveProfile } from "./profiles.mjs";
+
+/**
+ * Image pipeline for thermal printing. Thermal printers only print black
+ * dots, so a PNG or JPEG is decoded, flattened onto white paper, scaled to
+ * the printer's width, toned for thermal paper and dithered to one bit per
+ * dot before it becomes an escpos `Image`.
+ */
+
+/** Dithering methods `loadImage()` accepts. */
+export const DITHER_METHODS = ["floyd-steinberg", "atkinson", "ordered", "threshold"];
+
+/**
+ * Rows per `GS v 0` raster command. Printers buffer a whole raster command
+ * before printing it, so tall images are sent in bands. A multiple of 24,
+ * so bands line up with font A rows in previews.
+ */
+export const RASTER_BAND_HEIGHT = 192;
+
+/**
+ * Error diffusion kernels: where each pixel's quantization error goes, as
+ * `[dx, dy, weight]`, and what the weights are divided by. Atkinson only
+ * passes on 6/8 of the error, which keeps highlights and shadows clean.
+ */
+const ERROR_DIFFUSION = {
+  "floyd-steinberg": {
+    divisor: 16,
+    weights: [
+      [1, 0, 7],
+      [-1, 1, 3],
+      [0, 1, 5],
+      [1, 1, 1],
+    ],
+  },
+  atkinson: {
+    divisor: 8,
+    weights: [
+      [1, 0, 1],
+      [2, 0, 1],
+      [-1, 1, 1],
+      [0, 1, 1],
+      [1, 1, 1],
+      [0, 2, 1],
+    ],
+  },
+};
+
+/** The eight bytes every PNG file starts with. */
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/** 4x4 Bayer matrix for ordered dithering. */
+const BAYER_MATRIX = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5],
+];
+
+/**
+ * @typedef {Object} ImageOptions
+ * @property {number} [width] - Width in dots. Defaults to the profile's dots per line, and never exceeds it.
+ * @property {"floyd-steinberg" | "atkinson" | "ordered" | "threshold"} [dither="floyd-steinberg"] - How grays become black and white dots.
+ * @property {number} [contrast=1.2] - Contrast multiplier; 1 leaves the image as it is.
+ * @property {number} [brightness=0.1] - Added to every pixel, from -1 (black) to 1 (white). Thermal dots spread, so midtones print darker than they look on screen.
+ * @property {number} [threshold=128] - Gray level (0-255) below which a dot is black, for `threshold` dithering.
+ */
+
+/**
+ * @typedef {Object} GrayImage
+ * @property {number} width
+ * @property {number} height
+ * @property {Float32Array} data - One gray level (0 black to 255 white) per pixel, row by row.
+ */
+
+/**
+ * Decodes a PNG or JPEG file or buffer into grayscale, with transparent
+ * areas turned into white paper.
+ * @param {string | Buffer} source - File path or image data.
+ * @returns {GrayImage}
+ */
+export function decodeImage(source) {
+  if (!Buffer.isBuffer(source) && !existsSync(source)) {
+    throw new Error(`Image not found: ${source}`);
+  }
+  const buffer = Buffer.isBuffer(source) ? source : readFileSync(source);
+
+  let decoded;
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    decoded = PNG.sync.read(buffer);
+  } else if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    decoded = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+  } else {
+    const name = Buffer.isBuffer(source) ? "image data" : source;
+    throw new Error(`Unsupported image format for ${name} (expected PNG or JPEG)`);
+  }
+
+  const { width, height, data: rgba } = decoded;
+  const data = new Float32Array(width * height);
+  for (let i = 0; i < data.length; i++) {
+    const [r, g, b, a] = rgba.subarray(i * 4, i * 4 + 4);
+    const luma = 0.299 * r + 0.587 * g + 0.114 * b;
+    data[i] = 255 - (a / 255) * (255 - luma);
+  }
+  return { width, height, data };
+}
+
+/**
+ * Scales a grayscale image by averaging the source pixels each target
+ * pixel covers, which keeps fine detail from aliasing when shrinking.
+ * @param {GrayImage} image
+ * @param {number} width
+ * @param {number} height
+ * @returns {GrayImage}
+ */
+export function resizeImage(image, width, height) {
+  if (width === image.width && height === image.height) return image;
+
+  const scaleX = image.width / width;
+  const scaleY = image.height / height;
+  const data = new Float32Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    const top = y * scaleY;
+    const bottom = Math.min(image.height, top + scaleY);
+    for (let x = 0; x < width; x++) {
+      const left = x * scaleX;
+      const right = Math.min(image.width, left + scaleX);
+      let sum = 0;
+      let area = 0;
+      for (let sy = Math.floor(top); sy < bottom; sy++) {
+        const coverY = Math.min(bottom, sy + 1) - Math.max(top, sy);
+        for (let sx = Math.floor(left); sx < right; sx++) {
+          const cover = coverY * (Math.min(right, sx + 1) - Math.max(left, sx));
+          sum += image.data[sy * image.width + sx] * cover;
+          area += cover;
+        }
+      }
+      data[y * width + x] = sum / area;
+    }
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * Applies contrast around mid-gray, then brightness, in place.
+ * @param {GrayImage} image
+ * @param {Object} [options={}]
+ * @param {number} [options.contrast=1]
+ * @param {number} [options.brightness=0]
+ * @returns {GrayImage}
+ */
+export function adjustTone(image, { contrast = 1, brightness = 0 } = {}) {
+  for (let i = 0; i < image.data.length; i++) {
+    const value = (image.data[i] / 255 - 0.5) * contrast + 0.5 + brightness;
+    image.data[i] = Math.min(255, Math.max(0, value * 255));
+  }
+  return image;
+}
+
+/**
+ * Reduces a grayscale image to one bit per dot.
+ * @param {GrayImage} image - Modified in place by error diffusion.
+ * @param {"floyd-steinberg" | "atkinson" | "ordered" | "threshold"} [method="floyd-steinberg"]
+ * @param {number} [threshold=128]
+ * @returns {Uint8Array} 1 for a black dot, row by row.
+ */
+export function ditherImage(image, method = "floyd-steinberg", threshold = 128) {
+  if (!DITHER_METHODS.includes(method)) {
+    throw new Error(`Unknown dithering method: ${method} (expected one of ${DITHER_METHODS.join(", ")})`);
+  }
+
+  const { width, height, data } = image;
+  const bits = new Uint8Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const level =
+        method === "ordered" ? ((BAYER_MATRIX[y % 4][x % 4] + 0.5) / 16) * 255 : threshold;
+      bits[i] = data[i] < level ? 1 : 0;
+
+      const kernel = ERROR_DIFFUSION[method];
+      if (!kernel) continue;
+      const error = data[i] - (bits[i] ? 0 : 255);
+      for (const [dx, dy, weight] of kernel.weights) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx >= 0 && nx < width && ny < height) {
+          data[ny * width + nx] += (error * weight) / kernel.divisor;
+        }
+      }
+    }
+  }
+
+  return bits;
+}
+
+/**
+ * Wraps one-bit dots in an escpos `Image`.
+ * @param {ArrayLike<number | boolean>} bits - Truthy for a black dot, row by row.
+ * @param {number} width
+ * @param {number} height
+ * @returns {Image}
+ */
+export function imageFromBits(bits, width, height) {
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const value = bits[i] ? 0 : 255;
+    data.fill(value, i * 4, i * 4 + 3);
+    data[i * 4 + 3] = 255;
+  }
+  return new Image({ data, shape: [width, height, 4] });
+}
+
+/**
+ * Loads a PNG or JPEG and prepares it for the printer: scaled to the
+ * print width, toned and dithered.
+ * @param {string | Buffer} source - File path or image data.
+ * @param {ImageOptions & {profile?: import("./profiles.mjs").PrinterProfile, paperWidth?: number}} [options={}]
+ * @returns {Image}
+ */
+export function loadImage(
+  source,
+  {
+    profile,
+    paperWidth,
+    width,
+    dither = "floyd-steinberg",
+    contrast = 1.2,
+    brightness = 0.1,
+    threshold = 128,
+  } = {}
+) {
+  const { dotsPerLine } = resolveProfile({ profile, paperWidth });
+  const decoded = decodeImage(source);
+
+  const targetWidth = Math.min(dotsPerLine, Math.round(width ?? dotsPerLine));
+  const targetHeight = Math.max(1, Math.round((decoded.height * targetWidth) / decoded.width));
+  const gray = adjustTone(resizeImage(decoded, targetWidth, targetHeight), { contrast, brightness });
+
+  return imageFromBits(ditherImage(gray, dither, threshold), targetWidth, targetHeight);
+}
+
+/**
+ * Splits an image into horizontal bands for raster printing.
+ * @param {Image} image
+ * @param {number} [bandHeight=RASTER_BAND_HEIGHT]
+ * @returns {Image[]}
+ */
+export function splitImage(image, bandHeight = RASTER_BAND_HEIGHT) {
+  const { width, height } = image.size;
+  if (height <= bandHeight) return [image];
+
+  const bands = [];
+  for (let top = 0; top < height; top += bandHeight) {
+    const rows = Math.min(bandHeight, height - top);
+    bands.push(imageFromBits(image.data.slice(top * width, (top + rows) * width), width, rows));
+  }
+  return bands;
+}
@@ -0,0 +1,157 @@
+import { resolveProfile } from "./profiles.mjs";
+
+// Matches list markers such as "- ", "* ", "• ", "1. " and "2) "
+export const LIST_MARKER_PATTERN = /^(\s*)([-*•]|\d+[.)])\s+/;
+
+/**
+ * Returns the number of characters that fit on one line, from the printer
+ * profile's columns for the font.
+ * @param {Object} [options={}]
+ * @param {import("./profiles.mjs").PrinterProfile} [options.profile] - Printer profile; defaults to the generic one for `paperWidth`.
+ * @param {number} [options.paperWidth=58] - Paper width in mm (58 or 80), when no profile is given.
+ * @param {"A" | "B"} [options.font="A"] - Font A is the standard 12x24 font; font B is the condensed 9x17 font.
+ * @param {number} [options.size=0] - Text size as passed to `printText()`; sizes 0 and 1 are both normal width.
+ * @returns {number}
+ */
+export function getColumns({ profile, paperWidth, font = "A", size = 0 } = {}) {
+  const { columns } = resolveProfile({ profile, paperWidth });
+  return Math.floor(columns[font.toUpperCase()] / Math.max(1, size));
+}
+
+// Non-whitespace control characters take no room on paper. Renderers use
+// them as inline style markers that survive wrapping (see markdown.mjs).
+const ZERO_WIDTH_PATTERN = /[\x00-\x08\x0e-\x1f]/;
+
+/**
+ * Returns the printed length of a string, counting code points rather than
+ * UTF-16 units and skipping zero-width control characters.
+ * @param {string} text
+ * @returns {number}
+ */
+export const textLength = (text) =>
+  [...text].filter((char) => !ZERO_WIDTH_PATTERN.test(char)).length;
+
+/**
+ * Splits a word that is too long for the line into hyphenated pieces.
+ * @param {string} word
+ * @param {number} width - Maximum printed piece length, including the hyphen.
+ * @returns {string[]}
+ */
+function hyphenate(word, width) {
+  const pieces = [];
+  const step = Math.max(1, width - 1);
+  let rest = [...word];
+
+  while (textLength(rest.join("")) > width) {
+    let visible = 0;
+    let end = 0;
+    while (end < rest.length && (visible < step || ZERO_WIDTH_PATTERN.test(rest[end]))) {
+      if (!ZERO_WIDTH_PATTERN.test(rest[end])) visible++;
+      end++;
+    }
+    pieces.push(rest.slice(0, end).join("") + "-");
+    rest = rest.slice(end);
+  }
+  pieces.push(rest.join(""));
+  return pieces;
+}
+
+/**
+ * Wraps a single source line on word boundaries.
+ *
+ * List items get a hanging indent so continuation lines line up with the
+ * text after the marker rather than with the marker itself.
+ *
+ * @param {string} line
+ * @param {number} columns
+ * @returns {string[]}
+ */
+export function wrapLine(line, columns) {
+  const marker = line.match(LIST_MARKER_PATTERN);
+  const leading = marker ? marker[0] : line.match(/^\s*/)[0];
+  const hangingIndent = " ".repeat(Math.min(textLength(leading), columns - 1));
+  const words = line.slice(leading.length).split(/\s+/).filter(Boolean);
+
+  const lines = [];
+  let current = textLength(leading) < columns ? leading : hangingIndent;
+  let currentLength = textLength(current);
+  let hasWords = false;
+
+  const pushLine = () => {
+    lines.push(current.trimEnd());
+    current = hangingIndent;
+    currentLength = textLength(hangingIndent);
+    hasWords = false;
+  };
+
+  for (const word of words) {
+    const wordLength = textLength(word);
+    const separator = hasWords ? 1 : 0;
+
+    if (currentLength + separator + wordLength <= columns) {
+      current += (hasWords ? " " : "") + word;
+      currentLength += separator + wordLength;
+      hasWords = true;
+      continue;
+    }
+
+    if (hasWords) pushLine();
+
+    const available = columns - currentLength;
+    if (wordLength <= available) {
+      current += word;
+      currentLength += wordLength;
+      hasWords = true;
+      continue;
+    }
+
+    const pieces = hyphenate(word, available);
+    for (const piece of pieces.slice(0, -1)) {
+      lines.push(current + piece);
+      current = hangingIndent;
+      currentLength = textLength(hangingIndent);
+    }
+    const last = pieces[pieces.length - 1];
+    current += last;
+    currentLength += textLength(last);
+    hasWords = true;
+  }
+
+  if (hasWords || lines.length === 0) lines.push(current.trimEnd());
+  return lines;
+}
+
+/**
+ * Lays out text for the printer: wraps each line on word boundaries,
+ * hangs list items, hyphenates words longer than a line and collapses
+ * runs of blank lines into a single paragraph break.
+ *
+ * @param {string} text
+ * @param {Object} [options={}] - Same options as `getColumns()`, or `columns` to set the width directly.
+ * @param {number} [options.columns]
+ * @returns {string[]} The laid-out lines.
+ */
+export function layoutLines(text, options = {}) {
+  const columns = options.columns ?? getColumns(options);
+  const lines = [];
+
+  for (const line of text.replace(/\r\n/g, "\n").trim().split("\n")) {
+    if (line.trim() === "") {
+      if (lines.length > 0 && lines[lines.length - 1] !== "") lines.push("");
+      continue;
+    }
+    lines.push(...wrapLine(line.replace(/\t/g, "  "), columns));
+  }
+
+  return lines;
+}
+
+/**
+ * Lays out text for the printer and joins the lines back together.
+ * @param {string} text
+ * @param {Object} [options={}] - See `layoutLines()`.
+ * @returns {string}
+ */
+export function layoutText(text, options = {}) {
+  return layoutLines(text, options).join("\n");
+}
@@ -0,0 +1,213 @@
+import { renderMarkdown } from "./markdown.mjs";
+import { estimateJobLength, formatLength } from "./paper-roll.mjs";
+import { getProfile } from "./profiles.mjs";
+
+/**
+ * Letter length targeting: how long a letter prints on the active printer,
+ * in lines or paper, and whether that is within the configured range.
+ */
+
+export const LENGTH_STRATEGIES = ["revise", "regenerate"];
+
+/** How far either side of a single target length a letter may land. */
+const DEFAULT_TOLERANCE = 0.2;
+
+const LENGTH_PATTERN = /^(\d+(?:\.\d+)?)\s*(lines?|cm|mm)?$/i;
+
+/**
+ * A printed length. Centimetres are converted to millimetres.
+ * @typedef {{value: number, unit: "lines" | "mm"}} Length
+ */
+
+/**
+ * What a letter should measure.
+ * @typedef {Object} LengthLimits
+ * @property {{min: number, max: number, unit: "lines" | "mm"} | null} target - Range the letter should land in.
+ * @property {Length | null} max - Hard maximum; a longer letter is never used.
+ * @property {number} attempts - Letters to try at most, the first one included.
+ * @property {"revise" | "regenerate"} strategy - Whether a letter outside the range is sent back for a revision or written again from scratch.
+ */
+
+/**
+ * How long a letter prints.
+ * @typedef {{lines: number, mm: number}} LetterMeasurement
+ */
+
+/**
+ * Parses a length such as "30 lines", "25cm" or "250mm". A bare number is
+ * a number of lines.
+ * @param {string} text
+ * @returns {Length}
+ */
+export function parseLength(text) {
+  const match = String(text).trim().match(LENGTH_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid letter length: "${text}" (expected e.g. "30 lines", "25cm" or "250mm")`);
+  }
+  const value = parseFloat(match[1]);
+  const unit = (match[2] ?? "lines").toLowerCase();
+  if (unit === "cm") return { value: value * 10, unit: "mm" };
+  return { value, unit: unit === "mm" ? "mm" : "lines" };
+}
+
+/**
+ * Parses a target range such as "20-30cm", "20cm-30cm" or "25-35 lines", or
+ * a single length, which allows `tolerance` either side of it. Both ends
+ * of a range are in the same unit.
+ * @param {string} text
+ * @param {number} [tolerance=0.2]
+ * @returns {{min: number, max: number, unit: "lines" | "mm"}}
+ */
+export function parseLengthRange(text, tolerance = DEFAULT_TOLERANCE) {
+  const range = String(text).match(/^\s*(\d+(?:\.\d+)?)\s*(lines?|cm|mm)?\s*-\s*(.+)$/i);
+  if (!range) {
+    const { value, unit } = parseLength(text);
+    return { min: value * (1 - tolerance), max: value * (1 + tolerance), unit };
+  }
+
+  const max = parseLength(range[3]);
+  const maxUnit = range[3].replace(/^[\d.\s]+/, "");
+  const unitOf = (unit) => (unit || "lines").toLowerCase().replace(/^line$/, "lines");
+  if (range[2] && unitOf(range[2]) !== unitOf(maxUnit)) {
+    throw new Error(`Invalid letter length range: "${text}" (both ends must be in the same unit)`);
+  }
+  const min = parseLength(`${range[1]}${maxUnit}`);
+  if (min.value > max.value) throw new Error(`Invalid letter length range: "${text}" (minimum above maximum)`);
+  return { min: min.value, max: max.value, unit: max.unit };
+}
+
+/**
+ * Reads the length limits from the environment, or `null` when letters
+ * may be any length.
+ *
+ * - `LETTER_TARGET_LENGTH`: range such as "20-30cm" or "25-35 lines", or a single length (±20%)
+ * - `LETTER_MAX_LENGTH`: hard maximum, e.g. "40cm"
+ * - `LETTER_LENGTH_ATTEMPTS`: letters to try at most (defaults to 3)
+ * - `LETTER_LENGTH_STRATEGY`: "revise" (default) or "regenerate"
+ *
+ * @returns {LengthLimits | null}
+ */
+export function getLengthLimits() {
+  const { LETTER_TARGET_LENGTH, LETTER_MAX_LENGTH, LETTER_LENGTH_ATTEMPTS, LETTER_LENGTH_STRATEGY } = process.env;
+  if (!LETTER_TARGET_LENGTH && !LETTER_MAX_LENGTH) return null;
+
+  const strategy = LETTER_LENGTH_STRATEGY || "revise";
+  if (!LENGTH_STRATEGIES.includes(strategy)) {
+    throw new Error(
+      `Unknown letter length strategy: ${strategy} (expected one of ${LENGTH_STRATEGIES.join(", ")})`
+    );
+  }
+
+  return {
+    target: LETTER_TARGET_LENGTH ? parseLengthRange(LETTER_TARGET_LENGTH) : null,
+    max: LETTER_MAX_LENGTH ? parseLength(LETTER_MAX_LENGTH) : null,
+    attempts: Math.max(1, parseInt(LETTER_LENGTH_ATTEMPTS) || 3),
+    strategy,
+  };
+}
+
+/**
+ * Measures how long a letter body prints: its lines in the printer's own
+ * font, and its paper length (in the letter font, if the printer has one).
+ * @param {string} markdown
+ * @param {Object} [options={}]
+ * @param {import("./profiles.mjs").PrinterProfile} [options.profile] - Defaults to `PRINTER_PROFILE` (see `getProfile()`).
+ * @param {string | null} [options.font] - Defaults to `PRINTER_FONT`.
+ * @param {number} [options.fontSize] - Defaults to `PRINTER_FONT_SIZE`.
+ * @returns {LetterMeasurement}
+ */
+export function measureLetter(markdown, { profile = getProfile(), font, fontSize } = {}) {
+  return {
+    lines: renderMarkdown(markdown, { profile }).length,
+    mm: estimateJobLength([{ type: "markdown", markdown }], { profile, font, fontSize }),
+  };
+}
+
+/**
+ * Formats a length in a unit, e.g. "31 lines" or "24cm".
+ * @param {number} value
+ * @param {"lines" | "mm"} unit
+ * @returns {string}
+ */
+export function describeLength(value, unit) {
+  return unit === "lines" ? `${Math.round(value)} lines` : formatLength(value);
+}
+
+/**
+ * Compares a measured letter with the limits.
+ * @param {LetterMeasurement} measurement
+ * @param {LengthLimits} limits
+ * @returns {{fits: boolean, withinMax: boolean, direction: "short" | "long" | null, distance: number}}
+ *   `fits` when inside the target range and under the maximum; `distance`
+ *   from the range (or the maximum) in its own unit, 0 when it fits.
+ */
+export function checkLength(measurement, { target, max }) {
+  const overMax = max ? Math.max(0, measurement[max.unit] - max.value) : 0;
+
+  if (target) {
+    const value = measurement[target.unit];
+    const below = Math.max(0, target.min - value);
+    const above = Math.max(0, value - target.max);
+    const fits = below === 0 && above === 0 && overMax === 0;
+    return {
+      fits,
+      withinMax: overMax === 0,
+      direction: below > 0 ? "short" : above > 0 || overMax > 0 ? "long" : null,
+      distance: below + above,
+    };
+  }
+
+  return { fits: overMax === 0, withinMax: overMax === 0, direction: overMax > 0 ? "long" : null, distance: overMax };
+}
+
+/**
+ * Describes the limits for prompts and logs, e.g. "20cm to 30cm, at most 40cm".
+ * @param {LengthLimits} limits
+ * @returns {string}
+ */
+export function describeLimits({ target, max }) {
+  const parts = [];
+  if (target) {
+    parts.push(`${describeLength(target.min, target.unit)} to ${describeLength(target.max, target.unit)}`);
+  }
+  if (max) parts.push(`at most ${describeLength(max.value, max.unit)}`);
+  return parts.join(", ");
+}
+
+/**
+ * Asks the model to rewrite a letter that printed outside the limits,
+ * with a word count to aim for.
+ * @param {string} letter
+ * @param {LetterMeasurement} measurement
+ * @param {LengthLimits} limits
+ * @param {"short" | "long"} direction
+ * @returns {string}
+ */
+export function revisionPrompt(letter, measurement, limits, direction) {
+  const unit = limits.target?.unit ?? limits.max.unit;
+  const goal = limits.target ? (limits.target.min + limits.target.max) / 2 : limits.max.value * 0.8;
+  const words = letter.split(/\s+/).filter(Boolean).length;
+  const targetWords = Math.max(20, Math.round((words * goal) / Math.max(1, measurement[unit]) / 10) * 10);
+
+  return [
+    `This letter would print ${describeLength(measurement[unit], unit)} long on the receipt printer, which is too ${direction}.`,
+    `It should print ${describeLimits(limits)}.`,
+    `Please revise it to about ${targetWords} words (it has ${words}), keeping its voice, warmth and substance.`,
+    "Reply with only the revised letter.",
+  ].join(" ");
+}
+
+/**
+ * Picks the letter to use from the attempts: the first that fits, or else
+ * the one closest to the target range among those under the maximum.
+ * @template {{fits: boolean, withinMax: boolean, distance: number}} T
+ * @param {T[]} attempts
+ * @returns {T | null} `null` when every attempt is over the maximum.
+ */
+export function chooseAttempt(attempts) {
+  const fitting = attempts.find((attempt) => attempt.fits);
+  if (fitting) return fitting;
+  return attempts
+    .filter((attempt) => attempt.withinMax)
+    .reduce((best, attempt) => (!best || attempt.distance < best.distance ? attempt : best), null);
+}
@@ -1,21 +1,61 @@
-import { readFileSync, readdirSync } from "fs";
+import { readFileSync } from "fs";
 
 import { config as dotenvConfig } from "dotenv";
-import { Anthropic } from "@anthropic-ai/sdk";
 
+import { countArchivedMessages, readRecentLetters } from "./archive.mjs";
 import { getFullDateFormatted } from "./date.mjs";
+import {
+  checkLength,
+  chooseAttempt,
+  describeLength,
+  describeLimits,
+  getLengthLimits,
+  measureLetter,
+  revisionPrompt,
+} from "./letter-length.mjs";
 import Planner from "./planner.mjs";
+import { createPhaseProvider } from "./providers/index.mjs";
+import {
+  avoidancePrompt,
+  getRepetitionGuard,
+  recentLettersVariable,
+  scoreRepetition,
+} from "./repetition.mjs";
 
 export default class LLMAdapter {
-  /** @type {import("@anthropic-ai/sdk").Anthropic} */
-  _client;
+  /** @type {import("./providers/index.mjs").LLMProvider} */
+  _provider;
   /** @type {Planner} */
   _planner;
+  /** @type {import("./letter-length.mjs").LengthLimits | null} */
+  _lengthLimits;
+  /** @type {{letters: number, threshold: number, attempts: number} | null} */
+  _repetitionGuard;
+
+  /**
+   * How the last letter measured up to the length limits, for the run log:
+   * which attempt was used and how long each attempt printed. `null` when
+   * no limits are set.
+   * @type {{attempt: number, limits: string, attempts: Array<{attempt: number, kind: "initial" | "revision" | "regeneration", lines: number, mm: number, fits: boolean}>} | null}
+   */
+  lengthReport = null;
+
+  /**
+   * How much the last letter overlapped with recent ones, for the run log:
+   * which attempt was used and each attempt's similarity score. `null` when
+   * the guard is off or there are no earlier letters.
+   * @type {{attempt: number, threshold: number, attempts: Array<{attempt: number, score: number, similarTo: string | null, sharedPhrases: string[]}>} | null}
+   */
+  repetitionReport = null;
 
   constructor(options = {}) {
     dotenvConfig();
 
-    this._client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+    // Model for the letter itself (WRITER_PROVIDER, WRITER_MODEL, ...), with
+    // retries, timeouts and a fallback model (WRITER_MAX_RETRIES, ...)
+    this._provider =
+      options.provider ||
+      createPhaseProvider("writer", options.providerConfig, options.requestPolicy);
 
     this._systemPrompt = readFileSync("./prompts/private/SYSTEM.md", "utf-8");
     this._userPromptTemplate = readFileSync(
@@ -26,6 +66,20 @@ export default class LLMAdapter {
     // Support for custom user prompt (from planning phase)
     this._customUserPrompt = options.customUserPrompt || null;
 
+    // Letter length targeting (LETTER_TARGET_LENGTH, LETTER_MAX_LENGTH, ...),
+    // measured on the printer the letter is for
+    this._lengthLimits =
+      options.lengthLimits !== undefined ? options.lengthLimits : getLengthLimits();
+    this._measureOptions = {
+      profile: options.printer?.profile,
+      font: options.printer?.font,
+      fontSize: options.printer?.fontSize,
+    };
+
+    // Repetition guard (REPETITION_LETTERS, REPETITION_THRESHOLD, REPETITION_ATTEMPTS)
+    this._repetitionGuard =
+      options.repetitionGuard !== undefined ? options.repetitionGuard : getRepetitionGuard();
+
     // Initialize planner if enabled (legacy support)
     this._usePlanner = options.usePlanner || false;
     if (this._usePlanner) {
@@ -34,44 +88,180 @@ export default class LLMAdapter {
   }
 
   /**
-   * Generates a motivational message based on the provided sender.
+   * Every request made to the writer model (and the legacy planner's), for
+   * the run log: retries, fallbacks and failures included.
+   * @returns {import("./providers/request-policy.mjs").RequestAttempt[]}
+   */
+  get requestAttempts() {
+    return [...(this._provider.attempts ?? []), ...(this._planner?.requestAttempts ?? [])];
+  }
+
+  /**
+   * Generates a motivational message based on the provided sender. A letter
+   * that repeats one of the recent archived letters too closely is written
+   * again, telling the model what it repeated, until one is different enough
+   * or the attempts run out; the least repetitive one is used.
+   * `repetitionReport` records which attempt was used. Only that letter is
+   * held to the length limits, so drafts dropped for repetition are not
+   * revised for length.
    * @returns {Promise<string>} A motivational message
    */
   async generateMessage() {
-    let userPrompt;
+    const userPrompt = await this._resolveUserPrompt();
+    const recent = this._repetitionGuard ? readRecentLetters(this._repetitionGuard.letters) : [];
+    if (recent.length === 0) return this._generateWithinLength(userPrompt);
+
+    const { threshold, attempts: maxAttempts } = this._repetitionGuard;
+    const attempts = [];
+    let prompt = userPrompt;
+    for (let attempt = 1; ; attempt++) {
+      const letter = await this._complete([{ role: "user", content: prompt }]);
+      const repetition = scoreRepetition(letter, recent);
+      attempts.push({ attempt, prompt, letter, ...repetition });
+      console.log(
+        `Repetition check ${attempt}: ${Math.round(repetition.score * 100)}% overlap with ${repetition.similarTo ?? "recent letters"}` +
+          (repetition.score > threshold ? `, above the ${Math.round(threshold * 100)}% limit` : "")
+      );
+      if (repetition.score <= threshold || attempt >= maxAttempts) break;
+
+      prompt = `${userPrompt}\n\n${avoidancePrompt(repetition)}`;
+    }
+
+    const chosen = attempts.reduce((best, attempt) => (attempt.score < best.score ? attempt : best));
+    this.repetitionReport = {
+      attempt: chosen.attempt,
+      threshold,
+      attempts: attempts.map(({ attempt, score, similarTo, sharedPhrases }) => ({
+        attempt,
+        score: Math.round(score * 100) / 100,
+        similarTo,
+        sharedPhrases: sharedPhrases.slice(0, 5),
+      })),
+    };
+    if (chosen.score > threshold) {
+      console.warn(`⚠️  Every letter repeated a recent one; using attempt ${chosen.attempt}, the least similar`);
+    }
+    return this._generateWithinLength(chosen.prompt, chosen.letter);
+  }
+
+  /**
+   * Generates a motivational message, yielding its text as it is written.
+   * The text is not trimmed, since it arrives a piece at a time.
+   * @returns {AsyncGenerator<string>}
+   */
+  async *streamMessage() {
+    yield* this._provider.streamMessage({
+      system: this._systemPrompt,
+      messages: [{ role: "user", content: await this._resolveUserPrompt() }],
+    });
+  }
+
+  /**
+   * Writes a letter for a prompt. With length limits, a letter that prints
+   * too short or too long is sent back for a revision (or written again)
+   * until one fits or the attempts run out; `lengthReport` records which
+   * attempt was used.
+   * @param {string} userPrompt
+   * @param {string} [draft] - A letter already written for the prompt, used as the first attempt.
+   * @returns {Promise<string>}
+   */
+  async _generateWithinLength(userPrompt, draft) {
+    let letter = draft ?? (await this._complete([{ role: "user", content: userPrompt }]));
+    if (!this._lengthLimits) return letter;
+
+    const limits = this._lengthLimits;
+    const attempts = [];
+    let kind = "initial";
+    for (let attempt = 1; ; attempt++) {
+      const measurement = measureLetter(letter, this._measureOptions);
+      const check = checkLength(measurement, limits);
+      attempts.push({ attempt, kind, letter, ...measurement, ...check });
+      console.log(
+        `Letter attempt ${attempt} prints ${describeLength(measurement.mm, "mm")} (${measurement.lines} lines): ` +
+          (check.fits ? "within limits" : `too ${check.direction} for ${describeLimits(limits)}`)
+      );
+      if (check.fits || attempt >= limits.attempts) break;
+
+      if (limits.strategy === "revise") {
+        kind = "revision";
+        letter = await this._complete([
+          { role: "user", content: userPrompt },
+          { role: "assistant", content: letter },
+          { role: "user", content: revisionPrompt(letter, measurement, limits, check.direction) },
+        ]);
+      } else {
+        kind = "regeneration";
+        letter = await this._complete([{ role: "user", content: userPrompt }]);
+      }
+    }
+
+    const chosen = chooseAttempt(attempts);
+    this.lengthReport = {
+      attempt: chosen?.attempt ?? null,
+      limits: describeLimits(limits),
+      attempts: attempts.map(({ attempt, kind, lines, mm, fits }) => ({
+        attempt,
+        kind,
+        lines,
+        mm: Math.round(mm),
+        fits,
+      })),
+    };
+    if (!chosen) {
+      throw new Error(
+        `Every letter was longer than ${describeLength(limits.max.value, limits.max.unit)} after ${attempts.length} attempt(s)`
+      );
+    }
+    if (!chosen.fits) {
+      console.warn(`⚠️  No letter fit ${describeLimits(limits)}; using attempt ${chosen.attempt}, the closest`);
+    }
+    return chosen.letter;
+  }
+
+  /**
+   * Sends the conversation to the writer model and returns its text.
+   * @param {import("./providers/index.mjs").Message[]} messages
+   * @returns {Promise<string>}
+   */
+  async _complete(messages) {
+    const response = await this._provider.createMessage({
+      system: this._systemPrompt,
+      messages,
+    });
+
+    return response.content
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("")
+      .trim();
+  }
 
+  /**
+   * Picks the user prompt: the planning phase's, the legacy planner's, or
+   * the default one.
+   * @returns {Promise<string>}
+   */
+  async _resolveUserPrompt() {
     // Priority 1: Use custom user prompt (from planning phase)
     if (this._customUserPrompt) {
       console.log("Using enhanced prompt from planning phase");
-      userPrompt = this._customUserPrompt;
+      return this._customUserPrompt;
     }
     // Priority 2: Use legacy planner if enabled
-    else if (this._usePlanner) {
+    if (this._usePlanner) {
       console.log("Using legacy planner to gather information...");
       try {
         const enhanced = await this._planner.generateEnhancedPrompt();
-        userPrompt = enhanced.prompt;
         console.log("Planner gathered information from:", enhanced.metadata.sourcesUsed);
         console.log("Messages analyzed:", enhanced.metadata.messagesAnalyzed);
+        return enhanced.prompt;
       } catch (error) {
         console.warn("Planner failed, using default prompt:", error.message);
-        userPrompt = this._userPrompt;
+        return this._userPrompt;
       }
     }
     // Priority 3: Use default prompt
-    else {
-      userPrompt = this._userPrompt;
-    }
-
-    const response = await this._client.messages.create({
-      model: "claude-opus-4-1-20250805",
-      max_tokens: 2048,
-      temperature: 1,
-      system: this._systemPrompt,
-      messages: [{ role: "user", content: userPrompt }],
-    });
-
-    return response.content[0].text.trim();
+    return this._userPrompt;
   }
 
   /**
@@ -90,21 +280,26 @@ export default class LLMAdapter {
    * @returns {number} The count of text files.
    */
   _readLettersTally() {
-    const files = readdirSync("./archive").filter((file) =>
-      file.endsWith(".txt")
-    );
-    return files.length;
+    return countArchivedMessages();
   }
 
   /**
-   * Constructs the user prompt with dynamic variables.
-   * @returns {Promise<string>} A motivational message
+   * The dynamic variables for the user prompt.
+   * @returns {Object<string, string | number>}
    */
-  get _userPrompt() {
-    const variables = {
+  get _promptVariables() {
+    return {
       TODAY_DATE: getFullDateFormatted(),
       PREVIOUS_LETTERS_TALLY: this._readLettersTally(),
+      RECENT_LETTERS: recentLettersVariable(this._repetitionGuard),
     };
-    return this._renderTemplate(this._userPromptTemplate, variables);
+  }
+
+  /**
+   * Constructs the user prompt with dynamic variables.
+   * @returns {Promise<string>} A motivational message
+   */
+  get _userPrompt() {
+    return this._renderTemplate(this._userPromptTemplate, this._promptVariables);
   }
 }
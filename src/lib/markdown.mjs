@@ -0,0 +1,236 @@
+import { getColumns, wrapLine } from "./layout.mjs";
+
+// Inline style markers. They are zero-width to the layout engine, so styled
+// text wraps exactly like plain text and the markers travel with their words.
+const BOLD_ON = "\x01";
+const BOLD_OFF = "\x02";
+const UNDERLINE_ON = "\x03";
+const UNDERLINE_OFF = "\x04";
+const MARKER_PATTERN = /([\x01-\x04])/;
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const BULLET_PATTERN = /^(\s*)[-*+•]\s+(.*)$/;
+
+/**
+ * How each heading level is printed. Thermal printers have no italics or
+ * font sizes other than integer multiples, so headings use size and bold.
+ */
+const HEADING_STYLES = {
+  1: { align: "CT", width: 2, height: 2 },
+  2: { align: "CT", width: 1, height: 2 },
+  3: { align: "LT", width: 1, height: 1 },
+};
+
+/**
+ * @typedef {Object} Segment
+ * @property {string} text
+ * @property {boolean} bold
+ * @property {boolean} underline
+ * @property {"black" | "red"} [color] - Black when left out.
+ */
+
+/**
+ * @typedef {Object} RenderedLine
+ * @property {"LT" | "CT" | "RT"} align
+ * @property {number} width - Character width multiplier (1-8).
+ * @property {number} height - Character height multiplier (1-8).
+ * @property {Segment[]} segments - Empty for blank lines.
+ * @property {boolean} [rule] - True for horizontal rules.
+ */
+
+/**
+ * @typedef {Object} Block
+ * @property {"heading" | "paragraph" | "listItem" | "rule" | "blank"} type
+ * @property {number} [level] - Heading level.
+ * @property {string} [text] - Source text with inline markdown converted to style markers.
+ */
+
+/**
+ * Converts inline markdown (`**bold**`, `__bold__`, `*emphasis*`, `_emphasis_`)
+ * into style markers. Emphasis prints underlined, since thermal printers have no italics.
+ * @param {string} text
+ * @returns {string}
+ */
+export function parseInline(text) {
+  return text
+    .replace(/\\([*_\\])/g, (_, char) => `\x00${char.charCodeAt(0)}\x00`)
+    .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*/g, `${BOLD_ON}$1${BOLD_OFF}`)
+    .replace(/(^|[^\w])__(?=\S)(.+?)(?<=\S)__(?!\w)/g, `$1${BOLD_ON}$2${BOLD_OFF}`)
+    .replace(/(^|[^\w*])\*(?=\S)(.+?)(?<=\S)\*(?!\*)/g, `$1${UNDERLINE_ON}$2${UNDERLINE_OFF}`)
+    .replace(/(^|[^\w])_(?=\S)(.+?)(?<=\S)_(?!\w)/g, `$1${UNDERLINE_ON}$2${UNDERLINE_OFF}`)
+    .replace(/`([^`]+)`/g, "$1")
+    .replace(/\x00(\d+)\x00/g, (_, code) => String.fromCharCode(code));
+}
+
+/**
+ * Parses the markdown subset used in letters into blocks.
+ * @param {string} markdown
+ * @returns {Block[]}
+ */
+export function parseMarkdown(markdown) {
+  const blocks = [];
+
+  for (const line of markdown.replace(/\r\n/g, "\n").trim().split("\n")) {
+    if (line.trim() === "") {
+      if (blocks.length > 0 && blocks[blocks.length - 1].type !== "blank") {
+        blocks.push({ type: "blank" });
+      }
+      continue;
+    }
+
+    if (RULE_PATTERN.test(line)) {
+      blocks.push({ type: "rule" });
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      blocks.push({
+        type: "heading",
+        level: heading[1].length,
+        text: parseInline(heading[2]),
+      });
+      continue;
+    }
+
+    const bullet = line.match(BULLET_PATTERN);
+    if (bullet) {
+      // Normalize "*" and "+" bullets so the printout is consistent
+      blocks.push({ type: "listItem", text: parseInline(`${bullet[1]}- ${bullet[2]}`) });
+      continue;
+    }
+
+    blocks.push({
+      type: /^\s*\d+[.)]\s/.test(line) ? "listItem" : "paragraph",
+      text: parseInline(line),
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Splits laid-out lines at style markers, carrying bold/underline state
+ * across line breaks so each line can be printed on its own.
+ * @param {string[]} lines
+ * @param {Object} format - Alignment and size shared by every line.
+ * @param {{bold: boolean, underline: boolean}} [baseStyle]
+ * @returns {RenderedLine[]}
+ */
+export function toSegments(lines, format, baseStyle = { bold: false, underline: false }) {
+  const state = { ...baseStyle };
+
+  return lines.map((line) => {
+    const segments = [];
+    for (const part of line.split(MARKER_PATTERN)) {
+      if (part === BOLD_ON) state.bold = true;
+      else if (part === BOLD_OFF) state.bold = baseStyle.bold;
+      else if (part === UNDERLINE_ON) state.underline = true;
+      else if (part === UNDERLINE_OFF) state.underline = baseStyle.underline;
+      else if (part) segments.push({ text: part, ...state });
+    }
+    return { ...format, segments };
+  });
+}
+
+/**
+ * Renders markdown into printable lines, wrapped to the paper width.
+ * @param {string} markdown
+ * @param {Object} [options={}]
+ * @param {import("./profiles.mjs").PrinterProfile} [options.profile] - Printer profile; defaults to the generic one for `paperWidth`.
+ * @param {number} [options.paperWidth=58] - Paper width in mm, when no profile is given.
+ * @param {"A" | "B"} [options.font="A"]
+ * @returns {RenderedLine[]}
+ */
+export function renderMarkdown(markdown, { profile, paperWidth, font = "A" } = {}) {
+  const bodyFormat = { align: "LT", width: 1, height: 1 };
+  const bodyColumns = getColumns({ profile, paperWidth, font });
+  const lines = [];
+
+  for (const block of parseMarkdown(markdown)) {
+    switch (block.type) {
+      case "blank":
+        lines.push({ ...bodyFormat, segments: [] });
+        break;
+
+      case "rule":
+        lines.push({
+          ...bodyFormat,
+          rule: true,
+          segments: [{ text: "-".repeat(bodyColumns), bold: false, underline: false }],
+        });
+        break;
+
+      case "heading": {
+        const format = HEADING_STYLES[Math.min(block.level, 3)];
+        const columns = getColumns({ profile, paperWidth, font, size: format.width });
+        lines.push(
+          ...toSegments(wrapLine(block.text, columns), format, {
+            bold: true,
+            underline: block.level >= 3,
+          })
+        );
+        break;
+      }
+
+      default:
+        lines.push(...toSegments(wrapLine(block.text, bodyColumns), bodyFormat));
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Renders the lines of a letter that is still being written which cannot
+ * change as more text arrives. Lines wrap greedily, so every line before
+ * the one being written is final. The exception is a line with emphasis
+ * that is not closed yet: it waits for the closing marker or the end of
+ * its paragraph, since the markers take room until they pair up.
+ * @param {string} markdown - The letter so far, up to the last complete word.
+ * @param {Object} [options={}] - See `renderMarkdown()`.
+ * @returns {RenderedLine[]}
+ */
+export function renderSettledMarkdown(markdown, options = {}) {
+  const lineStart = markdown.lastIndexOf("\n") + 1;
+  const complete = markdown.slice(0, lineStart);
+  const current = markdown.slice(lineStart);
+
+  const isOpen = parseMarkdown(current).some((block) => /[*_]/.test(block.text ?? ""));
+  if (current.trim() === "" || isOpen) return renderMarkdown(complete, options);
+
+  // The line being written may still grow
+  return renderMarkdown(markdown, options).slice(0, -1);
+}
+
+/**
+ * Formats rendered lines for the console, using ANSI bold/underline and
+ * padding so alignment, rules and headings look like they will on paper.
+ * @param {RenderedLine[]} lines
+ * @param {number} columns - Characters per line in the body font.
+ * @returns {string}
+ */
+export function previewLines(lines, columns) {
+  const border = "+" + "-".repeat(columns) + "+";
+  const body = lines.map((line) => {
+    let text = "";
+    let length = 0;
+    for (const segment of line.segments) {
+      // Double-width characters take two columns; show them spaced out
+      const printed = line.width > 1 ? [...segment.text].join(" ") + " " : segment.text;
+      const codes = [segment.bold && "1", segment.underline && "4"].filter(Boolean);
+      text += codes.length ? `\x1b[${codes.join(";")}m${printed}\x1b[0m` : printed;
+      length += [...printed].length;
+    }
+    length = Math.min(length, columns);
+
+    const padding = columns - length;
+    const left =
+      line.align === "CT" ? Math.floor(padding / 2) : line.align === "RT" ? padding : 0;
+    const row = "|" + " ".repeat(left) + text + " ".repeat(padding - left) + "|";
+    return line.height > 1 ? row + "\n" + "|" + " ".repeat(columns) + "|" : row;
+  });
+
+  return [border, ...body, border].join("\n");
+}
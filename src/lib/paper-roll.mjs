@@ -0,0 +1,263 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "fs";
+import { dirname } from "path";
+import qr from "qr-image";
+import { getColumns, layoutText, textLength } from "./layout.mjs";
+import { renderMarkdown } from "./markdown.mjs";
+import { loadImage } from "./image.mjs";
+import { fitToFont, loadFont, renderMarkdownImage } from "./font.mjs";
+import { dotsToMm, mmToDots } from "./paper.mjs";
+
+/**
+ * Paper usage: how much paper a job takes, estimated from its lines, text
+ * sizes and image heights under a printer profile, and how much of the
+ * roll is left.
+ */
+
+/** Height of a font A character in dots. */
+const CHARACTER_HEIGHT = 24;
+
+/** Printed letters averaged for the forecast. */
+const FORECAST_JOBS = 7;
+
+/** Printed jobs kept in the roll's history. */
+const HISTORY_LENGTH = 30;
+
+/**
+ * Formats a paper length for messages, e.g. "32cm" or "4.5m".
+ * @param {number} mm
+ * @returns {string}
+ */
+export function formatLength(mm) {
+  return mm >= 1000 ? `${(mm / 1000).toFixed(1)}m` : `${Math.round(mm / 10)}cm`;
+}
+
+/**
+ * Paper advanced by one line of text at the default line spacing (1/6"),
+ * with taller characters adding their extra height.
+ * @param {import("./profiles.mjs").PrinterProfile} profile
+ * @param {number} [height=1] - Character height multiplier.
+ * @returns {number} Dots.
+ */
+export function lineDots(profile, height = 1) {
+  return Math.round(profile.dpi / 6) + CHARACTER_HEIGHT * (Math.max(1, height) - 1);
+}
+
+/**
+ * Paper taken by plain text, counting lines the printer wraps itself.
+ * @param {string} text - Text as sent with `text()`, which adds a final line break.
+ * @param {import("./profiles.mjs").PrinterProfile} profile
+ * @param {number} [size=0] - Character size, as passed to `printText()`.
+ * @returns {number} Dots.
+ */
+export function textDots(text, profile, size = 0) {
+  const columns = getColumns({ profile, size });
+  const rows = text
+    .split("\n")
+    .reduce((total, line) => total + Math.max(1, Math.ceil(textLength(line) / columns)), 0);
+  return rows * lineDots(profile, size);
+}
+
+/**
+ * Paper taken by rendered markdown lines.
+ * @param {import("./markdown.mjs").PrintLine[]} lines
+ * @param {import("./profiles.mjs").PrinterProfile} profile
+ * @returns {number} Dots.
+ */
+export function markdownDots(lines, profile) {
+  return lines.reduce((total, line) => total + lineDots(profile, line.height), 0);
+}
+
+/**
+ * Paper taken by markdown printed in a font file, or in the printer's own
+ * font when the font cannot render it.
+ * @param {string} markdown
+ * @param {import("./font.mjs").FontOptions} options
+ * @returns {number} Dots.
+ */
+export function markdownImageDots(markdown, options) {
+  try {
+    return renderMarkdownImage(fitToFont(markdown, loadFont(options.font)).text, options).size.height;
+  } catch {
+    return markdownDots(renderMarkdown(markdown, { profile: options.profile }), options.profile);
+  }
+}
+
+/**
+ * Paper taken by a QR code.
+ * @param {string} data
+ * @param {import("./barcode.mjs").QrCodeOptions & {image?: boolean}} [options={}] - `image` for the image fallback, which adds a quiet zone.
+ * @returns {number} Dots.
+ */
+export function qrCodeDots(data, { size = 6, errorCorrection = "M", image = false } = {}) {
+  const modules = qr.matrix(data, errorCorrection).length + (image ? 2 : 0);
+  return modules * Math.min(16, Math.max(1, Math.round(size)));
+}
+
+/**
+ * Paper taken by a barcode and its human-readable text.
+ * @param {import("./profiles.mjs").PrinterProfile} profile
+ * @param {import("./barcode.mjs").BarcodeOptions} [options={}]
+ * @returns {number} Dots.
+ */
+export function barcodeDots(profile, { height = 80, textPosition = "below" } = {}) {
+  const textRows = { none: 0, above: 1, below: 1, both: 2 }[textPosition] ?? 0;
+  return Math.round(height) + textRows * lineDots(profile);
+}
+
+/**
+ * Estimates how much paper a print job takes.
+ * @param {import("./spooler.mjs").PrintOperation[]} operations
+ * @param {Object} options
+ * @param {import("./profiles.mjs").PrinterProfile} options.profile
+ * @param {number} [options.cutFeedMm=5] - Paper fed before cutting, when a cut leaves it out. Defaults to `PRINTER_CUT_FEED_MM`.
+ * @param {string | null} [options.font] - Font file markdown prints in (see `PrinterAdapter`). Defaults to `PRINTER_FONT`.
+ * @param {number} [options.fontSize=32] - Defaults to `PRINTER_FONT_SIZE`.
+ * @returns {number} Millimetres.
+ */
+export function estimateJobLength(
+  operations,
+  {
+    profile,
+    cutFeedMm = parseFloat(process.env.PRINTER_CUT_FEED_MM ?? 5),
+    font = process.env.PRINTER_FONT || null,
+    fontSize = parseInt(process.env.PRINTER_FONT_SIZE) || 32,
+  }
+) {
+  let dots = 0;
+  for (const operation of operations) {
+    switch (operation.type) {
+      case "text":
+        dots += textDots(operation.text, profile, operation.size);
+        break;
+      case "wrappedText":
+        dots += textDots(layoutText(operation.text, { profile, size: operation.size }), profile, operation.size);
+        break;
+      case "markdown":
+        dots += font && !operation.fromLine
+          ? markdownImageDots(operation.markdown, { font, fontSize, profile })
+          : markdownDots(renderMarkdown(operation.markdown, { profile }).slice(operation.fromLine ?? 0), profile);
+        break;
+      case "line":
+        dots += textDots("\n".repeat(operation.lines ?? 1), profile);
+        break;
+      case "divider":
+        dots += lineDots(profile);
+        break;
+      case "qr":
+        dots += qrCodeDots(operation.data, { ...operation, image: !profile.qrCode });
+        break;
+      case "barcode":
+        dots += barcodeDots(profile, operation);
+        break;
+      case "image":
+        dots += loadImage(operation.path, { ...operation, profile }).size.height;
+        break;
+      case "feed":
+        dots += mmToDots(operation.mm, profile.dpi);
+        break;
+      case "cut":
+        dots += mmToDots((operation.feedMm ?? cutFeedMm) + (profile.cutter ? 0 : profile.tearOffMm), profile.dpi);
+        break;
+    }
+  }
+  return dotsToMm(dots, profile.dpi);
+}
+
+/**
+ * The paper roll in one printer, saved as JSON so usage adds up across
+ * runs. Every printed job adds its estimated length; replacing the roll
+ * starts the count again.
+ */
+export default class PaperRoll {
+  /**
+   * @param {Object} [options={}]
+   * @param {string} [options.file="./paper/default.json"] - Where the roll's usage is saved.
+   * @param {number} [options.rollLengthM=30] - Length of a new roll in metres. Defaults to `PAPER_ROLL_LENGTH_M`.
+   */
+  constructor({
+    file = "./paper/default.json",
+    rollLengthM = parseFloat(process.env.PAPER_ROLL_LENGTH_M) || 30,
+  } = {}) {
+    this.file = file;
+    this.rollLengthM = rollLengthM;
+
+    /** @type {{rollLengthMm: number, usedMm: number, replacedAt: string | null, jobs: Array<{printedAt: string, lengthMm: number}>}} */
+    this.state = existsSync(file)
+      ? JSON.parse(readFileSync(file, "utf-8"))
+      : { rollLengthMm: rollLengthM * 1000, usedMm: 0, replacedAt: null, jobs: [] };
+  }
+
+  /**
+   * Paper left on the roll.
+   * @returns {number} Millimetres, never below zero.
+   */
+  get remainingMm() {
+    return Math.max(0, this.state.rollLengthMm - this.state.usedMm);
+  }
+
+  /**
+   * Average length of the last few printed jobs, or `null` before any
+   * job has printed.
+   * @returns {number | null} Millimetres.
+   */
+  get averageJobMm() {
+    const recent = this.state.jobs.slice(-FORECAST_JOBS);
+    if (recent.length === 0) return null;
+    return recent.reduce((total, job) => total + job.lengthMm, 0) / recent.length;
+  }
+
+  /**
+   * Letters, and so days at one letter a day, the rest of the roll holds
+   * at the current letter length, or `null` before any job has printed.
+   * @returns {number | null}
+   */
+  get daysLeft() {
+    const average = this.averageJobMm;
+    return average ? Math.floor(this.remainingMm / average) : null;
+  }
+
+  /**
+   * Whether a job of this length would probably run out of paper.
+   * @param {number} lengthMm
+   * @returns {boolean}
+   */
+  wouldRunOut(lengthMm) {
+    return lengthMm > this.remainingMm;
+  }
+
+  /**
+   * Adds a printed job to the roll's usage and saves it.
+   * @param {number} lengthMm
+   * @returns {PaperRoll}
+   */
+  record(lengthMm) {
+    this.state.usedMm += lengthMm;
+    this.state.jobs = [...this.state.jobs, { printedAt: new Date().toISOString(), lengthMm }].slice(
+      -HISTORY_LENGTH
+    );
+    return this.save();
+  }
+
+  /**
+   * Starts a new roll, keeping the job history for the forecast.
+   * @param {number} [rollLengthM] - Defaults to the `rollLengthM` option.
+   * @returns {PaperRoll}
+   */
+  replace(rollLengthM = this.rollLengthM) {
+    this.state.rollLengthMm = rollLengthM * 1000;
+    this.state.usedMm = 0;
+    this.state.replacedAt = new Date().toISOString();
+    return this.save();
+  }
+
+  /**
+   * Writes the roll's usage to disk atomically.
+   * @returns {PaperRoll}
+   */
+  save() {
+    mkdirSync(dirname(this.file), { recursive: true });
+    writeFileSync(`${this.file}.tmp`, JSON.stringify(this.state, null, 2), "utf-8");
+    renameSync(`${this.file}.tmp`, this.file);
+    return this;
+  }
+}
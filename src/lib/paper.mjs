@@ -0,0 +1,62 @@
+/**
+ * Paper movement: feeding measured distances and cutting. Distances are
+ * given in millimetres and converted to dots at the printer's resolution,
+ * which ESC/POS printers also use as their vertical motion unit.
+ */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+/** Most dots a single `ESC J` or `GS V` feed can move. */
+const MAX_FEED_DOTS = 255;
+
+/**
+ * Converts millimetres to dots.
+ * @param {number} mm
+ * @param {number} dpi
+ * @returns {number}
+ */
+export function mmToDots(mm, dpi) {
+  return Math.max(0, Math.round((mm / 25.4) * dpi));
+}
+
+/**
+ * Converts dots to millimetres.
+ * @param {number} dots
+ * @param {number} dpi
+ * @returns {number}
+ */
+export function dotsToMm(dots, dpi) {
+  return (dots / dpi) * 25.4;
+}
+
+/**
+ * Commands that print the buffer and feed the paper by a number of dots
+ * with `ESC J`, split into steps the printer accepts.
+ * @param {number} dots
+ * @returns {Buffer}
+ */
+export function feedCommands(dots) {
+  const steps = [];
+  for (let left = Math.round(dots); left > 0; left -= MAX_FEED_DOTS) {
+    steps.push(ESC, 0x4a, Math.min(MAX_FEED_DOTS, left));
+  }
+  return Buffer.from(steps);
+}
+
+/**
+ * Commands that feed the last printed line past the cutter, then `feedDots`
+ * further, and cut (`GS V 65` or `GS V 66`). The printer adds the distance
+ * from the print head to the cutter itself.
+ * @param {boolean} [partial=false] - Leave a small uncut tab.
+ * @param {number} [feedDots=0] - Extra paper to feed before cutting.
+ * @returns {Buffer}
+ */
+export function cutCommands(partial = false, feedDots = 0) {
+  const dots = Math.max(0, Math.round(feedDots));
+  const extra = Math.max(0, dots - MAX_FEED_DOTS);
+  return Buffer.concat([
+    feedCommands(extra),
+    Buffer.from([GS, 0x56, partial ? 66 : 65, dots - extra]),
+  ]);
+}
@@ -1,11 +1,12 @@
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { Anthropic } from '@anthropic-ai/sdk';
 import { config as dotenvConfig } from 'dotenv';
 import IMessageConnector from './connectors/imessage/index.mjs';
 import ClaudeAIConnector from './connectors/claude-ai/index.mjs';
 import { getFullDateFormatted } from './date.mjs';
+import { createPhaseProvider } from './providers/index.mjs';
+import { getRepetitionGuard, recentLettersVariable } from './repetition.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -13,10 +14,12 @@ export default class Planner {
   constructor(options = {}) {
     dotenvConfig();
 
-    // Initialize Anthropic client with Sonnet 4
-    this._client = new Anthropic({
-      apiKey: options.apiKey || process.env.ANTHROPIC_API_KEY
-    });
+    // Model for the tool-use loop (PLANNER_PROVIDER, PLANNER_MODEL, ...), with
+    // retries, timeouts and a fallback model (PLANNER_MAX_RETRIES, ...)
+    this._provider = options.provider || createPhaseProvider('planner', {
+      apiKey: options.apiKey,
+      ...options.providerConfig
+    }, options.requestPolicy);
 
     // Initialize connectors
     this.connectors = {
@@ -27,6 +30,9 @@ export default class Planner {
     // Load prompt templates
     this._loadPrompts();
 
+    // Recent letters for %%RECENT_LETTERS%% in the user prompt (REPETITION_LETTERS)
+    this._repetitionGuard = options.repetitionGuard !== undefined ? options.repetitionGuard : getRepetitionGuard();
+
     // Configuration
     this.daysToLookBack = options.daysToLookBack || 7;
     this.maxMessagesToInclude = options.maxMessagesToInclude || 100;
@@ -69,7 +75,7 @@ export default class Planner {
   }
 
   /**
-   * Define tools for the Claude planner
+   * Define tools for the planner model
    * @private
    */
   _getTools() {
@@ -243,7 +249,14 @@ Provide a comprehensive summary of the collected information.`;
   }
 
   /**
-   * Generate a plan using Claude with tool use
+   * Every request made to the planner model so far, for the run log
+   */
+  get requestAttempts() {
+    return this._provider.attempts ?? [];
+  }
+
+  /**
+   * Generate a plan using the planner model with tool use
    */
   async generatePlan() {
     const endDate = new Date();
@@ -253,10 +266,13 @@ Provide a comprehensive summary of the collected information.`;
     const plannerPrompt = this._renderTemplate(this._plannerPrompt, {
       TODAY_DATE: getFullDateFormatted(),
       SYSTEM_PROMPT: this._systemPrompt,
-      USER_PROMPT: this._userPromptTemplate
+      // The writer sends the planned prompt as it is, so the digests go in now
+      USER_PROMPT: this._renderTemplate(this._userPromptTemplate, {
+        RECENT_LETTERS: recentLettersVariable(this._repetitionGuard)
+      })
     });
 
-    console.log('Starting planning phase with Claude Sonnet 4...');
+    console.log(`Starting planning phase with ${this._provider.name} ${this._provider.model}...`);
 
     let messages = [{
       role: 'user',
@@ -268,10 +284,7 @@ Provide a comprehensive summary of the collected information.`;
     const maxIterations = 10;
 
     while (iterations < maxIterations) {
-      const response = await this._client.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 4096,
-        temperature: 0.1,
+      const response = await this._provider.createMessage({
         tools: tools,
         messages: messages
       });
@@ -284,7 +297,7 @@ Provide a comprehensive summary of the collected information.`;
         content: response.content
       });
 
-      // Check if Claude wants to use tools
+      // Check if the model wants to use tools
       const toolUseBlocks = response.content.filter(block => block.type === 'tool_use');
 
       if (toolUseBlocks.length === 0) {
@@ -342,7 +355,8 @@ Provide a comprehensive summary of the collected information.`;
       // Fallback: extract relevant information and create prompt manually
       enhancedUserPrompt = this._renderTemplate(this._userPromptTemplate, {
         TODAY_DATE: getFullDateFormatted(),
-        COLLECTED_INFO: planningResult
+        COLLECTED_INFO: planningResult,
+        RECENT_LETTERS: recentLettersVariable(this._repetitionGuard)
       });
     }
 
@@ -0,0 +1,456 @@
+import { existsSync, mkdirSync, writeFileSync } from "fs";
+import { join } from "path";
+import { PNG } from "pngjs";
+import { getArchiveDateFormatted } from "./date.mjs";
+import { resolveProfile } from "./profiles.mjs";
+
+/** Character cell size in dots for the built-in fonts. */
+export const FONT_METRICS = {
+  A: { width: 12, height: 24 },
+  B: { width: 9, height: 17 },
+};
+
+/**
+ * @typedef {import("./markdown.mjs").RenderedLine & {font?: "A" | "B"}} PreviewLine
+ */
+
+/** Decoder alignment names to `printText()` alignment codes. */
+const ALIGN_CODES = { left: "LT", center: "CT", right: "RT" };
+
+/**
+ * Escapes text for HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Records what a fake-mode print job would put on paper and renders it as
+ * an HTML page at the printer's real dot pitch (1 CSS pixel = 1 dot).
+ */
+export default class ReceiptPreview {
+  /** @type {Array<Object>} */
+  _items = [];
+
+  /**
+   * @param {Object} [options={}]
+   * @param {import("./profiles.mjs").PrinterProfile} [options.profile] - Printer profile; defaults to the generic one for `paperWidth`.
+   * @param {number} [options.paperWidth=58] - Paper width in mm (58 or 80), when no profile is given.
+   */
+  constructor({ profile, paperWidth } = {}) {
+    this.profile = resolveProfile({ profile, paperWidth });
+    this.paperWidth = this.profile.paperWidth;
+    this.dots = this.profile.dotsPerLine;
+  }
+
+  /**
+   * Whether anything has been recorded.
+   * @returns {boolean}
+   */
+  get isEmpty() {
+    return this._items.length === 0;
+  }
+
+  /**
+   * Whether the last thing recorded is a paper cut.
+   * @returns {boolean}
+   */
+  get endsWithCut() {
+    return this._items[this._items.length - 1]?.type === "cut";
+  }
+
+  /**
+   * Records plain text as `printText()` sends it: each `\n` ends a line.
+   * @param {string} text
+   * @param {Object} [format={}]
+   * @param {"LT" | "CT" | "RT"} [format.align="LT"]
+   * @param {number} [format.size=0] - Size as passed to `printText()`.
+   * @param {"A" | "B"} [format.font="A"]
+   * @param {"black" | "red"} [format.color="black"] - Color the printer really uses, after any fallback.
+   */
+  addText(text, { align = "LT", size = 0, font = "A", color = "black" } = {}) {
+    const scale = Math.max(1, size);
+    for (const line of text.split("\n")) {
+      this.addLine({
+        align,
+        font,
+        width: scale,
+        height: scale,
+        segments: line ? [{ text: line, bold: false, underline: false, color }] : [],
+      });
+    }
+  }
+
+  /**
+   * Records one printed line with its own formatting.
+   * @param {PreviewLine} line
+   */
+  addLine(line) {
+    this._items.push({ type: "line", font: "A", ...line });
+  }
+
+  /**
+   * Records a raster image.
+   * @param {import("@node-escpos/core").Image} image
+   * @param {"LT" | "CT" | "RT"} [align="CT"]
+   */
+  addImage(image, align = "CT") {
+    this._items.push({ type: "image", image, align });
+  }
+
+  /**
+   * Records blank paper fed by a measured distance.
+   * @param {number} dots
+   */
+  addFeed(dots) {
+    if (dots > 0) this._items.push({ type: "feed", dots });
+  }
+
+  /**
+   * Records a paper cut.
+   * @param {boolean} [partial=false]
+   */
+  addCut(partial = false) {
+    this._items.push({ type: "cut", partial });
+  }
+
+  /**
+   * Renders the recorded job as plain text at one character per font A
+   * cell. Images are approximated with shading characters.
+   * @returns {string}
+   */
+  toText() {
+    const columns = this.profile.columns.A;
+    const pad = (text, align) => {
+      const padding = Math.max(0, columns - [...text].length);
+      const left = align === "CT" ? Math.floor(padding / 2) : align === "RT" ? padding : 0;
+      return (" ".repeat(left) + text).trimEnd();
+    };
+
+    const lines = [];
+    for (const item of this._items) {
+      if (item.type === "cut") {
+        lines.push("- ".repeat(columns / 2 - 3) + (item.partial ? "partial cut" : "cut"));
+      } else if (item.type === "feed") {
+        // One blank line per default line spacing (1/6 inch) of paper
+        lines.push(...Array(Math.round(item.dots / (this.profile.dpi / 6))).fill(""));
+      } else if (item.type === "image") {
+        lines.push(...imageToText(item.image).map((row) => pad(row, item.align)));
+      } else {
+        const lineColumns = Math.floor(columns / item.width);
+        const text = item.segments.map((segment) => segment.text).join("");
+        const chars = [...text];
+        if (chars.length === 0) lines.push("");
+        for (let i = 0; i < chars.length; i += lineColumns) {
+          const row = chars.slice(i, i + lineColumns);
+          lines.push(pad(item.width > 1 ? row.join(" ") : row.join(""), item.align));
+        }
+      }
+    }
+
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Builds a preview by replaying decoded ESC/POS commands the way a
+   * printer would (see `decodeEscPos()`).
+   * @param {import("./escpos-decoder.mjs").DecodedCommand[]} commands
+   * @param {Object} [options={}] - Same options as the constructor.
+   * @returns {ReceiptPreview}
+   */
+  static fromCommands(commands, options = {}) {
+    const preview = new ReceiptPreview(options);
+    const initial = {
+      align: "LT",
+      width: 1,
+      height: 1,
+      font: "A",
+      bold: false,
+      underline: false,
+      color: "black",
+    };
+    let state = { ...initial };
+    let segments = [];
+    let lineSpacing = "default";
+    let afterImage = false;
+    let qrData = "";
+
+    const endLine = () => {
+      const { align, width, height, font } = state;
+      preview.addLine({ align, width, height, font, segments });
+      segments = [];
+    };
+
+    for (const { name, args = {}, art } of commands) {
+      switch (name) {
+        case "INIT":
+          state = { ...initial };
+          break;
+        case "TEXT":
+          segments.push({ text: args.text, bold: state.bold, underline: state.underline, color: state.color });
+          afterImage = false;
+          break;
+        case "LF":
+          for (let i = 0; i < (args.count ?? 1); i++) {
+            // Image bands are sent with zero line spacing and a line feed each
+            if (afterImage && lineSpacing === 0 && segments.length === 0) continue;
+            endLine();
+          }
+          break;
+        case "FEED_LINES":
+          if (segments.length > 0) endLine();
+          for (let i = 0; i < args.lines; i++) endLine();
+          break;
+        case "FEED_DOTS":
+          if (segments.length > 0) endLine();
+          preview.addFeed(args.dots);
+          break;
+        case "ALIGN":
+          state.align = ALIGN_CODES[args.align] ?? "LT";
+          break;
+        case "SIZE":
+          state.width = args.width;
+          state.height = args.height;
+          break;
+        case "PRINT_MODE":
+          Object.assign(state, {
+            font: args.font,
+            bold: args.bold,
+            underline: args.underline,
+            width: args.doubleWidth ? 2 : 1,
+            height: args.doubleHeight ? 2 : 1,
+          });
+          break;
+        case "FONT":
+          state.font = args.font === "B" ? "B" : "A";
+          break;
+        case "BOLD":
+          state.bold = args.on;
+          break;
+        case "UNDERLINE":
+          state.underline = args.weight > 0;
+          break;
+        case "COLOR":
+          // Printers without a second color ignore ESC r, as the printout would
+          if (preview.profile.twoColor) state.color = args.color;
+          break;
+        case "LINE_SPACING":
+          lineSpacing = args.dots;
+          break;
+        case "RASTER":
+        case "BIT_IMAGE":
+          if (segments.length > 0) endLine();
+          preview.addImage(
+            {
+              size: { width: args.width, height: args.height },
+              data: art.join("").split("").map((dot) => dot === "#"),
+            },
+            state.align
+          );
+          afterImage = true;
+          break;
+        case "QR_STORE":
+          qrData = args.data;
+          break;
+        // Printers print codes as soon as they are sent, on lines of their own
+        case "QR_PRINT":
+        case "CODE2D_PRINT":
+          if (segments.length > 0) endLine();
+          segments.push({ text: `[QR: ${args.data ?? qrData}]`, bold: false, underline: false });
+          endLine();
+          break;
+        case "BARCODE":
+          if (segments.length > 0) endLine();
+          segments.push({ text: `[${args.type}: ${args.data}]`, bold: false, underline: false });
+          endLine();
+          break;
+        case "CUT":
+          if (segments.length > 0) endLine();
+          preview.addFeed(args.feed ?? 0);
+          preview.addCut(args.type === "partial");
+          break;
+      }
+    }
+
+    if (segments.length > 0) endLine();
+    return preview;
+  }
+
+  /**
+   * Renders the recorded job as a standalone HTML page.
+   * @param {string} [title="Receipt preview"]
+   * @returns {string}
+   */
+  toHTML(title = "Receipt preview") {
+    const body = this._items.map((item) => this._renderItem(item)).join("\n");
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { background: #d6d3ce; margin: 0; padding: 32px 0; font-family: sans-serif; }
+  h1 { font-size: 14px; font-weight: normal; color: #555; text-align: center; }
+  .paper { width: ${this.dots}px; padding: 24px ${Math.round(this.dots * 0.06)}px; margin: 0 auto; background: #fbfbf8; box-shadow: 0 1px 6px rgba(0, 0, 0, 0.25); zoom: 2; }
+  .line { display: flex; white-space: pre; }
+  .line.CT { justify-content: center; }
+  .line.RT { justify-content: flex-end; }
+  .cell { display: inline-flex; align-items: center; justify-content: center; overflow: visible; font-family: "Courier New", Courier, monospace; color: #1a1a1a; }
+  .cell > span { display: inline-block; }
+  .bold { font-weight: bold; }
+  .underline { text-decoration: underline; }
+  .red { color: #c8102e; }
+  .image { display: flex; }
+  .image.CT { justify-content: center; }
+  .image.RT { justify-content: flex-end; }
+  .image img { image-rendering: pixelated; }
+  .cut { position: relative; border-top: 1px dashed #888; margin: 12px -${Math.round(this.dots * 0.06)}px; }
+  .cut span { position: absolute; top: -8px; left: 4px; font-size: 10px; color: #888; background: #fbfbf8; padding: 0 4px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)} &middot; ${escapeHtml(this.profile.name)}, ${this.paperWidth}mm paper, ${this.dots} dots</h1>
+<div class="paper">
+${body}
+</div>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Writes the HTML preview to a timestamped file. A preview saved in the
+   * same second as another gets a "-2", "-3", ... suffix.
+   * @param {string} [dir="./preview"]
+   * @returns {string} The path written.
+   */
+  save(dir = "./preview") {
+    mkdirSync(dir, { recursive: true });
+    const stamp = getArchiveDateFormatted();
+    let id = stamp;
+    for (let suffix = 2; existsSync(join(dir, `${id}.html`)); suffix++) {
+      id = `${stamp}-${suffix}`;
+    }
+    const filename = join(dir, `${id}.html`);
+    writeFileSync(filename, this.toHTML(`Receipt preview ${id}`), "utf-8");
+    return filename;
+  }
+
+  /**
+   * Renders one recorded item to HTML.
+   * @param {Object} item
+   * @returns {string}
+   */
+  _renderItem(item) {
+    switch (item.type) {
+      case "line":
+        return this._renderLine(item);
+
+      case "image":
+        return `<div class="image ${item.align}"><img src="${imageToDataUri(item.image)}" width="${item.image.size.width}" height="${item.image.size.height}" alt=""></div>`;
+
+      case "feed":
+        return `<div class="feed" style="height: ${item.dots}px"></div>`;
+
+      case "cut":
+        return `<div class="cut"><span>&#9986; ${item.partial ? "partial cut" : "cut"}</span></div>`;
+
+      default:
+        return "";
+    }
+  }
+
+  /**
+   * Renders a line as a grid of character cells, wrapping where the
+   * printer's hardware would when the line is wider than the paper.
+   * @param {PreviewLine} line
+   * @returns {string}
+   */
+  _renderLine(line) {
+    const metrics = FONT_METRICS[line.font] ?? FONT_METRICS.A;
+    const cellWidth = metrics.width * line.width;
+    const cellHeight = metrics.height * line.height;
+    const columns = Math.floor(this.dots / cellWidth);
+
+    const chars = line.segments.flatMap((segment) =>
+      [...segment.text].map((char) => ({ char, ...segment }))
+    );
+
+    const rows = [];
+    for (let i = 0; i < chars.length; i += columns) {
+      rows.push(chars.slice(i, i + columns));
+    }
+    if (rows.length === 0) rows.push([]);
+
+    const fontSize = Math.round(metrics.height * 0.8);
+    return rows
+      .map((row) => {
+        const cells = row
+          .map(({ char, bold, underline, color }) => {
+            const classes = ["cell", bold && "bold", underline && "underline", color === "red" && "red"]
+              .filter(Boolean)
+              .join(" ");
+            return `<span class="${classes}" style="width:${cellWidth}px;height:${cellHeight}px;font-size:${fontSize}px"><span style="transform:scale(${line.width},${line.height})">${escapeHtml(char)}</span></span>`;
+          })
+          .join("");
+        return `<div class="line ${line.align}" style="min-height:${cellHeight}px">${cells}</div>`;
+      })
+      .join("\n");
+  }
+}
+
+/**
+ * Approximates an image with shading characters, one per font A cell.
+ * @param {{size: {width: number, height: number}, data: ArrayLike<boolean>}} image
+ * @returns {string[]}
+ */
+function imageToText(image) {
+  const { width, height } = image.size;
+  const { width: cellWidth, height: cellHeight } = FONT_METRICS.A;
+  const rows = [];
+
+  for (let top = 0; top < height; top += cellHeight) {
+    let row = "";
+    for (let left = 0; left < width; left += cellWidth) {
+      let black = 0;
+      let total = 0;
+      for (let y = top; y < Math.min(top + cellHeight, height); y++) {
+        for (let x = left; x < Math.min(left + cellWidth, width); x++) {
+          if (image.data[y * width + x]) black++;
+          total++;
+        }
+      }
+      const density = black / total;
+      row += density > 0.6 ? "#" : density > 0.3 ? "+" : density > 0.08 ? "." : " ";
+    }
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Encodes an escpos `Image` (1 bit per dot) as a PNG data URI.
+ * @param {import("@node-escpos/core").Image} image
+ * @returns {string}
+ */
+export function imageToDataUri(image) {
+  const { width, height } = image.size;
+  const png = new PNG({ width, height });
+
+  for (let i = 0; i < width * height; i++) {
+    const value = image.data[i] ? 0 : 255;
+    png.data[i * 4] = value;
+    png.data[i * 4 + 1] = value;
+    png.data[i * 4 + 2] = value;
+    png.data[i * 4 + 3] = 255;
+  }
+
+  return "data:image/png;base64," + PNG.sync.write(png).toString("base64");
+}
@@ -0,0 +1,523 @@
+import { existsSync, readFileSync } from "fs";
+import { join } from "path";
+import PrinterAdapter, { CONTINUED_MARKER } from "./printer.mjs";
+import PrintSpooler, { printOperations } from "./spooler.mjs";
+import PaperRoll, { estimateJobLength, formatLength } from "./paper-roll.mjs";
+import { getProfile } from "./profiles.mjs";
+import { loadTemplate, renderTemplate } from "./template.mjs";
+import { getTransportConfig } from "./transports/index.mjs";
+
+/**
+ * One printer in `printers.json`. Anything left out falls back to the
+ * `PRINTER_*` environment variables.
+ * @typedef {Object} PrinterConfig
+ * @property {string} name - Short name, also the printer's queue directory (letters, digits, `-` and `_`).
+ * @property {Object} [transport] - How to reach the printer (see `createTransport()`).
+ * @property {string} [profile] - Printer profile name or JSON path (see `getProfile()`).
+ * @property {string} [template] - Layout template name or path (see `loadTemplate()`).
+ * @property {string[]} [codepages]
+ * @property {number} [cutFeedMm]
+ * @property {boolean} [statusChecks]
+ * @property {number} [rollLengthM] - Length of a new paper roll in metres.
+ * @property {string | null} [font] - TTF or OTF file to print the letter in (see `PrinterAdapter`).
+ * @property {number} [fontSize]
+ */
+
+/**
+ * A configured printer, ready to print to.
+ * @typedef {Object} ManagedPrinter
+ * @property {string} name
+ * @property {Object} transport
+ * @property {import("./profiles.mjs").PrinterProfile} profile
+ * @property {import("./template.mjs").Template} template
+ * @property {string} templateName
+ * @property {number} [cutFeedMm]
+ * @property {string | null} [font]
+ * @property {number} [fontSize]
+ * @property {PrintSpooler} spooler - The printer's own print queue.
+ * @property {PaperRoll} paperRoll - Paper used from the printer's current roll.
+ * @property {() => PrinterAdapter} createPrinter
+ * @property {PrinterAdapter | null} adapter - The adapter of the latest attempt.
+ */
+
+/**
+ * What happened on one printer, as recorded in the run log.
+ * @typedef {Object} PrinterResult
+ * @property {string} printer - Printer name.
+ * @property {string} profile - Profile ID.
+ * @property {string} template - Layout template name.
+ * @property {boolean} printed - Whether the letter printed.
+ * @property {boolean} streamed - Whether it printed line by line while it was written (see `streamLetter()`).
+ * @property {string | null} jobId - Queue job ID, unless printing in fake mode.
+ * @property {string | null} error - Why the letter did not print.
+ * @property {string[]} printedQueuedJobs - Older queued jobs that printed first.
+ * @property {string | null} previewPath - Fake-mode preview.
+ * @property {number} replacedCharacters - Distinct characters transliterated for the printer's codepages.
+ * @property {number | null} estimatedMm - Estimated length of the letter on this printer.
+ * @property {number} paperRemainingMm - Paper left on the roll after this run.
+ * @property {string | null} paperWarning - Set when the letter would probably run out of paper.
+ */
+
+/** Name of the printer configured by environment variables alone. */
+export const DEFAULT_PRINTER = "default";
+
+/**
+ * Reads the printers to print to. Without a config file there is one
+ * printer, `default`, configured by the `PRINTER_*` environment variables.
+ * @param {string} [path="./printers.json"] - Defaults to `PRINTERS_CONFIG`.
+ * @returns {PrinterConfig[]}
+ */
+export function loadPrinterConfig(path = process.env.PRINTERS_CONFIG || "./printers.json") {
+  if (!existsSync(path)) {
+    if (process.env.PRINTERS_CONFIG) throw new Error(`Could not find printer config ${path}`);
+    return [{ name: DEFAULT_PRINTER }];
+  }
+
+  let config;
+  try {
+    config = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (error) {
+    throw new Error(`Could not parse printer config ${path}: ${error.message}`);
+  }
+
+  if (!Array.isArray(config?.printers) || config.printers.length === 0) {
+    throw new Error(`Invalid printer config ${path}: expected a non-empty "printers" array`);
+  }
+  const names = new Set();
+  for (const [index, printer] of config.printers.entries()) {
+    if (!/^[\w-]+$/.test(printer?.name ?? "")) {
+      throw new Error(
+        `Invalid printer config ${path}: printer ${index + 1} needs a "name" of letters, digits, "-" and "_"`
+      );
+    }
+    if (names.has(printer.name)) {
+      throw new Error(`Invalid printer config ${path}: more than one printer is named "${printer.name}"`);
+    }
+    names.add(printer.name);
+  }
+  return config.printers;
+}
+
+/**
+ * Sums up a letter's per-printer results for the run log: `printed` on
+ * every printer, `partial` on some, `queued` for later on all of them, or
+ * `failed` when no printer even queued it.
+ * @param {PrinterResult[]} results
+ * @returns {"printed" | "partial" | "queued" | "failed"}
+ */
+export function summarizeResults(results) {
+  const printed = results.filter((result) => result.printed).length;
+  if (printed === results.length) return "printed";
+  if (printed > 0) return "partial";
+  return results.some((result) => result.jobId) ? "queued" : "failed";
+}
+
+/**
+ * Sends each letter to every configured printer. Every printer has its own
+ * transport, profile, layout template and print queue, so a printer that is
+ * unplugged or out of paper only holds up its own copy.
+ */
+export default class PrinterManager {
+  /**
+   * @param {Object} [options={}]
+   * @param {PrinterConfig[]} [options.printers] - Defaults to `loadPrinterConfig()`.
+   * @param {boolean} [options.fakeMode=false] - Print to fake printers, skipping the queues.
+   * @param {string} [options.spoolDir="./spool"] - Root of the print queues; each named printer queues in a subdirectory. Defaults to `PRINT_QUEUE_DIR`.
+   * @param {string} [options.previewDir="./preview"] - Where fake mode saves previews; each named printer saves to a subdirectory.
+   * @param {string} [options.paperDir="./paper"] - Where each printer's paper roll usage is saved, as `<name>.json`. Defaults to `PAPER_ROLL_DIR`.
+   * @param {Object} [options.spoolerOptions={}] - Extra `PrintSpooler` options, e.g. `retryDelay`.
+   */
+  constructor({
+    printers = loadPrinterConfig(),
+    fakeMode = false,
+    spoolDir = process.env.PRINT_QUEUE_DIR || "./spool",
+    previewDir = "./preview",
+    paperDir = process.env.PAPER_ROLL_DIR || "./paper",
+    spoolerOptions = {},
+  } = {}) {
+    this.fakeMode = fakeMode;
+
+    /** @type {ManagedPrinter[]} */
+    this.printers = printers.map((config) => {
+      const { name, transport = getTransportConfig(), template, profile, rollLengthM, ...options } = config;
+      const isDefault = name === DEFAULT_PRINTER;
+      const printer = {
+        name,
+        transport,
+        profile: getProfile(profile),
+        template: loadTemplate(template),
+        templateName: template || process.env.PRINTER_TEMPLATE || "default",
+        cutFeedMm: options.cutFeedMm,
+        font: options.font ?? (process.env.PRINTER_FONT || null),
+        fontSize: options.fontSize,
+        paperRoll: new PaperRoll({ file: join(paperDir, `${name}.json`), rollLengthM }),
+        adapter: null,
+      };
+
+      printer.createPrinter = () =>
+        (printer.adapter = new PrinterAdapter({
+          ...options,
+          fakeMode,
+          transport,
+          profile: printer.profile,
+          // Fake mode prints no paper
+          paperRoll: fakeMode ? null : printer.paperRoll,
+          previewDir: isDefault ? previewDir : join(previewDir, name),
+        }));
+      printer.spooler = new PrintSpooler({
+        ...spoolerOptions,
+        dir: isDefault ? spoolDir : join(spoolDir, name),
+        createPrinter: printer.createPrinter,
+      });
+      return printer;
+    });
+  }
+
+  /**
+   * Looks up a configured printer.
+   * @param {string} name
+   * @returns {ManagedPrinter}
+   */
+  get(name) {
+    const printer = this.printers.find((printer) => printer.name === name);
+    if (!printer) {
+      throw new Error(
+        `No printer named ${name} (configured: ${this.printers.map((printer) => printer.name).join(", ")})`
+      );
+    }
+    return printer;
+  }
+
+  /**
+   * Renders a letter with each printer's layout template and prints it on
+   * every printer at once. Each copy is queued first, and older jobs in a
+   * printer's queue print before it.
+   * @param {Object} letter
+   * @param {Object<string, string | number>} letter.variables - Template variables, e.g. `MESSAGE`.
+   * @param {Date} [letter.date=new Date()]
+   * @param {string} [letter.description="Letter"] - Queue job description.
+   * @returns {Promise<PrinterResult[]>} One result per printer, in config order.
+   */
+  async printLetter({ variables, date = new Date(), description = "Letter" }) {
+    return Promise.all(
+      this.printers.map((printer) => this._printOn(printer, { variables, date, description }))
+    );
+  }
+
+  /**
+   * Prints a letter on every printer while it is being written. Each
+   * printer prints its layout template up to the body, then the letter a
+   * line at a time as the text arrives (see `PrinterAdapter#streamMarkdown()`),
+   * then the rest of the template. Nothing prints before the first text
+   * arrives, so a request that fails outright wastes no paper; each
+   * printer's result then says so.
+   *
+   * Printers that cannot stream print their copy the usual way once the
+   * letter is written (see `printLetter()`): those printing in a font file
+   * or without a markdown body, and those with older jobs still queued. A
+   * printer that fails partway queues the rest of its copy, from the line
+   * after the last one it printed. If the text stops coming, streaming printers
+   * print what arrived with `CONTINUED_MARKER` under it, the others print
+   * that partial letter, and `error` says what went wrong.
+   *
+   * The paper a streamed copy needs is estimated from `expectedMessage`,
+   * since the letter is not written yet when it starts printing.
+   * @param {Object} letter
+   * @param {AsyncIterable<string>} letter.chunks - The letter's text as it is written.
+   * @param {Object<string, string | number>} [letter.variables={}] - Template variables other than `MESSAGE`.
+   * @param {Date} [letter.date=new Date()]
+   * @param {string} [letter.description="Letter"] - Queue job description.
+   * @param {string} [letter.expectedMessage=""] - A letter of the usual length, e.g. the previous one.
+   * @returns {Promise<{message: string, results: PrinterResult[], error: Error | null}>} The letter's
+   *   complete words, with one result per printer in config order.
+   */
+  async streamLetter({ chunks, variables = {}, date = new Date(), description = "Letter", expectedMessage = "" }) {
+    const iterator = chunks[Symbol.asyncIterator]();
+    let entries = [];
+    const streaming = () => entries.filter((entry) => entry.stream && !entry.error);
+
+    let message = "";
+    let error = null;
+    try {
+      let next = await iterator.next();
+      if (!next.done) {
+        entries = await Promise.all(
+          this.printers.map((printer) => this._startStream(printer, { variables, date, expectedMessage }))
+        );
+      }
+      while (!next.done) {
+        const text = next.value;
+        message += text;
+        await Promise.all(streaming().map((entry) => this._feed(entry, (stream) => stream.write(text))));
+        next = await iterator.next();
+      }
+    } catch (caught) {
+      error = caught;
+      // The last word may have been cut off
+      message = message.slice(0, message.search(/\S*$/));
+    }
+    message = message.trim();
+    if (entries.length === 0) {
+      // No text arrived, so no printer has started
+      const results = this.printers.map((printer) => {
+        const result = this._newResult(printer);
+        result.error = error ? `The letter stopped before any text arrived: ${error.message}` : "The letter was empty";
+        return this._completeResult(printer, result);
+      });
+      return { message, results, error };
+    }
+
+    await Promise.all(
+      streaming().map((entry) =>
+        this._feed(entry, async (stream) => {
+          await (error ? stream.abort() : stream.end());
+          const operations = renderTemplate(entry.printer.template, {
+            date,
+            variables: { ...variables, MESSAGE: message },
+          });
+          await printOperations(entry.adapter, operations.slice(entry.bodyIndex + 1));
+          await entry.adapter.close();
+        })
+      )
+    );
+
+    const copy = {
+      variables: { ...variables, MESSAGE: error ? `${message}\n\n${CONTINUED_MARKER}` : message },
+      date,
+      description,
+    };
+    const results = await Promise.all(
+      entries.map(async (entry) => {
+        if (!entry.stream || entry.error) {
+          // The template up to the body and the lines streamed so far are on paper
+          const resume = entry.stream ? { bodyIndex: entry.bodyIndex, line: entry.stream.printedLines } : null;
+          if (entry.error) {
+            console.warn(
+              `⚠️  ${entry.printer.name}: stopped streaming the letter (${entry.error.message}); ` +
+                (resume ? `printing the rest from line ${resume.line + 1}` : "printing it in full")
+            );
+          }
+          const result = await this._printOn(entry.printer, copy, resume);
+          result.printedQueuedJobs.unshift(...entry.printedQueuedJobs);
+          return result;
+        }
+        const result = this._newResult(entry.printer);
+        result.printed = true;
+        result.streamed = true;
+        result.printedQueuedJobs = entry.printedQueuedJobs;
+        result.estimatedMm = entry.estimatedMm;
+        result.paperWarning = entry.paperWarning;
+        return this._completeResult(entry.printer, result);
+      })
+    );
+
+    return { message, results, error };
+  }
+
+  /**
+   * Prints due jobs in every printer's queue.
+   * @param {Object} [options={}]
+   * @param {boolean} [options.force=false] - Ignore the backoff schedule.
+   * @returns {Promise<Array<{printer: string, results: Array<{job: import("./spooler.mjs").SpoolJob, printed: boolean, error?: Error}>}>>}
+   */
+  async processQueues({ force = false } = {}) {
+    return Promise.all(
+      this.printers.map(async (printer) => ({
+        printer: printer.name,
+        results: await printer.spooler.processQueue({ force }),
+      }))
+    );
+  }
+
+  /**
+   * When the next queued job on any printer is due, or `null` if every
+   * queue is empty.
+   * @returns {Date | null}
+   */
+  get nextAttemptAt() {
+    const times = this.printers
+      .map((printer) => printer.spooler.nextAttemptAt)
+      .filter(Boolean)
+      .map((date) => date.getTime());
+    return times.length > 0 ? new Date(Math.min(...times)) : null;
+  }
+
+  /**
+   * Renders and prints one copy of a letter, catching every failure so
+   * the other printers carry on.
+   * @param {ManagedPrinter} printer
+   * @param {{variables: Object, date: Date, description: string}} letter
+   * @param {{bodyIndex: number, line: number} | null} [resume=null] - Where a copy that stopped
+   *   partway carries on: the template before `bodyIndex` and the body's first `line` lines
+   *   have printed.
+   * @returns {Promise<PrinterResult>}
+   */
+  async _printOn(printer, { variables, date, description }, resume = null) {
+    const result = this._newResult(printer);
+
+    try {
+      let operations = renderTemplate(printer.template, { date, variables });
+      if (resume) {
+        operations = [
+          { ...operations[resume.bodyIndex], fromLine: resume.line },
+          ...operations.slice(resume.bodyIndex + 1),
+        ];
+      }
+
+      this._checkPaper(printer, operations, result);
+
+      if (this.fakeMode) {
+        const adapter = printer.createPrinter();
+        await adapter.start();
+        await printOperations(adapter, operations);
+        await adapter.close();
+        result.printed = true;
+      } else {
+        const job = printer.spooler.enqueue(operations, description);
+        result.jobId = job.id;
+
+        const results = await printer.spooler.processQueue();
+        const own = results.find((entry) => entry.job.id === job.id);
+        result.printed = Boolean(own?.printed);
+        result.printedQueuedJobs = results
+          .filter((entry) => entry.printed && entry.job.id !== job.id)
+          .map((entry) => entry.job.id);
+        if (!result.printed) {
+          const { error } = results[results.length - 1] ?? {};
+          result.error = error?.message ?? "Older jobs are waiting in the queue";
+        }
+      }
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    return this._completeResult(printer, result);
+  }
+
+  /**
+   * Gets a printer ready to stream a letter: prints any older queued jobs
+   * first, then the layout template up to the body. The entry has no
+   * `stream` when the printer has to print its copy the usual way.
+   * @param {ManagedPrinter} printer
+   * @param {{variables: Object, date: Date, expectedMessage: string}} letter
+   * @returns {Promise<{printer: ManagedPrinter, adapter: PrinterAdapter | null, stream: import("./printer.mjs").MarkdownStream | null, bodyIndex: number, printedQueuedJobs: string[], estimatedMm: number | null, paperWarning: string | null, error: Error | null}>}
+   */
+  async _startStream(printer, { variables, date, expectedMessage }) {
+    const bodyIndex = printer.template.blocks.findIndex((block) => block.type === "body");
+    const entry = {
+      printer,
+      adapter: null,
+      stream: null,
+      bodyIndex,
+      printedQueuedJobs: [],
+      estimatedMm: null,
+      paperWarning: null,
+      error: null,
+    };
+    // Fonts print the letter as one image, and plain-text bodies are not markdown
+    if (bodyIndex === -1 || printer.template.blocks[bodyIndex].markdown === false || printer.font) {
+      return entry;
+    }
+
+    let started = false;
+    try {
+      if (!this.fakeMode) {
+        const results = await printer.spooler.processQueue();
+        entry.printedQueuedJobs = results.filter((result) => result.printed).map((result) => result.job.id);
+        // The letter must not print ahead of jobs that are still waiting
+        if (printer.spooler.list().length > 0) return entry;
+      }
+
+      this._checkPaper(
+        printer,
+        renderTemplate(printer.template, { date, variables: { ...variables, MESSAGE: expectedMessage } }),
+        entry
+      );
+      entry.adapter = printer.createPrinter();
+      await entry.adapter.start();
+      started = true;
+      const operations = renderTemplate(printer.template, { date, variables });
+      await printOperations(entry.adapter, operations.slice(0, bodyIndex));
+      entry.stream = entry.adapter.streamMarkdown();
+    } catch (error) {
+      entry.error = error;
+      if (started) await entry.adapter.close().catch(() => {});
+    }
+    return entry;
+  }
+
+  /**
+   * Estimates the paper a copy needs, and warns when the roll would run
+   * out before it ends.
+   * @param {ManagedPrinter} printer
+   * @param {import("./spooler.mjs").PrintOperation[]} operations
+   * @param {{estimatedMm: number | null, paperWarning: string | null}} result - Gets the estimate and any warning.
+   */
+  _checkPaper(printer, operations, result) {
+    result.estimatedMm = estimateJobLength(operations, {
+      profile: printer.profile,
+      cutFeedMm: printer.cutFeedMm,
+      font: printer.font,
+      fontSize: printer.fontSize,
+    });
+    const { paperRoll } = printer;
+    if (!this.fakeMode && paperRoll.wouldRunOut(result.estimatedMm)) {
+      result.paperWarning =
+        `The letter needs about ${formatLength(result.estimatedMm)} of paper, ` +
+        `but only ${formatLength(paperRoll.remainingMm)} is left on the roll`;
+      console.warn(`⚠️  ${printer.name}: ${result.paperWarning}`);
+    }
+  }
+
+  /**
+   * Runs a step of a streaming printer's letter. A printer that fails is
+   * closed and left out of the rest of the stream.
+   * @param {{adapter: PrinterAdapter, stream: import("./printer.mjs").MarkdownStream, error: Error | null}} entry
+   * @param {(stream: import("./printer.mjs").MarkdownStream) => Promise<void>} step
+   * @returns {Promise<void>}
+   */
+  async _feed(entry, step) {
+    try {
+      await step(entry.stream);
+    } catch (error) {
+      entry.error = error;
+      await entry.adapter.close().catch(() => {});
+    }
+  }
+
+  /**
+   * A printer's result before anything has printed.
+   * @param {ManagedPrinter} printer
+   * @returns {PrinterResult}
+   */
+  _newResult(printer) {
+    return {
+      printer: printer.name,
+      profile: printer.profile.id,
+      template: printer.templateName,
+      printed: false,
+      streamed: false,
+      jobId: null,
+      error: null,
+      printedQueuedJobs: [],
+      previewPath: null,
+      replacedCharacters: 0,
+      estimatedMm: null,
+      paperRemainingMm: 0,
+      paperWarning: null,
+    };
+  }
+
+  /**
+   * Fills in what the printer's latest adapter and paper roll know.
+   * @param {ManagedPrinter} printer
+   * @param {PrinterResult} result
+   * @returns {PrinterResult}
+   */
+  _completeResult(printer, result) {
+    result.previewPath = printer.adapter?.previewPath ?? null;
+    result.replacedCharacters = printer.adapter?.replacedCharacters.length ?? 0;
+    result.paperRemainingMm = printer.paperRoll.remainingMm;
+    return result;
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * Real-time printer status: parses the replies to `DLE EOT n` requests and
+ * automatic status back (ASB) messages into one status object.
+ */
+
+/** `DLE EOT n` request numbers. */
+export const STATUS_REQUESTS = {
+  printer: 1,
+  offlineCause: 2,
+  errorCause: 3,
+  paperSensor: 4,
+};
+
+/** ASB categories to enable with `GS a n`: online/offline, errors and the roll paper sensor. */
+export const AUTO_STATUS_MASK = 0x02 | 0x04 | 0x08;
+
+/** Human-readable names for faults and warnings. */
+export const STATUS_DESCRIPTIONS = {
+  offline: "offline",
+  paperOut: "paper out",
+  coverOpen: "cover open",
+  cutterError: "cutter error",
+  unrecoverableError: "unrecoverable error",
+  paperNearEnd: "paper near end",
+};
+
+/**
+ * @typedef {Object} PrinterStatus
+ * @property {boolean} online
+ * @property {boolean} paperNearEnd
+ * @property {boolean} paperOut
+ * @property {boolean} coverOpen
+ * @property {boolean} cutterError
+ * @property {boolean} unrecoverableError
+ * @property {string[]} faults - Conditions that stop printing, as `STATUS_DESCRIPTIONS` keys.
+ * @property {string[]} warnings - Conditions worth reporting that do not stop printing.
+ * @property {"DLE EOT" | "ASB" | "fake"} source - Where the status came from.
+ */
+
+/**
+ * Thrown when the printer reports a fault that stops printing.
+ */
+export class PrinterFaultError extends Error {
+  /**
+   * @param {PrinterStatus} status
+   */
+  constructor(status) {
+    super(`Printer reports a fault: ${describeStatus(status)}`);
+    this.name = "PrinterFaultError";
+    this.status = status;
+  }
+}
+
+/**
+ * Fills in `faults` and `warnings` from the individual flags.
+ * @param {Omit<PrinterStatus, "faults" | "warnings">} flags
+ * @returns {PrinterStatus}
+ */
+function withSummary(flags) {
+  const faults = ["paperOut", "coverOpen", "cutterError", "unrecoverableError"].filter(
+    (fault) => flags[fault]
+  );
+  if (!flags.online && faults.length === 0) faults.push("offline");
+
+  const warnings = flags.paperNearEnd && !flags.paperOut ? ["paperNearEnd"] : [];
+  return { ...flags, faults, warnings };
+}
+
+/**
+ * Whether the printer is offline for no reason it reports: busy printing,
+ * feeding paper or working through a full buffer. A busy printer comes
+ * back by itself, unlike one with a fault.
+ * @param {PrinterStatus} status
+ * @returns {boolean}
+ */
+export const isBusy = (status) => status.faults.length === 1 && status.faults[0] === "offline";
+
+/**
+ * Parses the replies to `DLE EOT 1` through `DLE EOT 4`.
+ * @param {Object} bytes
+ * @param {number} bytes.printer - Reply to `DLE EOT 1`.
+ * @param {number} bytes.offlineCause - Reply to `DLE EOT 2`.
+ * @param {number} bytes.errorCause - Reply to `DLE EOT 3`.
+ * @param {number} bytes.paperSensor - Reply to `DLE EOT 4`.
+ * @returns {PrinterStatus}
+ */
+export function parseStatus({ printer, offlineCause, errorCause, paperSensor }) {
+  return withSummary({
+    online: !(printer & 0x08),
+    coverOpen: Boolean(offlineCause & 0x04),
+    paperOut: Boolean(offlineCause & 0x20) || (paperSensor & 0x60) === 0x60,
+    paperNearEnd: (paperSensor & 0x0c) === 0x0c,
+    cutterError: Boolean(errorCause & 0x08),
+    unrecoverableError: Boolean(errorCause & 0x20),
+    source: "DLE EOT",
+  });
+}
+
+/**
+ * Parses a 4-byte automatic status back message.
+ * @param {ArrayLike<number>} message
+ * @returns {PrinterStatus}
+ */
+export function parseAutoStatus(message) {
+  return withSummary({
+    online: !(message[0] & 0x08),
+    coverOpen: Boolean(message[0] & 0x20),
+    cutterError: Boolean(message[1] & 0x08),
+    unrecoverableError: Boolean(message[1] & 0x20),
+    paperNearEnd: Boolean(message[2] & 0x03),
+    paperOut: Boolean(message[2] & 0x0c),
+    source: "ASB",
+  });
+}
+
+/**
+ * Whether a byte starts an ASB message (as opposed to a `DLE EOT` reply).
+ * ASB first bytes have bit 4 set and bits 0, 1 and 7 clear; `DLE EOT`
+ * replies have bit 1 set as well.
+ * @param {number} byte
+ * @returns {boolean}
+ */
+export const isAutoStatusByte = (byte) => (byte & 0x93) === 0x10;
+
+/**
+ * Whether a byte is a `DLE EOT` reply.
+ * @param {number} byte
+ * @returns {boolean}
+ */
+export const isStatusReplyByte = (byte) => (byte & 0x93) === 0x12;
+
+/**
+ * The status of a printer with nothing wrong, e.g. in fake mode.
+ * @returns {PrinterStatus}
+ */
+export function healthyStatus() {
+  return { ...parseStatus({ printer: 0x12, offlineCause: 0x12, errorCause: 0x12, paperSensor: 0x12 }), source: "fake" };
+}
+
+/**
+ * Describes a status in a few words, e.g. "paper out, cover open" or "ok".
+ * @param {PrinterStatus} status
+ * @returns {string}
+ */
+export function describeStatus(status) {
+  const conditions = [...status.faults, ...status.warnings];
+  return conditions.length > 0
+    ? conditions.map((condition) => STATUS_DESCRIPTIONS[condition]).join(", ")
+    : "ok";
+}
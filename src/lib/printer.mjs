@@ -1,9 +1,66 @@
-import format from "date-fns/format";
-import { Printer } from "@node-escpos/core";
-import USB from "@node-escpos/usb-adapter";
+import { basename } from "path";
+import { Image, Printer } from "@node-escpos/core";
+import { createTransport, getTransportConfig } from "./transports/index.mjs";
+import { getColumns, layoutText } from "./layout.mjs";
+import { previewLines, renderMarkdown, renderSettledMarkdown } from "./markdown.mjs";
+import { describeReplacements, prepareText } from "./codepage.mjs";
+import ReceiptPreview from "./preview.mjs";
+import { loadImage, splitImage } from "./image.mjs";
+import { fitToFont, loadFont, renderMarkdownImage } from "./font.mjs";
+import { barcodeCommands, qrCodeCommands, qrCodeImage } from "./barcode.mjs";
+import { cutCommands, dotsToMm, feedCommands, mmToDots } from "./paper.mjs";
+import { barcodeDots, markdownDots, qrCodeDots, textDots } from "./paper-roll.mjs";
+import { getProfile, printColor, profileForPaperWidth } from "./profiles.mjs";
+import {
+  AUTO_STATUS_MASK,
+  PrinterFaultError,
+  STATUS_DESCRIPTIONS,
+  STATUS_REQUESTS,
+  healthyStatus,
+  isAutoStatusByte,
+  isBusy,
+  isStatusReplyByte,
+  parseAutoStatus,
+  parseStatus,
+} from "./printer-status.mjs";
+
+/** Milliseconds between status requests while the printer is busy. */
+const BUSY_POLL_INTERVAL = 50;
+
+/** Printed under a streamed letter whose text stopped arriving. */
+export const CONTINUED_MARKER = "(continued)";
+
+/**
+ * A markdown letter being printed while it is written (see `PrinterAdapter#streamMarkdown()`).
+ * @typedef {Object} MarkdownStream
+ * @property {(text: string) => Promise<void>} write - Adds text and prints the lines it settles.
+ * @property {() => Promise<void>} end - Prints the rest of the letter.
+ * @property {() => Promise<void>} abort - Prints the complete words so far and `CONTINUED_MARKER`.
+ * @property {string} text - Everything written so far.
+ * @property {number} printedLines - Lines of the letter that have printed.
+ */
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+const waitFor = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Splits an array into runs of at most `size` items.
+ * @template T
+ * @param {T[]} items
+ * @param {number} size
+ * @returns {T[][]}
+ */
+function chunkArray(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks.length > 0 ? chunks : [[]];
+}
 
 export default class PrinterAdapter {
-  /** @type {USB} */
+  /** @type {import("@node-escpos/adapter").Adapter} */
   _device;
 
   /** @type {Printer} */
@@ -12,26 +69,96 @@ export default class PrinterAdapter {
   /** @type {boolean} */
   _readyState;
 
+  /** @type {ReceiptPreview | null} */
+  _preview = null;
+
+  /** @type {import("./printer-status.mjs").PrinterStatus | null} */
+  _status = null;
+
   /**
    * Creates an instance of the printer class.
    *
    * @param {Object} [options={}] - Configuration options.
    * @param {boolean} [options.fakeMode=false] - If true, enables fake mode for testing without a real printer.
+   * @param {Object} [options.transport] - How to reach the printer (see `createTransport()`). Defaults to the `PRINTER_*` environment variables.
+   * @param {import("./profiles.mjs").PrinterProfile} [options.profile] - Printer hardware profile. Defaults to `PRINTER_PROFILE` (see `getProfile()`).
+   * @param {number} [options.paperWidth] - Shorthand for the generic profile for this paper width (58 or 80), when no profile is given.
+   * @param {string[]} [options.codepages] - Codepages the printer supports, in order of preference. Defaults to `PRINTER_CODEPAGES` (comma-separated), then the profile's codepages.
+   * @param {number} [options.cutFeedMm=5] - Paper to feed past the last line before cutting, in mm. Defaults to `PRINTER_CUT_FEED_MM`.
+   * @param {string | null} [options.previewDir="./preview"] - Where fake mode saves an HTML preview of each job; `null` disables previews.
+   * @param {boolean} [options.statusChecks=true] - Check the printer's real-time status before and during each job, and refuse to print on a fault. Defaults to `PRINTER_STATUS_CHECKS`; always off for the capture transport.
+   * @param {number} [options.statusTimeout=1000] - Milliseconds to wait for a status reply. Defaults to `PRINTER_STATUS_TIMEOUT`.
+   * @param {number} [options.chunkLines=24] - Lines of text sent to the printer at a time. Defaults to `PRINTER_CHUNK_LINES`.
+   * @param {number} [options.chunkPause=200] - Milliseconds to pause between the chunks of one text, letter or image, letting the print head cool. Defaults to `PRINTER_CHUNK_PAUSE`.
+   * @param {number} [options.busyTimeout=10000] - Milliseconds to wait for a printer that reports itself busy between chunks before giving up. Defaults to `PRINTER_BUSY_TIMEOUT`.
+   * @param {import("./paper-roll.mjs").default | null} [options.paperRoll=null] - Paper roll to add each job's printed length to when the printer closes.
+   * @param {string | null} [options.font] - TTF or OTF file to print markdown letters in, as images; `null` uses the printer's own font. Defaults to `PRINTER_FONT`.
+   * @param {number} [options.fontSize=32] - Body text size in dots for `font`. Defaults to `PRINTER_FONT_SIZE`.
    */
-  constructor({ fakeMode = false } = {}) {
+  constructor({
+    fakeMode = false,
+    transport = getTransportConfig(),
+    profile,
+    paperWidth,
+    codepages = process.env.PRINTER_CODEPAGES?.split(",").map((cp) => cp.trim()),
+    cutFeedMm = parseFloat(process.env.PRINTER_CUT_FEED_MM ?? 5),
+    previewDir = "./preview",
+    statusChecks = process.env.PRINTER_STATUS_CHECKS !== "false",
+    statusTimeout = parseInt(process.env.PRINTER_STATUS_TIMEOUT) || 1000,
+    chunkLines = parseInt(process.env.PRINTER_CHUNK_LINES) || 24,
+    chunkPause = parseInt(process.env.PRINTER_CHUNK_PAUSE ?? 200),
+    busyTimeout = parseInt(process.env.PRINTER_BUSY_TIMEOUT) || 10000,
+    paperRoll = null,
+    font = process.env.PRINTER_FONT || null,
+    fontSize = parseInt(process.env.PRINTER_FONT_SIZE) || 32,
+  } = {}) {
     this._readyState = false;
     this._isExiting = false;
     this._isFakeMode = fakeMode;
+    this._profile = profile ?? (paperWidth ? profileForPaperWidth(paperWidth) : getProfile());
+    this._codepages = codepages ?? this._profile.codepages;
+    this._cutFeedMm = cutFeedMm;
+    /** @type {Map<string, import("./codepage.mjs").Replacement>} */
+    this._replacements = new Map();
+    this._previewDir = previewDir;
+    this._previewPath = null;
+    // A capture file never answers, and status requests would end up in the capture
+    this._statusChecks = statusChecks && !fakeMode && transport.type !== "capture";
+    this._statusTimeout = statusTimeout;
+    // Whether `start()` turned on automatic status back, and the first bytes of a split ASB message
+    this._autoStatus = false;
+    this._pendingStatus = Buffer.alloc(0);
+    this._chunkLines = Math.max(1, chunkLines);
+    this._chunkPause = chunkPause;
+    this._busyTimeout = busyTimeout;
+    // Every flush sends one chunk; chunks before `_resumeFrom` printed in an earlier attempt
+    this._chunk = 0;
+    this._resumeFrom = 0;
+    this._confirmedChunks = 0;
+    this._codeTable = null;
+    this._paperRoll = paperRoll;
+    this._printedDots = 0;
+    this._font = font;
+    this._fontSize = fontSize;
+
+    if (fakeMode && previewDir) {
+      this._preview = new ReceiptPreview({ profile: this._profile });
+    }
 
     if (!fakeMode) {
-      this._device = new USB();
-      this._printer = new Printer(this._device, { encoding: "utf8" });
+      this._device = createTransport(transport);
+      this._printer = new Printer(this._device, { encoding: this._codepages[0] });
     }
 
-    process.on("exit", () => this._handleExit(false));
-    process.on("SIGINT", () => this._handleExit());
-    process.on("SIGUSR1", () => this._handleExit());
-    process.on("SIGUSR2", () => this._handleExit());
+    this._exitHandlers = {
+      exit: () => this._handleExit(false),
+      SIGINT: () => this._handleExit(),
+      SIGUSR1: () => this._handleExit(),
+      SIGUSR2: () => this._handleExit(),
+    };
+    for (const [event, handler] of Object.entries(this._exitHandlers)) {
+      process.on(event, handler);
+    }
   }
 
   /**
@@ -43,7 +170,23 @@ export default class PrinterAdapter {
       this._readyState = true;
       console.log("Printer in fake mode. No actual printing will occur.");
     } else {
-      await this._openDevice();
+      try {
+        await this._openDevice();
+      } catch (error) {
+        this._removeExitHandlers();
+        throw error;
+      }
+
+      if (this._statusChecks) {
+        try {
+          await this._checkStatus({ enableAutoStatus: true });
+        } catch (error) {
+          this._removeExitHandlers();
+          await this._disableAutoStatus();
+          await this._printer.close().catch(() => {});
+          throw error;
+        }
+      }
       this._readyState = true;
     }
   }
@@ -54,10 +197,18 @@ export default class PrinterAdapter {
    */
   async close() {
     this._readyState = false;
+    this._removeExitHandlers();
     if (this._isFakeMode) {
       console.log("Closing printer in fake mode.");
+      if (this._preview && !this._preview.isEmpty) {
+        if (this._profile.cutter && !this._preview.endsWithCut) this._preview.addCut();
+        this._previewPath = this._preview.save(this._previewDir);
+        console.log(`Receipt preview saved to: ${this._previewPath}`);
+      }
       return;
     }
+    if (this._paperRoll && this._printedDots > 0) this._paperRoll.record(this.printedMm);
+    await this._disableAutoStatus();
     await this._printer.close();
   }
 
@@ -68,55 +219,152 @@ export default class PrinterAdapter {
    * @returns {Promise<void>}
    */
   async beep(n, t) {
+    if (!this._profile.beeper) {
+      console.log(`Beep skipped: ${this._profile.name} has no beeper`);
+      return;
+    }
     if (this._isFakeMode) {
       console.log(`Beep: count=${n}, duration=${t}ms (fake mode)`);
       return;
     }
-    await this._printer.beep(n, t).flush();
+    this._printer.beep(n, t);
+    await this._flush();
   }
 
   /**
-   * Prints a formatted header with a logo and sender.
-   * @param {string} sender
+   * Prints arbitrary text.
+   * @param {string} text
+   * @param {"LT" | "CT" | "RT"} [align="CT"]
+   * @param {number} [size=0]
+   * @param {"black" | "red"} [color="black"] - Red prints black on printers without two-color support.
    * @returns {Promise<void>}
    */
-  async printHeader(sender) {
-    await this.printText(
-      format(new Date(), "MMMM d, yyyy | h:mm aa") + "\nFrom " + sender + "\n\n"
-    );
+  async printText(text, align = "CT", size = 0, color = "black") {
+    await this._printPreparedText(this._prepareText(text), align, size, color);
   }
 
   /**
-   * Prints a footer with version and end line.
+   * Prints text word-wrapped to the paper width, so the printer's own
+   * wrapping never splits words mid-line.
+   * @param {string} text
+   * @param {"LT" | "CT" | "RT"} [align="LT"]
+   * @param {number} [size=0]
+   * @param {"black" | "red"} [color="black"]
    * @returns {Promise<void>}
    */
-  async printFooter() {
-    await this.printText(`Printer`);
-    await this.printLine();
-    await this.printEndLine();
+  async printWrappedText(text, align = "LT", size = 0, color = "black") {
+    // Transliterate before layout so replacements like "—" -> "--" are wrapped too
+    await this._printPreparedText(
+      layoutText(this._prepareText(text), {
+        profile: this._profile,
+        font: "A",
+        size,
+      }),
+      align,
+      size,
+      color
+    );
   }
 
   /**
-   * Prints arbitrary text.
-   * @param {string} text
-   * @param {"LT" | "CT" | "RT"} [align="CT"]
-   * @param {number} [size=0]
+   * Prints a markdown letter body: bold and emphasis become bold and
+   * underlined text, headings print larger, and `---` becomes a rule.
+   * Everything is word-wrapped to the paper width. With a `font` file the
+   * letter prints as an image in that font instead, or in the printer's
+   * own font when the font cannot render it.
+   * @param {string} markdown
+   * @param {Object} [options={}]
+   * @param {number} [options.fromLine=0] - Lines to leave out, which printed while the letter
+   *   streamed (see `streamMarkdown()`). The rest prints in the printer's own font, as they did.
    * @returns {Promise<void>}
    */
-  async printText(text, align = "CT", size = 0) {
-    if (this._isFakeMode) {
-      console.log(
-        `Print text (fake mode): [align=${align}, size=${size}]\n${text}`
-      );
-      return;
+  async printMarkdown(markdown, { fromLine = 0 } = {}) {
+    if (this._font && fromLine === 0) {
+      let image = null;
+      let fitted;
+      try {
+        fitted = fitToFont(markdown, loadFont(this._font));
+        image = renderMarkdownImage(fitted.text, {
+          font: this._font,
+          fontSize: this._fontSize,
+          profile: this._profile,
+        });
+      } catch (error) {
+        console.warn(
+          `⚠️  Could not render the letter in ${this._font}: ${error.message}; printing it in the printer's font`
+        );
+      }
+      if (image) {
+        this._recordReplacements(fitted.replacements, basename(this._font));
+        console.log(`Print markdown in ${basename(this._font)} at ${this._fontSize} dots`);
+        await this.printImage(image, "LT");
+        return;
+      }
     }
-    await this._printer
-      .font("A")
-      .size(size, size)
-      .style("NORMAL")
-      .align(align)
-      .text(text)
-      .flush();
+
+    // Transliterate before layout so replacements like "—" -> "--" are wrapped too
+    await this._printLines(
+      renderMarkdown(this._prepareText(markdown), {
+        profile: this._profile,
+      }).slice(fromLine)
+    );
+  }
+
+  /**
+   * Starts printing a markdown letter that is still being written. Text
+   * goes in with `write()` as it arrives and each line prints as soon as
+   * it is settled (see `renderSettledMarkdown()`), so the letter types
+   * itself out. `end()` prints the rest; `abort()` is for a letter whose
+   * text stopped coming, and prints the complete words received and
+   * `CONTINUED_MARKER`. Streamed letters always print in the printer's own
+   * font, in the codepage picked for their first words.
+   * @returns {MarkdownStream}
+   */
+  streamMarkdown() {
+    const options = { profile: this._profile };
+    let received = "";
+    let prepared = "";
+    let preparedUpTo = 0;
+    let printedLines = 0;
+    let codepages = null;
+
+    // Transliterates received text up to `end`, a piece at a time
+    const prepare = (end) => {
+      if (end <= preparedUpTo) return;
+      const piece = received.slice(preparedUpTo, end);
+      codepages ??= [prepareText(piece, this._codepages).codepage];
+      prepared += this._prepareText(piece, codepages);
+      preparedUpTo = end;
+    };
+    // Lines that printed before unclosed emphasis held the rest back stay printed
+    const printNewLines = async (lines) => {
+      const fresh = lines.slice(printedLines);
+      if (fresh.length > 0) await this._printLines(fresh);
+      printedLines = Math.max(printedLines, lines.length);
+    };
+
+    return {
+      get text() {
+        return received;
+      },
+      get printedLines() {
+        return printedLines;
+      },
+      write: async (text) => {
+        received += text;
+        // The last word may still be growing
+        prepare(received.search(/\S*$/));
+        await printNewLines(renderSettledMarkdown(prepared, options));
+      },
+      end: async () => {
+        prepare(received.length);
+        await printNewLines(renderMarkdown(prepared, options));
+      },
+      abort: async () => {
+        await printNewLines(renderMarkdown(prepared, options));
+        await this.printText(`\n${CONTINUED_MARKER}`, "CT");
+      },
+    };
   }
 
   /**
@@ -127,9 +375,25 @@ export default class PrinterAdapter {
   async printLine(n = 1) {
     if (this._isFakeMode) {
       console.log(`Print line breaks (fake mode): ${n}`);
+      this._preview?.addText("\n".repeat(n));
+      this._printedDots += textDots("\n".repeat(n), this._profile);
       return;
     }
-    await this._printer.size(0, 0).text("\n".repeat(n)).flush();
+    this._printer.size(0, 0).text("\n".repeat(n));
+    await this._flush(textDots("\n".repeat(n), this._profile));
+  }
+
+  /**
+   * Prints a pattern repeated across the full paper width.
+   * @param {string} [pattern="~ "]
+   * @param {"LT" | "CT" | "RT"} [align="CT"]
+   * @param {"black" | "red"} [color="black"]
+   * @returns {Promise<void>}
+   */
+  async printDivider(pattern = "~ ", align = "CT", color = "black") {
+    const columns = getColumns({ profile: this._profile });
+    const divider = pattern.repeat(Math.ceil(columns / pattern.length)).slice(0, columns);
+    await this.printText(divider.trimEnd(), align, 0, color);
   }
 
   /**
@@ -138,7 +402,7 @@ export default class PrinterAdapter {
    */
   async printEndLine() {
     await this.printLine();
-    await this.printText("~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~");
+    await this.printDivider();
     await this.printLine();
   }
 
@@ -157,36 +421,249 @@ export default class PrinterAdapter {
     await this.printText("Left", "LT");
     await this.printText("Center", "CT");
     await this.printText("Right", "RT");
+    if (this._profile.twoColor) await this.printText("Red", "CT", 0, "red");
 
     await this.printEndLine();
     await this.printLine();
   }
 
   /**
-   * Prints an image.
-   * @param {Image} image
+   * Prints an image. A PNG or JPEG path or buffer goes through the image
+   * pipeline first (see `loadImage()`), which fits it to the profile's
+   * print width and dithers it.
+   * @param {Image | string | Buffer} image
+   * @param {"LT" | "CT" | "RT"} [align="CT"]
+   * @param {import("./image.mjs").ImageOptions} [options={}] - Pipeline options for paths and buffers.
    * @returns {Promise<void>}
    */
-  async printImage(image) {
+  async printImage(image, align = "CT", options = {}) {
+    if (!(image instanceof Image)) {
+      image = loadImage(image, { ...options, profile: this._profile });
+    }
+    const { width } = image.size;
+    if (width > this._profile.dotsPerLine) {
+      console.warn(
+        `⚠️  Image is ${width} dots wide but ${this._profile.name} prints ${this._profile.dotsPerLine}; it will be cropped`
+      );
+    }
     if (this._isFakeMode) {
       console.log("Print image (fake mode)");
+      this._preview?.addImage(image, align);
+      this._printedDots += image.size.height;
       return;
     }
     console.log("Print image");
-    await this._printer.align("CT").image(image, "D24");
-    await this._printer.flush();
+    if (this._profile.rasterMode === "raster") {
+      await this._printChunks(
+        splitImage(image),
+        (band) => this._printer.align(align).raster(band),
+        (band) => band.size.height
+      );
+      return;
+    }
+    this._printer.align(align);
+    await this._printer.image(image, "D24");
+    await this._flush(image.size.height);
+  }
+
+  /**
+   * Prints a QR code, with native `GS ( k` commands when the profile
+   * supports them and as an image otherwise. Fake mode previews the image.
+   * @param {string} data
+   * @param {import("./barcode.mjs").QrCodeOptions & {align?: "LT" | "CT" | "RT"}} [options={}]
+   * @returns {Promise<void>}
+   */
+  async printQrCode(data, { size = 6, errorCorrection = "M", align = "CT" } = {}) {
+    if (this._isFakeMode || !this._profile.qrCode) {
+      await this.printImage(await qrCodeImage(data, { size, errorCorrection }), align);
+      return;
+    }
+    console.log("Print QR code");
+    this._printer.align(align);
+    this._printer.buffer.write(qrCodeCommands(data, { size, errorCorrection }));
+    await this._flush(qrCodeDots(data, { size, errorCorrection }));
+  }
+
+  /**
+   * Prints a barcode with `GS k`.
+   * @param {string} data
+   * @param {import("./barcode.mjs").BarcodeOptions & {align?: "LT" | "CT" | "RT"}} [options={}]
+   * @returns {Promise<void>}
+   */
+  async printBarcode(data, { type = "CODE128", height = 80, width = 2, textPosition = "below", align = "CT" } = {}) {
+    const commands = barcodeCommands(data, { type, height, width, textPosition });
+    if (this._isFakeMode) {
+      console.log(`Print barcode (fake mode): ${type} ${data}`);
+      this._preview?.addText(`[${type}: ${data}]`, { align });
+      this._printedDots += barcodeDots(this._profile, { height, textPosition });
+      return;
+    }
+    console.log("Print barcode");
+    this._printer.align(align);
+    this._printer.buffer.write(commands);
+    await this._flush(barcodeDots(this._profile, { height, textPosition }));
+  }
+
+  /**
+   * Feeds the paper by a measured distance.
+   * @param {number} mm
+   * @returns {Promise<void>}
+   */
+  async feedPaper(mm) {
+    const dots = mmToDots(mm, this._profile.dpi);
+    if (this._isFakeMode) {
+      console.log(`Feed paper (fake mode): ${mm}mm`);
+      this._preview?.addFeed(dots);
+      this._printedDots += dots;
+      return;
+    }
+    this._printer.buffer.write(feedCommands(dots));
+    await this._flush(dots);
+  }
+
+  /**
+   * Feeds the last printed line past the cutter, then `feedMm` further,
+   * and cuts. Printers without a cutter feed the last line past the tear
+   * bar instead, so the letter can be torn off.
+   * @param {boolean} [partial=false] - Leave a small uncut tab.
+   * @param {number} [feedMm] - Paper to feed before cutting, in mm. Defaults to the `cutFeedMm` option.
+   * @returns {Promise<void>}
+   */
+  async cut(partial = false, feedMm = this._cutFeedMm) {
+    if (!this._profile.cutter) {
+      const tearOffMm = this._profile.tearOffMm + feedMm;
+      console.log(`${this._profile.name} has no cutter; feeding ${tearOffMm}mm to tear off`);
+      await this.feedPaper(tearOffMm);
+      return;
+    }
+    const dots = mmToDots(feedMm, this._profile.dpi);
+    if (this._isFakeMode) {
+      console.log(`Cut paper (fake mode): ${partial ? "partial" : "full"}, ${feedMm}mm feed`);
+      this._preview?.addFeed(dots);
+      this._preview?.addCut(partial);
+      this._printedDots += dots;
+      return;
+    }
+    this._printer.buffer.write(cutCommands(partial, dots));
+    await this._flush(dots);
+  }
+
+  /**
+   * Characters that had to be transliterated because the printer's
+   * codepages lack them, with how often each occurred.
+   * @returns {import("./codepage.mjs").Replacement[]}
+   */
+  get replacedCharacters() {
+    return [...this._replacements.values()];
   }
 
   /**
-   * Whether the printer is ready.
+   * Skips the first chunks of the next job, which an earlier attempt has
+   * already printed, so a job that stopped halfway carries on where the
+   * paper ran out instead of starting over. Chunks are only skipped when
+   * the job, profile and `chunkLines` are the same as in that attempt.
+   * @param {number} chunks - `confirmedChunks` of the earlier attempt.
+   * @returns {PrinterAdapter}
+   */
+  resumeFrom(chunks) {
+    this._resumeFrom = chunks;
+    this._confirmedChunks = Math.max(this._confirmedChunks, chunks);
+    return this;
+  }
+
+  /**
+   * How many chunks of the job are known to have printed: the printer
+   * reported no fault after them, or, without status checks, they were
+   * sent. Includes chunks skipped by `resumeFrom()`.
+   * @returns {number}
+   */
+  get confirmedChunks() {
+    return this._confirmedChunks;
+  }
+
+  /**
+   * Estimated paper used by this job so far, counting only chunks that
+   * were sent (see `estimateJobLength()` for how it is estimated).
+   * @returns {number} Millimetres.
+   */
+  get printedMm() {
+    return dotsToMm(this._printedDots, this._profile.dpi);
+  }
+
+  /**
+   * Lines of text sent per chunk.
+   * @returns {number}
+   */
+  get chunkLines() {
+    return this._chunkLines;
+  }
+
+  /**
+   * Font file markdown letters print in, or `null` for the printer's own font.
+   * @returns {string | null}
+   */
+  get font() {
+    return this._font;
+  }
+
+  /**
+   * The printer's hardware profile.
+   * @returns {import("./profiles.mjs").PrinterProfile}
+   */
+  get profile() {
+    return this._profile;
+  }
+
+  /**
+   * Path of the HTML preview saved by the last fake-mode `close()`, if any.
+   * @returns {string | null}
+   */
+  get previewPath() {
+    return this._previewPath;
+  }
+
+  /**
+   * Whether the printer has been started and its last reported status has
+   * no faults.
    * @returns {boolean}
    */
   get isReady() {
-    return this._readyState;
+    return this._readyState && !(this._status?.faults.length > 0);
+  }
+
+  /**
+   * The last status the printer reported, or `null` if it has not been
+   * asked or does not answer status requests.
+   * @returns {import("./printer-status.mjs").PrinterStatus | null}
+   */
+  get status() {
+    return this._status;
+  }
+
+  /**
+   * Asks the printer for its real-time status with `DLE EOT 1`-`4`.
+   * Needs `start()` first. Fake mode always reports a healthy printer.
+   * @returns {Promise<import("./printer-status.mjs").PrinterStatus | null>} `null` if the printer does not answer.
+   */
+  async getStatus() {
+    if (this._isFakeMode) {
+      this._status = healthyStatus();
+      return this._status;
+    }
+
+    const replies = {};
+    for (const [name, n] of Object.entries(STATUS_REQUESTS)) {
+      const reply = await this._requestStatus(n);
+      if (reply === null) return null;
+      replies[name] = reply;
+    }
+
+    this._status = parseStatus(replies);
+    return this._status;
   }
 
   /**
-   * Opens the USB device.
+   * Opens the transport device.
    * @returns {Promise<void>}
    */
   async _openDevice() {
@@ -203,6 +680,312 @@ export default class PrinterAdapter {
     });
   }
 
+  /**
+   * Sends the buffered commands as one chunk, after making sure the printer
+   * has not reported a fault since the job started. On a fault the buffered
+   * commands are discarded, so `close()` does not send them either. Chunks
+   * an earlier attempt printed (see `resumeFrom()`) are discarded unsent.
+   * @param {number} [dots=0] - Estimated paper the chunk takes, added to `printedMm` once sent.
+   * @returns {Promise<void>}
+   */
+  async _flush(dots = 0) {
+    if (this._chunk < this._resumeFrom) {
+      this._printer.buffer.flush();
+      this._chunk++;
+      return;
+    }
+
+    if (this._statusChecks) {
+      try {
+        await this._checkStatus({ waitWhileBusy: this._chunk > 0 });
+      } catch (error) {
+        this._printer.buffer.flush();
+        throw error;
+      }
+      // No fault since the last chunk was sent, so it printed
+      this._confirmedChunks = Math.max(this._confirmedChunks, this._chunk);
+    }
+
+    if (this._chunk > 0 && this._chunk === this._resumeFrom && this._codeTable !== null) {
+      // The skipped chunks selected the character table; select it again
+      const pending = this._printer.buffer.flush();
+      this._printer.setCharacterCodeTable(this._codeTable);
+      this._printer.buffer.write(pending);
+    }
+
+    await this._printer.flush();
+    this._printedDots += dots;
+    this._chunk++;
+    if (!this._statusChecks) this._confirmedChunks = Math.max(this._confirmedChunks, this._chunk);
+  }
+
+  /**
+   * Writes and flushes a run of chunks, pausing between them.
+   * @template T
+   * @param {T[]} chunks
+   * @param {(chunk: T, index: number) => void} writeChunk - Buffers the commands for one chunk.
+   * @param {(chunk: T) => number} [chunkDots] - Estimated paper one chunk takes, in dots.
+   * @returns {Promise<void>}
+   */
+  async _printChunks(chunks, writeChunk, chunkDots = () => 0) {
+    for (const [index, chunk] of chunks.entries()) {
+      // Pause only between chunks that are actually sent
+      if (index > 0 && this._chunk > this._resumeFrom && this._chunkPause > 0) {
+        await waitFor(this._chunkPause);
+      }
+      writeChunk(chunk, index);
+      await this._flush(chunkDots(chunk));
+    }
+  }
+
+  /**
+   * Refreshes the printer status and throws if it reports a fault. A
+   * printer that never answers is assumed to lack status support, and
+   * checks are turned off for the rest of the run.
+   * @param {Object} [options={}]
+   * @param {boolean} [options.enableAutoStatus=false] - Turn on automatic status back first and use its initial message.
+   * @param {boolean} [options.waitWhileBusy=false] - Keep asking while the printer is busy (see `isBusy()`), up to `busyTimeout`.
+   * @returns {Promise<void>}
+   */
+  async _checkStatus({ enableAutoStatus = false, waitWhileBusy = false } = {}) {
+    let status = null;
+    if (enableAutoStatus) {
+      await this._writeDevice(Buffer.from([0x1d, 0x61, AUTO_STATUS_MASK]));
+      this._autoStatus = true;
+      status = await this._readStatus();
+    }
+    status = status ?? (await this.getStatus());
+
+    const deadline = Date.now() + this._busyTimeout;
+    while (waitWhileBusy && status && isBusy(status) && Date.now() < deadline) {
+      await waitFor(BUSY_POLL_INTERVAL);
+      status = await this.getStatus();
+    }
+
+    if (!status) {
+      console.log("Printer did not answer a status request; status checks are off");
+      this._statusChecks = false;
+      return;
+    }
+
+    this._status = status;
+    for (const warning of status.warnings) {
+      console.warn(`⚠️  Printer status: ${STATUS_DESCRIPTIONS[warning]}`);
+    }
+    if (status.faults.length > 0) {
+      throw new PrinterFaultError(status);
+    }
+  }
+
+  /**
+   * Turns automatic status back off again if `start()` turned it on, so the
+   * printer stops sending status messages to whoever connects next.
+   * @returns {Promise<void>}
+   */
+  async _disableAutoStatus() {
+    if (!this._autoStatus) return;
+    this._autoStatus = false;
+    // The connection may already be gone, and closing must still go ahead
+    await this._writeDevice(Buffer.from([0x1d, 0x61, 0x00])).catch(() => {});
+  }
+
+  /**
+   * Sends one `DLE EOT n` request and waits for its reply.
+   * @param {number} n
+   * @returns {Promise<number | null>} The status byte, or `null` on timeout.
+   */
+  async _requestStatus(n) {
+    await this._writeDevice(Buffer.from([0x10, 0x04, n]));
+    return this._readStatus({ reply: true });
+  }
+
+  /**
+   * Reads from the printer until a status arrives. ASB messages can show up
+   * at any time; they update `status` along the way.
+   * @param {Object} [options={}]
+   * @param {boolean} [options.reply=false] - Wait for a `DLE EOT` reply byte rather than an ASB message.
+   * @returns {Promise<any>} The reply byte or ASB status, or `null` on timeout.
+   */
+  async _readStatus({ reply = false } = {}) {
+    const deadline = Date.now() + this._statusTimeout;
+
+    while (Date.now() < deadline) {
+      const received = await this._readDevice(deadline - Date.now());
+      if (!received) return null;
+
+      // An ASB message can arrive split across reads; its first bytes wait for the rest
+      const data = Buffer.concat([this._pendingStatus, received]);
+      this._pendingStatus = Buffer.alloc(0);
+      for (let i = 0; i < data.length; i++) {
+        if (isAutoStatusByte(data[i])) {
+          if (i + 3 >= data.length) {
+            this._pendingStatus = data.subarray(i);
+            break;
+          }
+          this._status = parseAutoStatus(data.subarray(i, i + 4));
+          if (!reply) {
+            this._pendingStatus = data.subarray(i + 4);
+            return this._status;
+          }
+          i += 3;
+        } else if (reply && isStatusReplyByte(data[i])) {
+          this._pendingStatus = data.subarray(i + 1);
+          return data[i];
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Writes raw bytes straight to the device, bypassing the command buffer.
+   * @param {Buffer} data
+   * @returns {Promise<void>}
+   */
+  _writeDevice(data) {
+    return new Promise((resolve, reject) => {
+      this._device.write(data, (error) => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * Reads the next chunk the printer sends back.
+   * @param {number} timeout - Milliseconds to wait.
+   * @returns {Promise<Buffer | null>} `null` if nothing arrived in time.
+   */
+  _readDevice(timeout) {
+    return new Promise((resolve) => {
+      // Transports that can stop waiting return a function for it; USB cannot
+      let stopReading = null;
+      const timer = setTimeout(() => {
+        stopReading?.();
+        resolve(null);
+      }, timeout);
+      stopReading = this._device.read((data) => {
+        clearTimeout(timer);
+        resolve(data);
+      });
+    });
+  }
+
+  /**
+   * Prints text that `_prepareText()` has already transliterated.
+   * @param {string} text
+   * @param {"LT" | "CT" | "RT"} align
+   * @param {number} size
+   * @param {"black" | "red"} color
+   * @returns {Promise<void>}
+   */
+  async _printPreparedText(text, align, size, color) {
+    const red = printColor(color, this._profile) === "red";
+
+    if (this._isFakeMode) {
+      console.log(
+        `Print text (fake mode): [align=${align}, size=${size}${red ? ", color=red" : ""}]\n${text}`
+      );
+      this._preview?.addText(text, { align, size, color: red ? "red" : "black" });
+      this._printedDots += textDots(text, this._profile, size);
+      return;
+    }
+    // Each chunk sets its own modes, so a resumed job prints it the same way
+    const lines = text.split("\n");
+    await this._printChunks(
+      chunkArray(lines, this._chunkLines),
+      (chunk) => {
+        this._printer.font("A").size(size, size).style("NORMAL").align(align);
+        if (red) this._printer.color(1);
+        this._printer.text(chunk.join("\n"));
+        if (red) this._printer.color(0);
+      },
+      (chunk) => textDots(chunk.join("\n"), this._profile, size)
+    );
+  }
+
+  /**
+   * Prints rendered markdown lines in the printer's own font.
+   * @param {import("./markdown.mjs").RenderedLine[]} lines
+   * @returns {Promise<void>}
+   */
+  async _printLines(lines) {
+    if (this._isFakeMode) {
+      console.log(
+        "Print markdown (fake mode):\n" +
+          previewLines(lines, getColumns({ profile: this._profile }))
+      );
+      lines.forEach((line) => this._preview?.addLine(line));
+      this._printedDots += markdownDots(lines, this._profile);
+      return;
+    }
+
+    this._printer.font("A");
+    const chunks = chunkArray(lines, this._chunkLines);
+    await this._printChunks(
+      chunks,
+      (chunk, index) => {
+        for (const line of chunk) {
+          this._printer.size(line.width, line.height).align(line.align);
+          for (const segment of line.segments) {
+            this._printer
+              .style(segment.bold, false, segment.underline ? 1 : 0)
+              .pureText(segment.text);
+          }
+          this._printer.style("NORMAL").newLine();
+        }
+        if (index === chunks.length - 1) this._printer.size(1, 1).align("LT");
+      },
+      (chunk) => markdownDots(chunk, this._profile)
+    );
+  }
+
+  /**
+   * Logs and counts characters that were printed as something else.
+   * @param {import("./codepage.mjs").Replacement[]} replacements
+   * @param {string} missingFrom - What lacked the characters: a codepage or font.
+   */
+  _recordReplacements(replacements, missingFrom) {
+    if (replacements.length === 0) return;
+    console.log(`Replaced characters missing from ${missingFrom}: ${describeReplacements(replacements)}`);
+    for (const replacement of replacements) {
+      const entry = this._replacements.get(replacement.char);
+      if (entry) entry.count += replacement.count;
+      else this._replacements.set(replacement.char, { ...replacement });
+    }
+  }
+
+  /**
+   * Picks the best supported codepage for the text, selects it on the
+   * printer and transliterates anything it cannot print.
+   * @param {string} text
+   * @param {string[]} [codepages] - Codepages to pick from; defaults to the printer's.
+   * @returns {string} The text as it will be printed.
+   */
+  _prepareText(text, codepages = this._codepages) {
+    const prepared = prepareText(text, codepages);
+    this._recordReplacements(prepared.replacements, prepared.codepage);
+
+    if (!this._isFakeMode) {
+      if (prepared.table !== null) {
+        this._printer.setCharacterCodeTable(prepared.table);
+        this._codeTable = prepared.table;
+      }
+      this._printer.encode(prepared.codepage);
+    }
+
+    return prepared.text;
+  }
+
+  /**
+   * Stops listening for process exit once the printer no longer needs
+   * closing, so short-lived printers (one per spooler retry) do not pile up
+   * listeners.
+   */
+  _removeExitHandlers() {
+    for (const [event, handler] of Object.entries(this._exitHandlers)) {
+      process.off(event, handler);
+    }
+  }
+
   /**
    * Handles app exit, optionally calls `process.exit`.
    * @param {boolean} [shouldProcessExit=true]
@@ -213,7 +996,10 @@ export default class PrinterAdapter {
     this._isExiting = true;
 
     console.log("\nClosing. Goodbye!");
-    await this._printer.close();
+    if (this._readyState && !this._isFakeMode) {
+      this._readyState = false;
+      await this._printer.close();
+    }
     if (shouldProcessExit) process.exit(0);
   }
 }
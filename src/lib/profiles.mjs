@@ -0,0 +1,248 @@
+import { existsSync, readFileSync } from "fs";
+
+/**
+ * Printer hardware profiles: everything that differs between printer
+ * models. The layout engine, previews, images, cuts and beeps all read the
+ * active profile, so switching printers is a matter of `PRINTER_PROFILE`.
+ *
+ * @typedef {Object} PrinterProfile
+ * @property {string} id - Profile name, as used in `PRINTER_PROFILE`.
+ * @property {string} name - Human-readable model name.
+ * @property {58 | 80} paperWidth - Paper width in mm.
+ * @property {number} dpi - Print resolution in dots per inch.
+ * @property {number} dotsPerLine - Printable dots across the paper.
+ * @property {{A: number, B: number}} columns - Characters per line in font A (12x24) and font B (9x17).
+ * @property {string[]} codepages - Codepages the printer supports, in order of preference (see `codepage.mjs`).
+ * @property {boolean} cutter - Has an autocutter.
+ * @property {number} tearOffMm - Paper between the print head and the tear bar, fed after a job on printers without a cutter.
+ * @property {boolean} beeper - Has a buzzer that `ESC B` sounds.
+ * @property {boolean} twoColor - Can print red and black on two-color paper.
+ * @property {boolean} qrCode - Prints QR codes natively with `GS ( k`; otherwise they are sent as images.
+ * @property {"raster" | "bitImage"} rasterMode - Image command the printer handles best: `GS v 0` raster or `ESC *` bit images.
+ */
+
+/** Codepages found on most Epson-compatible printers. */
+const EPSON_CODEPAGES = [
+  "cp437",
+  "cp850",
+  "cp858",
+  "cp852",
+  "cp860",
+  "cp863",
+  "cp865",
+  "cp857",
+  "cp737",
+  "cp866",
+  "cp1252",
+  "cp1250",
+  "cp1251",
+  "cp1253",
+  "cp1254",
+  "cp1257",
+];
+
+/** Colors text can be printed in. Red needs a two-color printer and paper. */
+export const COLORS = ["black", "red"];
+
+/** @type {Object<string, Omit<PrinterProfile, "id">>} */
+const BUILT_IN_PROFILES = {
+  "generic-58": {
+    name: "Generic 58mm printer",
+    paperWidth: 58,
+    dpi: 203,
+    dotsPerLine: 384,
+    columns: { A: 32, B: 42 },
+    codepages: ["cp437"],
+    cutter: false,
+    tearOffMm: 10,
+    beeper: false,
+    twoColor: false,
+    qrCode: false,
+    rasterMode: "bitImage",
+  },
+  "generic-80": {
+    name: "Generic 80mm printer",
+    paperWidth: 80,
+    dpi: 203,
+    dotsPerLine: 576,
+    columns: { A: 48, B: 64 },
+    codepages: ["cp437"],
+    cutter: true,
+    tearOffMm: 14,
+    beeper: false,
+    twoColor: false,
+    qrCode: false,
+    rasterMode: "bitImage",
+  },
+  "epson-tm-t20iii": {
+    name: "Epson TM-T20III",
+    paperWidth: 80,
+    dpi: 203,
+    dotsPerLine: 576,
+    columns: { A: 48, B: 64 },
+    codepages: EPSON_CODEPAGES,
+    cutter: true,
+    tearOffMm: 14,
+    beeper: false,
+    twoColor: false,
+    qrCode: true,
+    rasterMode: "raster",
+  },
+  "epson-tm-t88v": {
+    name: "Epson TM-T88V",
+    paperWidth: 80,
+    dpi: 180,
+    dotsPerLine: 512,
+    columns: { A: 42, B: 56 },
+    codepages: EPSON_CODEPAGES,
+    cutter: true,
+    tearOffMm: 14,
+    beeper: false,
+    twoColor: true,
+    qrCode: true,
+    rasterMode: "raster",
+  },
+  "epson-tm-m30": {
+    name: "Epson TM-m30",
+    paperWidth: 80,
+    dpi: 203,
+    dotsPerLine: 576,
+    columns: { A: 48, B: 64 },
+    codepages: EPSON_CODEPAGES,
+    cutter: true,
+    tearOffMm: 14,
+    beeper: true,
+    twoColor: false,
+    qrCode: true,
+    rasterMode: "raster",
+  },
+  "xprinter-xp-58": {
+    name: "Xprinter XP-58 series",
+    paperWidth: 58,
+    dpi: 203,
+    dotsPerLine: 384,
+    columns: { A: 32, B: 42 },
+    codepages: ["cp437", "cp850", "cp858", "cp860", "cp863", "cp865", "cp866", "cp1252"],
+    cutter: false,
+    tearOffMm: 10,
+    beeper: false,
+    twoColor: false,
+    qrCode: true,
+    rasterMode: "raster",
+  },
+  "xprinter-xp-80": {
+    name: "Xprinter XP-80 series",
+    paperWidth: 80,
+    dpi: 203,
+    dotsPerLine: 576,
+    columns: { A: 48, B: 64 },
+    codepages: ["cp437", "cp850", "cp858", "cp860", "cp863", "cp865", "cp866", "cp1252"],
+    cutter: true,
+    tearOffMm: 14,
+    beeper: true,
+    twoColor: false,
+    qrCode: true,
+    rasterMode: "raster",
+  },
+  "goojprt-pt-210": {
+    name: "Goojprt PT-210 portable",
+    paperWidth: 58,
+    dpi: 203,
+    dotsPerLine: 384,
+    columns: { A: 32, B: 42 },
+    codepages: ["cp437"],
+    cutter: false,
+    tearOffMm: 8,
+    beeper: false,
+    twoColor: false,
+    qrCode: false,
+    rasterMode: "bitImage",
+  },
+};
+
+/** Built-in profiles by ID. @type {Object<string, PrinterProfile>} */
+export const PROFILES = Object.fromEntries(
+  Object.entries(BUILT_IN_PROFILES).map(([id, profile]) => [id, { id, ...profile }])
+);
+
+/**
+ * Returns the generic profile for a paper width.
+ * @param {number} paperWidth - Paper width in mm (58 or 80).
+ * @returns {PrinterProfile}
+ */
+export function profileForPaperWidth(paperWidth) {
+  const profile = PROFILES[`generic-${paperWidth}`];
+  if (!profile) {
+    throw new Error(`Unsupported paper width: ${paperWidth}mm (expected 58 or 80)`);
+  }
+  return profile;
+}
+
+/**
+ * The color text really prints in on a printer: red falls back to black on
+ * printers without two-color support.
+ * @param {"black" | "red"} [color="black"]
+ * @param {PrinterProfile} profile
+ * @returns {"black" | "red"}
+ */
+export function printColor(color = "black", profile) {
+  if (!COLORS.includes(color)) {
+    throw new Error(`Unknown color: ${color} (expected one of ${COLORS.join(", ")})`);
+  }
+  return color === "red" && profile.twoColor ? "red" : "black";
+}
+
+/**
+ * Picks the profile from layout options: an explicit `profile`, or the
+ * generic one for `paperWidth`.
+ * @param {Object} [options={}]
+ * @param {PrinterProfile} [options.profile]
+ * @param {number} [options.paperWidth=58]
+ * @returns {PrinterProfile}
+ */
+export function resolveProfile({ profile, paperWidth = 58 } = {}) {
+  return profile ?? profileForPaperWidth(paperWidth);
+}
+
+/**
+ * Loads the active printer profile.
+ *
+ * `nameOrPath` is a built-in profile ID or a path to a JSON file. A JSON
+ * profile only needs the fields that differ from the generic profile for
+ * its `paperWidth`. Without a profile, the generic profile for
+ * `PRINTER_PAPER_WIDTH` (58mm by default) is used.
+ *
+ * @param {string} [nameOrPath] - Defaults to `PRINTER_PROFILE`.
+ * @returns {PrinterProfile}
+ */
+export function getProfile(nameOrPath = process.env.PRINTER_PROFILE) {
+  if (!nameOrPath) {
+    return profileForPaperWidth(parseInt(process.env.PRINTER_PAPER_WIDTH) || 58);
+  }
+
+  if (PROFILES[nameOrPath]) return PROFILES[nameOrPath];
+
+  if (!nameOrPath.endsWith(".json")) {
+    throw new Error(
+      `Unknown printer profile: ${nameOrPath} (expected one of ${Object.keys(PROFILES).join(", ")}, or a .json file)`
+    );
+  }
+  if (!existsSync(nameOrPath)) {
+    throw new Error(`Printer profile not found: ${nameOrPath}`);
+  }
+
+  const custom = JSON.parse(readFileSync(nameOrPath, "utf-8"));
+  const base = profileForPaperWidth(custom.paperWidth ?? 58);
+  // Font A cells are 12 dots wide and font B cells 9, so columns follow from the dots
+  const columns = custom.dotsPerLine
+    ? { A: Math.floor(custom.dotsPerLine / 12), B: Math.floor(custom.dotsPerLine / 9) }
+    : base.columns;
+
+  return {
+    ...base,
+    id: nameOrPath,
+    name: nameOrPath,
+    ...custom,
+    columns: { ...columns, ...custom.columns },
+  };
+}
@@ -0,0 +1,85 @@
+import { Anthropic } from "@anthropic-ai/sdk";
+
+/**
+ * Sends messages to Claude through the Anthropic Messages API.
+ *
+ * The provider-neutral message format is the Messages API's own (text,
+ * `tool_use` and `tool_result` blocks), so requests and responses pass
+ * through unchanged.
+ */
+export default class AnthropicProvider {
+  /** @type {import("@anthropic-ai/sdk").Anthropic} */
+  _client;
+
+  /**
+   * @param {Object} options
+   * @param {string} options.model
+   * @param {number} [options.temperature=1]
+   * @param {number} [options.maxTokens=2048]
+   * @param {string} [options.apiKey] - Defaults to `ANTHROPIC_API_KEY`.
+   * @param {string} [options.baseUrl] - API endpoint, for proxies and gateways.
+   */
+  constructor({
+    model,
+    temperature = 1,
+    maxTokens = 2048,
+    apiKey = process.env.ANTHROPIC_API_KEY,
+    baseUrl,
+  }) {
+    if (!model) throw new Error("Anthropic model is required");
+
+    this.name = "anthropic";
+    this.model = model;
+    this.temperature = temperature;
+    this.maxTokens = maxTokens;
+    // Retries and timeouts are left to the request policy (see request-policy.mjs)
+    this._client = new Anthropic({ apiKey, maxRetries: 0, ...(baseUrl && { baseURL: baseUrl }) });
+  }
+
+  /**
+   * Sends a conversation and returns the model's reply.
+   * @param {import("./index.mjs").MessageRequest} request
+   * @param {import("./index.mjs").CallOptions} [options={}]
+   * @returns {Promise<import("./index.mjs").MessageResponse>}
+   */
+  async createMessage(request, { signal } = {}) {
+    const response = await this._client.messages.create(this._params(request), { signal });
+
+    return {
+      content: response.content,
+      stopReason: response.stop_reason,
+      model: response.model,
+    };
+  }
+
+  /**
+   * Sends a conversation and yields the reply's text as it is generated.
+   * @param {import("./index.mjs").MessageRequest} request
+   * @param {import("./index.mjs").CallOptions} [options={}]
+   * @returns {AsyncGenerator<string>}
+   */
+  async *streamMessage(request, { signal } = {}) {
+    const stream = await this._client.messages.create({ ...this._params(request), stream: true }, { signal });
+    for await (const event of stream) {
+      if (event.type === "content_block_delta" && event.delta.type === "text_delta") {
+        yield event.delta.text;
+      }
+    }
+  }
+
+  /**
+   * Messages API parameters for a request.
+   * @param {import("./index.mjs").MessageRequest} request
+   * @returns {Object}
+   */
+  _params({ system, messages, tools }) {
+    return {
+      model: this.model,
+      max_tokens: this.maxTokens,
+      temperature: this.temperature,
+      ...(system && { system }),
+      ...(tools?.length && { tools }),
+      messages,
+    };
+  }
+}
@@ -0,0 +1,169 @@
+import AnthropicProvider from "./anthropic.mjs";
+import OpenAIProvider from "./openai.mjs";
+import ResilientProvider, { getRequestPolicy } from "./request-policy.mjs";
+
+export const PROVIDERS = ["anthropic", "openai", "ollama", "llamacpp"];
+
+/**
+ * Model settings for each phase when none are configured. The default
+ * models are Claude models, so they only apply to the Anthropic provider.
+ */
+export const PHASE_DEFAULTS = {
+  writer: { model: "claude-opus-4-1-20250805", temperature: 1, maxTokens: 2048 },
+  planner: { model: "claude-sonnet-4-20250514", temperature: 0.1, maxTokens: 4096 },
+};
+
+// Where local servers listen out of the box
+const LOCAL_BASE_URLS = {
+  ollama: "http://localhost:11434/v1",
+  llamacpp: "http://localhost:8080/v1",
+};
+
+/**
+ * A tool the model may call, in Messages API form.
+ * @typedef {{name: string, description: string, input_schema: Object}} ToolDefinition
+ */
+
+/**
+ * A block of message content in the provider-neutral (Messages API) format.
+ * @typedef {{type: "text", text: string}
+ *   | {type: "tool_use", id: string, name: string, input: Object}
+ *   | {type: "tool_result", tool_use_id: string, content: string}} ContentBlock
+ */
+
+/**
+ * @typedef {{role: "user" | "assistant", content: string | ContentBlock[]}} Message
+ */
+
+/**
+ * @typedef {Object} MessageRequest
+ * @property {string} [system] - System prompt.
+ * @property {Message[]} messages
+ * @property {ToolDefinition[]} [tools]
+ */
+
+/**
+ * @typedef {Object} MessageResponse
+ * @property {ContentBlock[]} content - Text and `tool_use` blocks.
+ * @property {"end_turn" | "tool_use" | "max_tokens" | string} stopReason
+ * @property {string} model - The model that answered.
+ */
+
+/**
+ * @typedef {Object} CallOptions
+ * @property {AbortSignal} [signal] - Aborts the request, e.g. when it times out.
+ */
+
+/**
+ * What every provider implements.
+ * @typedef {Object} LLMProvider
+ * @property {string} name
+ * @property {string} model
+ * @property {(request: MessageRequest, options?: CallOptions) => Promise<MessageResponse>} createMessage
+ * @property {(request: MessageRequest, options?: CallOptions) => AsyncGenerator<string>} streamMessage - Yields the reply's text as it is generated.
+ */
+
+/**
+ * Parses a number from the environment, keeping 0 (unlike `parseFloat(x) || fallback`).
+ * @param {string | undefined} value
+ * @returns {number | undefined}
+ */
+function parseNumber(value) {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? undefined : number;
+}
+
+/**
+ * Reads the model settings for one phase. Each setting comes from the
+ * phase's own variable, then the shared `LLM_` one, then the default.
+ *
+ * - `WRITER_PROVIDER` / `PLANNER_PROVIDER` / `LLM_PROVIDER`: "anthropic" (default), "openai", "ollama" or "llamacpp"
+ * - `WRITER_MODEL` / `PLANNER_MODEL`: model name; required for providers other than Anthropic
+ * - `WRITER_TEMPERATURE` / `PLANNER_TEMPERATURE`
+ * - `WRITER_MAX_TOKENS` / `PLANNER_MAX_TOKENS`
+ * - `WRITER_BASE_URL` / `PLANNER_BASE_URL` / `LLM_BASE_URL`: API endpoint
+ * - `WRITER_API_KEY` / `PLANNER_API_KEY` / `LLM_API_KEY`: falls back to `ANTHROPIC_API_KEY` or `OPENAI_API_KEY`
+ *
+ * @param {"writer" | "planner"} phase
+ * @param {Object} [overrides={}] - Settings that take precedence over the environment.
+ * @returns {Object} Provider settings for `createProvider()`.
+ */
+export function getProviderConfig(phase, overrides = {}) {
+  const defaults = PHASE_DEFAULTS[phase];
+  if (!defaults) {
+    throw new Error(
+      `Unknown LLM phase: ${phase} (expected one of ${Object.keys(PHASE_DEFAULTS).join(", ")})`
+    );
+  }
+
+  const prefix = phase.toUpperCase();
+  const env = (name) => process.env[`${prefix}_${name}`] || process.env[`LLM_${name}`];
+  const type = overrides.type ?? env("PROVIDER") ?? "anthropic";
+
+  return {
+    phase,
+    type,
+    model: overrides.model ?? process.env[`${prefix}_MODEL`] ?? (type === "anthropic" ? defaults.model : undefined),
+    temperature: overrides.temperature ?? parseNumber(process.env[`${prefix}_TEMPERATURE`]) ?? defaults.temperature,
+    maxTokens: overrides.maxTokens ?? (parseInt(process.env[`${prefix}_MAX_TOKENS`]) || defaults.maxTokens),
+    baseUrl: overrides.baseUrl ?? env("BASE_URL"),
+    apiKey:
+      overrides.apiKey ??
+      env("API_KEY") ??
+      { anthropic: process.env.ANTHROPIC_API_KEY, openai: process.env.OPENAI_API_KEY }[type],
+  };
+}
+
+/**
+ * Creates the provider for a phase's settings.
+ * @param {Object} config - See `getProviderConfig()`.
+ * @param {"anthropic" | "openai" | "ollama" | "llamacpp"} [config.type="anthropic"]
+ * @param {string} config.model
+ * @param {number} [config.temperature]
+ * @param {number} [config.maxTokens]
+ * @param {string} [config.baseUrl] - Defaults to the provider's usual endpoint.
+ * @param {string} [config.apiKey]
+ * @param {string} [config.phase] - Named in the error when the model is missing.
+ * @returns {LLMProvider}
+ */
+export function createProvider(config) {
+  const { type = "anthropic", phase = "llm", ...options } = config;
+
+  if (!PROVIDERS.includes(type)) {
+    throw new Error(`Unknown LLM provider: ${type} (expected one of ${PROVIDERS.join(", ")})`);
+  }
+  if (!options.model) {
+    throw new Error(`No ${type} model set for the ${phase} phase (set ${phase.toUpperCase()}_MODEL)`);
+  }
+
+  if (type === "anthropic") return new AnthropicProvider(options);
+  return new OpenAIProvider({
+    ...options,
+    baseUrl: options.baseUrl ?? LOCAL_BASE_URLS[type],
+    name: type,
+  });
+}
+
+/**
+ * Creates the model for a phase from its settings, wrapped in the phase's
+ * request policy (retries, timeouts and a fallback model; see
+ * `getRequestPolicy()`).
+ * @param {"writer" | "planner"} phase
+ * @param {Object} [overrides={}] - Settings that take precedence over the environment (see `getProviderConfig()`).
+ * @param {Object} [policyOverrides={}] - Policy settings that take precedence over the environment.
+ * @returns {ResilientProvider}
+ */
+export function createPhaseProvider(phase, overrides = {}, policyOverrides = {}) {
+  const config = getProviderConfig(phase, overrides);
+  const policy = getRequestPolicy(phase, policyOverrides);
+
+  const providers = [createProvider(config)];
+  if (policy.fallback) {
+    const type = policy.fallback.type ?? config.type;
+    // A fallback on another provider gets that provider's endpoint and key
+    const fallbackConfig = type === config.type ? config : getProviderConfig(phase, { type });
+    providers.push(createProvider({ ...fallbackConfig, type, model: policy.fallback.model }));
+  }
+
+  return new ResilientProvider({ providers, policy, phase });
+}
@@ -0,0 +1,228 @@
+// OpenAI finish reasons and the matching Messages API stop reasons
+const STOP_REASONS = {
+  stop: "end_turn",
+  tool_calls: "tool_use",
+  function_call: "tool_use",
+  length: "max_tokens",
+};
+
+/**
+ * Converts tool definitions to OpenAI function tools.
+ * @param {import("./index.mjs").ToolDefinition[]} tools
+ * @returns {Object[]}
+ */
+export function toOpenAITools(tools) {
+  return tools.map(({ name, description, input_schema }) => ({
+    type: "function",
+    function: { name, description, parameters: input_schema },
+  }));
+}
+
+/**
+ * Converts a provider-neutral conversation to OpenAI chat messages.
+ *
+ * Tool calls move from `tool_use` blocks to the assistant message's
+ * `tool_calls`, and each `tool_result` block becomes its own "tool" message.
+ * @param {import("./index.mjs").Message[]} messages
+ * @param {string} [system]
+ * @returns {Object[]}
+ */
+export function toOpenAIMessages(messages, system) {
+  const converted = system ? [{ role: "system", content: system }] : [];
+
+  for (const { role, content } of messages) {
+    if (typeof content === "string") {
+      converted.push({ role, content });
+      continue;
+    }
+
+    const text = content
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("\n");
+
+    if (role === "assistant") {
+      const toolCalls = content
+        .filter((block) => block.type === "tool_use")
+        .map((block) => ({
+          id: block.id,
+          type: "function",
+          function: { name: block.name, arguments: JSON.stringify(block.input ?? {}) },
+        }));
+      converted.push({
+        role,
+        content: text || null,
+        ...(toolCalls.length && { tool_calls: toolCalls }),
+      });
+      continue;
+    }
+
+    for (const block of content.filter((block) => block.type === "tool_result")) {
+      converted.push({
+        role: "tool",
+        tool_call_id: block.tool_use_id,
+        content: typeof block.content === "string" ? block.content : JSON.stringify(block.content),
+      });
+    }
+    if (text) converted.push({ role, content: text });
+  }
+
+  return converted;
+}
+
+/**
+ * Converts an OpenAI assistant message to provider-neutral content blocks.
+ * @param {Object} message - `choices[0].message` of a chat completion.
+ * @returns {import("./index.mjs").ContentBlock[]}
+ */
+export function fromOpenAIMessage(message) {
+  const content = [];
+  if (message.content) content.push({ type: "text", text: message.content });
+
+  for (const [index, call] of (message.tool_calls ?? []).entries()) {
+    let input;
+    try {
+      input = call.function.arguments ? JSON.parse(call.function.arguments) : {};
+    } catch {
+      throw new Error(
+        `The model called ${call.function.name} with invalid JSON arguments: ${call.function.arguments}`
+      );
+    }
+    // Some local servers leave out call IDs, which tool results refer back to
+    content.push({ type: "tool_use", id: call.id || `call_${index}`, name: call.function.name, input });
+  }
+
+  return content;
+}
+
+/**
+ * Splits a streamed response body into lines ending in LF or CRLF, the
+ * last one included when the body does not end with a line break.
+ * @param {AsyncIterable<Uint8Array>} body
+ * @returns {AsyncGenerator<string>}
+ */
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffered = "";
+
+  for await (const bytes of body) {
+    buffered += decoder.decode(bytes, { stream: true });
+    const lines = buffered.split(/\r?\n/);
+    buffered = lines.pop();
+    yield* lines;
+  }
+
+  buffered += decoder.decode();
+  if (buffered) yield buffered;
+}
+
+/**
+ * Sends messages to any server that speaks the OpenAI chat completions API:
+ * OpenAI itself and compatible endpoints, Ollama and the llama.cpp server.
+ * Tool definitions, tool calls and tool results are translated to and from
+ * the provider-neutral (Messages API) format.
+ */
+export default class OpenAIProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.model
+   * @param {number} [options.temperature=1]
+   * @param {number} [options.maxTokens=2048]
+   * @param {string} [options.apiKey] - Sent as a bearer token; local servers need none.
+   * @param {string} [options.baseUrl="https://api.openai.com/v1"] - Base URL, up to and including `/v1`.
+   * @param {string} [options.name="openai"] - Provider name, for logs and errors.
+   */
+  constructor({
+    model,
+    temperature = 1,
+    maxTokens = 2048,
+    apiKey,
+    baseUrl = "https://api.openai.com/v1",
+    name = "openai",
+  }) {
+    if (!model) throw new Error(`${name} model is required`);
+
+    this.name = name;
+    this.model = model;
+    this.temperature = temperature;
+    this.maxTokens = maxTokens;
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+  }
+
+  /**
+   * Sends a conversation and returns the model's reply.
+   * @param {import("./index.mjs").MessageRequest} request
+   * @param {import("./index.mjs").CallOptions} [options={}]
+   * @returns {Promise<import("./index.mjs").MessageResponse>}
+   */
+  async createMessage(request, { signal } = {}) {
+    const completion = await (await this._post(request, {}, signal)).json();
+    const [choice] = completion.choices ?? [];
+    if (!choice) throw new Error(`${this.name} returned no choices`);
+
+    return {
+      content: fromOpenAIMessage(choice.message),
+      stopReason: STOP_REASONS[choice.finish_reason] ?? choice.finish_reason,
+      model: completion.model ?? this.model,
+    };
+  }
+
+  /**
+   * Sends a conversation and yields the reply's text as it is generated,
+   * from the server-sent events of a streamed chat completion.
+   * @param {import("./index.mjs").MessageRequest} request
+   * @param {import("./index.mjs").CallOptions} [options={}]
+   * @returns {AsyncGenerator<string>}
+   */
+  async *streamMessage(request, { signal } = {}) {
+    const response = await this._post(request, { stream: true }, signal);
+
+    for await (const line of readLines(response.body)) {
+      const data = line.trim().match(/^data:\s*(.*)$/)?.[1];
+      if (!data) continue;
+      if (data === "[DONE]") return;
+      const text = JSON.parse(data).choices?.[0]?.delta?.content;
+      if (text) yield text;
+    }
+
+    // Servers end every complete stream with [DONE]
+    throw new Error(`${this.name} stream ended before the reply was complete`);
+  }
+
+  /**
+   * Posts a chat completion request.
+   * @param {import("./index.mjs").MessageRequest} request
+   * @param {Object} [extra={}] - More request body fields.
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<Response>}
+   */
+  async _post({ system, messages, tools }, extra = {}, signal) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: "POST",
+      signal,
+      headers: {
+        "Content-Type": "application/json",
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+      },
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: this.maxTokens,
+        temperature: this.temperature,
+        messages: toOpenAIMessages(messages, system),
+        ...(tools?.length && { tools: toOpenAITools(tools) }),
+        ...extra,
+      }),
+    });
+
+    if (!response.ok) {
+      const error = new Error(
+        `${this.name} request failed with status ${response.status}: ${(await response.text()).slice(0, 500)}`
+      );
+      error.status = response.status;
+      error.headers = response.headers;
+      throw error;
+    }
+    return response;
+  }
+}
@@ -0,0 +1,363 @@
+/**
+ * Request policy shared by the writer and the planner: retries with
+ * jittered exponential backoff, per-call timeouts and a fallback model,
+ * with every attempt recorded for the run log.
+ */
+
+// Statuses worth asking again for: timeouts, conflicts, rate limits and
+// server errors, including Anthropic's 529 "overloaded"
+const RETRYABLE_STATUSES = [408, 409, 429];
+
+// Dropped connections and other network failures that usually pass
+const NETWORK_ERROR_PATTERN =
+  /fetch failed|connection error|socket hang up|other side closed|terminated|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EPIPE|EAI_AGAIN|ENOTFOUND|UND_ERR/i;
+
+/**
+ * @typedef {Object} RequestPolicy
+ * @property {number} maxRetries - Retries per model after the first attempt.
+ * @property {number} baseDelayMs - Longest wait before the first retry; doubles with each retry.
+ * @property {number} maxDelayMs - Longest wait before any retry. A `retry-after` longer than this gives up on the model.
+ * @property {number} timeoutMs - How long a call may take; for streams, how long to wait for each piece.
+ * @property {{type?: string, model: string} | null} fallback - Model to use once the primary stays unavailable.
+ */
+
+/**
+ * One request to a model, for the run log.
+ * @typedef {Object} RequestAttempt
+ * @property {"writer" | "planner" | string} phase
+ * @property {number} call - Which call of this phase it belonged to, from 1.
+ * @property {number} attempt - Which try of that call, from 1.
+ * @property {string} provider
+ * @property {string} model
+ * @property {string} startedAt - ISO timestamp.
+ * @property {number} durationMs
+ * @property {"ok" | "retry" | "fallback" | "failed"} outcome - What happened next: done, tried again, moved to the fallback model, or gave up.
+ * @property {number | null} [status] - HTTP status of the error, if any.
+ * @property {string} [error]
+ * @property {number} [delayMs] - Wait before the retry.
+ */
+
+/**
+ * Thrown when a model takes longer than the policy's timeout.
+ */
+export class RequestTimeoutError extends Error {
+  /**
+   * @param {string} what - e.g. "anthropic claude-opus-4-1-20250805"
+   * @param {number} timeoutMs
+   */
+  constructor(what, timeoutMs) {
+    super(`${what} did not answer within ${timeoutMs < 1000 ? `${timeoutMs}ms` : `${Math.round(timeoutMs / 1000)}s`}`);
+    this.name = "RequestTimeoutError";
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Reads the request policy for one phase. Each setting comes from the
+ * phase's own variable, then the shared `LLM_` one, then the default.
+ *
+ * - `WRITER_MAX_RETRIES` / `PLANNER_MAX_RETRIES` / `LLM_MAX_RETRIES`: retries per model (defaults to 3)
+ * - `..._RETRY_BASE_MS`: longest wait before the first retry (defaults to 1000)
+ * - `..._RETRY_MAX_MS`: longest wait before any retry (defaults to 60000)
+ * - `..._TIMEOUT_MS`: per call, or per streamed piece (defaults to 120000)
+ * - `WRITER_FALLBACK_MODEL` / `PLANNER_FALLBACK_MODEL`: model to fall back to
+ * - `WRITER_FALLBACK_PROVIDER` / `PLANNER_FALLBACK_PROVIDER`: its provider, if not the phase's own
+ *
+ * @param {"writer" | "planner"} phase
+ * @param {Partial<RequestPolicy>} [overrides={}] - Settings that take precedence over the environment.
+ * @returns {RequestPolicy}
+ */
+export function getRequestPolicy(phase, overrides = {}) {
+  const prefix = phase.toUpperCase();
+  const env = (name) => process.env[`${prefix}_${name}`] || process.env[`LLM_${name}`];
+  const integer = (name, fallback) => {
+    const value = parseInt(env(name));
+    return Number.isNaN(value) || value < 0 ? fallback : value;
+  };
+
+  const fallbackModel = process.env[`${prefix}_FALLBACK_MODEL`];
+  const fallbackType = process.env[`${prefix}_FALLBACK_PROVIDER`];
+  return {
+    maxRetries: overrides.maxRetries ?? integer("MAX_RETRIES", 3),
+    baseDelayMs: overrides.baseDelayMs ?? integer("RETRY_BASE_MS", 1000),
+    maxDelayMs: overrides.maxDelayMs ?? integer("RETRY_MAX_MS", 60000),
+    timeoutMs: overrides.timeoutMs ?? (integer("TIMEOUT_MS", 0) || 120000),
+    fallback:
+      overrides.fallback !== undefined
+        ? overrides.fallback
+        : fallbackModel
+          ? { model: fallbackModel, ...(fallbackType && { type: fallbackType }) }
+          : null,
+  };
+}
+
+/**
+ * Whether a failed request may succeed if it is sent again: timeouts, rate
+ * limits, overloaded or failing servers, and dropped connections. Bad
+ * requests, bad keys and unknown models are not.
+ * @param {Error & {status?: number, retryable?: boolean}} error
+ * @returns {boolean}
+ */
+export function isRetryable(error) {
+  if (typeof error?.retryable === "boolean") return error.retryable;
+  if (error instanceof RequestTimeoutError) return true;
+  if (typeof error?.status === "number") {
+    return RETRYABLE_STATUSES.includes(error.status) || error.status >= 500;
+  }
+  return [error?.message, error?.code, error?.cause?.code, error?.cause?.message].some(
+    (text) => typeof text === "string" && NETWORK_ERROR_PATTERN.test(text)
+  );
+}
+
+/**
+ * How long the server asked to wait before trying again, from the
+ * `retry-after-ms` or `retry-after` (seconds or HTTP date) response header.
+ * @param {Error & {headers?: Headers | Object<string, string>}} error
+ * @param {number} [now=Date.now()]
+ * @returns {number | null} Milliseconds, or `null` when the server did not say.
+ */
+export function retryAfterMs(error, now = Date.now()) {
+  const headers = error?.headers;
+  if (!headers) return null;
+  const header = (name) => (typeof headers.get === "function" ? headers.get(name) : headers[name]);
+
+  const milliseconds = parseFloat(header("retry-after-ms"));
+  if (milliseconds >= 0) return milliseconds;
+
+  const value = header("retry-after");
+  if (value == null) return null;
+  const seconds = parseFloat(value);
+  if (seconds >= 0) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * How long to wait before a retry: a random time up to the exponential
+ * backoff ("full jitter"), or what the server asked for with `retry-after`.
+ * @param {number} retry - Which retry this is, from 1.
+ * @param {RequestPolicy} policy
+ * @param {Error} [error] - The error being retried, for its `retry-after`.
+ * @param {() => number} [random=Math.random]
+ * @returns {number} Milliseconds; more than `maxDelayMs` when the server asked to wait that long.
+ */
+export function retryDelay(retry, { baseDelayMs, maxDelayMs }, error, random = Math.random) {
+  const asked = retryAfterMs(error);
+  if (asked !== null) return asked;
+  return Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (retry - 1)));
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * A provider that applies the request policy to one or more models: each is
+ * retried on retryable errors and the next takes over once it stays
+ * unavailable. After falling back, later calls go straight to the fallback.
+ */
+export default class ResilientProvider {
+  /** @type {import("./index.mjs").LLMProvider[]} */
+  _providers;
+  /** @type {RequestAttempt[]} */
+  attempts = [];
+
+  /**
+   * @param {Object} options
+   * @param {import("./index.mjs").LLMProvider[]} options.providers - The primary model, then its fallback if any.
+   * @param {RequestPolicy} options.policy
+   * @param {string} [options.phase="llm"]
+   * @param {(ms: number) => Promise<void>} [options.sleep] - Waits between retries.
+   * @param {() => number} [options.random=Math.random] - Jitter source.
+   */
+  constructor({ providers, policy, phase = "llm", sleep = wait, random = Math.random }) {
+    this._providers = providers;
+    this._current = 0;
+    this._calls = 0;
+    this.policy = policy;
+    this.phase = phase;
+    this._sleep = sleep;
+    this._random = random;
+  }
+
+  /**
+   * The provider in use: the primary, or the fallback once it took over.
+   * @returns {string}
+   */
+  get name() {
+    return this._providers[this._current].name;
+  }
+
+  /** @returns {string} */
+  get model() {
+    return this._providers[this._current].model;
+  }
+
+  /**
+   * Sends a conversation and returns the model's reply.
+   * @param {import("./index.mjs").MessageRequest} request
+   * @returns {Promise<import("./index.mjs").MessageResponse>}
+   */
+  async createMessage(request) {
+    const call = ++this._calls;
+    for (let attempt = 1; ; attempt++) {
+      const provider = this._providers[this._current];
+      const record = this._startAttempt(provider, call, attempt);
+      const timeout = this._timeout(provider);
+      try {
+        const response = await provider.createMessage(request, { signal: timeout.signal });
+        this._endAttempt(record, "ok");
+        return response;
+      } catch (error) {
+        await this._afterFailure(record, timeout.reason ?? error);
+      } finally {
+        timeout.clear();
+      }
+    }
+  }
+
+  /**
+   * Sends a conversation and yields the reply's text as it is generated.
+   * A stream is only retried until its first piece arrives; after that
+   * errors are passed on, since the text so far has already been used.
+   * The timeout only runs while waiting on the model, not while the
+   * consumer holds a piece.
+   * @param {import("./index.mjs").MessageRequest} request
+   * @returns {AsyncGenerator<string>}
+   */
+  async *streamMessage(request) {
+    const call = ++this._calls;
+    for (let attempt = 1; ; attempt++) {
+      const provider = this._providers[this._current];
+      const record = this._startAttempt(provider, call, attempt);
+      const timeout = this._timeout(provider);
+      let started = false;
+      try {
+        for await (const piece of provider.streamMessage(request, { signal: timeout.signal })) {
+          started = true;
+          timeout.clear();
+          yield piece;
+          timeout.restart();
+        }
+        this._endAttempt(record, "ok");
+        return;
+      } catch (error) {
+        const failure = timeout.reason ?? error;
+        if (!started) {
+          await this._afterFailure(record, failure);
+          continue;
+        }
+        this._endAttempt(record, "failed", {
+          status: typeof failure.status === "number" ? failure.status : null,
+          error: failure.message,
+        });
+        throw failure;
+      } finally {
+        timeout.clear();
+        // The consumer stopped reading before the end; the model did nothing wrong
+        if (record.outcome === null) this._endAttempt(record, "ok");
+      }
+    }
+  }
+
+  /**
+   * Decides what follows a failed attempt: waits and returns to retry the
+   * same model, returns after moving to the fallback, or throws.
+   * @param {RequestAttempt} record
+   * @param {Error} error
+   * @returns {Promise<void>}
+   */
+  async _afterFailure(record, error) {
+    const { maxRetries, maxDelayMs } = this.policy;
+    // Every failed try of this call on this model so far, this one included
+    const retry = this.attempts.filter(
+      (attempt) => attempt.call === record.call && attempt.model === record.model && attempt.provider === record.provider
+    ).length;
+    const what = `${record.provider} ${record.model}`;
+    Object.assign(record, { status: typeof error.status === "number" ? error.status : null, error: error.message });
+
+    if (!isRetryable(error)) {
+      this._endAttempt(record, "failed");
+      throw error;
+    }
+
+    const delayMs = retryDelay(retry, this.policy, error, this._random);
+    if (retry <= maxRetries && delayMs <= maxDelayMs) {
+      this._endAttempt(record, "retry", { delayMs });
+      console.warn(
+        `⚠️  ${what} failed (${error.message}); retrying in ${(delayMs / 1000).toFixed(1)}s (retry ${retry} of ${maxRetries})`
+      );
+      await this._sleep(delayMs);
+      return;
+    }
+
+    if (this._current + 1 < this._providers.length) {
+      this._endAttempt(record, "fallback");
+      this._current++;
+      console.warn(`⚠️  ${what} is unavailable (${error.message}); falling back to ${this.name} ${this.model}`);
+      return;
+    }
+
+    this._endAttempt(record, "failed");
+    throw error;
+  }
+
+  /**
+   * Records the start of an attempt.
+   * @param {import("./index.mjs").LLMProvider} provider
+   * @param {number} call
+   * @param {number} attempt
+   * @returns {RequestAttempt}
+   */
+  _startAttempt(provider, call, attempt) {
+    const record = {
+      phase: this.phase,
+      call,
+      attempt,
+      provider: provider.name,
+      model: provider.model,
+      startedAt: new Date().toISOString(),
+      durationMs: null,
+      outcome: null,
+    };
+    this.attempts.push(record);
+    return record;
+  }
+
+  /**
+   * Records how an attempt ended.
+   * @param {RequestAttempt} record
+   * @param {RequestAttempt["outcome"]} outcome
+   * @param {Object} [fields={}]
+   */
+  _endAttempt(record, outcome, fields = {}) {
+    Object.assign(record, fields, {
+      outcome,
+      durationMs: Date.now() - Date.parse(record.startedAt),
+    });
+  }
+
+  /**
+   * Aborts a call that takes longer than the timeout. `reason` is set once
+   * it has fired; `restart()` starts the wait over, for each streamed piece.
+   * @param {import("./index.mjs").LLMProvider} provider
+   * @returns {{signal: AbortSignal, reason: RequestTimeoutError | undefined, restart: () => void, clear: () => void}}
+   */
+  _timeout(provider) {
+    const controller = new AbortController();
+    const { timeoutMs } = this.policy;
+    const timeout = {
+      signal: controller.signal,
+      reason: undefined,
+      restart() {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          timeout.reason = new RequestTimeoutError(`${provider.name} ${provider.model}`, timeoutMs);
+          controller.abort(timeout.reason);
+        }, timeoutMs);
+      },
+      clear: () => clearTimeout(timer),
+    };
+    let timer;
+    timeout.restart();
+    return timeout;
+  }
+}
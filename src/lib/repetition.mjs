@@ -0,0 +1,293 @@
+import { basename } from "path";
+
+import { readRecentLetters } from "./archive.mjs";
+
+/**
+ * Repetition guard: compact digests of recent letters for the prompt, and
+ * a similarity score that tells when a new letter recycles them.
+ */
+
+// Common words that say nothing about what a letter is about
+const STOP_WORDS = new Set(
+  (
+    "a about after again all also am an and any are as at be because been before being but by can " +
+    "could did do does doing don't down even every for from get got had has have having he her here " +
+    "hers him his how i i'm if in into is it it's its just know let like made make many may me might " +
+    "more most much must my never no not now of off on once one only or other our out over own really " +
+    "same say she should so some still such than that that's the their them then there these they " +
+    "thing things this those through to too up us very was we were what when where which while who " +
+    "why will with would yet you you're your yours yourself"
+  ).split(" ")
+);
+
+/** Words per phrase compared between letters. */
+const SHINGLE_SIZE = 3;
+
+/** How much each kind of overlap counts towards the similarity score. */
+const WEIGHTS = { phrases: 0.6, opening: 0.25, themes: 0.15 };
+
+/**
+ * What a letter is about, in a few words.
+ * @typedef {Object} LetterDigest
+ * @property {string} label - The archive file name without its extension, e.g. "2025-01-05_08-00-00".
+ * @property {string} opening - The first sentence after the salutation.
+ * @property {string[]} phrases - Runs of content words, in the order they appear.
+ * @property {string[]} themes - The most frequent content words.
+ */
+
+/**
+ * How much a new letter overlaps with an earlier one.
+ * @typedef {Object} RepetitionScore
+ * @property {number} score - 0 (nothing in common) to 1 (the same letter).
+ * @property {string | null} similarTo - Label of the closest earlier letter.
+ * @property {boolean} sameOpening - Whether most of the opening's words are reused.
+ * @property {string[]} sharedPhrases - Wording taken over from it, longest first.
+ */
+
+/**
+ * Reads the repetition guard settings from the environment, or `null`
+ * when it is turned off.
+ *
+ * - `REPETITION_LETTERS`: recent letters to digest and compare with (defaults to 7, 0 turns the guard off)
+ * - `REPETITION_THRESHOLD`: similarity score above which a letter is written again (defaults to 0.35)
+ * - `REPETITION_ATTEMPTS`: letters to try at most, the first one included (defaults to 3)
+ *
+ * @returns {{letters: number, threshold: number, attempts: number} | null}
+ */
+export function getRepetitionGuard() {
+  const letters = parseInt(process.env.REPETITION_LETTERS ?? 7);
+  if (!(letters > 0)) return null;
+
+  const threshold = parseFloat(process.env.REPETITION_THRESHOLD);
+  return {
+    letters,
+    threshold: Number.isNaN(threshold) ? 0.35 : threshold,
+    attempts: Math.max(1, parseInt(process.env.REPETITION_ATTEMPTS) || 3),
+  };
+}
+
+/**
+ * Splits text into lowercase words, without markdown or punctuation.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function toWords(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu)?.map((word) => word.replaceAll("’", "'")) ?? [];
+}
+
+/**
+ * The paragraphs of a letter that are its own, without headings, rules, a
+ * salutation such as "Dear friend," or a short sign-off, which every letter
+ * shares.
+ * @param {string} text
+ * @returns {string[]} Lines with the markdown emphasis removed.
+ */
+export function letterBody(text) {
+  const lines = text
+    .split("\n")
+    .map((line) => line.replace(/[*_`]/g, "").trim())
+    .filter((line) => line && !/^#/.test(line) && !/^([-*_])\1{2,}$/.test(line));
+
+  if (lines.length > 1 && /,$/.test(lines[0]) && toWords(lines[0]).length <= 6) lines.shift();
+  const signOff = text.trim().split(/\n\s*\n/).pop() ?? "";
+  if (lines.length > 1 && toWords(signOff).length <= 6) {
+    lines.splice(lines.length - signOff.split("\n").filter((line) => line.trim()).length);
+  }
+  return lines;
+}
+
+/**
+ * Finds the first sentence of a letter, after its salutation.
+ * @param {string} text
+ * @returns {string}
+ */
+export function findOpening(text) {
+  const [first = ""] = letterBody(text);
+  const sentence = first.match(/^.*?[.!?](?=\s|$)/)?.[0] ?? first;
+  return sentence.length > 100 ? `${sentence.slice(0, 99).trimEnd()}…` : sentence;
+}
+
+/**
+ * Sums up a letter for the prompt: its opening, key phrases and themes.
+ * @param {string} text
+ * @param {string} [filename=""] - Archive file it came from.
+ * @param {Object} [options={}]
+ * @param {number} [options.phrases=4] - Key phrases to keep.
+ * @param {number} [options.themes=5] - Themes to keep.
+ * @returns {LetterDigest}
+ */
+export function digestLetter(text, filename = "", { phrases = 4, themes = 5 } = {}) {
+  const body = letterBody(text).join("\n");
+  const words = toWords(body);
+
+  // Key phrases: the longest runs of two or more content words within a clause
+  const runs = [];
+  for (const clause of body.split(/[.,;:!?()\n—–]+|\s-\s/)) {
+    let run = [];
+    for (const word of [...toWords(clause), ""]) {
+      if (word && !STOP_WORDS.has(word) && !/^\d+$/.test(word)) {
+        run.push(word);
+        continue;
+      }
+      if (run.length >= 2) runs.push(run.join(" "));
+      run = [];
+    }
+  }
+  const keyPhrases = [...new Set(runs)]
+    .map((phrase, index) => ({ phrase, index }))
+    .sort((a, b) => b.phrase.split(" ").length - a.phrase.split(" ").length || a.index - b.index)
+    .slice(0, phrases)
+    .sort((a, b) => a.index - b.index)
+    .map(({ phrase }) => phrase);
+
+  // Themes: the content words used most often, longer words first on a tie
+  const counts = new Map();
+  for (const word of words) {
+    if (word.length >= 4 && !STOP_WORDS.has(word)) counts.set(word, (counts.get(word) ?? 0) + 1);
+  }
+  const topThemes = [...counts]
+    .sort((a, b) => b[1] - a[1] || b[0].length - a[0].length)
+    .slice(0, themes)
+    .map(([word]) => word);
+
+  return {
+    label: basename(filename, ".txt"),
+    opening: findOpening(text),
+    phrases: keyPhrases,
+    themes: topThemes,
+  };
+}
+
+/**
+ * Formats digests as the `%%RECENT_LETTERS%%` prompt variable, one line per letter.
+ * @param {LetterDigest[]} digests - Newest first.
+ * @returns {string}
+ */
+export function formatDigests(digests) {
+  if (digests.length === 0) return "(no earlier letters yet)";
+  return digests
+    .map((digest) => {
+      const parts = [`opened "${digest.opening}"`];
+      if (digest.themes.length) parts.push(`themes: ${digest.themes.join(", ")}`);
+      if (digest.phrases.length) parts.push(`phrases: ${digest.phrases.map((phrase) => `"${phrase}"`).join(", ")}`);
+      return `- ${digest.label}: ${parts.join("; ")}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Digests the guard's recent archived letters for `%%RECENT_LETTERS%%`.
+ * @param {{letters: number} | null} guard - See `getRepetitionGuard()`.
+ * @returns {string} Empty when the guard is off.
+ */
+export function recentLettersVariable(guard) {
+  if (!guard) return "";
+  const letters = readRecentLetters(guard.letters);
+  return formatDigests(letters.map(({ filename, text }) => digestLetter(text, filename)));
+}
+
+/**
+ * The word sequences of a letter, as keys for comparing letters.
+ * @param {string[]} words
+ * @returns {Set<string>}
+ */
+function shingles(words) {
+  const keys = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    keys.add(words.slice(i, i + SHINGLE_SIZE).join(" "));
+  }
+  return keys;
+}
+
+/**
+ * Share of `a` that is also in `b`.
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number}
+ */
+function containment(a, b) {
+  if (a.size === 0) return 0;
+  let shared = 0;
+  for (const key of a) if (b.has(key)) shared++;
+  return shared / a.size;
+}
+
+/**
+ * Scores how much a new letter repeats an earlier one: the share of its
+ * three-word phrases found in the earlier letter (salutation and sign-off
+ * aside), how much of its opening
+ * is reused, and how many of its themes are the same.
+ * @param {string} letter
+ * @param {string} earlier
+ * @returns {{score: number, sameOpening: boolean, sharedPhrases: string[]}}
+ */
+export function compareLetters(letter, earlier) {
+  const words = toWords(letterBody(letter).join("\n"));
+  const earlierShingles = shingles(toWords(letterBody(earlier).join("\n")));
+  const phrases = containment(shingles(words), earlierShingles);
+
+  const opening = containment(new Set(toWords(findOpening(letter))), new Set(toWords(findOpening(earlier))));
+  const themes = containment(
+    new Set(digestLetter(letter).themes),
+    new Set(digestLetter(earlier).themes)
+  );
+
+  // Join overlapping shared phrases into the longest runs of reused wording
+  const covered = new Array(words.length).fill(false);
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    if (earlierShingles.has(words.slice(i, i + SHINGLE_SIZE).join(" "))) {
+      covered.fill(true, i, i + SHINGLE_SIZE);
+    }
+  }
+  const sharedPhrases = [];
+  for (let start = 0; start < words.length; start++) {
+    if (!covered[start]) continue;
+    let end = start;
+    while (end < words.length && covered[end]) end++;
+    sharedPhrases.push(words.slice(start, end).join(" "));
+    start = end;
+  }
+
+  return {
+    score: WEIGHTS.phrases * phrases + WEIGHTS.opening * opening + WEIGHTS.themes * themes,
+    sameOpening: opening >= 0.6,
+    sharedPhrases: [...new Set(sharedPhrases)].sort((a, b) => b.length - a.length),
+  };
+}
+
+/**
+ * Scores a new letter against recent ones, reporting the closest.
+ * @param {string} letter
+ * @param {Array<{filename: string, text: string}>} recent
+ * @returns {RepetitionScore}
+ */
+export function scoreRepetition(letter, recent) {
+  let closest = { score: 0, similarTo: null, sameOpening: false, sharedPhrases: [] };
+  for (const { filename, text } of recent) {
+    const comparison = compareLetters(letter, text);
+    if (comparison.score > closest.score) {
+      closest = { ...comparison, similarTo: basename(filename, ".txt") };
+    }
+  }
+  return closest;
+}
+
+/**
+ * Tells the model what a rejected letter repeated, to add to the prompt
+ * when it is written again.
+ * @param {RepetitionScore} repetition
+ * @returns {string}
+ */
+export function avoidancePrompt({ similarTo, sameOpening, sharedPhrases }) {
+  const repeated = [];
+  if (sameOpening) repeated.push("its opening");
+  if (sharedPhrases.length) {
+    repeated.push(`wording such as ${sharedPhrases.slice(0, 5).map((phrase) => `"${phrase}"`).join(", ")}`);
+  }
+
+  return [
+    `A draft of this letter was too close to the letter of ${similarTo}` +
+      (repeated.length ? `, repeating ${repeated.join(" and ")}.` : "."),
+    "Write it again with a different opening, fresh images and new advice, without reusing phrases from recent letters.",
+  ].join(" ");
+}
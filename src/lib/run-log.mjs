@@ -0,0 +1,76 @@
+import { existsSync, mkdirSync, renameSync, writeFileSync } from "fs";
+import { join } from "path";
+import { getArchiveDateFormatted } from "./date.mjs";
+
+/**
+ * A JSON record of one run: what was written, where it printed and what
+ * went wrong. Each run is saved to `./runs/<timestamp>.json`, so a letter
+ * that never reached a printer can be traced after the fact.
+ */
+export default class RunLog {
+  /**
+   * @param {Object} [options={}]
+   * @param {string} [options.dir="./runs"] - Where run records are saved. Defaults to `RUN_LOG_DIR`.
+   * @param {string} [options.command="write"] - What started the run.
+   */
+  constructor({ dir = process.env.RUN_LOG_DIR || "./runs", command = "write" } = {}) {
+    this.dir = dir;
+    const startedAt = new Date();
+    const stamp = getArchiveDateFormatted(startedAt);
+
+    let id = stamp;
+    for (let suffix = 2; existsSync(join(dir, `${id}.json`)); suffix++) {
+      id = `${stamp}-${suffix}`;
+    }
+
+    this.id = id;
+    this.record = {
+      id,
+      command,
+      status: "running",
+      startedAt: startedAt.toISOString(),
+      finishedAt: null,
+      error: null,
+    };
+  }
+
+  /**
+   * Path of the run's record.
+   * @returns {string}
+   */
+  get path() {
+    return join(this.dir, `${this.id}.json`);
+  }
+
+  /**
+   * Adds or replaces fields of the record.
+   * @param {Object} fields
+   * @returns {RunLog}
+   */
+  set(fields) {
+    Object.assign(this.record, fields);
+    return this;
+  }
+
+  /**
+   * Marks the run as finished and saves it.
+   * @param {"printed" | "queued" | "partial" | "failed" | string} status
+   * @param {Error} [error]
+   * @returns {string} Path of the saved record.
+   */
+  finish(status, error) {
+    this.set({ status, finishedAt: new Date().toISOString(), error: error?.message ?? null });
+    return this.save();
+  }
+
+  /**
+   * Writes the record to disk atomically.
+   * @returns {string} Path of the saved record.
+   */
+  save() {
+    mkdirSync(this.dir, { recursive: true });
+    writeFileSync(`${this.path}.tmp`, JSON.stringify(this.record, null, 2), "utf-8");
+    renameSync(`${this.path}.tmp`, this.path);
+    return this.path;
+  }
+}
@@ -0,0 +1,296 @@
+import {
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  renameSync,
+  unlinkSync,
+  writeFileSync,
+} from "fs";
+import { join } from "path";
+import { getArchiveDateFormatted } from "./date.mjs";
+import PrinterAdapter from "./printer.mjs";
+
+/**
+ * One step of a print job, replayed with the matching `PrinterAdapter` call.
+ * @typedef {{type: "text", text: string, align?: "LT" | "CT" | "RT", size?: number, color?: "black" | "red"}
+ *   | {type: "wrappedText", text: string, align?: "LT" | "CT" | "RT", size?: number, color?: "black" | "red"}
+ *   | {type: "markdown", markdown: string, fromLine?: number}
+ *   | {type: "line", lines?: number}
+ *   | {type: "divider", pattern?: string, align?: "LT" | "CT" | "RT", color?: "black" | "red"}
+ *   | {type: "qr", data: string, size?: number, errorCorrection?: "L" | "M" | "Q" | "H", align?: "LT" | "CT" | "RT"}
+ *   | {type: "barcode", data: string, barcodeType?: string, height?: number, width?: number, textPosition?: string, align?: "LT" | "CT" | "RT"}
+ *   | {type: "image", path: string, align?: "LT" | "CT" | "RT"} & import("./image.mjs").ImageOptions
+ *   | {type: "feed", mm: number}
+ *   | {type: "cut", partial?: boolean, feedMm?: number}} PrintOperation
+ */
+
+/**
+ * A queued print job as stored on disk.
+ * @typedef {Object} SpoolJob
+ * @property {string} id - Timestamp-based ID, also the file name.
+ * @property {string} description - What the job is, for `npm run queue`.
+ * @property {string} createdAt - ISO timestamp.
+ * @property {PrintOperation[]} operations
+ * @property {number} attempts - Failed print attempts so far.
+ * @property {string | null} lastError
+ * @property {string | null} lastAttemptAt - ISO timestamp.
+ * @property {string} nextAttemptAt - ISO timestamp of the next automatic retry.
+ * @property {{chunks: number, chunkLines: number, profile: string, font?: string | null}} [resume] - How far a failed attempt got, so the next one carries on from there (see `PrinterAdapter#resumeFrom()`).
+ */
+
+/**
+ * Where a job comes among those queued in the same second: 1 for
+ * "2025-01-06_08-00-00", 2 for "2025-01-06_08-00-00-2" and so on.
+ * @param {string} id
+ * @returns {number}
+ */
+const queuePosition = (id) => Number(id.match(/_\d{2}-\d{2}-\d{2}-(\d+)$/)?.[1] ?? 1);
+
+/**
+ * Replays print operations on a started printer.
+ * @param {PrinterAdapter} printer
+ * @param {PrintOperation[]} operations
+ * @returns {Promise<void>}
+ */
+export async function printOperations(printer, operations) {
+  for (const operation of operations) {
+    switch (operation.type) {
+      case "text":
+        await printer.printText(operation.text, operation.align, operation.size, operation.color);
+        break;
+      case "wrappedText":
+        await printer.printWrappedText(operation.text, operation.align, operation.size, operation.color);
+        break;
+      case "markdown":
+        await printer.printMarkdown(operation.markdown, operation);
+        break;
+      case "line":
+        await printer.printLine(operation.lines);
+        break;
+      case "divider":
+        await printer.printDivider(operation.pattern, operation.align, operation.color);
+        break;
+      case "qr":
+        await printer.printQrCode(operation.data, operation);
+        break;
+      case "barcode":
+        await printer.printBarcode(operation.data, { ...operation, type: operation.barcodeType });
+        break;
+      case "image":
+        await printer.printImage(operation.path, operation.align, operation);
+        break;
+      case "feed":
+        await printer.feedPaper(operation.mm);
+        break;
+      case "cut":
+        await printer.cut(operation.partial, operation.feedMm);
+        break;
+      default:
+        throw new Error(`Unknown print operation: ${operation.type}`);
+    }
+  }
+}
+
+/**
+ * A disk-backed print queue. Every job is saved as JSON in the spool
+ * directory before printing and removed once it has printed, so a job
+ * that fails (printer unplugged, out of paper, ...) survives until a later
+ * run prints it. Failed jobs are retried on an exponential backoff.
+ */
+export default class PrintSpooler {
+  /**
+   * @param {Object} [options={}]
+   * @param {string} [options.dir="./spool"] - Where queued jobs are stored. Defaults to `PRINT_QUEUE_DIR`.
+   * @param {number} [options.retryDelay=60000] - Milliseconds before the first retry; doubles with each failure. Defaults to `PRINT_QUEUE_RETRY_DELAY`.
+   * @param {number} [options.maxRetryDelay=3600000] - Longest wait between retries. Defaults to `PRINT_QUEUE_MAX_RETRY_DELAY`.
+   * @param {() => PrinterAdapter} [options.createPrinter] - Creates the printer for each attempt.
+   */
+  constructor({
+    dir = process.env.PRINT_QUEUE_DIR || "./spool",
+    retryDelay = parseInt(process.env.PRINT_QUEUE_RETRY_DELAY) || 60000,
+    maxRetryDelay = parseInt(process.env.PRINT_QUEUE_MAX_RETRY_DELAY) || 3600000,
+    createPrinter = () => new PrinterAdapter(),
+  } = {}) {
+    this.dir = dir;
+    this.retryDelay = retryDelay;
+    this.maxRetryDelay = maxRetryDelay;
+    this._createPrinter = createPrinter;
+  }
+
+  /**
+   * Adds a job to the queue, due immediately.
+   * @param {PrintOperation[]} operations
+   * @param {string} [description="Print job"]
+   * @returns {SpoolJob}
+   */
+  enqueue(operations, description = "Print job") {
+    mkdirSync(this.dir, { recursive: true });
+
+    const stamp = getArchiveDateFormatted();
+    let id = stamp;
+    for (let suffix = 2; existsSync(this._jobPath(id)); suffix++) {
+      id = `${stamp}-${suffix}`;
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id,
+      description,
+      createdAt: now,
+      operations,
+      attempts: 0,
+      lastError: null,
+      lastAttemptAt: null,
+      nextAttemptAt: now,
+    };
+    this._save(job);
+    return job;
+  }
+
+  /**
+   * All queued jobs, oldest first.
+   * @returns {SpoolJob[]}
+   */
+  list() {
+    if (!existsSync(this.dir)) return [];
+    // File names sort "-10" before "-2" and "stamp-2" before "stamp"
+    return readdirSync(this.dir)
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => JSON.parse(readFileSync(join(this.dir, file), "utf-8")))
+      .sort(
+        (a, b) =>
+          a.createdAt.localeCompare(b.createdAt) || queuePosition(a.id) - queuePosition(b.id)
+      );
+  }
+
+  /**
+   * Looks up a queued job.
+   * @param {string} id
+   * @returns {SpoolJob}
+   */
+  get(id) {
+    const path = this._jobPath(id);
+    if (!existsSync(path)) throw new Error(`No queued print job with ID ${id}`);
+    return JSON.parse(readFileSync(path, "utf-8"));
+  }
+
+  /**
+   * Removes a job from the queue without printing it.
+   * @param {string} id
+   * @returns {SpoolJob} The dropped job.
+   */
+  drop(id) {
+    const job = this.get(id);
+    unlinkSync(this._jobPath(id));
+    return job;
+  }
+
+  /**
+   * Milliseconds to wait after a job's nth failed attempt.
+   * @param {number} attempts
+   * @returns {number}
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.maxRetryDelay, this.retryDelay * 2 ** Math.max(0, attempts - 1));
+  }
+
+  /**
+   * Tries to print one job. On success the job leaves the queue; on
+   * failure the error is recorded and the next retry is scheduled. A job
+   * that stopped partway resumes after the last chunk the printer confirmed,
+   * as long as it prints with the same profile, chunk size and font.
+   * @param {SpoolJob} job
+   * @returns {Promise<{job: SpoolJob, printed: boolean, error?: Error}>}
+   */
+  async print(job) {
+    let printer = null;
+    let started = false;
+    try {
+      printer = this._createPrinter();
+      const { resume } = job;
+      if (
+        resume &&
+        resume.profile === printer.profile.id &&
+        resume.chunkLines === printer.chunkLines &&
+        (resume.font ?? null) === printer.font
+      ) {
+        printer.resumeFrom(resume.chunks);
+      }
+      await printer.start();
+      started = true;
+      await printOperations(printer, job.operations);
+      await printer.close();
+    } catch (error) {
+      if (started) await printer.close().catch(() => {});
+
+      const now = new Date();
+      job.attempts++;
+      job.lastError = error.message;
+      job.lastAttemptAt = now.toISOString();
+      job.nextAttemptAt = new Date(now.getTime() + this.getRetryDelay(job.attempts)).toISOString();
+      if (printer?.confirmedChunks > 0) {
+        job.resume = {
+          chunks: printer.confirmedChunks,
+          chunkLines: printer.chunkLines,
+          profile: printer.profile.id,
+          font: printer.font,
+        };
+      }
+      this._save(job);
+      return { job, printed: false, error };
+    }
+
+    if (existsSync(this._jobPath(job.id))) unlinkSync(this._jobPath(job.id));
+    return { job, printed: true };
+  }
+
+  /**
+   * Prints queued jobs in order. Stops at the first failure so jobs never
+   * print out of order; the rest wait for the next run.
+   * @param {Object} [options={}]
+   * @param {boolean} [options.force=false] - Ignore the backoff schedule and try every job now.
+   * @returns {Promise<Array<{job: SpoolJob, printed: boolean, error?: Error}>>}
+   */
+  async processQueue({ force = false } = {}) {
+    const results = [];
+    const now = Date.now();
+
+    for (const job of this.list()) {
+      if (!force && new Date(job.nextAttemptAt).getTime() > now) break;
+      const result = await this.print(job);
+      results.push(result);
+      if (!result.printed) break;
+    }
+
+    return results;
+  }
+
+  /**
+   * When the next queued job is due, or `null` if the queue is empty.
+   * @returns {Date | null}
+   */
+  get nextAttemptAt() {
+    const [first] = this.list();
+    return first ? new Date(first.nextAttemptAt) : null;
+  }
+
+  /**
+   * Path of a job's file.
+   * @param {string} id
+   * @returns {string}
+   */
+  _jobPath(id) {
+    return join(this.dir, `${id}.json`);
+  }
+
+  /**
+   * Writes a job to disk atomically, so a crash never leaves half a job.
+   * @param {SpoolJob} job
+   */
+  _save(job) {
+    const path = this._jobPath(job.id);
+    writeFileSync(`${path}.tmp`, JSON.stringify(job, null, 2), "utf-8");
+    renameSync(`${path}.tmp`, path);
+  }
+}
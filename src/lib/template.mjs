@@ -0,0 +1,255 @@
+import { existsSync, readFileSync } from "fs";
+import { join, resolve } from "path";
+import { pathToFileURL } from "url";
+import { format } from "date-fns";
+import { getFullDateFormatted, getShortDateFormatted } from "./date.mjs";
+import { DITHER_METHODS } from "./image.mjs";
+import { BARCODE_TEXT_POSITIONS, BARCODE_TYPES, QR_ERROR_CORRECTION } from "./barcode.mjs";
+import { COLORS } from "./profiles.mjs";
+
+/**
+ * Receipt layout templates. A template is a JSON file listing the blocks
+ * of the printout from top to bottom:
+ *
+ * ```json
+ * {
+ *   "variables": { "SENDER": "Your Printer" },
+ *   "blocks": [
+ *     { "type": "date", "align": "CT", "size": 1, "spaceAfter": 2 },
+ *     { "type": "body" },
+ *     { "type": "signOff", "text": "With love,\n%%SENDER%%" },
+ *     { "type": "feed", "lines": 2 }
+ *   ]
+ * }
+ * ```
+ *
+ * Text fields can use `%%VARIABLE%%` placeholders, filled from the run
+ * (`MESSAGE`, `DATE`, `FULL_DATE`, `LETTER_NUMBER`, ...) and the template's
+ * own `variables`. Rendering turns the blocks into print operations that
+ * the spooler can queue and replay (see `printOperations()`).
+ */
+
+/** Where named templates live. */
+export const TEMPLATES_DIR = "./templates";
+
+/**
+ * Block types with their defaults. Fields listed in `required` must be set,
+ * and fields listed in `choices` must be one of the given values.
+ */
+const BLOCKS = {
+  date: {
+    defaults: { format: "MM/dd/yyyy h:mm a", align: "CT", size: 1, spaceAfter: 0, color: "black" },
+    choices: { color: COLORS },
+  },
+  letterNumber: {
+    defaults: { text: "Letter #%%LETTER_NUMBER%%", align: "CT", size: 0, spaceAfter: 0, color: "black" },
+    choices: { color: COLORS },
+  },
+  text: {
+    defaults: { align: "CT", size: 0, wrap: false, spaceAfter: 0, color: "black" },
+    required: ["text"],
+    choices: { color: COLORS },
+  },
+  body: { defaults: { markdown: true } },
+  signOff: {
+    defaults: { text: "With love,\n%%SENDER%%", align: "LT", size: 0, spaceAfter: 0, color: "black" },
+    choices: { color: COLORS },
+  },
+  divider: { defaults: { pattern: "~ ", align: "CT", color: "black" }, choices: { color: COLORS } },
+  qr: {
+    defaults: { size: 6, errorCorrection: "M", align: "CT" },
+    required: ["data"],
+    choices: { errorCorrection: QR_ERROR_CORRECTION },
+  },
+  barcode: {
+    defaults: { barcodeType: "CODE128", height: 80, width: 2, textPosition: "below", align: "CT" },
+    required: ["data"],
+    choices: { barcodeType: Object.keys(BARCODE_TYPES), textPosition: Object.keys(BARCODE_TEXT_POSITIONS) },
+  },
+  image: {
+    defaults: { align: "CT", dither: "floyd-steinberg" },
+    required: ["path"],
+    choices: { dither: DITHER_METHODS },
+  },
+  feed: { defaults: { lines: 1 } },
+  cut: { defaults: { partial: false } },
+};
+
+/** Block types a template can use. */
+export const BLOCK_TYPES = Object.keys(BLOCKS);
+
+/**
+ * @typedef {Object} Template
+ * @property {string} [name]
+ * @property {string} [description]
+ * @property {Object<string, string>} [variables] - Defaults for `%%VARIABLE%%` placeholders.
+ * @property {Array<Object>} blocks
+ */
+
+/**
+ * Checks a template's structure, so mistakes show up before a letter is
+ * generated rather than halfway through printing it.
+ * @param {Template} template
+ * @param {string} [source="template"] - Where the template came from, for error messages.
+ * @returns {Template}
+ */
+export function validateTemplate(template, source = "template") {
+  if (!template || !Array.isArray(template.blocks)) {
+    throw new Error(`Invalid ${source}: expected an object with a "blocks" array`);
+  }
+
+  template.blocks.forEach((block, index) => {
+    const spec = BLOCKS[block?.type];
+    if (!spec) {
+      throw new Error(
+        `Invalid ${source}: block ${index + 1} has unknown type "${block?.type}" (expected one of ${BLOCK_TYPES.join(", ")})`
+      );
+    }
+    for (const field of spec.required ?? []) {
+      if (block[field] === undefined || block[field] === "") {
+        throw new Error(`Invalid ${source}: ${block.type} block ${index + 1} needs "${field}"`);
+      }
+    }
+    for (const [field, values] of Object.entries(spec.choices ?? {})) {
+      if (block[field] !== undefined && !values.includes(block[field])) {
+        throw new Error(
+          `Invalid ${source}: ${block.type} block ${index + 1} has ${field} "${block[field]}" (expected one of ${values.join(", ")})`
+        );
+      }
+    }
+  });
+
+  return template;
+}
+
+/**
+ * Loads a template by name from `./templates/<name>.json`, or from a path.
+ * @param {string} [nameOrPath="default"] - Defaults to `PRINTER_TEMPLATE`.
+ * @returns {Template}
+ */
+export function loadTemplate(nameOrPath = process.env.PRINTER_TEMPLATE || "default") {
+  const path =
+    nameOrPath.endsWith(".json") || nameOrPath.includes("/")
+      ? nameOrPath
+      : join(TEMPLATES_DIR, `${nameOrPath}.json`);
+
+  if (!existsSync(path)) {
+    throw new Error(`Layout template not found: ${path}`);
+  }
+
+  let template;
+  try {
+    template = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (error) {
+    throw new Error(`Could not parse layout template ${path}: ${error.message}`);
+  }
+  return validateTemplate(template, `layout template ${path}`);
+}
+
+/**
+ * Fills `%%VARIABLE%%` placeholders, leaving unknown ones as they are.
+ * @param {string} text
+ * @param {Object<string, string | number>} variables
+ * @returns {string}
+ */
+export function fillVariables(text, variables) {
+  return String(text).replace(/%%([A-Z0-9_]+)%%/g, (match, key) =>
+    variables[key] !== undefined ? String(variables[key]) : match
+  );
+}
+
+/**
+ * Renders a template into print operations for one letter.
+ * @param {Template} template
+ * @param {Object} [context={}]
+ * @param {Date} [context.date=new Date()] - Date of the run, for `date` blocks and `%%DATE%%`.
+ * @param {Object<string, string | number>} [context.variables={}] - Run variables, e.g. `MESSAGE` and `LETTER_NUMBER`.
+ * @returns {import("./spooler.mjs").PrintOperation[]}
+ */
+export function renderTemplate(template, { date = new Date(), variables = {} } = {}) {
+  const values = {
+    DATE: getShortDateFormatted(date),
+    FULL_DATE: getFullDateFormatted(date),
+    ...template.variables,
+    ...variables,
+  };
+  if (values.ARCHIVE_FILE && !values.ARCHIVE_URL) {
+    values.ARCHIVE_URL = pathToFileURL(resolve(String(values.ARCHIVE_FILE))).href;
+  }
+  const fill = (text) => fillVariables(text, values);
+  const withSpace = (text, lines) => text + "\n".repeat(lines);
+
+  return template.blocks.map((block) => {
+    const options = { ...BLOCKS[block.type].defaults, ...block };
+    const { align, size, color } = options;
+
+    switch (block.type) {
+      case "date":
+        return {
+          type: "text",
+          text: withSpace(format(date, options.format), options.spaceAfter),
+          align,
+          size,
+          color,
+        };
+      case "letterNumber":
+        return { type: "text", text: withSpace(fill(options.text), options.spaceAfter), align, size, color };
+      case "text":
+        return {
+          type: options.wrap ? "wrappedText" : "text",
+          text: withSpace(fill(options.text), options.spaceAfter),
+          align,
+          size,
+          color,
+        };
+      case "signOff":
+        return {
+          type: "wrappedText",
+          text: withSpace(fill(options.text), options.spaceAfter),
+          align,
+          size,
+          color,
+        };
+      case "body":
+        return options.markdown
+          ? { type: "markdown", markdown: values.MESSAGE ?? "" }
+          : { type: "wrappedText", text: values.MESSAGE ?? "", align: "LT", size: 0 };
+      case "divider":
+        return { type: "divider", pattern: options.pattern, align, color };
+      case "qr":
+        return {
+          type: "qr",
+          data: fill(options.data),
+          size: options.size,
+          errorCorrection: options.errorCorrection,
+          align,
+        };
+      case "barcode":
+        return {
+          type: "barcode",
+          data: fill(options.data),
+          barcodeType: options.barcodeType,
+          height: options.height,
+          width: options.width,
+          textPosition: options.textPosition,
+          align,
+        };
+      case "image":
+        return {
+          type: "image",
+          path: fill(options.path),
+          align,
+          width: options.width,
+          dither: options.dither,
+          contrast: options.contrast,
+          brightness: options.brightness,
+        };
+      case "feed":
+        return options.mm !== undefined
+          ? { type: "feed", mm: options.mm }
+          : { type: "line", lines: options.lines };
+      case "cut":
+        return { type: "cut", partial: options.partial, feedMm: options.feedMm };
+    }
+  });
+}
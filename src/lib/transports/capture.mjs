@@ -0,0 +1,90 @@
+import { closeSync, mkdirSync, openSync, writeSync } from "fs";
+import { dirname } from "path";
+import { Adapter } from "@node-escpos/adapter";
+
+/**
+ * Writes the raw ESC/POS byte stream of a job to a `.bin` file instead of a
+ * printer. Decode the result with `npm run decode-escpos -- <file>`.
+ *
+ * Implements the same callback-style interface as `@node-escpos/usb-adapter`
+ * so it can be handed straight to an escpos `Printer`.
+ */
+export default class CaptureAdapter extends Adapter {
+  /** @type {number | null} */
+  _fd = null;
+
+  /**
+   * @param {string} file - Path of the capture file; it is created or truncated on `open()`.
+   */
+  constructor(file) {
+    super();
+    if (!file) throw new Error("Capture file path is required");
+    this.file = file;
+    this.bytesWritten = 0;
+  }
+
+  /**
+   * Creates the capture file.
+   * @param {(error: Error | null) => void} [callback]
+   * @returns {CaptureAdapter}
+   */
+  open(callback) {
+    try {
+      mkdirSync(dirname(this.file), { recursive: true });
+      this._fd = openSync(this.file, "w");
+      this.bytesWritten = 0;
+      this.emit("connect", this.file);
+      callback && callback(null);
+    } catch (error) {
+      callback && callback(error);
+    }
+    return this;
+  }
+
+  /**
+   * Appends data to the capture file. Bytes are written straight through so
+   * the file is complete up to the point of any crash.
+   * @param {Buffer} data
+   * @param {(error?: Error | null) => void} [callback]
+   * @returns {CaptureAdapter}
+   */
+  write(data, callback) {
+    this.emit("data", data);
+    try {
+      if (data?.length) {
+        if (this._fd === null) throw new Error(`Capture file ${this.file} is not open`);
+        writeSync(this._fd, data);
+        this.bytesWritten += data.length;
+      }
+      callback && callback(null);
+    } catch (error) {
+      callback && callback(error);
+    }
+    return this;
+  }
+
+  /**
+   * A capture file never answers, so status reads get nothing back.
+   */
+  read() {}
+
+  /**
+   * Closes the capture file.
+   * @param {(error: Error | null) => void} [callback]
+   * @returns {CaptureAdapter}
+   */
+  close(callback) {
+    try {
+      if (this._fd !== null) {
+        closeSync(this._fd);
+        this._fd = null;
+        console.log(`Captured ${this.bytesWritten} bytes to ${this.file}`);
+        this.emit("close", this.file);
+      }
+      callback && callback(null);
+    } catch (error) {
+      callback && callback(error);
+    }
+    return this;
+  }
+}
@@ -0,0 +1,86 @@
+import { readdirSync } from "fs";
+import { platform } from "os";
+import { SerialPort } from "serialport";
+import USB from "@node-escpos/usb-adapter";
+
+// Device names that USB-serial bridges and USB-CDC printers show up as
+const SERIAL_DEVICE_PATTERN =
+  /^(ttyUSB\d+|ttyACM\d+|cu\.usbserial.*|cu\.usbmodem.*|cu\.wchusbserial.*)$/;
+
+/**
+ * Formats a USB vendor or product ID the way `lsusb` does (`0x0416`).
+ * @param {number} id
+ * @returns {string}
+ */
+const toHex = (id) => "0x" + id.toString(16).padStart(4, "0");
+
+/**
+ * Lists USB devices that report the USB printer interface class.
+ * @returns {Array<{type: "usb", vendorId: string, productId: string, bus: number, address: number}>}
+ */
+export function listUsbPrinters() {
+  try {
+    return USB.findPrinter().map((device) => ({
+      type: "usb",
+      vendorId: toHex(device.deviceDescriptor.idVendor),
+      productId: toHex(device.deviceDescriptor.idProduct),
+      bus: device.busNumber,
+      address: device.deviceAddress,
+    }));
+  } catch (error) {
+    console.warn("Could not enumerate USB devices:", error.message);
+    return [];
+  }
+}
+
+/**
+ * Lists serial ports that look like USB-serial or USB-CDC printers.
+ *
+ * Falls back to scanning `/dev` when the serialport enumerator is unavailable
+ * (e.g. `udevadm` missing on minimal Linux installs).
+ *
+ * @returns {Promise<Array<{type: "serial", path: string, manufacturer?: string, vendorId?: string, productId?: string}>>}
+ */
+export async function listSerialPrinters() {
+  try {
+    const ports = await SerialPort.list();
+    return ports
+      .filter(
+        (port) =>
+          port.vendorId ||
+          SERIAL_DEVICE_PATTERN.test(port.path.split("/").pop()) ||
+          platform() === "win32"
+      )
+      .map((port) => ({
+        type: "serial",
+        path: port.path,
+        manufacturer: port.manufacturer,
+        vendorId: port.vendorId && "0x" + port.vendorId.toLowerCase(),
+        productId: port.productId && "0x" + port.productId.toLowerCase(),
+      }));
+  } catch (error) {
+    if (platform() === "win32") {
+      console.warn("Could not enumerate serial ports:", error.message);
+      return [];
+    }
+
+    try {
+      return readdirSync("/dev")
+        .filter((name) => SERIAL_DEVICE_PATTERN.test(name))
+        .map((name) => ({ type: "serial", path: `/dev/${name}` }));
+    } catch {
+      return [];
+    }
+  }
+}
+
+/**
+ * Lists every printer candidate across the USB and serial transports.
+ * @returns {Promise<{usb: Array<Object>, serial: Array<Object>}>}
+ */
+export async function listPrinters() {
+  return {
+    usb: listUsbPrinters(),
+    serial: await listSerialPrinters(),
+  };
+}
@@ -0,0 +1,100 @@
+import USB from "@node-escpos/usb-adapter";
+import { getArchiveDateFormatted } from "../date.mjs";
+import CaptureAdapter from "./capture.mjs";
+import NetworkAdapter from "./network.mjs";
+import SerialAdapter from "./serial.mjs";
+
+export const TRANSPORTS = ["usb", "network", "serial", "capture"];
+
+/**
+ * Parses a USB vendor/product ID given as hex ("0x0416") or decimal ("1046").
+ * @param {string | undefined} value
+ * @returns {number | undefined}
+ */
+function parseUsbId(value) {
+  if (!value) return undefined;
+  const id = /^0x/i.test(value) ? parseInt(value, 16) : parseInt(value, 10);
+  return Number.isNaN(id) ? undefined : id;
+}
+
+/**
+ * Reads the printer transport settings from the environment.
+ *
+ * - `PRINTER_TRANSPORT`: "usb" (default), "network", "serial" or "capture"
+ * - `PRINTER_USB_VENDOR_ID`, `PRINTER_USB_PRODUCT_ID`: pick a specific USB printer (see `npm run list-printers`)
+ * - `PRINTER_HOST`, `PRINTER_PORT`: network printer address (port defaults to 9100)
+ * - `PRINTER_CONNECT_TIMEOUT`: milliseconds to wait for a network connection
+ * - `PRINTER_RECONNECT_ATTEMPTS`: connection attempts before giving up
+ * - `PRINTER_SERIAL_PATH`: serial device, e.g. `/dev/ttyUSB0`
+ * - `PRINTER_BAUD_RATE`: serial line speed (defaults to 9600)
+ * - `PRINTER_FLOW_CONTROL`: "none" (default), "rtscts" or "xonxoff"
+ * - `PRINTER_CAPTURE_FILE`: where the capture transport writes the byte stream
+ *
+ * @returns {Object} Transport settings for `createTransport()`.
+ */
+export function getTransportConfig() {
+  return {
+    type: process.env.PRINTER_TRANSPORT || "usb",
+    vendorId: parseUsbId(process.env.PRINTER_USB_VENDOR_ID),
+    productId: parseUsbId(process.env.PRINTER_USB_PRODUCT_ID),
+    host: process.env.PRINTER_HOST,
+    port: parseInt(process.env.PRINTER_PORT) || 9100,
+    connectTimeout: parseInt(process.env.PRINTER_CONNECT_TIMEOUT) || 5000,
+    reconnectAttempts: parseInt(process.env.PRINTER_RECONNECT_ATTEMPTS) || 3,
+    path: process.env.PRINTER_SERIAL_PATH,
+    baudRate: parseInt(process.env.PRINTER_BAUD_RATE) || 9600,
+    flowControl: process.env.PRINTER_FLOW_CONTROL || "none",
+    file: process.env.PRINTER_CAPTURE_FILE,
+  };
+}
+
+/**
+ * Creates the escpos adapter for the configured transport.
+ * @param {Object} [config=getTransportConfig()]
+ * @param {"usb" | "network" | "serial" | "capture"} [config.type="usb"]
+ * @param {number} [config.vendorId] - USB vendor ID; uses the first USB printer found if omitted (usb only).
+ * @param {number} [config.productId] - USB product ID (usb only).
+ * @param {string} [config.host] - Network printer host (network only).
+ * @param {number} [config.port=9100] - Network printer port (network only).
+ * @param {number} [config.connectTimeout] - Connection timeout in milliseconds (network only).
+ * @param {number} [config.reconnectAttempts] - Connection attempts before giving up (network only).
+ * @param {number} [config.reconnectDelay] - Milliseconds between connection attempts (network only).
+ * @param {string} [config.path] - Serial device path (serial only).
+ * @param {number} [config.baudRate=9600] - Serial line speed (serial only).
+ * @param {"none" | "rtscts" | "xonxoff"} [config.flowControl="none"] - Serial flow control (serial only).
+ * @param {string} [config.file] - Capture file; defaults to `./capture/<timestamp>.bin` (capture only).
+ * @returns {import("@node-escpos/adapter").Adapter}
+ */
+export function createTransport(config = getTransportConfig()) {
+  const { type = "usb" } = config;
+
+  switch (type) {
+    case "usb":
+      return config.vendorId && config.productId
+        ? new USB(config.vendorId, config.productId)
+        : new USB();
+
+    case "network":
+      return new NetworkAdapter(config.host, config.port, {
+        connectTimeout: config.connectTimeout,
+        reconnectAttempts: config.reconnectAttempts,
+        reconnectDelay: config.reconnectDelay,
+      });
+
+    case "serial":
+      return new SerialAdapter(config.path, {
+        baudRate: config.baudRate,
+        flowControl: config.flowControl,
+      });
+
+    case "capture":
+      return new CaptureAdapter(
+        config.file || `./capture/${getArchiveDateFormatted()}.bin`
+      );
+
+    default:
+      throw new Error(
+        `Unknown printer transport: ${type} (expected one of ${TRANSPORTS.join(", ")})`
+      );
+  }
+}
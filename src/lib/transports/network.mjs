@@ -0,0 +1,196 @@
+import net from "net";
+import { Adapter } from "@node-escpos/adapter";
+
+/**
+ * Sends ESC/POS data to a network receipt printer over a raw TCP socket
+ * (the "JetDirect" / port 9100 protocol most Ethernet and Wi-Fi printers speak).
+ *
+ * Implements the same callback-style interface as `@node-escpos/usb-adapter`
+ * so it can be handed straight to an escpos `Printer`.
+ */
+export default class NetworkAdapter extends Adapter {
+  /** @type {net.Socket | null} */
+  _socket = null;
+
+  /**
+   * @param {string} host - Hostname or IP address of the printer.
+   * @param {number} [port=9100] - Raw printing port.
+   * @param {Object} [options={}]
+   * @param {number} [options.connectTimeout=5000] - Milliseconds to wait for a connection before giving up.
+   * @param {number} [options.reconnectAttempts=3] - How many times to try connecting before failing.
+   * @param {number} [options.reconnectDelay=1000] - Milliseconds to wait between connection attempts.
+   * @param {number} [options.closeTimeout=2000] - Milliseconds to wait for the printer to acknowledge a close.
+   */
+  constructor(
+    host,
+    port = 9100,
+    {
+      connectTimeout = 5000,
+      reconnectAttempts = 3,
+      reconnectDelay = 1000,
+      closeTimeout = 2000,
+    } = {}
+  ) {
+    super();
+    if (!host) throw new Error("Network printer host is required");
+
+    this.host = host;
+    this.port = port;
+    this.connectTimeout = connectTimeout;
+    this.reconnectAttempts = Math.max(1, reconnectAttempts);
+    this.reconnectDelay = reconnectDelay;
+    this.closeTimeout = closeTimeout;
+    this._isClosing = false;
+  }
+
+  /**
+   * Whether the socket is currently connected.
+   * @returns {boolean}
+   */
+  get isConnected() {
+    return this._socket !== null && !this._socket.destroyed;
+  }
+
+  /**
+   * Opens the connection to the printer.
+   * @param {(error: Error | null) => void} [callback]
+   * @returns {NetworkAdapter}
+   */
+  open(callback) {
+    this._isClosing = false;
+    this._connectWithRetry().then(
+      () => callback && callback(null),
+      (error) => callback && callback(error)
+    );
+    return this;
+  }
+
+  /**
+   * Writes data to the printer, reconnecting first if the connection dropped.
+   * @param {Buffer} data
+   * @param {(error?: Error | null) => void} [callback]
+   * @returns {NetworkAdapter}
+   */
+  write(data, callback) {
+    this.emit("data", data);
+
+    // Nothing to send, so there is no reason to bring a dropped connection back
+    if (!this.isConnected && (!data || data.length === 0)) {
+      callback && callback(null);
+      return this;
+    }
+
+    const send = () => {
+      this._socket.write(data, (error) => callback && callback(error || null));
+    };
+
+    if (this.isConnected) {
+      send();
+    } else {
+      console.log(
+        `Printer connection to ${this.host}:${this.port} lost, reconnecting...`
+      );
+      this._connectWithRetry().then(send, (error) => callback && callback(error));
+    }
+    return this;
+  }
+
+  /**
+   * Reads the next chunk of data sent back by the printer.
+   * @param {(data: Buffer) => void} callback
+   * @returns {() => void} Stops waiting, e.g. when the read timed out.
+   */
+  read(callback) {
+    const socket = this._socket;
+    socket?.once("data", callback);
+    return () => socket?.off("data", callback);
+  }
+
+  /**
+   * Ends the connection once all pending data has been written.
+   * @param {(error: Error | null) => void} [callback]
+   * @returns {NetworkAdapter}
+   */
+  close(callback) {
+    this._isClosing = true;
+    const socket = this._socket;
+    this._socket = null;
+
+    if (!socket || socket.destroyed) {
+      callback && callback(null);
+      return this;
+    }
+
+    const timer = setTimeout(() => socket.destroy(), this.closeTimeout);
+    socket.once("close", () => {
+      clearTimeout(timer);
+      this.emit("close", socket);
+      callback && callback(null);
+    });
+    socket.end();
+    return this;
+  }
+
+  /**
+   * Connects, retrying up to `reconnectAttempts` times.
+   * @returns {Promise<void>}
+   */
+  async _connectWithRetry() {
+    let lastError;
+    for (let attempt = 1; attempt <= this.reconnectAttempts; attempt++) {
+      try {
+        await this._connect();
+        return;
+      } catch (error) {
+        lastError = error;
+        console.warn(
+          `Printer connection attempt ${attempt}/${this.reconnectAttempts} to ${this.host}:${this.port} failed: ${error.message}`
+        );
+        if (attempt < this.reconnectAttempts) {
+          await new Promise((resolve) => setTimeout(resolve, this.reconnectDelay));
+        }
+      }
+    }
+    throw new Error(
+      `Could not connect to network printer at ${this.host}:${this.port}: ${lastError.message}`
+    );
+  }
+
+  /**
+   * Opens a single socket connection.
+   * @returns {Promise<void>}
+   */
+  _connect() {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect({ host: this.host, port: this.port });
+      socket.setNoDelay(true);
+
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(new Error(`Connection timed out after ${this.connectTimeout}ms`));
+      }, this.connectTimeout);
+
+      socket.once("error", (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      socket.once("connect", () => {
+        clearTimeout(timer);
+        socket.removeAllListeners("error");
+        socket.on("error", (error) => {
+          console.warn(`Network printer error: ${error.message}`);
+        });
+        socket.on("close", () => {
+          if (this._socket === socket) {
+            this._socket = null;
+            if (!this._isClosing) this.emit("disconnect", socket);
+          }
+        });
+        this._socket = socket;
+        this.emit("connect", socket);
+        resolve();
+      });
+    });
+  }
+}
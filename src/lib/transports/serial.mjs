@@ -0,0 +1,116 @@
+import { SerialPort } from "serialport";
+import { Adapter } from "@node-escpos/adapter";
+
+export const FLOW_CONTROL_MODES = ["none", "rtscts", "xonxoff"];
+
+/**
+ * Sends ESC/POS data to a printer exposed as a serial or USB-CDC device
+ * (`/dev/ttyUSB*`, `/dev/ttyACM*`, `COM3`, ...).
+ *
+ * Implements the same callback-style interface as `@node-escpos/usb-adapter`
+ * so it can be handed straight to an escpos `Printer`.
+ */
+export default class SerialAdapter extends Adapter {
+  /** @type {SerialPort} */
+  _port;
+
+  /**
+   * @param {string} path - Device path, e.g. `/dev/ttyUSB0`.
+   * @param {Object} [options={}]
+   * @param {number} [options.baudRate=9600] - Line speed; must match the printer's DIP switch / self-test setting.
+   * @param {"none" | "rtscts" | "xonxoff"} [options.flowControl="none"] - Hardware (RTS/CTS) or software (XON/XOFF) flow control.
+   */
+  constructor(path, { baudRate = 9600, flowControl = "none" } = {}) {
+    super();
+    if (!path) throw new Error("Serial printer path is required");
+    if (!FLOW_CONTROL_MODES.includes(flowControl)) {
+      throw new Error(
+        `Unknown flow control: ${flowControl} (expected one of ${FLOW_CONTROL_MODES.join(", ")})`
+      );
+    }
+
+    this.path = path;
+    this.baudRate = baudRate;
+    this.flowControl = flowControl;
+
+    this._port = new SerialPort({
+      path,
+      baudRate,
+      rtscts: flowControl === "rtscts",
+      xon: flowControl === "xonxoff",
+      xoff: flowControl === "xonxoff",
+      autoOpen: false,
+    });
+    this._port.on("error", (error) => {
+      console.warn(`Serial printer error: ${error.message}`);
+    });
+    this._port.on("close", () => this.emit("disconnect", this._port));
+  }
+
+  /**
+   * Opens the serial port.
+   * @param {(error: Error | null) => void} [callback]
+   * @returns {SerialAdapter}
+   */
+  open(callback) {
+    this._port.open((error) => {
+      if (error) {
+        callback &&
+          callback(new Error(`Could not open serial printer at ${this.path}: ${error.message}`));
+        return;
+      }
+      this.emit("connect", this._port);
+      callback && callback(null);
+    });
+    return this;
+  }
+
+  /**
+   * Writes data and waits until the OS has handed it to the device.
+   * @param {Buffer} data
+   * @param {(error?: Error | null) => void} [callback]
+   * @returns {SerialAdapter}
+   */
+  write(data, callback) {
+    this.emit("data", data);
+
+    if (!this._port.isOpen) {
+      callback && callback(data?.length ? new Error(`Serial port ${this.path} is not open`) : null);
+      return this;
+    }
+
+    this._port.write(data);
+    this._port.drain((error) => callback && callback(error || null));
+    return this;
+  }
+
+  /**
+   * Reads the next chunk of data sent back by the printer.
+   * @param {(data: Buffer) => void} callback
+   * @returns {() => void} Stops waiting, e.g. when the read timed out.
+   */
+  read(callback) {
+    this._port.once("data", callback);
+    return () => this._port.off("data", callback);
+  }
+
+  /**
+   * Closes the port once pending data has been written.
+   * @param {(error: Error | null) => void} [callback]
+   * @returns {SerialAdapter}
+   */
+  close(callback) {
+    if (!this._port.isOpen) {
+      callback && callback(null);
+      return this;
+    }
+
+    this._port.drain(() => {
+      this._port.close((error) => {
+        this.emit("close", this._port);
+        callback && callback(error || null);
+      });
+    });
+    return this;
+  }
+}
@@ -0,0 +1,358 @@
+import { EventEmitter } from "events";
+import { existsSync, mkdirSync, writeFileSync } from "fs";
+import net from "net";
+import { join } from "path";
+import { getArchiveDateFormatted } from "./date.mjs";
+import { decodeEscPos, formatCommands } from "./escpos-decoder.mjs";
+import ReceiptPreview from "./preview.mjs";
+import { resolveProfile } from "./profiles.mjs";
+
+const DLE = 0x10;
+const EOT = 0x04;
+const GS = 0x1d;
+
+/** Faults the virtual printer can simulate. */
+export const FAULTS = ["paperOut", "paperNearEnd", "coverOpen", "cutterError"];
+
+/** Faults that stop the printer from printing until they are cleared. */
+const BLOCKING_FAULTS = ["paperOut", "coverOpen", "cutterError"];
+
+/** Commands that do not put anything on paper. */
+const NON_PRINTING = new Set([
+  "INIT",
+  "STATUS_REQUEST",
+  "TRANSMIT_STATUS",
+  "AUTO_STATUS_BACK",
+]);
+
+/**
+ * Whether data puts something on paper, as opposed to only asking for
+ * status.
+ * @param {Buffer} data
+ * @returns {boolean}
+ */
+const isPrintData = (data) => decodeEscPos(data).some((command) => !NON_PRINTING.has(command.name));
+
+/**
+ * Parses a comma-separated fault list such as "paperOut,coverOpen".
+ * Kebab-case names ("paper-out") are accepted too.
+ * @param {string | undefined} value
+ * @returns {Object<string, boolean>}
+ */
+export function parseFaults(value) {
+  const faults = {};
+  for (const name of (value || "").split(",").map((fault) => fault.trim())) {
+    if (!name) continue;
+    const fault = name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+    if (!FAULTS.includes(fault)) {
+      throw new Error(`Unknown printer fault: ${name} (expected one of ${FAULTS.join(", ")})`);
+    }
+    faults[fault] = true;
+  }
+  return faults;
+}
+
+/**
+ * A local TCP server that behaves like a network receipt printer.
+ *
+ * Every connection is one job. When the client disconnects, the job is
+ * decoded and saved to `<outputDir>/<timestamp>/`:
+ *
+ * - `job.bin`: the raw ESC/POS bytes
+ * - `commands.txt`: the decoded command list (see `formatCommands()`)
+ * - `receipt.txt` / `receipt.html`: the receipt as it would have printed
+ *
+ * Status requests (`DLE EOT n`, `GS r n`) are answered while the job is
+ * still streaming, from the simulated fault state, and `GS a` enables
+ * automatic status back whenever a fault changes. Jobs received while a
+ * blocking fault is set are saved without a receipt, like a printer that
+ * would have dropped them; when a fault appears mid-job, only what arrived
+ * before it is printed. With `busyMs`, the printer reports itself busy
+ * (offline) for a while after each block of print data.
+ */
+export default class VirtualPrinter extends EventEmitter {
+  /** @type {net.Server | null} */
+  _server = null;
+
+  /** @type {Set<net.Socket>} Connections with automatic status back enabled. */
+  _asbSockets = new Set();
+
+  /** @type {Set<net.Socket>} */
+  _sockets = new Set();
+
+  /**
+   * @param {Object} [options={}]
+   * @param {string} [options.host="127.0.0.1"] - Address to listen on.
+   * @param {number} [options.port=9100] - Port to listen on; 0 picks a free port.
+   * @param {string} [options.outputDir="./virtual-printer"] - Where jobs are saved.
+   * @param {import("./profiles.mjs").PrinterProfile} [options.profile] - Printer profile to emulate; defaults to the generic one for `paperWidth`.
+   * @param {number} [options.paperWidth=58] - Paper width in mm (58 or 80), when no profile is given.
+   * @param {Object<string, boolean>} [options.faults={}] - Initial faults, keyed by `FAULTS` name.
+   * @param {number} [options.busyMs=0] - Milliseconds to report busy after receiving print data.
+   */
+  constructor({
+    host = "127.0.0.1",
+    port = 9100,
+    outputDir = "./virtual-printer",
+    profile,
+    paperWidth,
+    faults = {},
+    busyMs = 0,
+  } = {}) {
+    super();
+    this.host = host;
+    this.port = port;
+    this.outputDir = outputDir;
+    this.profile = resolveProfile({ profile, paperWidth });
+    this.paperWidth = this.profile.paperWidth;
+    this.faults = Object.fromEntries(FAULTS.map((fault) => [fault, Boolean(faults[fault])]));
+    this.busyMs = busyMs;
+    this.jobCount = 0;
+    this._busyUntil = 0;
+  }
+
+  /**
+   * Whether the printer is still working through the last print data.
+   * @returns {boolean}
+   */
+  get isBusy() {
+    return Date.now() < this._busyUntil;
+  }
+
+  /**
+   * Whether a fault is set that stops printing.
+   * @returns {boolean}
+   */
+  get isOffline() {
+    return BLOCKING_FAULTS.some((fault) => this.faults[fault]);
+  }
+
+  /**
+   * Starts listening for jobs.
+   * @returns {Promise<void>}
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this._server = net.createServer((socket) => this._handleConnection(socket));
+      this._server.once("error", reject);
+      this._server.listen(this.port, this.host, () => {
+        this._server.off("error", reject);
+        this.port = this._server.address().port;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stops the server, dropping open connections.
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this._server) return Promise.resolve();
+    for (const socket of this._sockets) socket.destroy();
+    return new Promise((resolve) => {
+      this._server.close(() => resolve());
+      this._server = null;
+    });
+  }
+
+  /**
+   * Sets or clears a simulated fault and notifies clients that enabled
+   * automatic status back.
+   * @param {string} fault - One of `FAULTS`.
+   * @param {boolean} [on=!current] - New state; toggles when omitted.
+   */
+  setFault(fault, on = !this.faults[fault]) {
+    if (!FAULTS.includes(fault)) {
+      throw new Error(`Unknown printer fault: ${fault} (expected one of ${FAULTS.join(", ")})`);
+    }
+    if (this.faults[fault] === on) return;
+
+    this.faults[fault] = on;
+    for (const socket of this._asbSockets) socket.write(this._autoStatus());
+    this.emit("status", { ...this.faults });
+  }
+
+  /**
+   * Returns the `DLE EOT n` status byte for the current faults.
+   * @param {number} n - 1 printer, 2 offline cause, 3 error cause, 4 roll paper sensor.
+   * @returns {number}
+   */
+  statusByte(n) {
+    const { paperOut, paperNearEnd, coverOpen, cutterError } = this.faults;
+    // Bits 1 and 4 are always set; the rest depend on the request
+    let status = 0x12;
+    switch (n) {
+      case 1:
+        if (this.isOffline || this.isBusy) status |= 0x08;
+        break;
+      case 2:
+        if (coverOpen) status |= 0x04;
+        if (paperOut) status |= 0x20;
+        if (this.isOffline) status |= 0x40;
+        break;
+      case 3:
+        if (cutterError) status |= 0x08;
+        break;
+      case 4:
+        if (paperNearEnd || paperOut) status |= 0x0c;
+        if (paperOut) status |= 0x60;
+        break;
+    }
+    return status;
+  }
+
+  /**
+   * Builds the 4-byte automatic status back message for the current faults.
+   * @returns {Buffer}
+   */
+  _autoStatus() {
+    const { paperOut, paperNearEnd, coverOpen, cutterError } = this.faults;
+    return Buffer.from([
+      0x10 | (this.isOffline || this.isBusy ? 0x08 : 0) | (coverOpen ? 0x20 : 0),
+      cutterError ? 0x08 : 0,
+      (paperNearEnd || paperOut ? 0x03 : 0) | (paperOut ? 0x0c : 0),
+      0,
+    ]);
+  }
+
+  /**
+   * Collects one job from a connection and answers real-time status
+   * requests as the bytes arrive.
+   * @param {net.Socket} socket
+   */
+  _handleConnection(socket) {
+    const chunks = [];
+    let pending = Buffer.alloc(0);
+    let received = 0;
+    // Bytes that arrived before a fault appeared mid-job; the rest never prints
+    let printable = null;
+    const remote = `${socket.remoteAddress}:${socket.remotePort}`;
+    const faultsAtStart = { ...this.faults };
+
+    this._sockets.add(socket);
+    this.emit("connection", remote);
+
+    socket.on("data", (chunk) => {
+      if (printable === null && this.isOffline) printable = received;
+      received += chunk.length;
+      chunks.push(chunk);
+      this.emit("data", chunk);
+      if (this.busyMs > 0 && isPrintData(chunk)) this._busyUntil = Date.now() + this.busyMs;
+
+      // Keep the last two bytes around in case a request spans two chunks
+      const data = Buffer.concat([pending, chunk]);
+      const consumed = this._answerStatusRequests(socket, data);
+      pending = data.subarray(consumed);
+    });
+
+    socket.on("error", (error) => this.emit("error", error));
+
+    socket.on("close", () => {
+      this._sockets.delete(socket);
+      this._asbSockets.delete(socket);
+      const data = Buffer.concat(chunks);
+      if (data.length === 0) return;
+
+      try {
+        const job = this._saveJob(data, remote, faultsAtStart, printable ?? data.length);
+        if (job) this.emit("job", job);
+      } catch (error) {
+        this.emit("error", error);
+      }
+    });
+  }
+
+  /**
+   * Scans incoming bytes for real-time commands and answers them.
+   * @param {net.Socket} socket
+   * @param {Buffer} data
+   * @returns {number} How many bytes were fully scanned.
+   */
+  _answerStatusRequests(socket, data) {
+    let i = 0;
+    for (; i + 2 < data.length; i++) {
+      const [b, cmd, n] = [data[i], data[i + 1], data[i + 2]];
+
+      if (b === DLE && cmd === EOT && n >= 1 && n <= 4) {
+        socket.write(Buffer.from([this.statusByte(n)]));
+        i += 2;
+      } else if (b === GS && cmd === 0x72 && (n === 1 || n === 49)) {
+        // GS r 1: paper sensor status (bits 0-1 near end, bits 2-3 paper end)
+        const { paperOut, paperNearEnd } = this.faults;
+        socket.write(Buffer.from([(paperNearEnd || paperOut ? 0x03 : 0) | (paperOut ? 0x0c : 0)]));
+        i += 2;
+      } else if (b === GS && cmd === 0x61) {
+        if (n === 0) {
+          this._asbSockets.delete(socket);
+        } else {
+          this._asbSockets.add(socket);
+          socket.write(this._autoStatus());
+        }
+        i += 2;
+      }
+    }
+    return i;
+  }
+
+  /**
+   * Decodes and saves a finished job. Status-only connections are not saved.
+   * @param {Buffer} data
+   * @param {string} remote
+   * @param {Object<string, boolean>} faultsAtStart
+   * @param {number} printable - How many bytes arrived before a fault stopped the printer.
+   * @returns {Object | null} Details of the saved job.
+   */
+  _saveJob(data, remote, faultsAtStart, printable) {
+    const commands = decodeEscPos(data);
+    if (commands.every((command) => NON_PRINTING.has(command.name))) return null;
+
+    const dir = this._createJobDir();
+    const blockedBy = BLOCKING_FAULTS.filter((fault) => this.faults[fault] || faultsAtStart[fault]);
+    const printedCommands = decodeEscPos(data.subarray(0, printable));
+    // Print what arrived before a mid-job fault, unless nothing of it reaches the paper
+    const printed =
+      BLOCKING_FAULTS.every((fault) => !faultsAtStart[fault]) &&
+      printedCommands.some((command) => !NON_PRINTING.has(command.name));
+    const partial = printed && isPrintData(data.subarray(printable));
+
+    writeFileSync(join(dir, "job.bin"), data);
+    writeFileSync(join(dir, "commands.txt"), formatCommands(commands), "utf-8");
+
+    if (printed) {
+      const preview = ReceiptPreview.fromCommands(printedCommands, { profile: this.profile });
+      writeFileSync(join(dir, "receipt.txt"), preview.toText(), "utf-8");
+      writeFileSync(join(dir, "receipt.html"), preview.toHTML(`Virtual printer job ${this.jobCount}`), "utf-8");
+    }
+    if (partial) {
+      writeFileSync(
+        join(dir, "NOT_PRINTED.txt"),
+        `The printer went offline${blockedBy.length > 0 ? ` (${blockedBy.join(", ")})` : ""} after ${printable} of ${data.length} bytes; the rest was not printed.\n`,
+        "utf-8"
+      );
+    } else if (!printed) {
+      writeFileSync(
+        join(dir, "NOT_PRINTED.txt"),
+        `The printer was offline (${blockedBy.join(", ")}), so this job was not printed.\n`,
+        "utf-8"
+      );
+    }
+
+    return { dir, remote, bytes: data.length, commands: commands.length, printed, partial, blockedBy };
+  }
+
+  /**
+   * Creates a timestamped folder for the next job.
+   * @returns {string}
+   */
+  _createJobDir() {
+    this.jobCount++;
+    const timestamp = getArchiveDateFormatted();
+    let dir = join(this.outputDir, timestamp);
+    for (let suffix = 2; existsSync(dir); suffix++) {
+      dir = join(this.outputDir, `${timestamp}-${suffix}`);
+    }
+    mkdirSync(dir, { recursive: true });
+    return dir;
+  }
+}
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+import { config as dotenvConfig } from "dotenv";
+import PrinterAdapter from "./src/lib/printer.mjs";
+import PrinterManager from "./src/lib/printer-manager.mjs";
+import { formatLength } from "./src/lib/paper-roll.mjs";
+import { describeStatus } from "./src/lib/printer-status.mjs";
+
+dotenvConfig();
+
+console.log("🩺 Motivational Printer - Printer Status");
+console.log("========================================\n");
+
+const mark = (ok) => (ok ? "✅" : "❌");
+
+/**
+ * Prints how much of the paper roll is left and how long it will last.
+ * @param {import("./src/lib/paper-roll.mjs").default} paperRoll
+ */
+function reportPaperRoll(paperRoll) {
+  const { remainingMm, daysLeft, averageJobMm } = paperRoll;
+  const total = formatLength(paperRoll.state.rollLengthMm);
+  console.log(`🧻 Paper roll: about ${formatLength(remainingMm)} of ${total} left`);
+  if (daysLeft !== null) {
+    console.log(
+      `${daysLeft < 3 ? "⚠️ " : "📅"} Enough for about ${daysLeft} more letter(s) (days) at ${formatLength(averageJobMm)} per letter`
+    );
+  }
+}
+
+async function runStatus() {
+  const printerFlag = process.argv.indexOf("--printer");
+  const manager = new PrinterManager();
+  // Without --printer, check the first configured printer
+  const { name, transport, profile, paperRoll } =
+    printerFlag >= 0 ? manager.get(process.argv[printerFlag + 1]) : manager.printers[0];
+
+  // `--new-roll [metres]` after loading a fresh roll starts counting again
+  const newRoll = process.argv.indexOf("--new-roll");
+  if (newRoll >= 0) {
+    paperRoll.replace(parseFloat(process.argv[newRoll + 1]) || undefined);
+    console.log(`🆕 Started counting a new paper roll for ${name}`);
+  }
+  reportPaperRoll(paperRoll);
+  console.log("");
+
+  // Status is read explicitly below, so a fault does not stop start()
+  const printer = new PrinterAdapter({ transport, profile, statusChecks: false });
+
+  console.log(`🔌 Connecting to ${name} over ${transport.type}...`);
+  await printer.start();
+  const status = await printer.getStatus();
+  await printer.close();
+
+  if (!status) {
+    console.log("\n❓ The printer did not answer status requests (DLE EOT).");
+    console.log("💡 Tip: Some printers only report status over USB or serial; check PRINTER_TRANSPORT");
+    process.exit(1);
+  }
+
+  console.log("");
+  console.log(`${mark(status.online)} Online`);
+  console.log(`${mark(!status.paperOut)} Paper loaded`);
+  console.log(`${status.paperNearEnd ? "⚠️ " : "✅"} Paper roll ${status.paperNearEnd ? "near its end" : "not near its end"}`);
+  console.log(`${mark(!status.coverOpen)} Cover closed`);
+  console.log(`${mark(!status.cutterError)} Cutter working`);
+  console.log(`${mark(!status.unrecoverableError)} No unrecoverable errors`);
+
+  if (status.faults.length > 0) {
+    console.log(`\n❌ Not ready to print: ${describeStatus(status)}`);
+    console.log("💡 Queued letters print once the fault is cleared (see `npm run queue`)");
+    process.exit(1);
+  }
+
+  console.log(`\n✅ Ready to print${status.warnings.length ? ` (${describeStatus(status)})` : ""}`);
+  process.exit(0);
+}
+
+runStatus().catch((error) => {
+  console.error("\n❌ Could not read the printer status:", error.message);
+  process.exit(1);
+});
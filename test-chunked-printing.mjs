@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+/**
+ * Prints a long text in chunks and checks the pause between them, waiting
+ * for a busy printer, and resuming a queued job from the last chunk the
+ * printer confirmed after the paper ran out halfway.
+ */
+
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import PrinterAdapter from './src/lib/printer.mjs';
+import PrintSpooler from './src/lib/spooler.mjs';
+import VirtualPrinter from './src/lib/virtual-printer.mjs';
+import { decodeEscPos } from './src/lib/escpos-decoder.mjs';
+
+console.log('Testing Chunked Printing');
+console.log('========================\n');
+
+const LINES = Array.from({ length: 30 }, (_, i) => `LINE ${i + 1}`).join('\n');
+
+function waitFor(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function startVirtualPrinter(dir, options = {}) {
+  const outputDir = mkdtempSync(join(dir, 'printer-'));
+  const virtualPrinter = new VirtualPrinter({ port: 0, outputDir, ...options });
+  const jobs = [];
+  virtualPrinter.on('job', (job) => jobs.push(job));
+  await virtualPrinter.start();
+  return { virtualPrinter, jobs };
+}
+
+async function testPacing(dir) {
+  console.log('1. Sending 30 lines in chunks of 10 with a pause between them...');
+  try {
+    const captureFile = join(dir, 'letter.bin');
+    const printer = new PrinterAdapter({
+      transport: { type: 'capture', file: captureFile },
+      chunkLines: 10,
+      chunkPause: 150
+    });
+    const startedAt = Date.now();
+    await printer.start();
+    await printer.printText(LINES, 'LT');
+    await printer.close();
+    const elapsed = Date.now() - startedAt;
+
+    if (printer.confirmedChunks !== 3) throw new Error(`Sent ${printer.confirmedChunks} chunks, expected 3`);
+    if (elapsed < 300) throw new Error(`Finished in ${elapsed}ms without pausing between chunks`);
+    const text = decodeEscPos(readFileSync(captureFile))
+      .filter((command) => command.name === 'TEXT')
+      .map((command) => command.args.text);
+    if (text.length !== 30 || text[29] !== 'LINE 30') throw new Error(`Printed ${text.length} lines`);
+
+    console.log(`   ✅ 3 chunks in ${elapsed}ms, every line printed once\n`);
+    return true;
+  } catch (error) {
+    console.error('   ❌ Pacing test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testBusyPrinter(dir) {
+  console.log('2. Waiting for a busy printer between chunks...');
+  const { virtualPrinter, jobs } = await startVirtualPrinter(dir, { busyMs: 300 });
+  const createPrinter = (busyTimeout) =>
+    new PrinterAdapter({
+      transport: { type: 'network', host: '127.0.0.1', port: virtualPrinter.port },
+      statusChecks: true,
+      chunkLines: 10,
+      chunkPause: 0,
+      busyTimeout
+    });
+
+  try {
+    const startedAt = Date.now();
+    const printer = createPrinter(5000);
+    await printer.start();
+    await printer.printText(LINES, 'LT');
+    await printer.close();
+    const elapsed = Date.now() - startedAt;
+    await waitFor(100);
+
+    if (elapsed < 600) throw new Error(`Finished in ${elapsed}ms without waiting for the printer`);
+    const receipt = readFileSync(join(jobs[0].dir, 'receipt.txt'), 'utf-8');
+    if (!receipt.includes('LINE 30')) throw new Error(`Receipt is missing the end:\n${receipt}`);
+
+    // A printer that stays busy past the timeout counts as offline
+    await waitFor(300);
+    const impatient = createPrinter(100);
+    await impatient.start();
+    let stopped = null;
+    await impatient.printText(LINES, 'LT').catch((error) => (stopped = error));
+    await impatient.close();
+    if (!stopped?.status?.faults.includes('offline')) throw new Error('Printing went on past the busy timeout');
+
+    console.log(`   ✅ Waited for the printer and printed every chunk in ${elapsed}ms; gave up after the busy timeout\n`);
+    return true;
+  } catch (error) {
+    console.error('   ❌ Busy printer test failed:', error.message, '\n');
+    return false;
+  } finally {
+    await virtualPrinter.stop();
+  }
+}
+
+async function testResume(dir) {
+  console.log('3. Resuming a job from the last confirmed chunk...');
+  const { virtualPrinter, jobs } = await startVirtualPrinter(dir);
+  // The paper runs out while the second chunk is printing
+  const runOut = (chunk) => {
+    if (chunk.includes('LINE 12')) virtualPrinter.setFault('paperOut', true);
+  };
+  virtualPrinter.on('data', runOut);
+
+  const spooler = new PrintSpooler({
+    dir: join(virtualPrinter.outputDir, 'spool'),
+    retryDelay: 1000,
+    createPrinter: () =>
+      new PrinterAdapter({
+        transport: { type: 'network', host: '127.0.0.1', port: virtualPrinter.port },
+        statusChecks: true,
+        chunkLines: 10,
+        chunkPause: 0
+      })
+  });
+
+  try {
+    spooler.enqueue([{ type: 'text', text: LINES, align: 'LT' }], 'Long letter');
+    const [failed] = await spooler.processQueue();
+    if (failed.printed) throw new Error('The job printed although the paper ran out');
+    const [stored] = spooler.list();
+    if (stored.resume?.chunks !== 1) throw new Error(`Stored progress ${JSON.stringify(stored.resume)}`);
+
+    virtualPrinter.off('data', runOut);
+    virtualPrinter.setFault('paperOut', false);
+    const [retried] = await spooler.processQueue({ force: true });
+    await waitFor(100);
+    if (!retried?.printed) throw new Error(`Retry failed: ${retried?.error?.message}`);
+
+    const [first, second] = jobs.map((job) => readFileSync(join(job.dir, 'receipt.txt'), 'utf-8'));
+    if (!/^LINE 20$/m.test(first) || /^LINE 21$/m.test(first)) {
+      throw new Error(`The first attempt went on after the paper ran out:\n${first}`);
+    }
+    if (/^LINE (1|10)$/m.test(second)) throw new Error(`The retry reprinted the first chunk:\n${second}`);
+    if (!/^LINE 11$/m.test(second) || !/^LINE 30$/m.test(second)) {
+      throw new Error(`The retry did not print the rest:\n${second}`);
+    }
+
+    console.log('   ✅ Stopped after line 20, then printed lines 11-30 without repeating 1-10\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Resume test failed:', error.message, '\n');
+    return false;
+  } finally {
+    await virtualPrinter.stop();
+  }
+}
+
+async function main() {
+  const dir = mkdtempSync(join(tmpdir(), 'chunked-printing-'));
+  try {
+    const results = [await testPacing(dir), await testBusyPrinter(dir), await testResume(dir)];
+
+    if (results.every(Boolean)) {
+      console.log('✅ Chunked printing tests passed!');
+      return 0;
+    }
+    console.log('❌ Some chunked printing tests failed');
+    return 1;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error(error);
+    process.exit(1);
+  }
+);
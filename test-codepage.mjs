@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * Checks codepage handling: picking the supported codepage that prints the
+ * most of a text, transliterating what it cannot print, the replacement
+ * report, and the codepage commands a printer sends with each piece of text.
+ */
+
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import PrinterAdapter from './src/lib/printer.mjs';
+import { decodeEscPos } from './src/lib/escpos-decoder.mjs';
+import { describeReplacements, prepareText, selectCodepage } from './src/lib/codepage.mjs';
+import { PROFILES } from './src/lib/profiles.mjs';
+
+console.log('Testing Codepages');
+console.log('=================\n');
+
+function testSelection() {
+  console.log('1. Picking the codepage for a text...');
+  try {
+    const picks = [
+      selectCodepage('Привет, друг', ['cp437', 'cp866', 'cp1251']),
+      selectCodepage('Ça coûte 5 €', ['cp437', 'cp850', 'cp858']),
+      selectCodepage('Plain text', ['cp850', 'cp437']),
+      selectCodepage('Ünïcödé', ['utf8'])
+    ];
+    if (picks.join(',') !== 'cp866,cp858,cp850,utf8') throw new Error(`Picked ${picks.join(', ')}`);
+
+    // Unknown codepages are skipped, and a list of only unknown ones is an error
+    if (selectCodepage('é', ['klingon', 'cp850']) !== 'cp850') throw new Error('An unknown codepage was not skipped');
+    let error = null;
+    try {
+      selectCodepage('é', ['klingon']);
+    } catch (caught) {
+      error = caught;
+    }
+    if (!/No known codepage in \[klingon\]/.test(error?.message)) throw new Error(`Threw ${error?.message}`);
+
+    console.log('   ✅ The codepage missing the fewest characters wins, ties go to the first listed\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Selection test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+function testTransliteration() {
+  console.log('2. Replacing characters the codepage lacks...');
+  try {
+    const prepared = prepareText('“Hi” — café… 💛 🦄 ﬁne Łódź 你', ['cp437']);
+    if (prepared.codepage !== 'cp437' || prepared.table !== 0) throw new Error(`Prepared for ${prepared.codepage}`);
+    if (prepared.text !== '"Hi" -- café... <3  fine Lódz ?') throw new Error(`Printed as ${JSON.stringify(prepared.text)}`);
+
+    const utf8 = prepareText('“Hi” 💛', ['utf8']);
+    if (utf8.text !== '“Hi” 💛' || utf8.table !== null || utf8.replacements.length !== 0) {
+      throw new Error('UTF-8 printers had characters replaced');
+    }
+
+    console.log('   ✅ Quotes, dashes and hearts get ASCII stand-ins, missing accents are stripped, and other emoji are dropped\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Transliteration test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+function testReport() {
+  console.log('3. Summarizing the replacements...');
+  try {
+    const { replacements } = prepareText('“a” and “b” ❤️', ['cp437']);
+    const quote = replacements.find((replacement) => replacement.char === '“');
+    if (quote?.count !== 2 || quote.replacement !== '"') throw new Error(`Counted ${JSON.stringify(quote)}`);
+
+    const summary = describeReplacements(replacements);
+    if (summary !== '"“" -> """ (x2), "”" -> """ (x2), "❤" -> "<3", U+FE0F -> (dropped)') {
+      throw new Error(`Summarized as ${summary}`);
+    }
+
+    console.log('   ✅ Each character is listed once with its count, and invisible ones by code point\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Report test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testPrinter(dir) {
+  console.log('4. Switching codepages while printing...');
+  try {
+    const file = join(dir, 'codepage.bin');
+    const printer = new PrinterAdapter({ transport: { type: 'capture', file }, profile: PROFILES['epson-tm-t20iii'], chunkPause: 0 });
+    await printer.start();
+    await printer.printText('Привет, друг');
+    await printer.printText('Ça coûte 5 € — “merci” 你');
+    const replaced = printer.replacedCharacters;
+    await printer.close();
+
+    const commands = decodeEscPos(readFileSync(file)).filter((command) => ['CODEPAGE', 'TEXT'].includes(command.name));
+    const printed = commands.map(({ name, args }) => (name === 'CODEPAGE' ? args.codepage : args.text));
+    const expected = ['cp866', 'Привет, друг', 'cp1252', 'Ça coûte 5 € — “merci” ?'];
+    if (JSON.stringify(printed) !== JSON.stringify(expected)) throw new Error(`Printed ${JSON.stringify(printed)}`);
+    if (replaced.length !== 1 || replaced[0].char !== '你') throw new Error(`Reported ${JSON.stringify(replaced)}`);
+
+    // Codepages passed in replace the profile's
+    const narrowFile = join(dir, 'narrow.bin');
+    const narrow = new PrinterAdapter({
+      transport: { type: 'capture', file: narrowFile },
+      profile: PROFILES['epson-tm-t20iii'],
+      codepages: ['cp437'],
+      chunkPause: 0
+    });
+    await narrow.start();
+    await narrow.printText('Привет');
+    await narrow.close();
+    const text = decodeEscPos(readFileSync(narrowFile)).find((command) => command.name === 'TEXT');
+    if (text?.args.text !== '??????') throw new Error(`Printed ${JSON.stringify(text?.args.text)} with only cp437`);
+
+    console.log('   ✅ Each text selects its best codepage, and only what none of them has is replaced\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Printer test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function main() {
+  const dir = mkdtempSync(join(tmpdir(), 'codepage-'));
+  try {
+    const results = [testSelection(), testTransliteration(), testReport(), await testPrinter(dir)];
+
+    if (results.every(Boolean)) {
+      console.log('✅ Codepage tests passed!');
+      return 0;
+    }
+    console.log('❌ Some codepage tests failed');
+    return 1;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error(error);
+    process.exit(1);
+  }
+);
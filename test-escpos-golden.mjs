@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Golden-file test for the printed letter layout.
+ *
+ * Prints a fixed sample letter with each layout template and printer profile
+ * below through the capture transport, decodes the ESC/POS byte stream and
+ * compares it with the case's file in golden/.
+ * Run with --update after an intentional layout change to rewrite the golden files.
+ */
+
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import PrinterAdapter from './src/lib/printer.mjs';
+import { PROFILES } from './src/lib/profiles.mjs';
+import { printOperations } from './src/lib/spooler.mjs';
+import { loadTemplate, renderTemplate } from './src/lib/template.mjs';
+import { decodeEscPos, formatCommands } from './src/lib/escpos-decoder.mjs';
+
+const GOLDEN_DIR = join(process.cwd(), 'golden');
+const GOLDEN_CASES = [
+  { template: 'default', profile: 'generic-58', file: 'daily-letter.txt' },
+  { template: 'keepsake', profile: 'generic-58', file: 'keepsake-letter.txt' },
+  { template: 'keepsake', profile: 'epson-tm-t20iii', file: 'keepsake-letter-tm-t20iii.txt' }
+];
+const update = process.argv.includes('--update');
+
+const SAMPLE_DATE = new Date(2025, 0, 1, 8, 0);
+const SAMPLE_LETTER = `# Good morning
+
+Dear friend,
+
+Yesterday you said you felt **stuck**, but you also wrote _three pages_ of ideas — that’s not what stuck looks like. Here are a few things worth remembering today:
+
+- You don’t have to finish everything at once.
+- Rest counts as progress, even when it doesn’t feel like it.
+- Somebody is glad you exist… probably several somebodies.
+
+---
+
+With love,
+Your Printer`;
+
+console.log('Testing ESC/POS Golden File');
+console.log('===========================\n');
+
+async function captureLetter(template, profile) {
+  const dir = mkdtempSync(join(tmpdir(), 'escpos-golden-'));
+  const captureFile = join(dir, 'letter.bin');
+  try {
+    const printer = new PrinterAdapter({
+      transport: { type: 'capture', file: captureFile },
+      profile: PROFILES[profile],
+      codepages: ['cp437']
+    });
+
+    const operations = renderTemplate(loadTemplate(template), {
+      date: SAMPLE_DATE,
+      variables: { MESSAGE: SAMPLE_LETTER, LETTER_NUMBER: 1 }
+    });
+
+    await printer.start();
+    await printOperations(printer, operations);
+    await printer.close();
+
+    return readFileSync(captureFile);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function checkGolden({ template, profile, file }) {
+  const goldenFile = join(GOLDEN_DIR, file);
+  const stream = await captureLetter(template, profile);
+  const decoded = formatCommands(decodeEscPos(stream));
+  console.log(`${template} on ${profile}: captured ${stream.length} bytes, ${decoded.split('\n').length - 1} decoded lines`);
+
+  if (update || !existsSync(goldenFile)) {
+    mkdirSync(GOLDEN_DIR, { recursive: true });
+    writeFileSync(goldenFile, decoded, 'utf-8');
+    console.log(`✅ Golden file written to ${goldenFile}\n`);
+    return true;
+  }
+
+  const golden = readFileSync(goldenFile, 'utf-8');
+  if (golden === decoded) {
+    console.log(`✅ Printed layout matches ${file}\n`);
+    return true;
+  }
+
+  const goldenLines = golden.split('\n');
+  const decodedLines = decoded.split('\n');
+  const firstDiff = goldenLines.findIndex((line, index) => line !== decodedLines[index]);
+  const line = firstDiff === -1 ? goldenLines.length : firstDiff;
+
+  console.error(`❌ Printed layout differs from ${file} at line ${line + 1}:`);
+  console.error(`   expected: ${goldenLines[line] ?? '(end of file)'}`);
+  console.error(`   actual:   ${decodedLines[line] ?? '(end of file)'}\n`);
+  return false;
+}
+
+async function main() {
+  const results = [];
+  for (const goldenCase of GOLDEN_CASES) {
+    results.push(await checkGolden(goldenCase));
+  }
+
+  if (!results.every(Boolean)) {
+    console.error('💡 If the change is intentional, run `npm run test-golden -- --update`');
+    process.exit(1);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Golden test failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+/**
+ * Renders a letter in a font file generated for the test, and checks the
+ * glyph filling, word wrapping and alignment, the raster image sent to the
+ * printer, and the fallback to the printer's own font.
+ */
+
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import opentype from 'opentype.js';
+import PrinterAdapter from './src/lib/printer.mjs';
+import { renderMarkdownImage } from './src/lib/font.mjs';
+import { estimateJobLength } from './src/lib/paper-roll.mjs';
+import { decodeEscPos } from './src/lib/escpos-decoder.mjs';
+import { PROFILES } from './src/lib/profiles.mjs';
+
+console.log('Testing Font Rendering');
+console.log('======================\n');
+
+const LETTER = '# Hi\n\nDear friend, **today** is a good day to begin again, one small step at a time.';
+
+/**
+ * Writes an OpenType font whose printable ASCII glyphs are hollow boxes,
+ * 500 units wide with 100-unit walls, so filled and empty areas are known.
+ */
+function writeBoxFont(dir) {
+  const notdef = new opentype.Glyph({ name: '.notdef', unicode: 0, advanceWidth: 600, path: new opentype.Path() });
+  const glyphs = [notdef, new opentype.Glyph({ name: 'space', unicode: 32, advanceWidth: 300, path: new opentype.Path() })];
+  for (let code = 33; code < 127; code++) {
+    const path = new opentype.Path();
+    // Outer box clockwise, inner box counter-clockwise: a hole under the nonzero rule
+    path.moveTo(50, 0);
+    path.lineTo(50, 700);
+    path.lineTo(550, 700);
+    path.lineTo(550, 0);
+    path.close();
+    path.moveTo(150, 100);
+    path.lineTo(450, 100);
+    path.lineTo(450, 600);
+    path.lineTo(150, 600);
+    path.close();
+    glyphs.push(new opentype.Glyph({ name: `g${code}`, unicode: code, advanceWidth: 600, path }));
+  }
+  const font = new opentype.Font({
+    familyName: 'Box',
+    styleName: 'Regular',
+    unitsPerEm: 1000,
+    ascender: 800,
+    descender: -200,
+    glyphs
+  });
+  const file = join(dir, 'box.otf');
+  writeFileSync(file, Buffer.from(font.toArrayBuffer()));
+  return file;
+}
+
+/** First and last black column in a range of rows. */
+function inkBounds(image, fromY, toY) {
+  const { width } = image.size;
+  let left = width;
+  let right = -1;
+  for (let y = fromY; y < toY; y++) {
+    for (let x = 0; x < width; x++) {
+      if (image.data[y * width + x]) {
+        left = Math.min(left, x);
+        right = Math.max(right, x);
+      }
+    }
+  }
+  return { left, right };
+}
+
+function testRendering(font) {
+  console.log('1. Filling glyphs and wrapping the letter in dots...');
+  try {
+    // At 40 dots a box is 20 dots wide with 4-dot walls, and lines are 40 dots apart
+    const image = renderMarkdownImage('H', { font, fontSize: 40, profile: PROFILES['generic-58'] });
+    const { width } = image.size;
+    const row = image.data.slice(12 * width, 13 * width);
+    if (!row[2] || !row[21] || row[12] || row[23]) {
+      throw new Error(`A box glyph was filled wrongly: ${[...row.slice(0, 26)].map(Number).join('')}`);
+    }
+
+    const letter = renderMarkdownImage(LETTER, { font, fontSize: 40, profile: PROFILES['generic-58'] });
+    if (letter.size.width !== 384) throw new Error(`Image is ${letter.size.width} dots wide`);
+    const lines = Math.round(letter.size.height / 40);
+    // Heading at 1.75x (70 dots), a blank line, then 76 characters of 24 dots on 384-dot lines
+    if (lines < 6) throw new Error(`The letter took ${lines} lines; it was not wrapped`);
+
+    const heading = inkBounds(letter, 0, 70);
+    if (Math.abs(heading.left - (383 - heading.right)) > 2) {
+      throw new Error(`Heading is not centered: ${heading.left} dots left, ${383 - heading.right} right`);
+    }
+    const body = inkBounds(letter, 110, letter.size.height);
+    if (body.left > 4) throw new Error(`The body starts ${body.left} dots from the margin`);
+    const wide = renderMarkdownImage(LETTER, { font, fontSize: 40, profile: PROFILES['generic-80'] });
+    if (!(wide.size.height < letter.size.height)) throw new Error('The letter is no shorter on wider paper');
+
+    console.log(`   ✅ Boxes keep their holes, the letter wraps onto ${lines} lines (fewer on 80mm) and the heading is centered\n`);
+    return true;
+  } catch (error) {
+    console.error('   ❌ Rendering test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function captureLetter(dir, font, markdown = LETTER) {
+  const file = join(dir, `letter-${Date.now()}.bin`);
+  const printer = new PrinterAdapter({
+    transport: { type: 'capture', file },
+    profile: PROFILES['epson-tm-t20iii'],
+    font,
+    fontSize: 40,
+    chunkPause: 0
+  });
+  await printer.start();
+  await printer.printMarkdown(markdown);
+  await printer.close();
+  return { printer, commands: decodeEscPos(readFileSync(file)) };
+}
+
+async function testPrinting(dir, font) {
+  console.log('2. Printing the letter as raster images...');
+  try {
+    const { printer, commands } = await captureLetter(dir, font, `${LETTER}\n\nSee you at the café!`);
+    const rasters = commands.filter((command) => command.name === 'RASTER');
+    const text = commands.filter((command) => command.name === 'TEXT');
+    if (rasters.length === 0 || text.length > 0) {
+      throw new Error(`Sent ${rasters.length} raster image(s) and ${text.length} text command(s)`);
+    }
+    if (printer.replacedCharacters.map((entry) => entry.char).join('') !== 'é') {
+      throw new Error('"é", which the font lacks, was not transliterated');
+    }
+
+    const height = rasters.reduce((total, command) => total + command.args.height, 0);
+    const estimate = estimateJobLength([{ type: 'markdown', markdown: LETTER }], {
+      profile: PROFILES['epson-tm-t20iii'],
+      font,
+      fontSize: 40
+    });
+    const expected = renderMarkdownImage(LETTER, { font, fontSize: 40, profile: PROFILES['epson-tm-t20iii'] });
+    if (Math.abs(estimate - (expected.size.height / 203) * 25.4) > 0.01) {
+      throw new Error(`Estimated ${estimate.toFixed(1)}mm for a ${expected.size.height}-dot image`);
+    }
+
+    console.log(`   ✅ ${rasters.length} raster band(s), ${height} dots tall, and no text commands\n`);
+    return true;
+  } catch (error) {
+    console.error('   ❌ Printing test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testFallback(dir) {
+  console.log('3. Falling back to the printer\'s font...');
+  try {
+    const { commands } = await captureLetter(dir, join(dir, 'missing.ttf'));
+    const text = commands.filter((command) => command.name === 'TEXT').map((command) => command.args.text).join(' ');
+    if (commands.some((command) => command.name === 'RASTER') || !text.includes('Dear friend,')) {
+      throw new Error(`Printed "${text}" without the font`);
+    }
+
+    console.log('   ✅ A missing font file prints the letter as text\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Fallback test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function main() {
+  const dir = mkdtempSync(join(tmpdir(), 'font-'));
+  try {
+    const font = writeBoxFont(dir);
+    const results = [testRendering(font), await testPrinting(dir, font), await testFallback(dir)];
+
+    if (results.every(Boolean)) {
+      console.log('✅ Font rendering tests passed!');
+      return 0;
+    }
+    console.log('❌ Some font rendering tests failed');
+    return 1;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error(error);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * Runs PNG and JPEG images through the image pipeline and checks the size,
+ * the dithering and the raster bands sent to the printer.
+ */
+
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+import PrinterAdapter from './src/lib/printer.mjs';
+import { DITHER_METHODS, loadImage } from './src/lib/image.mjs';
+import { PROFILES } from './src/lib/profiles.mjs';
+import { decodeEscPos } from './src/lib/escpos-decoder.mjs';
+
+console.log('Testing Image Pipeline');
+console.log('======================\n');
+
+/**
+ * A left-to-right gradient from black to white, as RGBA.
+ */
+function gradient(width, height) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      data.fill(Math.round((x / (width - 1)) * 255), i, i + 3);
+      data[i + 3] = 255;
+    }
+  }
+  return data;
+}
+
+function gradientPng(width, height) {
+  const png = new PNG({ width, height });
+  gradient(width, height).copy(png.data);
+  return PNG.sync.write(png);
+}
+
+function blackFraction(image, fromX = 0, toX = image.size.width) {
+  const { width, height } = image.size;
+  let black = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = fromX; x < toX; x++) {
+      if (image.data[y * width + x]) black++;
+    }
+  }
+  return black / (height * (toX - fromX));
+}
+
+function testResize(dir) {
+  console.log('1. Resizing PNG and JPEG images to the print width...');
+  try {
+    const png = loadImage(gradientPng(1200, 300), { profile: PROFILES['generic-58'] });
+    if (png.size.width !== 384 || png.size.height !== 96) {
+      throw new Error(`PNG came out ${png.size.width}x${png.size.height}, expected 384x96`);
+    }
+
+    const jpegFile = join(dir, 'photo.jpg');
+    writeFileSync(jpegFile, jpeg.encode({ data: gradient(200, 100), width: 200, height: 100 }, 90).data);
+    const photo = loadImage(jpegFile, { profile: PROFILES['generic-80'] });
+    if (photo.size.width !== 576 || photo.size.height !== 288) {
+      throw new Error(`JPEG came out ${photo.size.width}x${photo.size.height}, expected 576x288`);
+    }
+
+    const logo = loadImage(gradientPng(400, 400), { profile: PROFILES['generic-58'], width: 1000 });
+    if (logo.size.width !== 384) throw new Error('Image was allowed wider than the paper');
+
+    console.log('   ✅ 1200x300 PNG to 384x96, 200x100 JPEG to 576x288, capped at the paper width\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Resize test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+function testDithering() {
+  console.log('2. Dithering a gradient with each method...');
+  try {
+    const source = gradientPng(384, 64);
+    for (const dither of DITHER_METHODS) {
+      const image = loadImage(source, { dither, contrast: 1, brightness: 0 });
+      const dark = blackFraction(image, 0, 96);
+      const middle = blackFraction(image, 144, 240);
+      const light = blackFraction(image, 288, 384);
+      if (!(dark > middle && middle > light)) {
+        throw new Error(`${dither} does not follow the gradient (${dark}, ${middle}, ${light})`);
+      }
+      if (dither !== 'threshold' && (middle < 0.3 || middle > 0.7)) {
+        throw new Error(`${dither} renders mid-gray ${Math.round(middle * 100)}% black`);
+      }
+      console.log(`   ${dither}: ${Math.round(dark * 100)}% / ${Math.round(middle * 100)}% / ${Math.round(light * 100)}% black`);
+    }
+    console.log('   ✅ Every method shades dark to light\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Dithering test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testRasterBands(dir) {
+  console.log('3. Printing a tall image as raster bands...');
+  try {
+    const captureFile = join(dir, 'image.bin');
+    const printer = new PrinterAdapter({
+      transport: { type: 'capture', file: captureFile },
+      profile: PROFILES['epson-tm-t20iii']
+    });
+    await printer.start();
+    await printer.printImage(gradientPng(300, 500), 'CT', { dither: 'ordered' });
+    await printer.close();
+
+    const rasters = decodeEscPos(readFileSync(captureFile)).filter((command) => command.name === 'RASTER');
+    const heights = rasters.map((command) => command.args.height);
+    if (rasters.some((command) => command.args.width !== 576)) {
+      throw new Error(`Raster widths were ${rasters.map((command) => command.args.width).join(', ')}`);
+    }
+    // 300x500 scales to 576x960 dots, which is five bands of 192 rows
+    if (heights.join(',') !== '192,192,192,192,192') {
+      throw new Error(`Raster band heights were ${heights.join(', ')}`);
+    }
+    console.log(`   ✅ Sent ${rasters.length} bands of ${heights.join(', ')} rows\n`);
+    return true;
+  } catch (error) {
+    console.error('   ❌ Raster band test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function main() {
+  const dir = mkdtempSync(join(tmpdir(), 'image-pipeline-'));
+  try {
+    const results = [testResize(dir), testDithering(), await testRasterBands(dir)];
+
+    if (results.every(Boolean)) {
+      console.log('✅ Image pipeline tests passed!');
+      return 0;
+    }
+    console.log('❌ Some image pipeline tests failed');
+    return 1;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error(error);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * Checks the layout engine: columns per profile, font and size, wrapping on
+ * word boundaries, hanging indents for lists, paragraph breaks, hyphenated
+ * long words, and wrapped text that is transliterated before it is laid out.
+ */
+
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import PrinterAdapter from './src/lib/printer.mjs';
+import { decodeEscPos } from './src/lib/escpos-decoder.mjs';
+import { getColumns, layoutLines, textLength, wrapLine } from './src/lib/layout.mjs';
+import { PROFILES } from './src/lib/profiles.mjs';
+
+console.log('Testing Text Layout');
+console.log('===================\n');
+
+function testColumns() {
+  console.log('1. Counting the characters per line...');
+  try {
+    const counts = [
+      getColumns({ profile: PROFILES['generic-58'] }),
+      getColumns({ profile: PROFILES['epson-tm-t20iii'] }),
+      getColumns({ profile: PROFILES['epson-tm-t20iii'], font: 'B' }),
+      getColumns({ profile: PROFILES['epson-tm-t20iii'], size: 2 }),
+      getColumns({ paperWidth: 80, size: 1 })
+    ];
+    if (counts.join(',') !== '32,48,64,24,48') throw new Error(`Columns were ${counts.join(', ')}`);
+    if (textLength('\x01bold\x02 “é”') !== 8) throw new Error('Style markers or accents were counted wrongly');
+
+    console.log('   ✅ 32 columns on 58mm paper, 48 on 80mm, 64 in font B and half as many at double size\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Columns test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+function testWrapping() {
+  console.log('2. Wrapping paragraphs and lists...');
+  try {
+    const lines = layoutLines(
+      'Today is a good day to start something small.\n\n\n\n- Drink some water before the café opens\n12. Call your sister back',
+      { columns: 20 }
+    );
+    const expected = [
+      'Today is a good day',
+      'to start something',
+      'small.',
+      '',
+      '- Drink some water',
+      '  before the café',
+      '  opens',
+      '12. Call your sister',
+      '    back'
+    ];
+    if (JSON.stringify(lines) !== JSON.stringify(expected)) throw new Error(`Laid out as ${JSON.stringify(lines)}`);
+
+    const blank = layoutLines('\n\n  \r\n', { columns: 20 });
+    if (blank.length !== 0) throw new Error(`Blank text gave ${JSON.stringify(blank)}`);
+    if (layoutLines('a\tb', { columns: 20 })[0] !== 'a b') throw new Error('A tab was not treated as space');
+
+    console.log('   ✅ Words stay whole, list items hang under their text, and blank lines collapse to one\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Wrapping test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+function testHyphenation() {
+  console.log('3. Hyphenating words longer than a line...');
+  try {
+    const word = wrapLine('Donaudampfschifffahrtsgesellschaftskapitän', 20);
+    if (word.join('|') !== 'Donaudampfschifffah-|rtsgesellschaftskap-|itän') throw new Error(`Split as ${word.join('|')}`);
+
+    // The word starts on a line of its own, and list items keep their indent
+    const inList = wrapLine('- see https://example.com/a/really/long/path/to/a/page', 16);
+    if (inList[0] !== '- see' || !inList.slice(1).every((line) => line.startsWith('  ') && line.length <= 16)) {
+      throw new Error(`Split as ${JSON.stringify(inList)}`);
+    }
+
+    // Style markers take no room, so they never push a piece over the width
+    const styled = wrapLine('\x01Supercalifragilisticexpialidocious\x02', 10);
+    if (!styled.every((line) => textLength(line) <= 10) || styled.join('').replace(/-/g, '') !== '\x01Supercalifragilisticexpialidocious\x02') {
+      throw new Error(`Split as ${JSON.stringify(styled)}`);
+    }
+
+    // A single column cannot fit a hyphen too, but the word still ends
+    const narrow = wrapLine('abcdef', 1);
+    if (narrow.join('|') !== 'a-|b-|c-|d-|e-|f') throw new Error(`A one-column line split as ${JSON.stringify(narrow)}`);
+
+    console.log('   ✅ Long words, links and styled words break with a hyphen and fit the line\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Hyphenation test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testWrappedText(dir) {
+  console.log('4. Printing wrapped text in the printer\'s codepage...');
+  try {
+    const file = join(dir, 'wrapped.bin');
+    const printer = new PrinterAdapter({ transport: { type: 'capture', file }, profile: PROFILES['generic-58'], chunkPause: 0 });
+    await printer.start();
+    // "—" becomes "--" on a cp437 printer, which makes the first line too long unless it is wrapped afterwards
+    await printer.printWrappedText('Café mornings — “quiet” ones — are the best for a slow walk.');
+    await printer.close();
+
+    const commands = decodeEscPos(readFileSync(file));
+    const text = commands.filter((command) => command.name === 'TEXT').map((command) => command.args.text);
+    if (text.join(' ') !== 'Café mornings -- "quiet" ones -- are the best for a slow walk.') {
+      throw new Error(`Printed ${JSON.stringify(text)}`);
+    }
+    if (text.some((line) => line.length > 32)) throw new Error(`A line is wider than 32 columns: ${JSON.stringify(text)}`);
+    if (commands.filter((command) => command.name === 'CODEPAGE').length !== 1) {
+      throw new Error('The text was transliterated more than once');
+    }
+
+    console.log('   ✅ The dashes were replaced before wrapping, and the codepage was selected once\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Wrapped text test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function main() {
+  const dir = mkdtempSync(join(tmpdir(), 'layout-'));
+  try {
+    const results = [testColumns(), testWrapping(), testHyphenation(), await testWrappedText(dir)];
+
+    if (results.every(Boolean)) {
+      console.log('✅ Text layout tests passed!');
+      return 0;
+    }
+    console.log('❌ Some text layout tests failed');
+    return 1;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error(error);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+/**
+ * Checks letter length targeting: parsing the limits, measuring letters on
+ * a printer profile, and the writer revising, regenerating or rejecting
+ * letters that print outside the limits, with a fake writer model.
+ */
+
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import LLMAdapter from './src/lib/llm.mjs';
+import { getLengthLimits, measureLetter, parseLength, parseLengthRange } from './src/lib/letter-length.mjs';
+import { PROFILES } from './src/lib/profiles.mjs';
+
+console.log('Testing Letter Length');
+console.log('=====================\n');
+
+const PRINTER = { profile: PROFILES['generic-58'], font: null };
+
+/** A letter of `count` short paragraphs, one printed line each. */
+function letterOf(count) {
+  return Array.from({ length: count }, (_, index) => `Line ${index + 1} of the letter.`).join('\n');
+}
+
+/** A writer model that answers with the given letters in turn and keeps the requests. */
+function fakeProvider(letters) {
+  const requests = [];
+  return {
+    name: 'fake',
+    model: 'fake-writer',
+    requests,
+    async createMessage(request) {
+      requests.push(request);
+      const text = letters[Math.min(requests.length, letters.length) - 1];
+      return { content: [{ type: 'text', text }], stopReason: 'end_turn', model: 'fake-writer' };
+    }
+  };
+}
+
+function writer(letters, limits) {
+  const provider = fakeProvider(letters);
+  const llm = new LLMAdapter({ provider, printer: PRINTER, lengthLimits: limits });
+  return { llm, provider };
+}
+
+const LIMITS = {
+  target: { min: 10, max: 20, unit: 'lines' },
+  max: { value: 30, unit: 'lines' },
+  attempts: 3,
+  strategy: 'revise'
+};
+
+function testLimits() {
+  console.log('1. Reading the length limits...');
+  const saved = { ...process.env };
+  try {
+    const cm = parseLength('25cm');
+    const lines = parseLength('30');
+    if (cm.value !== 250 || cm.unit !== 'mm' || lines.value !== 30 || lines.unit !== 'lines') {
+      throw new Error(`Parsed ${JSON.stringify([cm, lines])}`);
+    }
+    const range = parseLengthRange('20-30cm');
+    if (range.min !== 200 || range.max !== 300 || range.unit !== 'mm') throw new Error(`Range was ${JSON.stringify(range)}`);
+    const bothUnits = parseLengthRange('20cm-30cm');
+    if (bothUnits.min !== 200 || bothUnits.max !== 300) throw new Error(`Range with both units was ${JSON.stringify(bothUnits)}`);
+    let mixed = null;
+    try {
+      parseLengthRange('20cm-300mm');
+    } catch (caught) {
+      mixed = caught;
+    }
+    if (!/same unit/.test(mixed?.message)) throw new Error('A range in two units was accepted');
+
+    delete process.env.LETTER_TARGET_LENGTH;
+    delete process.env.LETTER_MAX_LENGTH;
+    if (getLengthLimits() !== null) throw new Error('Limits were set without any length');
+
+    process.env.LETTER_TARGET_LENGTH = '25 lines';
+    process.env.LETTER_LENGTH_STRATEGY = 'regenerate';
+    const limits = getLengthLimits();
+    if (limits.target.min !== 20 || limits.target.max !== 30 || limits.attempts !== 3 || limits.strategy !== 'regenerate') {
+      throw new Error(`Limits were ${JSON.stringify(limits)}`);
+    }
+
+    process.env.LETTER_LENGTH_STRATEGY = 'shorten';
+    let error = null;
+    try {
+      getLengthLimits();
+    } catch (caught) {
+      error = caught;
+    }
+    if (!/Unknown letter length strategy: shorten/.test(error?.message)) throw new Error('An unknown strategy was accepted');
+
+    const short = measureLetter(letterOf(5), PRINTER);
+    const long = measureLetter(letterOf(15), PRINTER);
+    if (short.lines !== 5 || long.lines !== 15 || !(long.mm > short.mm)) {
+      throw new Error(`Measured ${JSON.stringify([short, long])}`);
+    }
+
+    console.log(`   ✅ Lengths and ranges parse in lines and centimetres, and 15 lines print ${Math.round(long.mm)}mm on 58mm paper\n`);
+    return true;
+  } catch (error) {
+    console.error('   ❌ Limits test failed:', error.message, '\n');
+    return false;
+  } finally {
+    process.env = saved;
+  }
+}
+
+async function testRevise() {
+  console.log('2. Revising a letter that prints too long...');
+  try {
+    const { llm, provider } = writer([letterOf(25), letterOf(15)], LIMITS);
+    const letter = await llm.generateMessage();
+
+    if (letter !== letterOf(15)) throw new Error('The revised letter was not used');
+    if (llm.lengthReport?.attempt !== 2 || llm.lengthReport.attempts.map((a) => a.kind).join(',') !== 'initial,revision') {
+      throw new Error(`Report was ${JSON.stringify(llm.lengthReport)}`);
+    }
+    const revision = provider.requests[1].messages;
+    if (revision.length !== 3 || revision[1].content !== letterOf(25) || !/25 lines long .* too long/.test(revision[2].content)) {
+      throw new Error(`Revision request was ${JSON.stringify(revision)}`);
+    }
+
+    console.log('   ✅ The letter went back with its length, and the revision that fits was used\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Revise test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testRegenerate() {
+  console.log('3. Regenerating letters that print too short...');
+  try {
+    const { llm, provider } = writer([letterOf(3), letterOf(8), letterOf(6)], { ...LIMITS, strategy: 'regenerate' });
+    const letter = await llm.generateMessage();
+
+    if (provider.requests.length !== 3 || provider.requests.some((request) => request.messages.length !== 1)) {
+      throw new Error(`Made ${provider.requests.length} request(s)`);
+    }
+    if (letter !== letterOf(8) || llm.lengthReport.attempt !== 2) {
+      throw new Error(`Used attempt ${llm.lengthReport.attempt}`);
+    }
+
+    console.log('   ✅ Each attempt started from scratch, and the closest one was used when none fit\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Regenerate test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testHardMaximum() {
+  console.log('4. Refusing letters over the hard maximum...');
+  try {
+    const { llm } = writer([letterOf(40), letterOf(35)], LIMITS);
+    let error = null;
+    try {
+      await llm.generateMessage();
+    } catch (caught) {
+      error = caught;
+    }
+
+    if (!/longer than 30 lines after 3 attempt/.test(error?.message)) throw new Error(`Error was ${error?.message}`);
+    if (llm.lengthReport.attempt !== null || llm.lengthReport.attempts.length !== 3) {
+      throw new Error(`Report was ${JSON.stringify(llm.lengthReport)}`);
+    }
+
+    const { llm: unlimited } = writer([letterOf(40)], null);
+    if ((await unlimited.generateMessage()) !== letterOf(40) || unlimited.lengthReport !== null) {
+      throw new Error('A letter without limits was measured');
+    }
+
+    console.log('   ✅ The run fails instead of printing an overlong letter, and unlimited letters pass as they are\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Hard maximum test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function main() {
+  const cwd = process.cwd();
+  // The writer reads its prompts from the working directory
+  const dir = mkdtempSync(join(tmpdir(), 'letter-length-'));
+  try {
+    mkdirSync(join(dir, 'prompts', 'private'), { recursive: true });
+    mkdirSync(join(dir, 'archive'));
+    writeFileSync(join(dir, 'prompts', 'private', 'SYSTEM.md'), 'You are Your Printer.');
+    writeFileSync(join(dir, 'prompts', 'private', 'USER.md'), 'Write letter %%PREVIOUS_LETTERS_TALLY%% for %%TODAY_DATE%%.');
+    process.chdir(dir);
+
+    const results = [testLimits(), await testRevise(), await testRegenerate(), await testHardMaximum()];
+
+    if (results.every(Boolean)) {
+      console.log('✅ Letter length tests passed!');
+      return 0;
+    }
+    console.log('❌ Some letter length tests failed');
+    return 1;
+  } finally {
+    process.chdir(cwd);
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error(error);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+
+/**
+ * Checks the LLM provider layer: settings for each phase, translating
+ * tool use to and from the OpenAI format, and the planner's tool-use loop
+ * and the Anthropic provider against local fake API servers.
+ */
+
+import { createServer } from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import Planner from './src/lib/planner.mjs';
+import { createProvider, getProviderConfig } from './src/lib/providers/index.mjs';
+import { fromOpenAIMessage, toOpenAIMessages } from './src/lib/providers/openai.mjs';
+
+console.log('Testing LLM Providers');
+console.log('=====================\n');
+
+/**
+ * Starts an HTTP server that answers each POST with the next reply and
+ * keeps the parsed request bodies.
+ */
+async function startFakeApi(replies) {
+  const requests = [];
+  const server = createServer((request, response) => {
+    let body = '';
+    request.on('data', (chunk) => (body += chunk));
+    request.on('end', () => {
+      requests.push({ url: request.url, body: JSON.parse(body) });
+      response.writeHead(200, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(replies[Math.min(requests.length, replies.length) - 1]));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+function testConfig() {
+  console.log('1. Reading the settings for each phase...');
+  const saved = { ...process.env };
+  try {
+    for (const name of Object.keys(process.env)) {
+      if (/^(LLM|WRITER|PLANNER)_(PROVIDER|MODEL|TEMPERATURE|MAX_TOKENS|BASE_URL|API_KEY)$/.test(name)) {
+        delete process.env[name];
+      }
+    }
+
+    const planner = getProviderConfig('planner');
+    if (planner.type !== 'anthropic' || planner.model !== 'claude-sonnet-4-20250514' || planner.temperature !== 0.1) {
+      throw new Error(`Unexpected planner defaults: ${JSON.stringify(planner)}`);
+    }
+
+    process.env.LLM_PROVIDER = 'ollama';
+    process.env.WRITER_MODEL = 'llama3.1';
+    process.env.WRITER_TEMPERATURE = '0';
+    const writer = createProvider(getProviderConfig('writer'));
+    if (writer.name !== 'ollama' || writer.model !== 'llama3.1' || writer.temperature !== 0) {
+      throw new Error(`Writer is ${writer.name} ${writer.model} at ${writer.temperature}`);
+    }
+    if (writer.baseUrl !== 'http://localhost:11434/v1') throw new Error(`Ollama base URL is ${writer.baseUrl}`);
+
+    let error = null;
+    try {
+      createProvider(getProviderConfig('planner'));
+    } catch (caught) {
+      error = caught;
+    }
+    if (!/set PLANNER_MODEL/.test(error?.message)) throw new Error('An Ollama planner without a model was accepted');
+
+    process.env.PLANNER_PROVIDER = 'gemini';
+    error = null;
+    try {
+      createProvider(getProviderConfig('planner', { model: 'x' }));
+    } catch (caught) {
+      error = caught;
+    }
+    if (!/Unknown LLM provider: gemini/.test(error?.message)) throw new Error('An unknown provider was accepted');
+
+    console.log('   ✅ Phases have their own defaults and env settings, and bad settings are rejected\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Config test failed:', error.message, '\n');
+    return false;
+  } finally {
+    process.env = saved;
+  }
+}
+
+function testTranslation() {
+  console.log('2. Translating tool use to the OpenAI format...');
+  try {
+    const messages = toOpenAIMessages([
+      { role: 'user', content: 'Gather context.' },
+      {
+        role: 'assistant',
+        content: [
+          { type: 'text', text: 'Looking at messages.' },
+          { type: 'tool_use', id: 'call_1', name: 'imessage_get_conversations', input: { start_date: '2025-01-01' } }
+        ]
+      },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'call_1', content: '{"count":0}' }] }
+    ], 'Be kind.');
+
+    const roles = messages.map((message) => message.role).join(',');
+    if (roles !== 'system,user,assistant,tool') throw new Error(`Roles were ${roles}`);
+    const call = messages[2].tool_calls?.[0];
+    if (call?.function.arguments !== '{"start_date":"2025-01-01"}' || messages[3].tool_call_id !== 'call_1') {
+      throw new Error(`Tool call became ${JSON.stringify(messages.slice(2))}`);
+    }
+
+    const blocks = fromOpenAIMessage({
+      content: null,
+      tool_calls: [{ type: 'function', function: { name: 'claude_ai_get_conversations', arguments: '{"end_date":"2025-01-07"}' } }]
+    });
+    if (blocks.length !== 1 || blocks[0].type !== 'tool_use' || blocks[0].input.end_date !== '2025-01-07' || !blocks[0].id) {
+      throw new Error(`Reply became ${JSON.stringify(blocks)}`);
+    }
+
+    console.log('   ✅ Tool calls and results round-trip between the two formats\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Translation test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testPlannerLoop(dir) {
+  console.log('3. Running the planner against an OpenAI-compatible server...');
+  const api = await startFakeApi([
+    {
+      model: 'qwen2.5',
+      choices: [{
+        finish_reason: 'tool_calls',
+        message: {
+          role: 'assistant',
+          content: null,
+          tool_calls: [{
+            id: 'call_abc',
+            type: 'function',
+            function: { name: 'imessage_get_conversations', arguments: '{"start_date":"2025-01-01","end_date":"2025-01-07"}' }
+          }]
+        }
+      }]
+    },
+    {
+      model: 'qwen2.5',
+      choices: [{
+        finish_reason: 'stop',
+        message: { role: 'assistant', content: '<prompt scope="user" for="Your Printer" updated>Write to a friend who baked bread.</prompt>' }
+      }]
+    }
+  ]);
+
+  try {
+    const planner = new Planner({
+      outputDir: join(dir, 'planning-output'),
+      providerConfig: { type: 'llamacpp', model: 'qwen2.5', baseUrl: `${api.url}/v1` }
+    });
+    planner.connectors.imessage = { getConversations: async () => [{ id: 'chat-1', messageCount: 3 }] };
+
+    const result = await planner.generatePlan();
+    if (result.enhancedUserPrompt !== 'Write to a friend who baked bread.') {
+      throw new Error(`Plan was "${result.enhancedUserPrompt}"`);
+    }
+
+    if (api.requests.length !== 2 || api.requests[0].url !== '/v1/chat/completions') {
+      throw new Error(`Made ${api.requests.length} request(s) to ${api.requests[0]?.url}`);
+    }
+    const [first, second] = api.requests.map((request) => request.body);
+    if (first.tools?.[0]?.function?.name !== 'imessage_get_conversations' || first.temperature !== 0.1) {
+      throw new Error('The tools or planner temperature were not sent');
+    }
+    const toolMessage = second.messages.find((message) => message.role === 'tool');
+    if (toolMessage?.tool_call_id !== 'call_abc' || JSON.parse(toolMessage.content).count !== 1) {
+      throw new Error(`Tool result sent as ${JSON.stringify(toolMessage)}`);
+    }
+
+    console.log('   ✅ The planner called a tool, sent back its result and saved the plan\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Planner loop test failed:', error.message, '\n');
+    return false;
+  } finally {
+    api.server.close();
+  }
+}
+
+async function testAnthropic() {
+  console.log('4. Sending a letter request through the Anthropic provider...');
+  const api = await startFakeApi([{
+    id: 'msg_1',
+    type: 'message',
+    role: 'assistant',
+    model: 'claude-opus-4-1-20250805',
+    content: [{ type: 'text', text: 'Dear friend,' }],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: 10, output_tokens: 3 }
+  }]);
+
+  try {
+    const provider = createProvider(getProviderConfig('writer', {
+      type: 'anthropic',
+      model: 'claude-opus-4-1-20250805',
+      apiKey: 'test-key',
+      baseUrl: api.url
+    }));
+    const response = await provider.createMessage({
+      system: 'You are Your Printer.',
+      messages: [{ role: 'user', content: 'Write today\'s letter.' }]
+    });
+
+    const [request] = api.requests;
+    if (request.url !== '/v1/messages' || request.body.system !== 'You are Your Printer.' || request.body.max_tokens !== 2048) {
+      throw new Error(`Sent ${JSON.stringify(request)}`);
+    }
+    if (response.content[0]?.text !== 'Dear friend,' || response.stopReason !== 'end_turn') {
+      throw new Error(`Got ${JSON.stringify(response)}`);
+    }
+
+    console.log('   ✅ The writer settings and system prompt reached the Messages API\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Anthropic provider test failed:', error.message, '\n');
+    return false;
+  } finally {
+    api.server.close();
+  }
+}
+
+async function main() {
+  const dir = mkdtempSync(join(tmpdir(), 'llm-providers-'));
+  try {
+    const results = [testConfig(), testTranslation(), await testPlannerLoop(dir), await testAnthropic()];
+
+    if (results.every(Boolean)) {
+      console.log('✅ LLM provider tests passed!');
+      return 0;
+    }
+    console.log('❌ Some LLM provider tests failed');
+    return 1;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error(error);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * Checks the markdown renderer: inline bold and emphasis, headings, lists,
+ * rules and blank lines, the ESC/POS commands they print with, and the
+ * fake-mode preview of the same lines.
+ */
+
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import PrinterAdapter from './src/lib/printer.mjs';
+import { decodeEscPos } from './src/lib/escpos-decoder.mjs';
+import { parseInline, previewLines, renderMarkdown } from './src/lib/markdown.mjs';
+import { PROFILES } from './src/lib/profiles.mjs';
+
+console.log('Testing Markdown Rendering');
+console.log('==========================\n');
+
+const LETTER = [
+  '# Good morning',
+  '',
+  '### A small note',
+  '',
+  '* one **bold words that keep going across the line end** ok',
+  '+ two',
+  '',
+  '',
+  '---',
+  'snake_case and 2*3*4 and \\*stars\\* and `code`'
+].join('\n');
+
+/** A line's text with its style, e.g. "**bold** plain". */
+const describe = (line) =>
+  line.segments.map(({ text, bold, underline }) => (bold ? `**${text}**` : underline ? `_${text}_` : text)).join('');
+
+function testInline() {
+  console.log('1. Parsing bold and emphasis...');
+  try {
+    const [line] = renderMarkdown('**bold** and __bold__, *soft* and _soft_', { paperWidth: 80 });
+    if (describe(line) !== '**bold** and **bold**, _soft_ and _soft_') throw new Error(`Rendered ${describe(line)}`);
+
+    // Markers inside words, escaped markers and unclosed ones print as they are
+    const literal = ['snake_case_name', '2*3*4', '\\*not emphasis\\*', 'a ** b', '*unclosed'];
+    for (const text of literal) {
+      const expected = text.replace(/\\/g, '');
+      if (parseInline(text) !== expected) throw new Error(`"${text}" became ${JSON.stringify(parseInline(text))}`);
+    }
+
+    console.log('   ✅ Bold prints bold, emphasis underlined, and stray markers stay literal\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Inline test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+function testBlocks() {
+  console.log('2. Rendering headings, lists and rules...');
+  try {
+    const lines = renderMarkdown(LETTER, { profile: PROFILES['generic-58'] });
+    const [title, , note, , first, wrapped, second, , rule, plain] = lines;
+
+    if (title.align !== 'CT' || title.width !== 2 || title.height !== 2 || describe(title) !== '**Good morning**') {
+      throw new Error(`The title rendered as ${JSON.stringify(title)}`);
+    }
+    if (note.width !== 1 || !note.segments[0].bold || !note.segments[0].underline) throw new Error('A level 3 heading was not bold and underlined');
+    const carried = wrapped.segments.find((segment) => segment.text.includes('across the line end'));
+    if (describe(first) !== '- one **bold words that keep going**' || !carried?.bold || !carried.text.startsWith('  ')) {
+      throw new Error(`The list item wrapped as ${describe(first)} / ${describe(wrapped)}`);
+    }
+    if (describe(second) !== '- two') throw new Error(`"+" bullets printed as ${describe(second)}`);
+    if (!rule.rule || rule.segments[0].text !== '-'.repeat(32)) throw new Error('The rule does not span the paper');
+    if (describe(plain) !== 'snake_case and 2*3*4 and *stars*') throw new Error(`Plain text rendered as ${describe(plain)}`);
+    if (lines.length !== 11 || lines[7].segments.length !== 0) throw new Error('Blank lines were not collapsed into one');
+
+    console.log('   ✅ Headings are larger and centred, bold carries over wrapped lines, and bullets are all "-"\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Block test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testCommands(dir) {
+  console.log('3. Printing the styles with ESC/POS commands...');
+  try {
+    const file = join(dir, 'markdown.bin');
+    const printer = new PrinterAdapter({ transport: { type: 'capture', file }, profile: PROFILES['generic-58'], chunkPause: 0 });
+    await printer.start();
+    await printer.printMarkdown(LETTER);
+    await printer.close();
+
+    // Follow the style commands to see how each piece of text printed
+    const style = { bold: false, underline: false, size: '1x1', align: 'left' };
+    const printed = [];
+    for (const { name, args } of decodeEscPos(readFileSync(file))) {
+      if (name === 'BOLD') style.bold = args.on;
+      if (name === 'UNDERLINE') style.underline = args.weight > 0;
+      if (name === 'SIZE') style.size = `${args.width}x${args.height}`;
+      if (name === 'ALIGN') style.align = args.align;
+      if (name === 'TEXT') printed.push({ text: args.text, ...style });
+    }
+    const find = (text) => printed.find((piece) => piece.text === text) ?? {};
+
+    if (find('Good morning').size !== '2x2' || find('Good morning').align !== 'center' || !find('Good morning').bold) {
+      throw new Error(`The title printed as ${JSON.stringify(find('Good morning'))}`);
+    }
+    if (!find('A small note').underline || find('A small note').size !== '1x1') throw new Error('The small heading lost its underline');
+    if (!find('bold words that keep going').bold || find('- one ').bold) throw new Error('Bold was not switched on and off');
+    if (!printed.some((piece) => /^-{32}$/.test(piece.text))) throw new Error('The rule was not printed');
+    if (printed.at(-1).bold || printed.at(-1).underline) throw new Error('The letter ended with a style still on');
+
+    console.log('   ✅ Sizes, alignment, bold and underline are switched with the text\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Command test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+function testPreview() {
+  console.log('4. Showing the same structure in fake mode...');
+  try {
+    const preview = previewLines(renderMarkdown(LETTER, { paperWidth: 58 }), 32).split('\n');
+    const border = `+${'-'.repeat(32)}+`;
+    if (preview[0] !== border || preview.at(-1) !== border) throw new Error('The preview is not 32 columns wide');
+    if (preview[1] !== '|    \x1b[1mG o o d   m o r n i n g \x1b[0m    |') {
+      throw new Error(`The title previewed as ${JSON.stringify(preview[1])}`);
+    }
+    // Double-height lines take two rows
+    if (preview[2] !== `|${' '.repeat(32)}|`) throw new Error('The title is not double height');
+    if (!preview.includes('|\x1b[1;4mA small note\x1b[0m                    |')) throw new Error('The small heading is not bold and underlined');
+
+    console.log('   ✅ The console preview centres, spaces out and styles lines as they print\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Preview test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function main() {
+  const dir = mkdtempSync(join(tmpdir(), 'markdown-'));
+  try {
+    const results = [testInline(), testBlocks(), await testCommands(dir), testPreview()];
+
+    if (results.every(Boolean)) {
+      console.log('✅ Markdown rendering tests passed!');
+      return 0;
+    }
+    console.log('❌ Some markdown rendering tests failed');
+    return 1;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error(error);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * Exercises the network printer transport against a local socket listener.
+ * No hardware needed: the listener stands in for a port 9100 receipt printer.
+ */
+
+import net from 'net';
+import { Image } from '@node-escpos/core';
+import PrinterAdapter from './src/lib/printer.mjs';
+
+console.log('Testing Network Printer Transport');
+console.log('=================================\n');
+
+/**
+ * Starts a fake printer that records every connection and the bytes it receives.
+ */
+function startListener() {
+  const jobs = [];
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    const job = [];
+    jobs.push(job);
+    sockets.add(socket);
+    socket.on('data', (chunk) => job.push(chunk));
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        server,
+        port: server.address().port,
+        jobs,
+        received: () => Buffer.concat(jobs.flat()),
+        dropConnections: () => sockets.forEach((socket) => socket.destroy())
+      });
+    });
+  });
+}
+
+function waitFor(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function createPrinter(port, options = {}) {
+  return new PrinterAdapter({
+    transport: { type: 'network', host: '127.0.0.1', port, reconnectDelay: 50, ...options }
+  });
+}
+
+async function testPrintJob() {
+  console.log('1. Printing text and an image...');
+  const listener = await startListener();
+  const printer = createPrinter(listener.port);
+
+  try {
+    await printer.start();
+    await printer.printText('Hello from the network', 'LT');
+
+    // 8x1 black bar, RGBA
+    const pixels = { data: new Uint8Array(8 * 4).fill(0).map((v, i) => (i % 4 === 3 ? 255 : 0)), shape: [8, 1, 4] };
+    await printer.printImage(new Image(pixels));
+    await printer.close();
+    await waitFor(50);
+
+    const received = listener.received();
+    if (!received.includes('Hello from the network')) {
+      throw new Error('Listener did not receive the printed text');
+    }
+    if (printer.isReady) {
+      throw new Error('Printer still reports ready after close()');
+    }
+    console.log(`   ✅ Received ${received.length} bytes over one connection\n`);
+    return true;
+  } catch (error) {
+    console.error('   ❌ Print job failed:', error.message, '\n');
+    return false;
+  } finally {
+    listener.server.close();
+  }
+}
+
+async function testReconnect() {
+  console.log('2. Reconnecting after the printer drops the connection...');
+  const listener = await startListener();
+  const printer = createPrinter(listener.port);
+
+  try {
+    await printer.start();
+    await printer.printText('Before drop');
+
+    listener.dropConnections();
+    await waitFor(50);
+
+    await printer.printText('After drop');
+    await printer.close();
+    await waitFor(50);
+
+    if (listener.jobs.length !== 2) {
+      throw new Error(`Expected 2 connections, saw ${listener.jobs.length}`);
+    }
+    if (!listener.received().includes('After drop')) {
+      throw new Error('Text sent after reconnecting never arrived');
+    }
+    console.log('   ✅ Reconnected and delivered the second job\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Reconnect failed:', error.message, '\n');
+    return false;
+  } finally {
+    listener.server.close();
+  }
+}
+
+async function testUnreachablePrinter() {
+  console.log('3. Failing cleanly when nothing is listening...');
+  const listener = await startListener();
+  const { port } = listener;
+  await new Promise((resolve) => listener.server.close(resolve));
+
+  const printer = createPrinter(port, { reconnectAttempts: 2 });
+
+  try {
+    await printer.start();
+    console.error('   ❌ start() succeeded against a closed port\n');
+    return false;
+  } catch (error) {
+    console.log(`   ✅ start() rejected: ${error.message}\n`);
+    return true;
+  }
+}
+
+async function main() {
+  const results = [
+    await testPrintJob(),
+    await testReconnect(),
+    await testUnreachablePrinter()
+  ];
+
+  if (results.every(Boolean)) {
+    console.log('✅ Network printer tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some network printer tests failed');
+    process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+/**
+ * Checks the paper length estimate against what a printed letter reports,
+ * the running total on the paper roll and its forecast, and the warning for
+ * a letter that would run out of paper, printed whole or streamed.
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import PrinterAdapter from './src/lib/printer.mjs';
+import PrinterManager from './src/lib/printer-manager.mjs';
+import PaperRoll, { estimateJobLength } from './src/lib/paper-roll.mjs';
+import { printOperations } from './src/lib/spooler.mjs';
+import { loadTemplate, renderTemplate } from './src/lib/template.mjs';
+import { PROFILES } from './src/lib/profiles.mjs';
+
+console.log('Testing Paper Roll');
+console.log('==================\n');
+
+const VARIABLES = {
+  MESSAGE: '# Good morning\n\n' + 'Dear friend, today is a good day to begin again. '.repeat(20),
+  LETTER_NUMBER: 12,
+  ARCHIVE_FILE: './archive/2025-01-01_08-00-00.txt'
+};
+
+const DATE = new Date(2025, 0, 1, 8, 0);
+
+async function printLetter(dir, profile, paperRoll) {
+  const operations = renderTemplate(loadTemplate('keepsake'), { date: DATE, variables: VARIABLES });
+  const printer = new PrinterAdapter({
+    transport: { type: 'capture', file: join(dir, `${profile.id}.bin`) },
+    profile,
+    paperRoll,
+    chunkPause: 0
+  });
+  await printer.start();
+  await printOperations(printer, operations);
+  await printer.close();
+  return { operations, printer };
+}
+
+async function testEstimate(dir) {
+  console.log('1. Estimating a letter\'s length before printing it...');
+  try {
+    for (const id of ['generic-58', 'epson-tm-t20iii']) {
+      const profile = PROFILES[id];
+      const { operations, printer } = await printLetter(dir, profile, null);
+      const estimate = estimateJobLength(operations, { profile });
+      if (Math.abs(estimate - printer.printedMm) > 1) {
+        throw new Error(`${id}: estimated ${estimate.toFixed(1)}mm, printed ${printer.printedMm.toFixed(1)}mm`);
+      }
+      console.log(`   ${id}: about ${Math.round(estimate)}mm`);
+    }
+
+    const narrow = estimateJobLength([{ type: 'markdown', markdown: VARIABLES.MESSAGE }], { profile: PROFILES['generic-58'] });
+    const wide = estimateJobLength([{ type: 'markdown', markdown: VARIABLES.MESSAGE }], { profile: PROFILES['generic-80'] });
+    if (!(narrow > wide)) throw new Error('The letter is not longer on narrower paper');
+
+    console.log('   ✅ Estimates match the printed length and grow on narrower paper\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Estimate test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testRoll(dir) {
+  console.log('2. Adding printed letters to the roll...');
+  try {
+    const file = join(dir, 'paper', 'desk.json');
+    const paperRoll = new PaperRoll({ file, rollLengthM: 5 });
+    const { printer } = await printLetter(dir, PROFILES['generic-58'], paperRoll);
+    await printLetter(dir, PROFILES['generic-58'], paperRoll);
+
+    const reloaded = new PaperRoll({ file, rollLengthM: 5 });
+    if (Math.abs(reloaded.state.usedMm - 2 * printer.printedMm) > 0.01) {
+      throw new Error(`Recorded ${reloaded.state.usedMm}mm for two letters of ${printer.printedMm}mm`);
+    }
+    const expectedDays = Math.floor((5000 - 2 * printer.printedMm) / printer.printedMm);
+    if (reloaded.daysLeft !== expectedDays) {
+      throw new Error(`Forecast ${reloaded.daysLeft} days, expected ${expectedDays}`);
+    }
+
+    reloaded.replace();
+    if (reloaded.remainingMm !== 5000 || reloaded.daysLeft !== Math.floor(5000 / printer.printedMm)) {
+      throw new Error('A new roll did not start from its full length');
+    }
+    console.log(`   ✅ Two letters used ${Math.round(2 * printer.printedMm)}mm, leaving about ${expectedDays} days\n`);
+    return true;
+  } catch (error) {
+    console.error('   ❌ Roll test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testWarning(dir) {
+  console.log('3. Warning when a letter would run out of paper...');
+  try {
+    const manager = new PrinterManager({
+      spoolDir: join(dir, 'spool'),
+      paperDir: join(dir, 'paper'),
+      printers: [
+        {
+          name: 'nearly-empty',
+          transport: { type: 'capture', file: join(dir, 'nearly-empty.bin') },
+          profile: 'generic-58',
+          template: 'keepsake',
+          rollLengthM: 0.1,
+          chunkPause: 0
+        }
+      ]
+    });
+    const [result] = await manager.printLetter({ variables: VARIABLES, date: DATE });
+
+    if (!result.printed) throw new Error(`The letter did not print: ${result.error}`);
+    if (!result.paperWarning) throw new Error(`No warning for a ${Math.round(result.estimatedMm)}mm letter on 100mm of paper`);
+    if (result.paperRemainingMm !== 0) throw new Error(`${result.paperRemainingMm}mm left after running out`);
+
+    console.log(`   ✅ ${result.paperWarning}\n`);
+    return true;
+  } catch (error) {
+    console.error('   ❌ Warning test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testStreamWarning(dir) {
+  console.log('4. Warning before streaming a letter that would run out of paper...');
+  try {
+    const manager = new PrinterManager({
+      spoolDir: join(dir, 'stream-spool'),
+      paperDir: join(dir, 'stream-paper'),
+      printers: [
+        {
+          name: 'nearly-empty',
+          transport: { type: 'capture', file: join(dir, 'stream.bin') },
+          profile: 'generic-58',
+          template: 'keepsake',
+          rollLengthM: 0.1,
+          chunkPause: 0
+        }
+      ]
+    });
+    async function* chunks() {
+      for (let i = 0; i < VARIABLES.MESSAGE.length; i += 40) yield VARIABLES.MESSAGE.slice(i, i + 40);
+    }
+    const { LETTER_NUMBER, ARCHIVE_FILE } = VARIABLES;
+    const { results: [result], error } = await manager.streamLetter({
+      chunks: chunks(),
+      variables: { LETTER_NUMBER, ARCHIVE_FILE },
+      date: DATE,
+      expectedMessage: VARIABLES.MESSAGE
+    });
+
+    if (error || !result.printed || !result.streamed) throw new Error(`The letter did not stream: ${error?.message ?? result.error}`);
+    if (!result.paperWarning) throw new Error(`No warning for a ${Math.round(result.estimatedMm)}mm letter on 100mm of paper`);
+
+    console.log(`   ✅ ${result.paperWarning}\n`);
+    return true;
+  } catch (error) {
+    console.error('   ❌ Stream warning test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function main() {
+  const dir = mkdtempSync(join(tmpdir(), 'paper-roll-'));
+  try {
+    const results = [
+      await testEstimate(dir),
+      await testRoll(dir),
+      await testWarning(dir),
+      await testStreamWarning(dir)
+    ];
+
+    if (results.every(Boolean)) {
+      console.log('✅ Paper roll tests passed!');
+      return 0;
+    }
+    console.log('❌ Some paper roll tests failed');
+    return 1;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error(error);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+/**
+ * Checks paper movement: millimetres to dots, the `ESC J` feeds and `GS V`
+ * cuts that are sent, the tear-off feed on printers without a cutter, and
+ * the `feed` and `cut` template blocks.
+ */
+
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import PrinterAdapter from './src/lib/printer.mjs';
+import { decodeEscPos } from './src/lib/escpos-decoder.mjs';
+import { cutCommands, dotsToMm, feedCommands, mmToDots } from './src/lib/paper.mjs';
+import { PROFILES } from './src/lib/profiles.mjs';
+import { printOperations } from './src/lib/spooler.mjs';
+import { renderTemplate, validateTemplate } from './src/lib/template.mjs';
+
+console.log('Testing Paper Feed and Cut');
+console.log('==========================\n');
+
+/**
+ * Prints "Hi" on a capture printer, then runs `job` on it, and returns the
+ * feed and cut commands that were sent, e.g. "CUT full 24".
+ */
+async function capturePaper(dir, profileId, job, options = {}) {
+  const file = join(dir, `${profileId}.bin`);
+  const printer = new PrinterAdapter({ transport: { type: 'capture', file }, profile: PROFILES[profileId], cutFeedMm: 5, chunkPause: 0, ...options });
+  await printer.start();
+  await printer.printText('Hi');
+  await job(printer);
+  await printer.close();
+
+  return decodeEscPos(readFileSync(file))
+    .filter((command) => command.name === 'FEED_DOTS' || command.name === 'CUT')
+    .map(({ name, args }) => (name === 'CUT' ? `CUT ${args.type} ${args.feed}` : `FEED ${args.dots}`));
+}
+
+function testCommands() {
+  console.log('1. Converting millimetres and building commands...');
+  try {
+    if (mmToDots(5, 203) !== 40 || mmToDots(5, 180) !== 35 || mmToDots(-2, 203) !== 0) {
+      throw new Error(`5mm was ${mmToDots(5, 203)} dots at 203 dpi`);
+    }
+    if (Math.abs(dotsToMm(203, 203) - 25.4) > 1e-9) throw new Error('Dots were not converted back to millimetres');
+
+    // One ESC J moves at most 255 dots
+    const hex = (buffer) => buffer.toString('hex');
+    if (hex(feedCommands(600)) !== '1b4aff1b4aff1b4a5a' || hex(feedCommands(0)) !== '') {
+      throw new Error(`A 600 dot feed was ${hex(feedCommands(600))}`);
+    }
+    if (hex(cutCommands()) !== '1d564100' || hex(cutCommands(true, 300)) !== '1b4a2d1d5642ff') {
+      throw new Error(`Cuts were ${hex(cutCommands())} and ${hex(cutCommands(true, 300))}`);
+    }
+
+    console.log('   ✅ Distances become dots at the printer\'s resolution, and long feeds are split\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Command test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testCutter(dir) {
+  console.log('2. Cutting on a printer with a cutter...');
+  try {
+    const sent = await capturePaper(
+      dir,
+      'epson-tm-t20iii',
+      async (printer) => {
+        await printer.cut();
+        await printer.feedPaper(2);
+        await printer.cut(true, 10);
+      },
+      { cutFeedMm: 3 }
+    );
+    if (sent.join(', ') !== 'CUT full 24, FEED 16, CUT partial 80') throw new Error(`Sent ${sent.join(', ')}`);
+
+    console.log('   ✅ Cuts feed cutFeedMm by default or the given distance, and partial cuts leave a tab\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Cutter test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testTearOff(dir) {
+  console.log('3. Feeding to the tear bar without a cutter...');
+  try {
+    let printedMm = 0;
+    const sent = await capturePaper(dir, 'generic-58', async (printer) => {
+      await printer.cut();
+      await printer.cut(true, 40);
+      printedMm = printer.printedMm;
+    });
+    // tearOffMm (10mm) plus the 5mm default, then plus 40mm
+    if (sent.join(', ') !== 'FEED 120, FEED 255, FEED 145') throw new Error(`Sent ${sent.join(', ')}`);
+    if (!(printedMm > dotsToMm(120 + 255 + 145, 203))) {
+      throw new Error(`Counted ${printedMm.toFixed(1)}mm of paper`);
+    }
+
+    console.log('   ✅ The paper is fed past the tear bar, and the feed counts towards the paper used\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Tear-off test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testTemplate(dir) {
+  console.log('4. Feeding and cutting from a template...');
+  try {
+    const template = validateTemplate({
+      blocks: [{ type: 'body' }, { type: 'feed', mm: 4 }, { type: 'feed', lines: 2 }, { type: 'cut', partial: true, feedMm: 6 }, { type: 'cut' }]
+    });
+    const operations = renderTemplate(template, { variables: { MESSAGE: 'Dear friend,' } }).slice(1);
+    const expected = [
+      { type: 'feed', mm: 4 },
+      { type: 'line', lines: 2 },
+      { type: 'cut', partial: true, feedMm: 6 },
+      { type: 'cut', partial: false, feedMm: undefined }
+    ];
+    if (JSON.stringify(operations) !== JSON.stringify(expected)) throw new Error(`Rendered ${JSON.stringify(operations)}`);
+
+    const sent = await capturePaper(dir, 'epson-tm-t88v', (printer) => printOperations(printer, operations));
+    // The TM-T88V prints at 180 dpi
+    if (sent.join(', ') !== 'FEED 28, CUT partial 43, CUT full 35') throw new Error(`Sent ${sent.join(', ')}`);
+
+    let error = null;
+    try {
+      validateTemplate({ blocks: [{ type: 'body' }, { type: 'cutt' }] }, 'layout template test.json');
+    } catch (caught) {
+      error = caught;
+    }
+    if (!/^Invalid layout template test\.json: block 2 has unknown type "cutt" \(expected one of .*feed, cut\)$/.test(error?.message)) {
+      throw new Error(`Threw ${error?.message}`);
+    }
+
+    console.log('   ✅ feed blocks take mm or lines, cut blocks their own feed, and a misspelt block is rejected\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Template test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function main() {
+  const dir = mkdtempSync(join(tmpdir(), 'paper-'));
+  try {
+    const results = [testCommands(), await testCutter(dir), await testTearOff(dir), await testTemplate(dir)];
+
+    if (results.every(Boolean)) {
+      console.log('✅ Paper feed and cut tests passed!');
+      return 0;
+    }
+    console.log('❌ Some paper feed and cut tests failed');
+    return 1;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error(error);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * Checks the fake-mode receipt preview: the HTML page at the printer's paper
+ * width, character cells for each size, alignment, color fallback, feeds and
+ * cut marks, the plain text version the virtual printer saves, and previews
+ * saved in the same second.
+ */
+
+import { existsSync, mkdtempSync, readdirSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import PrinterAdapter from './src/lib/printer.mjs';
+import ReceiptPreview from './src/lib/preview.mjs';
+import { PROFILES } from './src/lib/profiles.mjs';
+
+console.log('Testing Receipt Preview');
+console.log('=======================\n');
+
+/** The HTML of each line, feed and cut on the paper, in order. */
+const paperItems = (html) => html.split('\n').filter((line) => /^<div class="(line|feed|cut)/.test(line));
+
+async function testFakeJob(dir) {
+  console.log('1. Saving a preview of a fake-mode job...');
+  try {
+    const printer = new PrinterAdapter({ fakeMode: true, previewDir: dir, profile: PROFILES['epson-tm-t20iii'] });
+    await printer.start();
+    await printer.printText('Good morning', 'CT', 2);
+    await printer.printText('<Tea> & toast', 'LT');
+    await printer.printText('Signed', 'RT', 0, 'red');
+    await printer.cut(true, 5);
+    await printer.printText('Second', 'LT');
+    await printer.close();
+
+    const html = readFileSync(printer.previewPath, 'utf-8');
+    if (!/80mm paper, 576 dots<\/h1>/.test(html) || !html.includes('.paper { width: 576px;')) {
+      throw new Error('The paper is not 576 dots wide');
+    }
+
+    const [title, tea, signed, feed, partial, second, cut] = paperItems(html);
+    if (!title.startsWith('<div class="line CT" style="min-height:48px">') || !title.includes('width:24px;height:48px')) {
+      throw new Error(`The title rendered as ${title.slice(0, 120)}`);
+    }
+    if (!tea.includes('>&lt;</span>') || !tea.includes('>&amp;</span>')) throw new Error('Text was not escaped');
+    // The TM-T20III has no red ribbon, so red prints black
+    if (!signed.startsWith('<div class="line RT"') || signed.includes('red')) throw new Error(`The signature rendered as ${signed.slice(0, 120)}`);
+    if (feed !== '<div class="feed" style="height: 40px"></div>' || !partial.includes('partial cut')) {
+      throw new Error(`The cut rendered as ${feed} ${partial}`);
+    }
+    if (!second.includes('>S</span>') || !/&#9986; cut</.test(cut ?? '')) throw new Error('The job did not end with a cut');
+
+    console.log('   ✅ The page is as wide as the paper, with double-size cells, escaped text, feeds and cut marks\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Fake job test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testNoPreview(dir) {
+  console.log('2. Skipping the preview when it is turned off or empty...');
+  try {
+    const disabled = new PrinterAdapter({ fakeMode: true, previewDir: null, profile: PROFILES['generic-58'] });
+    await disabled.start();
+    await disabled.printText('Hello');
+    await disabled.close();
+
+    const emptyDir = join(dir, 'empty');
+    const empty = new PrinterAdapter({ fakeMode: true, previewDir: emptyDir, profile: PROFILES['generic-58'] });
+    await empty.start();
+    await empty.close();
+
+    if (disabled.previewPath !== null || empty.previewPath !== null || existsSync(emptyDir)) {
+      throw new Error('A preview was saved');
+    }
+
+    // Without a cutter the letter is torn off, so no cut mark is added
+    const tornDir = join(dir, 'torn');
+    const torn = new PrinterAdapter({ fakeMode: true, previewDir: tornDir, profile: PROFILES['generic-58'] });
+    await torn.start();
+    await torn.printText('Hello');
+    await torn.cut();
+    await torn.close();
+    const html = readFileSync(join(tornDir, readdirSync(tornDir)[0]), 'utf-8');
+    if (!html.includes('58mm paper, 384 dots') || html.includes('class="cut"') || !html.includes('class="feed"')) {
+      throw new Error('The torn-off letter was previewed with a cut');
+    }
+
+    console.log('   ✅ No file without a preview directory or anything printed, and no cut mark without a cutter\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ No preview test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+function testText() {
+  console.log('3. Rendering the preview as plain text...');
+  try {
+    const preview = new ReceiptPreview({ paperWidth: 58 });
+    preview.addText('Good morning', { align: 'CT', size: 2 });
+    preview.addText('Hi', { align: 'RT' });
+    preview.addFeed(60);
+    preview.addCut();
+
+    const expected = ['    G o o d   m o r n i n g', '                              Hi', '', '', '- - - - - - - - - - - - - cut', ''];
+    if (preview.toText() !== expected.join('\n')) throw new Error(`Rendered ${JSON.stringify(preview.toText())}`);
+    if (!preview.endsWithCut || preview.isEmpty) throw new Error('The preview state is wrong');
+
+    console.log('   ✅ Double-size text is spaced out, lines are aligned in 32 columns, and feeds become blank lines\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Text test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+function testSameSecond(dir) {
+  console.log('4. Saving previews in the same second...');
+  try {
+    const saveDir = join(dir, 'same-second');
+    const paths = ['First', 'Second', 'Third'].map((text) => {
+      const preview = new ReceiptPreview({ paperWidth: 58 });
+      preview.addText(text);
+      return preview.save(saveDir);
+    });
+
+    if (new Set(paths).size !== 3 || readdirSync(saveDir).length !== 3) throw new Error(`Saved ${JSON.stringify(paths)}`);
+    if (!readFileSync(paths[0], 'utf-8').replace(/<[^>]+>/g, '').includes('First')) throw new Error('The first preview was overwritten');
+
+    console.log('   ✅ Each preview gets its own file\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Same second test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function main() {
+  const dir = mkdtempSync(join(tmpdir(), 'preview-'));
+  try {
+    const results = [await testFakeJob(dir), await testNoPreview(dir), testText(), testSameSecond(dir)];
+
+    if (results.every(Boolean)) {
+      console.log('✅ Receipt preview tests passed!');
+      return 0;
+    }
+    console.log('❌ Some receipt preview tests failed');
+    return 1;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error(error);
+    process.exit(1);
+  }
+);
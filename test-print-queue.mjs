@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * Queues a job while the printer is unreachable, then checks that it stays
+ * on disk, backs off, and prints once the (virtual) printer comes up.
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import PrinterAdapter from './src/lib/printer.mjs';
+import PrintSpooler from './src/lib/spooler.mjs';
+import VirtualPrinter from './src/lib/virtual-printer.mjs';
+
+console.log('Testing Print Queue');
+console.log('===================\n');
+
+const OPERATIONS = [
+  { type: 'text', text: '01/01/2025 8:00 AM\n\n', align: 'CT', size: 1 },
+  { type: 'markdown', markdown: 'Dear friend, **you made it**.' },
+  { type: 'line', lines: 2 }
+];
+
+function waitFor(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function main() {
+  const outputDir = mkdtempSync(join(tmpdir(), 'print-queue-'));
+  try {
+    const virtualPrinter = new VirtualPrinter({ port: 0, outputDir: join(outputDir, 'printed') });
+    const jobs = [];
+    virtualPrinter.on('job', (job) => jobs.push(job));
+
+    // Reserve a free port, then stop listening so the printer is "unplugged"
+    await virtualPrinter.start();
+    const { port } = virtualPrinter;
+    await virtualPrinter.stop();
+
+    const spooler = new PrintSpooler({
+      dir: join(outputDir, 'spool'),
+      retryDelay: 1000,
+      createPrinter: () =>
+        new PrinterAdapter({
+          transport: { type: 'network', host: '127.0.0.1', port, reconnectAttempts: 1 }
+        })
+    });
+
+    console.log('1. Queueing a job while the printer is offline...');
+    const queued = spooler.enqueue(OPERATIONS, 'Test letter');
+    const [failed] = await spooler.processQueue();
+    if (!failed || failed.printed) throw new Error('The job printed with no printer listening');
+
+    const [stored] = spooler.list();
+    if (stored?.id !== queued.id || stored.attempts !== 1 || !stored.lastError) {
+      throw new Error(`Failed job was not kept with its error: ${JSON.stringify(stored)}`);
+    }
+    console.log(`   ✅ Kept ${stored.id} after: ${stored.lastError}\n`);
+
+    console.log('2. Backing off before the next attempt...');
+    const delay = new Date(stored.nextAttemptAt) - new Date(stored.lastAttemptAt);
+    if (delay !== 1000) throw new Error(`Expected a 1000ms backoff, got ${delay}ms`);
+    if ((await spooler.processQueue()).length !== 0) throw new Error('Retried before the backoff elapsed');
+    if (spooler.getRetryDelay(3) !== 4000) throw new Error('Backoff does not double per attempt');
+    console.log('   ✅ Waits 1s, then 2s, 4s, ...\n');
+
+    console.log('3. Printing once the printer is back...');
+    virtualPrinter.port = port;
+    await virtualPrinter.start();
+    await waitFor(1000);
+    const [retried] = await spooler.processQueue();
+    await waitFor(100);
+    await virtualPrinter.stop();
+
+    if (!retried?.printed) throw new Error(`Retry failed: ${retried?.error?.message}`);
+    if (spooler.list().length !== 0) throw new Error('Printed job is still queued');
+    if (jobs.length !== 1) throw new Error(`Expected 1 printed job, saw ${jobs.length}`);
+    console.log(`   ✅ Printed to ${jobs[0].dir} and removed from the queue\n`);
+
+    console.log('4. Dropping a job...');
+    const dropped = spooler.enqueue(OPERATIONS, 'Unwanted letter');
+    spooler.drop(dropped.id);
+    if (spooler.list().length !== 0) throw new Error('Dropped job is still queued');
+    console.log('   ✅ Dropped\n');
+
+    console.log('5. Listing jobs queued in the same second in order...');
+    const letters = Array.from({ length: 11 }, (_, i) => `Letter ${i + 1}`);
+    for (const letter of letters) spooler.enqueue(OPERATIONS, letter);
+    const listed = spooler.list().map((job) => job.description);
+    if (listed.join(', ') !== letters.join(', ')) throw new Error(`Listed ${listed.join(', ')}`);
+    console.log(`   ✅ Listed ${spooler.list().at(-1).id} last\n`);
+  } finally {
+    rmSync(outputDir, { recursive: true, force: true });
+  }
+}
+
+main()
+  .then(() => {
+    console.log('✅ Print queue tests passed!');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('❌ Print queue test failed:', error.message);
+    process.exit(1);
+  });
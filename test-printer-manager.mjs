@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * Prints one letter on two virtual printers with different profiles and
+ * layouts while one of them is offline, and checks that the other still
+ * prints, the offline copy waits in its own queue and the run log records
+ * both outcomes.
+ */
+
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import PrinterManager, { loadPrinterConfig, summarizeResults } from './src/lib/printer-manager.mjs';
+import RunLog from './src/lib/run-log.mjs';
+import VirtualPrinter from './src/lib/virtual-printer.mjs';
+import { PROFILES } from './src/lib/profiles.mjs';
+
+console.log('Testing Printer Manager');
+console.log('=======================\n');
+
+const VARIABLES = {
+  MESSAGE: 'Dear friend, **you made it**.',
+  LETTER_NUMBER: 7,
+  ARCHIVE_FILE: './archive/2025-01-01_08-00-00.txt'
+};
+
+function waitFor(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function testConfig(dir) {
+  console.log('1. Loading and checking the printer config...');
+  try {
+    const file = join(dir, 'printers.json');
+    writeFileSync(file, JSON.stringify({ printers: [{ name: 'kitchen' }, { name: 'office', profile: 'generic-80' }] }));
+    const names = loadPrinterConfig(file).map((printer) => printer.name).join(',');
+    if (names !== 'kitchen,office') throw new Error(`Loaded printers ${names}`);
+
+    const missing = loadPrinterConfig(join(dir, 'missing.json'));
+    if (missing.length !== 1 || missing[0].name !== 'default') {
+      throw new Error(`Without a config file got ${JSON.stringify(missing)}`);
+    }
+
+    writeFileSync(file, JSON.stringify({ printers: [{ name: 'kitchen' }, { name: 'kitchen' }] }));
+    let rejected = false;
+    try {
+      loadPrinterConfig(file);
+    } catch (error) {
+      rejected = /more than one printer/.test(error.message);
+    }
+    if (!rejected) throw new Error('Two printers with the same name were accepted');
+
+    console.log('   ✅ Reads printers.json, falls back to one default printer and rejects duplicate names\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Config test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testFanOut(dir) {
+  console.log('2. Printing on two printers while one is offline...');
+  const online = new VirtualPrinter({
+    port: 0,
+    outputDir: join(dir, 'office'),
+    profile: PROFILES['epson-tm-t20iii']
+  });
+  const offline = new VirtualPrinter({ port: 0, outputDir: join(dir, 'kitchen') });
+  const jobs = [];
+  online.on('job', (job) => jobs.push(job));
+
+  try {
+    await online.start();
+    // Reserve a free port, then stop listening so the printer is "unplugged"
+    await offline.start();
+    const offlinePort = offline.port;
+    await offline.stop();
+
+    const manager = new PrinterManager({
+      spoolDir: join(dir, 'spool'),
+      paperDir: join(dir, 'paper'),
+      spoolerOptions: { retryDelay: 1000 },
+      printers: [
+        {
+          name: 'kitchen',
+          transport: { type: 'network', host: '127.0.0.1', port: offlinePort, reconnectAttempts: 1 },
+          profile: 'generic-58',
+          template: 'default'
+        },
+        {
+          name: 'office',
+          transport: { type: 'network', host: '127.0.0.1', port: online.port },
+          profile: 'epson-tm-t20iii',
+          template: 'keepsake'
+        }
+      ]
+    });
+
+    const runLog = new RunLog({ dir: join(dir, 'runs') });
+    const results = await manager.printLetter({ variables: VARIABLES, description: 'Test letter' });
+    await waitFor(100);
+    const record = JSON.parse(readFileSync(runLog.set({ printers: results }).finish(summarizeResults(results)), 'utf-8'));
+
+    const [kitchen, office] = results;
+    if (!office.printed || office.error) throw new Error(`Office did not print: ${office.error}`);
+    if (jobs.length !== 1) throw new Error(`Expected 1 printed job, saw ${jobs.length}`);
+    const receipt = readFileSync(join(jobs[0].dir, 'receipt.txt'), 'utf-8');
+    if (!receipt.includes('Letter no. 7')) throw new Error('Office receipt is not in the keepsake layout');
+
+    if (kitchen.printed || !kitchen.jobId || !kitchen.error) {
+      throw new Error(`Offline printer result was ${JSON.stringify(kitchen)}`);
+    }
+    const queued = manager.get('kitchen').spooler.list();
+    if (queued.length !== 1 || queued[0].id !== kitchen.jobId) throw new Error('Offline copy was not queued');
+    if (manager.get('office').spooler.list().length !== 0) throw new Error('Printed copy is still queued');
+
+    if (record.status !== 'partial' || record.printers.length !== 2) {
+      throw new Error(`Run log recorded ${record.status} for ${record.printers.length} printer(s)`);
+    }
+    if (record.printers[1].profile !== 'epson-tm-t20iii' || record.printers[1].template !== 'keepsake') {
+      throw new Error(`Run log lost the office printer's setup: ${JSON.stringify(record.printers[1])}`);
+    }
+
+    console.log(`   ✅ office printed, kitchen queued ${kitchen.jobId} after: ${kitchen.error}`);
+    console.log(`   ✅ Run log ${record.id} recorded "${record.status}"\n`);
+    return true;
+  } catch (error) {
+    console.error('   ❌ Fan-out test failed:', error.message, '\n');
+    return false;
+  } finally {
+    await online.stop();
+  }
+}
+
+async function main() {
+  const dir = mkdtempSync(join(tmpdir(), 'printer-manager-'));
+  try {
+    const results = [testConfig(dir), await testFanOut(dir)];
+
+    if (results.every(Boolean)) {
+      console.log('✅ Printer manager tests passed!');
+      return 0;
+    }
+    console.log('❌ Some printer manager tests failed');
+    return 1;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error(error);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+
+/**
+ * Checks printer profiles: built-in profiles and the generic one for a paper
+ * width, JSON profiles for other models, the errors for unknown profiles,
+ * and the profile feeding the layout and the printer.
+ */
+
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import PrinterAdapter from './src/lib/printer.mjs';
+import { decodeEscPos } from './src/lib/escpos-decoder.mjs';
+import { getColumns } from './src/lib/layout.mjs';
+import { getProfile, PROFILES, profileForPaperWidth, resolveProfile } from './src/lib/profiles.mjs';
+
+console.log('Testing Printer Profiles');
+console.log('========================\n');
+
+/** Runs `fn` and returns the message of the error it throws, or null. */
+function errorFrom(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function testBuiltIn() {
+  console.log('1. Picking a built-in profile...');
+  const saved = { ...process.env };
+  try {
+    delete process.env.PRINTER_PROFILE;
+    delete process.env.PRINTER_PAPER_WIDTH;
+    if (getProfile().id !== 'generic-58') throw new Error(`The default was ${getProfile().id}`);
+    process.env.PRINTER_PAPER_WIDTH = '80';
+    if (getProfile().id !== 'generic-80') throw new Error('PRINTER_PAPER_WIDTH was ignored');
+    process.env.PRINTER_PROFILE = 'epson-tm-t88v';
+    if (getProfile() !== PROFILES['epson-tm-t88v']) throw new Error('PRINTER_PROFILE was ignored');
+
+    if (resolveProfile().id !== 'generic-58' || resolveProfile({ paperWidth: 80 }).id !== 'generic-80') {
+      throw new Error('Layout options did not pick the generic profile');
+    }
+    if (resolveProfile({ profile: PROFILES['epson-tm-t20iii'], paperWidth: 58 }).id !== 'epson-tm-t20iii') {
+      throw new Error('A profile did not win over the paper width');
+    }
+
+    // Every built-in profile has columns that fit its dots
+    for (const profile of Object.values(PROFILES)) {
+      if (profile.columns.A * 12 > profile.dotsPerLine || profile.columns.B * 9 > profile.dotsPerLine) {
+        throw new Error(`${profile.id} has more columns than dots`);
+      }
+    }
+
+    console.log('   ✅ PRINTER_PROFILE wins, then the generic profile for PRINTER_PAPER_WIDTH, then 58mm\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Built-in profile test failed:', error.message, '\n');
+    return false;
+  } finally {
+    process.env = saved;
+  }
+}
+
+function testCustom(dir) {
+  console.log('2. Loading a JSON profile...');
+  try {
+    const path = join(dir, 'my-printer.json');
+    writeFileSync(path, JSON.stringify({ name: 'My 80mm printer', paperWidth: 80, dotsPerLine: 512, codepages: ['cp437', 'cp858'] }));
+    const custom = getProfile(path);
+    if (custom.id !== path || custom.name !== 'My 80mm printer' || custom.columns.A !== 42 || custom.columns.B !== 56) {
+      throw new Error(`Loaded ${JSON.stringify(custom)}`);
+    }
+    if (custom.cutter !== PROFILES['generic-80'].cutter || custom.dpi !== 203) throw new Error('Fields left out were not taken from generic-80');
+
+    const columnsPath = join(dir, 'columns.json');
+    writeFileSync(columnsPath, JSON.stringify({ dotsPerLine: 360, columns: { B: 38 } }));
+    const columns = getProfile(columnsPath).columns;
+    if (columns.A !== 30 || columns.B !== 38) throw new Error(`Columns were ${JSON.stringify(columns)}`);
+
+    console.log('   ✅ Missing fields come from the generic profile, and columns follow from the dots unless given\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Custom profile test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+function testErrors(dir) {
+  console.log('3. Rejecting unknown profiles...');
+  try {
+    const errors = [
+      [errorFrom(() => getProfile('epson-tm-t1000')), /^Unknown printer profile: epson-tm-t1000 \(expected one of generic-58, .*or a \.json file\)$/],
+      [errorFrom(() => getProfile(join(dir, 'missing.json'))), /^Printer profile not found: .*missing\.json$/],
+      [errorFrom(() => profileForPaperWidth(76)), /^Unsupported paper width: 76mm \(expected 58 or 80\)$/],
+      [errorFrom(() => resolveProfile({ paperWidth: 110 })), /^Unsupported paper width: 110mm/]
+    ];
+    for (const [message, pattern] of errors) {
+      if (!pattern.test(message ?? '')) throw new Error(`Threw ${message}`);
+    }
+
+    const badWidth = join(dir, 'bad-width.json');
+    writeFileSync(badWidth, JSON.stringify({ paperWidth: 112 }));
+    if (!/^Unsupported paper width: 112mm/.test(errorFrom(() => getProfile(badWidth)) ?? '')) {
+      throw new Error('A JSON profile with an unsupported paper width loaded');
+    }
+
+    console.log('   ✅ Unknown names, missing files and paper widths say what was expected\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Error test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testLayout(dir) {
+  console.log('4. Laying out text for the profile...');
+  try {
+    const path = join(dir, 'narrow.json');
+    writeFileSync(path, JSON.stringify({ dotsPerLine: 288, codepages: ['cp866'] }));
+    const narrow = getProfile(path);
+    if (getColumns({ profile: narrow }) !== 24 || getColumns({ profile: narrow, font: 'B' }) !== 32) {
+      throw new Error(`Laid out in ${getColumns({ profile: narrow })} columns`);
+    }
+
+    const file = join(dir, 'narrow.bin');
+    const printer = new PrinterAdapter({ transport: { type: 'capture', file }, profile: narrow, chunkPause: 0 });
+    await printer.start();
+    await printer.printWrappedText('Доброе утро! Today is a good day to start something small.');
+    await printer.close();
+
+    const commands = decodeEscPos(readFileSync(file));
+    const lines = commands.filter((command) => command.name === 'TEXT').map((command) => command.args.text);
+    if (lines.length !== 3 || lines.some((line) => line.length > 24)) throw new Error(`Printed ${JSON.stringify(lines)}`);
+    if (commands.find((command) => command.name === 'CODEPAGE')?.args.codepage !== 'cp866') {
+      throw new Error('The profile\'s codepage was not selected');
+    }
+
+    console.log('   ✅ The printer wraps at the profile\'s columns and prints in its codepages\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Layout test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function main() {
+  const dir = mkdtempSync(join(tmpdir(), 'profiles-'));
+  try {
+    const results = [testBuiltIn(), testCustom(dir), testErrors(dir), await testLayout(dir)];
+
+    if (results.every(Boolean)) {
+      console.log('✅ Printer profile tests passed!');
+      return 0;
+    }
+    console.log('❌ Some printer profile tests failed');
+    return 1;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error(error);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+
+/**
+ * Checks the repetition guard: digests of archived letters, similarity
+ * scores, the writer giving the model the recent letters and writing a
+ * letter again when it repeats one of them, and the planner passing the
+ * recent letters on, with fake models.
+ */
+
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import LLMAdapter from './src/lib/llm.mjs';
+import Planner from './src/lib/planner.mjs';
+import { PROFILES } from './src/lib/profiles.mjs';
+import { digestLetter, formatDigests, scoreRepetition } from './src/lib/repetition.mjs';
+
+console.log('Testing Repetition Guard');
+console.log('========================\n');
+
+const EARLIER = [
+  'Dear friend,',
+  '',
+  'Today is not a restart, it is a continuation. Like a river that keeps finding its way around the stones, you keep moving forward even when it feels slow.',
+  '',
+  'Drink some water, call your sister back, and remember that rest is part of the work.',
+  '',
+  'With love,',
+  'Your Printer'
+].join('\n');
+
+const OLDER = [
+  'Dear friend,',
+  '',
+  'The bread you baked on Sunday is still on my mind: flour on your sleeves, the kitchen warm. Make something with your hands again this week.',
+  '',
+  'With love,',
+  'Your Printer'
+].join('\n');
+
+const REPEAT = [
+  'Dear friend,',
+  '',
+  'Today is not a restart, it is a continuation of everything you built. Like a river that keeps finding its way around the stones, you keep going.',
+  '',
+  'Take a slow walk after lunch, and remember that rest is part of the work.',
+  '',
+  'With love,',
+  'Your Printer'
+].join('\n');
+
+const FRESH = [
+  'Dear friend,',
+  '',
+  'You answered the hard email on Thursday before your coffee went cold. That took nerve, and it counts.',
+  '',
+  'This weekend, pick one small corner of the flat and let it be finished.',
+  '',
+  'With love,',
+  'Your Printer'
+].join('\n');
+
+const SHORT = ['Dear friend,', '', 'Be gentle with yourself today.', '', 'With love,', 'Your Printer'].join('\n');
+
+const GUARD = { letters: 7, threshold: 0.35, attempts: 3 };
+
+/** A writer model that answers with the given letters in turn and keeps the requests. */
+function fakeProvider(letters) {
+  const requests = [];
+  return {
+    name: 'fake',
+    model: 'fake-writer',
+    requests,
+    async createMessage(request) {
+      requests.push(request);
+      const text = letters[Math.min(requests.length, letters.length) - 1];
+      return { content: [{ type: 'text', text }], stopReason: 'end_turn', model: 'fake-writer' };
+    }
+  };
+}
+
+function writer(letters, repetitionGuard, lengthLimits = null) {
+  const provider = fakeProvider(letters);
+  const llm = new LLMAdapter({ provider, printer: { profile: PROFILES['generic-58'], font: null }, lengthLimits, repetitionGuard });
+  return { llm, provider };
+}
+
+function testScores() {
+  console.log('1. Digesting letters and scoring their overlap...');
+  try {
+    const digest = digestLetter(EARLIER, './archive/2025-01-05_08-00-00.txt');
+    if (digest.opening !== 'Today is not a restart, it is a continuation.') throw new Error(`Opening was "${digest.opening}"`);
+    if (!digest.themes.includes('continuation') || digest.themes.includes('dear') || digest.themes.includes('printer')) {
+      throw new Error(`Themes were ${digest.themes.join(', ')}`);
+    }
+    if (!digest.phrases.includes('keep moving forward')) throw new Error(`Phrases were ${digest.phrases.join(', ')}`);
+    if (!formatDigests([digest]).startsWith('- 2025-01-05_08-00-00: opened "Today is not a restart')) {
+      throw new Error(`Digest read ${formatDigests([digest])}`);
+    }
+
+    const recent = [{ filename: './archive/2025-01-05_08-00-00.txt', text: EARLIER }];
+    const repeat = scoreRepetition(REPEAT, recent);
+    const fresh = scoreRepetition(FRESH, recent);
+    if (!(repeat.score > GUARD.threshold) || !repeat.sameOpening || repeat.similarTo !== '2025-01-05_08-00-00') {
+      throw new Error(`The repeated letter scored ${JSON.stringify(repeat)}`);
+    }
+    if (!repeat.sharedPhrases.includes('and remember that rest is part of the work')) {
+      throw new Error(`Shared phrases were ${repeat.sharedPhrases.join(' | ')}`);
+    }
+    if (!(fresh.score < 0.1) || fresh.sharedPhrases.length !== 0) throw new Error(`The fresh letter scored ${fresh.score}`);
+
+    console.log(`   ✅ The repeated letter scores ${repeat.score.toFixed(2)} and the fresh one ${fresh.score.toFixed(2)}, salutation and sign-off aside\n`);
+    return true;
+  } catch (error) {
+    console.error('   ❌ Score test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testRegenerate() {
+  console.log('2. Writing a letter again when it repeats a recent one...');
+  try {
+    const { llm, provider } = writer([REPEAT, FRESH], GUARD);
+    const letter = await llm.generateMessage();
+
+    if (letter !== FRESH || llm.repetitionReport?.attempt !== 2 || provider.requests.length !== 2) {
+      throw new Error(`Used attempt ${llm.repetitionReport?.attempt} of ${provider.requests.length}`);
+    }
+    const [first, second] = provider.requests.map((request) => request.messages[0].content);
+    if (first.indexOf('2025-01-05_08-00-00') === -1 || first.indexOf('2025-01-05') > first.indexOf('2025-01-04')) {
+      throw new Error(`The prompt listed the recent letters as:\n${first}`);
+    }
+    if (!second.startsWith(first) || !/too close to the letter of 2025-01-05_08-00-00, repeating its opening/.test(second)) {
+      throw new Error(`The second prompt ended with: ${second.slice(first.length)}`);
+    }
+
+    console.log('   ✅ The prompt carried the digests, newest first, and the retry was told what it repeated\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Regenerate test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testLeastSimilar() {
+  console.log('3. Using the least similar letter when every one repeats...');
+  try {
+    const { llm, provider } = writer([EARLIER, REPEAT, EARLIER], GUARD);
+    const letter = await llm.generateMessage();
+
+    if (provider.requests.length !== 3 || letter !== REPEAT || llm.repetitionReport.attempt !== 2) {
+      throw new Error(`Used attempt ${llm.repetitionReport.attempt} of ${provider.requests.length}`);
+    }
+
+    const { llm: unguarded, provider: single } = writer([EARLIER], null);
+    await unguarded.generateMessage();
+    if (single.requests.length !== 1 || unguarded.repetitionReport !== null) throw new Error('The guard ran while turned off');
+    if (/2025-01-05/.test(single.requests[0].messages[0].content)) throw new Error('Digests were sent with the guard off');
+
+    console.log('   ✅ The run still gets a letter, and the guard can be turned off\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Least similar test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testWithLength() {
+  console.log('4. Holding only the letter that is kept to the length limits...');
+  try {
+    const limits = { target: { min: 1, max: 8, unit: 'lines' }, max: null, attempts: 3, strategy: 'revise' };
+    const { llm, provider } = writer([REPEAT, FRESH, SHORT], GUARD, limits);
+    const letter = await llm.generateMessage();
+
+    if (letter !== SHORT || provider.requests.length !== 3) throw new Error(`Made ${provider.requests.length} request(s)`);
+    const revision = provider.requests[2].messages;
+    if (revision.length !== 3 || revision[1].content !== FRESH || !/too close to the letter/.test(revision[0].content)) {
+      throw new Error(`The revision was asked for as ${JSON.stringify(revision)}`);
+    }
+    if (llm.repetitionReport.attempt !== 2 || llm.lengthReport.attempt !== 2 || llm.lengthReport.attempts.length !== 2) {
+      throw new Error(`Reports were ${JSON.stringify({ repetition: llm.repetitionReport, length: llm.lengthReport })}`);
+    }
+
+    console.log('   ✅ The repeated draft was dropped without a revision, and the fresh one was revised to fit\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Length test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testPlanner() {
+  console.log('5. Giving the planner the recent letters...');
+  try {
+    const planned = '<prompt scope="user" for="Your Printer" updated>Write about the bread.\n\nAvoid: %%RECENT_LETTERS%%</prompt>';
+    const provider = fakeProvider([planned]);
+    const planner = new Planner({ provider, repetitionGuard: GUARD, outputDir: join(process.cwd(), 'planning-output') });
+    const plan = await planner.generatePlan();
+
+    const request = provider.requests[0].messages[0].content;
+    if (request.includes('%%RECENT_LETTERS%%') || !request.includes('- 2025-01-05_08-00-00: opened "Today is not a restart')) {
+      throw new Error(`The planner was asked with:\n${request}`);
+    }
+
+    // The writer sends the planned prompt as the planner wrote it
+    const writerModel = fakeProvider([FRESH]);
+    const llm = new LLMAdapter({
+      provider: writerModel,
+      customUserPrompt: plan.enhancedUserPrompt,
+      printer: { profile: PROFILES['generic-58'], font: null },
+      lengthLimits: null,
+      repetitionGuard: null
+    });
+    await llm.generateMessage();
+    if (writerModel.requests[0].messages[0].content !== 'Write about the bread.\n\nAvoid: %%RECENT_LETTERS%%') {
+      throw new Error(`The writer was sent ${JSON.stringify(writerModel.requests[0].messages[0].content)}`);
+    }
+
+    console.log('   ✅ The planner saw the digests in the user prompt, and its prompt reached the writer unchanged\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Planner test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function main() {
+  const cwd = process.cwd();
+  // The writer reads its prompts and the archive from the working directory
+  const dir = mkdtempSync(join(tmpdir(), 'repetition-'));
+  try {
+    mkdirSync(join(dir, 'prompts', 'private'), { recursive: true });
+    mkdirSync(join(dir, 'archive'));
+    writeFileSync(join(dir, 'prompts', 'private', 'SYSTEM.md'), 'You are Your Printer.');
+    writeFileSync(join(dir, 'prompts', 'private', 'USER.md'), 'Write today\'s letter.\n\nRecent letters:\n%%RECENT_LETTERS%%');
+    mkdirSync(join(dir, 'prompts', 'shared'));
+    writeFileSync(join(dir, 'prompts', 'shared', 'PLANNER.md'), 'Gather what the letter needs.\n\n%%USER_PROMPT%%');
+    writeFileSync(join(dir, 'archive', '2025-01-04_08-00-00.txt'), OLDER);
+    writeFileSync(join(dir, 'archive', '2025-01-05_08-00-00.txt'), EARLIER);
+    process.chdir(dir);
+
+    const results = [testScores(), await testRegenerate(), await testLeastSimilar(), await testWithLength(), await testPlanner()];
+
+    if (results.every(Boolean)) {
+      console.log('✅ Repetition guard tests passed!');
+      return 0;
+    }
+    console.log('❌ Some repetition guard tests failed');
+    return 1;
+  } finally {
+    process.chdir(cwd);
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error(error);
+    process.exit(1);
+  }
+);
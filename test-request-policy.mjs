@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+
+/**
+ * Checks the request policy shared by the writer and the planner: which
+ * errors are retried, backoff and `retry-after`, timeouts, falling back to
+ * another model and streaming retries, against local fake API servers.
+ */
+
+import { createServer } from 'http';
+import { createPhaseProvider } from './src/lib/providers/index.mjs';
+import { getRequestPolicy, isRetryable, retryAfterMs, retryDelay } from './src/lib/providers/request-policy.mjs';
+
+console.log('Testing Request Policy');
+console.log('======================\n');
+
+const REQUEST = { messages: [{ role: 'user', content: 'Write today\'s letter.' }] };
+
+/**
+ * Starts an HTTP server that lets `handle(body, response, count)` answer each
+ * POST, and keeps the parsed request bodies.
+ */
+async function startFakeApi(handle) {
+  const requests = [];
+  const server = createServer((request, response) => {
+    let body = '';
+    request.on('data', (chunk) => (body += chunk));
+    request.on('end', () => {
+      requests.push(JSON.parse(body));
+      handle(JSON.parse(body), response, requests.length);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const close = () => {
+    server.closeAllConnections();
+    server.close();
+  };
+  return { requests, close, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+function reply(response, status, body, headers = {}) {
+  response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  response.end(JSON.stringify(body));
+}
+
+function completion(model, content) {
+  return { model, choices: [{ finish_reason: 'stop', message: { role: 'assistant', content } }] };
+}
+
+/** A writer on a fake llama.cpp server, whose waits are recorded instead of slept. */
+function writerOn(api, policy, model = 'primary') {
+  const provider = createPhaseProvider('writer', { type: 'llamacpp', model, baseUrl: `${api.url}/v1` }, policy);
+  const waits = [];
+  provider._sleep = async (ms) => waits.push(ms);
+  return { provider, waits };
+}
+
+const outcomes = (provider) => provider.attempts.map((attempt) => `${attempt.model}:${attempt.outcome}`).join(',');
+
+function testPolicy() {
+  console.log('1. Reading the policy and classifying errors...');
+  const saved = { ...process.env };
+  try {
+    process.env.LLM_MAX_RETRIES = '5';
+    process.env.PLANNER_MAX_RETRIES = '1';
+    process.env.WRITER_FALLBACK_MODEL = 'claude-sonnet-4-20250514';
+    const writer = getRequestPolicy('writer');
+    const planner = getRequestPolicy('planner');
+    if (writer.maxRetries !== 5 || planner.maxRetries !== 1 || writer.timeoutMs !== 120000) {
+      throw new Error(`Policies were ${JSON.stringify({ writer, planner })}`);
+    }
+    if (writer.fallback?.model !== 'claude-sonnet-4-20250514' || planner.fallback !== null) {
+      throw new Error('The fallback model was not read per phase');
+    }
+
+    const status = (code) => Object.assign(new Error(`status ${code}`), { status: code });
+    const retryable = [status(529), status(429), status(503), new TypeError('fetch failed')].every(isRetryable);
+    const final = [status(400), status(401), status(404), new Error('Unknown LLM provider: x')].some(isRetryable);
+    if (!retryable || final) throw new Error('Errors were classified wrongly');
+
+    const seconds = retryAfterMs({ headers: new Headers({ 'retry-after': '7' }) });
+    const date = retryAfterMs({ headers: { 'retry-after': new Date(Date.UTC(2025, 0, 1, 8, 0, 30)).toUTCString() } }, Date.UTC(2025, 0, 1, 8));
+    if (seconds !== 7000 || date !== 30000 || retryAfterMs(status(529)) !== null) {
+      throw new Error(`retry-after read as ${seconds} and ${date}`);
+    }
+
+    const policy = { baseDelayMs: 1000, maxDelayMs: 5000 };
+    const delays = [1, 2, 3, 4].map((retry) => retryDelay(retry, policy, undefined, () => 1));
+    if (delays.join(',') !== '1000,2000,4000,5000' || retryDelay(2, policy, undefined, () => 0.5) !== 1000) {
+      throw new Error(`Backoff was ${delays.join(', ')}`);
+    }
+
+    console.log('   ✅ Phases have their own settings, and only temporary errors are retried, with capped jittered backoff\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Policy test failed:', error.message, '\n');
+    return false;
+  } finally {
+    process.env = saved;
+  }
+}
+
+async function testRetries() {
+  console.log('2. Retrying an overloaded server...');
+  const api = await startFakeApi((body, response, count) => {
+    if (count === 1) return reply(response, 529, { error: { type: 'overloaded_error' } }, { 'retry-after': '3' });
+    if (count === 2) return reply(response, 503, { error: 'unavailable' });
+    if (count === 3) return reply(response, 200, completion(body.model, 'Dear friend,'));
+    reply(response, 400, { error: 'bad request' });
+  });
+
+  try {
+    const { provider, waits } = writerOn(api, { maxRetries: 3, baseDelayMs: 100, maxDelayMs: 10000, fallback: null });
+    const response = await provider.createMessage(REQUEST);
+    if (response.content[0]?.text !== 'Dear friend,') throw new Error(`Got ${JSON.stringify(response)}`);
+    if (outcomes(provider) !== 'primary:retry,primary:retry,primary:ok') throw new Error(`Attempts were ${outcomes(provider)}`);
+    if (waits[0] !== 3000 || !(waits[1] >= 0 && waits[1] <= 200)) throw new Error(`Waited ${waits.join(', ')}ms`);
+    if (provider.attempts[0].status !== 529 || provider.attempts[0].delayMs !== 3000) {
+      throw new Error(`First attempt logged as ${JSON.stringify(provider.attempts[0])}`);
+    }
+
+    let error = null;
+    try {
+      await provider.createMessage(REQUEST);
+    } catch (caught) {
+      error = caught;
+    }
+    if (error?.status !== 400 || provider.attempts.length !== 4 || provider.attempts[3].outcome !== 'failed') {
+      throw new Error('A bad request was retried');
+    }
+
+    console.log('   ✅ Waited as retry-after asked, backed off on the 503, and did not retry a bad request\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Retry test failed:', error.message, '\n');
+    return false;
+  } finally {
+    api.close();
+  }
+}
+
+async function testTimeoutAndFallback() {
+  console.log('3. Timing out and falling back to another model...');
+  // The primary model never answers
+  const api = await startFakeApi((body, response) => {
+    if (body.model === 'fallback') reply(response, 200, completion('fallback', 'Dear friend,'));
+  });
+
+  try {
+    const { provider } = writerOn(api, { maxRetries: 1, baseDelayMs: 0, maxDelayMs: 1000, timeoutMs: 200, fallback: { model: 'fallback' } });
+    const response = await provider.createMessage(REQUEST);
+    if (response.model !== 'fallback') throw new Error(`Answered by ${response.model}`);
+    if (outcomes(provider) !== 'primary:retry,primary:fallback,fallback:ok') throw new Error(`Attempts were ${outcomes(provider)}`);
+    if (!/did not answer within 200ms/.test(provider.attempts[0].error)) throw new Error(`Timeout logged as ${provider.attempts[0].error}`);
+
+    await provider.createMessage(REQUEST);
+    if (provider.attempts.length !== 4 || provider.model !== 'fallback') throw new Error('The next call went back to the primary');
+
+    console.log('   ✅ The primary timed out twice, the fallback answered, and later calls stay on the fallback\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Timeout and fallback test failed:', error.message, '\n');
+    return false;
+  } finally {
+    api.close();
+  }
+}
+
+async function testStreaming() {
+  console.log('4. Retrying a stream that fails before it starts...');
+  const piece = (content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+  const api = await startFakeApi((body, response, count) => {
+    if (count === 1) return reply(response, 502, { error: 'bad gateway' });
+    response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    response.write(piece('Dear '));
+    // The fourth stream stalls after its first piece
+    if (count === 4) return;
+    response.write(piece('friend,'));
+    response.end(count === 2 ? 'data: [DONE]\n\n' : '');
+  });
+
+  try {
+    const { provider } = writerOn(api, { maxRetries: 2, baseDelayMs: 0, maxDelayMs: 1000, timeoutMs: 100, fallback: null });
+    let text = '';
+    // Printing each piece takes longer than the timeout, which must not count against the model
+    for await (const piece of provider.streamMessage(REQUEST)) {
+      text += piece;
+      await new Promise((resolve) => setTimeout(resolve, 250));
+    }
+    if (text !== 'Dear friend,' || outcomes(provider) !== 'primary:retry,primary:ok') {
+      throw new Error(`Streamed "${text}" after ${outcomes(provider)}`);
+    }
+
+    // Streams that break or stall after their first piece are not sent again, and are logged as failed
+    const errors = [];
+    for (let i = 0; i < 2; i++) {
+      try {
+        for await (const piece of provider.streamMessage(REQUEST)) text += piece;
+      } catch (caught) {
+        errors.push(caught);
+      }
+    }
+    if (!/ended before the reply was complete/.test(errors[0]?.message) || !/did not answer within 100ms/.test(errors[1]?.message)) {
+      throw new Error(`Errors were ${errors.map((error) => error.message).join(' | ')}`);
+    }
+    if (api.requests.length !== 4 || outcomes(provider) !== 'primary:retry,primary:ok,primary:failed,primary:failed') {
+      throw new Error(`Attempts were ${outcomes(provider)} over ${api.requests.length} request(s)`);
+    }
+    if (!/did not answer/.test(provider.attempts[3].error)) throw new Error(`Stall logged as ${provider.attempts[3].error}`);
+
+    console.log('   ✅ The stream was retried before its first piece, slow printing did not time it out, and later failures were logged\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Streaming test failed:', error.message, '\n');
+    return false;
+  } finally {
+    api.close();
+  }
+}
+
+async function testAnthropic() {
+  console.log('5. Retrying an overloaded Anthropic API...');
+  const api = await startFakeApi((body, response, count) => {
+    if (count === 1) {
+      return reply(response, 529, { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }, { 'retry-after': '0' });
+    }
+    reply(response, 200, {
+      id: 'msg_1',
+      type: 'message',
+      role: 'assistant',
+      model: body.model,
+      content: [{ type: 'text', text: 'Dear friend,' }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 10, output_tokens: 3 }
+    });
+  });
+
+  try {
+    const provider = createPhaseProvider(
+      'writer',
+      { type: 'anthropic', model: 'claude-opus-4-1-20250805', apiKey: 'test-key', baseUrl: api.url },
+      { maxRetries: 1, baseDelayMs: 0, fallback: null }
+    );
+    const response = await provider.createMessage(REQUEST);
+    if (response.content[0]?.text !== 'Dear friend,' || api.requests.length !== 2) {
+      throw new Error(`Made ${api.requests.length} request(s)`);
+    }
+    const [first] = provider.attempts;
+    if (first.status !== 529 || first.delayMs !== 0 || !/Overloaded/.test(first.error)) {
+      throw new Error(`First attempt logged as ${JSON.stringify(first)}`);
+    }
+
+    console.log('   ✅ The 529 was retried once by the policy, not by the SDK\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Anthropic test failed:', error.message, '\n');
+    return false;
+  } finally {
+    api.close();
+  }
+}
+
+async function main() {
+  const results = [
+    testPolicy(),
+    await testRetries(),
+    await testTimeoutAndFallback(),
+    await testStreaming(),
+    await testAnthropic()
+  ];
+
+  if (results.every(Boolean)) {
+    console.log('✅ Request policy tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some request policy tests failed');
+    process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+
+/**
+ * Streams letters to fake printers and checks that lines print as soon as
+ * they are settled, that a streamed letter looks the same as one printed
+ * whole, that a stream that dies prints a "continued" marker, that a
+ * printer that fails partway carries on where it stopped, and that
+ * streamed chat completions are read from server-sent events.
+ */
+
+import { createServer } from 'http';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import PrinterAdapter, { CONTINUED_MARKER } from './src/lib/printer.mjs';
+import PrinterManager from './src/lib/printer-manager.mjs';
+import { createProvider } from './src/lib/providers/index.mjs';
+import { PROFILES } from './src/lib/profiles.mjs';
+
+console.log('Testing Streaming Letters');
+console.log('=========================\n');
+
+const LETTER = [
+  '# Good morning',
+  '',
+  'Dear friend, yesterday you said you were tired of **starting over and over again, as if every day were the first**. Today is not a restart, it is a continuation.',
+  '',
+  '- Drink some water before the café opens.',
+  '- Call your sister back; she misses you.',
+  '',
+  'With all my heart, *always*.'
+].join('\n');
+
+/** Splits text into small uneven pieces, like tokens from a model. */
+function tokens(text) {
+  const pieces = [];
+  for (let i = 0, size = 1; i < text.length; i += size, size = (size % 5) + 1) {
+    pieces.push(text.slice(i, i + size));
+  }
+  return pieces;
+}
+
+async function* streamOf(pieces, failAfter = Infinity) {
+  for (const [index, piece] of pieces.entries()) {
+    if (index === failAfter) throw new Error('Connection reset by peer');
+    await Promise.resolve();
+    yield piece;
+  }
+}
+
+function fakePrinter(dir, name) {
+  return new PrinterAdapter({
+    fakeMode: true,
+    previewDir: join(dir, name),
+    profile: PROFILES['epson-tm-t20iii']
+  });
+}
+
+async function testLineByLine(dir) {
+  console.log('1. Printing settled lines while the letter is written...');
+  try {
+    const whole = fakePrinter(dir, 'whole');
+    await whole.start();
+    await whole.printMarkdown(LETTER);
+    await whole.close();
+
+    const streamed = fakePrinter(dir, 'streamed');
+    await streamed.start();
+    const stream = streamed.streamMarkdown();
+    const pieces = tokens(LETTER);
+    let printedHalfway = 0;
+    for (const [index, piece] of pieces.entries()) {
+      await stream.write(piece);
+      if (index === Math.floor(pieces.length / 2)) printedHalfway = streamed.printedMm;
+    }
+    await stream.end();
+    await streamed.close();
+
+    if (!(printedHalfway > 0)) throw new Error('Nothing printed until the letter was finished');
+    if (readFileSync(streamed.previewPath, 'utf-8') !== readFileSync(whole.previewPath, 'utf-8')) {
+      throw new Error('The streamed letter is laid out differently from the whole letter');
+    }
+    if (streamed.replacedCharacters.length !== whole.replacedCharacters.length) {
+      throw new Error('Characters were transliterated differently');
+    }
+
+    console.log(`   ✅ ${printedHalfway.toFixed(1)}mm printed halfway, and the result matches the letter printed whole\n`);
+    return true;
+  } catch (error) {
+    console.error('   ❌ Line-by-line test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testDeadStream(dir) {
+  console.log('2. Finishing cleanly when the stream dies...');
+  try {
+    const template = join(dir, 'plain.json');
+    writeFileSync(template, JSON.stringify({ blocks: [{ type: 'body', markdown: false }, { type: 'cut' }] }));
+    const manager = new PrinterManager({
+      fakeMode: true,
+      previewDir: join(dir, 'manager'),
+      printers: [
+        { name: 'desk', profile: 'epson-tm-t20iii', template: 'keepsake' },
+        { name: 'plain', profile: 'generic-58', template }
+      ]
+    });
+
+    const pieces = tokens(LETTER);
+    const failAfter = pieces.findIndex((_, index) => pieces.slice(0, index).join('').includes('yester'));
+    const { message, results, error } = await manager.streamLetter({
+      chunks: streamOf(pieces, failAfter),
+      variables: { LETTER_NUMBER: 7 }
+    });
+
+    if (error?.message !== 'Connection reset by peer') throw new Error(`Stream error was ${error?.message}`);
+    if (!message.endsWith('Dear friend,')) throw new Error(`Kept "${message}" of the letter`);
+
+    const [desk, plain] = results;
+    if (!desk.printed || !desk.streamed || !plain.printed || plain.streamed) {
+      throw new Error(`Results were ${JSON.stringify(results.map(({ printed, streamed }) => ({ printed, streamed })))}`);
+    }
+    const preview = readFileSync(desk.previewPath, 'utf-8');
+    const text = (html) => html.replace(/<[^>]+>/g, '');
+    if (!text(preview).includes(CONTINUED_MARKER) || !text(preview).includes('With love,')) {
+      throw new Error('The streamed copy lacks the marker or the rest of its template');
+    }
+    if (text(preview).includes('yester')) throw new Error('A cut-off word was printed');
+    if (!text(readFileSync(plain.previewPath, 'utf-8')).includes(CONTINUED_MARKER)) {
+      throw new Error('The plain-text copy lacks the marker');
+    }
+
+    // A stream that fails before any text prints nothing, and every printer says why
+    const early = await manager.streamLetter({ chunks: streamOf(pieces, 0) });
+    if (early.error?.message !== 'Connection reset by peer' || early.message !== '') {
+      throw new Error(`An early failure gave "${early.message}" and ${early.error?.message}`);
+    }
+    if (early.results.length !== 2 || early.results.some((result) => result.printed || !/before any text arrived: Connection reset/.test(result.error))) {
+      throw new Error(`Early failure results were ${JSON.stringify(early.results.map(({ printed, error }) => ({ printed, error })))}`);
+    }
+
+    console.log('   ✅ Both copies end with the marker, the streamed one still gets its sign-off, and a stream that never started prints nothing\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Dead stream test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testPrinterFailure(dir) {
+  console.log('3. Carrying on from the last printed line when a printer fails partway...');
+  try {
+    const manager = new PrinterManager({
+      fakeMode: true,
+      previewDir: join(dir, 'jam'),
+      printers: [{ name: 'desk', profile: 'epson-tm-t20iii', template: 'keepsake' }]
+    });
+    // The first copy jams on its fourth batch of lines
+    const desk = manager.get('desk');
+    const createPrinter = desk.createPrinter;
+    let jammed = false;
+    desk.createPrinter = () => {
+      const adapter = createPrinter();
+      if (!jammed) {
+        const printLines = adapter._printLines.bind(adapter);
+        let batches = 0;
+        adapter._printLines = async (lines) => {
+          if (++batches === 4) {
+            jammed = true;
+            throw new Error('Paper jam');
+          }
+          return printLines(lines);
+        };
+      }
+      return adapter;
+    };
+
+    const { results, error } = await manager.streamLetter({ chunks: streamOf(tokens(LETTER)), variables: { LETTER_NUMBER: 7 } });
+    if (error || !jammed || !results[0].printed || results[0].streamed) {
+      throw new Error(`Result was ${JSON.stringify({ error: error?.message, jammed, ...results[0] })}`);
+    }
+
+    const text = (html) => html.replace(/<[^>]+>/g, '');
+    const rest = text(readFileSync(results[0].previewPath, 'utf-8'));
+    if (rest.includes('Good morning') || rest.includes('Letter no. 7')) throw new Error('The copy started again from the top');
+    if (!rest.includes('With all my heart') || !rest.includes('With love,')) throw new Error('The rest of the letter is missing');
+
+    console.log('   ✅ The jammed copy went on from the line after the last one printed, without the heading again\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Printer failure test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testServerSentEvents() {
+  console.log('4. Reading a streamed chat completion...');
+  // How the server ends each line and the stream
+  let newline = '\n';
+  let ending = 'data: [DONE]\n\n';
+  const server = createServer((request, response) => {
+    request.resume();
+    request.on('end', () => {
+      response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      for (const content of ['Dear ', 'friend,', '\n\nKeep going.']) {
+        response.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}${newline}${newline}`);
+      }
+      response.end(ending);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const provider = createProvider({
+      type: 'ollama',
+      model: 'llama3.1',
+      baseUrl: `http://127.0.0.1:${server.address().port}/v1`
+    });
+    const request = { messages: [{ role: 'user', content: 'Write.' }] };
+    const stream = async () => {
+      let text = '';
+      for await (const piece of provider.streamMessage(request)) text += piece;
+      return text;
+    };
+
+    const endings = [
+      ['\n', 'data: [DONE]\n\n'],
+      ['\r\n', 'data: [DONE]\r\n\r\n'],
+      ['\n', 'data: [DONE]']
+    ];
+    for ([newline, ending] of endings) {
+      const text = await stream();
+      if (text !== 'Dear friend,\n\nKeep going.') throw new Error(`Streamed "${text}" ending with ${JSON.stringify(ending)}`);
+    }
+
+    newline = '\n';
+    ending = '';
+    let error = null;
+    try {
+      await stream();
+    } catch (caught) {
+      error = caught;
+    }
+    if (!/ended before the reply was complete/.test(error?.message)) {
+      throw new Error('A stream without [DONE] was taken as complete');
+    }
+
+    console.log('   ✅ Text deltas are joined with LF or CRLF lines and without a last line break, and a stream cut short is reported\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Server-sent events test failed:', error.message, '\n');
+    return false;
+  } finally {
+    server.close();
+  }
+}
+
+async function main() {
+  const dir = mkdtempSync(join(tmpdir(), 'streaming-'));
+  try {
+    const results = [
+      await testLineByLine(dir),
+      await testDeadStream(dir),
+      await testPrinterFailure(dir),
+      await testServerSentEvents()
+    ];
+
+    if (results.every(Boolean)) {
+      console.log('✅ Streaming tests passed!');
+      return 0;
+    }
+    console.log('❌ Some streaming tests failed');
+    return 1;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error(error);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * Prints the keepsake template, whose sign-off is red, on a two-color
+ * printer and a black-only one, and checks the color commands sent, the
+ * fake-mode preview and a preview rebuilt from the captured job. Also
+ * prints red text, wrapped text and dividers directly.
+ */
+
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import PrinterAdapter from './src/lib/printer.mjs';
+import ReceiptPreview from './src/lib/preview.mjs';
+import { printOperations } from './src/lib/spooler.mjs';
+import { decodeEscPos } from './src/lib/escpos-decoder.mjs';
+import { loadTemplate, renderTemplate, validateTemplate } from './src/lib/template.mjs';
+import { printColor, PROFILES } from './src/lib/profiles.mjs';
+
+console.log('Testing Two-Color Printing');
+console.log('==========================\n');
+
+const VARIABLES = {
+  MESSAGE: 'Dear friend, **you made it**.',
+  LETTER_NUMBER: 3,
+  ARCHIVE_FILE: './archive/2025-01-01_08-00-00.txt'
+};
+
+const OPERATIONS = renderTemplate(loadTemplate('keepsake'), {
+  date: new Date(2025, 0, 1, 8, 0),
+  variables: VARIABLES
+});
+
+async function captureLetter(dir, profile) {
+  const file = join(dir, `${profile}.bin`);
+  const printer = new PrinterAdapter({
+    transport: { type: 'capture', file },
+    profile: PROFILES[profile],
+    chunkPause: 0
+  });
+  await printer.start();
+  await printOperations(printer, OPERATIONS);
+  await printer.close();
+  return decodeEscPos(readFileSync(file));
+}
+
+/** Text printed in red, following the color commands in order. */
+function redText(commands) {
+  let red = false;
+  const text = [];
+  for (const { name, args } of commands) {
+    if (name === 'COLOR') red = args.color === 'red';
+    if (name === 'TEXT' && red) text.push(args.text.trim());
+  }
+  return text;
+}
+
+async function testColorCommands(dir) {
+  console.log('1. Sending the red sign-off...');
+  try {
+    const twoColor = await captureLetter(dir, 'epson-tm-t88v');
+    const red = redText(twoColor);
+    if (red.join('|') !== 'With love,|Your Printer') throw new Error(`Printed in red: ${JSON.stringify(red)}`);
+    if (twoColor.filter((command) => command.name === 'COLOR').at(-1)?.args.color !== 'black') {
+      throw new Error('The printer was left printing red');
+    }
+
+    const blackOnly = await captureLetter(dir, 'epson-tm-t20iii');
+    if (blackOnly.some((command) => command.name === 'COLOR')) {
+      throw new Error('Sent color commands to a printer without two-color support');
+    }
+
+    let rejected = false;
+    try {
+      validateTemplate({ blocks: [{ type: 'date', color: 'blue' }] });
+    } catch (error) {
+      rejected = /color "blue"/.test(error.message);
+    }
+    if (!rejected) throw new Error('A template with color "blue" was accepted');
+
+    console.log('   ✅ The sign-off is red on the TM-T88V and black without color commands on the TM-T20III\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Color command test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testPreviews(dir) {
+  console.log('2. Showing red in previews...');
+  try {
+    const redLines = {};
+    for (const profile of ['epson-tm-t88v', 'generic-58']) {
+      const printer = new PrinterAdapter({
+        fakeMode: true,
+        previewDir: join(dir, 'preview', profile),
+        profile: PROFILES[profile]
+      });
+      await printer.start();
+      await printOperations(printer, OPERATIONS);
+      await printer.close();
+      redLines[profile] = readFileSync(printer.previewPath, 'utf-8').match(/class="cell red"/g)?.length ?? 0;
+    }
+    if (redLines['epson-tm-t88v'] !== 'With love,Your Printer'.length) {
+      throw new Error(`Fake-mode preview has ${redLines['epson-tm-t88v']} red characters`);
+    }
+    if (redLines['generic-58'] !== 0) throw new Error('Fake-mode preview shows red on a black-only printer');
+
+    const profile = PROFILES['epson-tm-t88v'];
+    const rebuilt = ReceiptPreview.fromCommands(await captureLetter(dir, profile.id), { profile }).toHTML();
+    if (!rebuilt.includes('class="cell red"')) throw new Error('A preview rebuilt from the job lost the red');
+
+    console.log('   ✅ Previews show the sign-off in red only where it prints red\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Preview test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function testPrinterMethods(dir) {
+  console.log('3. Printing red text, wrapped text and dividers directly...');
+  try {
+    if (printColor('red', PROFILES['epson-tm-t88v']) !== 'red' || printColor('red', PROFILES['generic-58']) !== 'black') {
+      throw new Error('Red did not fall back to black without two-color support');
+    }
+    if (printColor(undefined, PROFILES['epson-tm-t88v']) !== 'black') throw new Error('The default color was not black');
+
+    const file = join(dir, 'methods.bin');
+    const printer = new PrinterAdapter({ transport: { type: 'capture', file }, profile: PROFILES['epson-tm-t88v'], chunkPause: 0 });
+    await printer.start();
+    await printer.printText('Red', 'CT', 0, 'red');
+    await printer.printWrappedText('Also red, and long enough to wrap onto a second line', 'LT', 0, 'red');
+    await printer.printDivider('~ ', 'CT', 'red');
+    await printer.printText('Black');
+    let error = null;
+    try {
+      await printer.printText('Blue', 'CT', 0, 'blue');
+    } catch (caught) {
+      error = caught;
+    }
+    await printer.close();
+
+    if (error?.message !== 'Unknown color: blue (expected one of black, red)') throw new Error(`Blue text threw ${error?.message}`);
+    const commands = decodeEscPos(readFileSync(file));
+    const red = redText(commands);
+    if (red.length !== 4 || red[0] !== 'Red' || !red[3].startsWith('~ ~') || red.includes('Black')) {
+      throw new Error(`Printed in red: ${JSON.stringify(red)}`);
+    }
+    const colors = commands.filter((command) => command.name === 'COLOR').map((command) => command.args.color);
+    if (colors.join(',') !== 'red,black,red,black,red,black') throw new Error(`Switched colors ${colors.join(', ')}`);
+
+    console.log('   ✅ Each red call switches back to black after itself, and unknown colors are rejected\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Printer method test failed:', error.message, '\n');
+    return false;
+  }
+}
+
+async function main() {
+  const dir = mkdtempSync(join(tmpdir(), 'two-color-'));
+  try {
+    const results = [await testColorCommands(dir), await testPreviews(dir), await testPrinterMethods(dir)];
+
+    if (results.every(Boolean)) {
+      console.log('✅ Two-color printing tests passed!');
+      return 0;
+    }
+    console.log('❌ Some two-color printing tests failed');
+    return 1;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error(error);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+
+/**
+ * Prints through the network transport into the virtual printer and checks
+ * the saved receipt, native QR codes and barcodes, its answers to status
+ * requests, and that PrinterAdapter stops printing when those answers report
+ * a fault, reads status messages split across packets and turns automatic
+ * status back off when it closes.
+ */
+
+import net from 'net';
+import { existsSync, mkdtempSync, readdirSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import PrinterAdapter from './src/lib/printer.mjs';
+import VirtualPrinter from './src/lib/virtual-printer.mjs';
+import { PROFILES } from './src/lib/profiles.mjs';
+
+console.log('Testing Virtual Printer');
+console.log('=======================\n');
+
+async function startVirtualPrinter(dir, faults = {}, profile = undefined) {
+  const outputDir = mkdtempSync(join(dir, 'printer-'));
+  const virtualPrinter = new VirtualPrinter({ port: 0, outputDir, faults, profile });
+  const jobs = [];
+  virtualPrinter.on('job', (job) => jobs.push(job));
+  await virtualPrinter.start();
+  return { virtualPrinter, jobs };
+}
+
+function waitFor(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Sends raw bytes and collects whatever the printer answers.
+ */
+function query(port, bytes) {
+  return new Promise((resolve, reject) => {
+    const received = [];
+    const socket = net.connect(port, '127.0.0.1', () => socket.write(Buffer.from(bytes)));
+    socket.on('data', (chunk) => received.push(...chunk));
+    socket.on('error', reject);
+    setTimeout(() => {
+      socket.end();
+      resolve(received);
+    }, 100);
+  });
+}
+
+async function testReceipt(dir) {
+  console.log('1. Saving a printed letter as a receipt...');
+  const { virtualPrinter, jobs } = await startVirtualPrinter(dir);
+
+  try {
+    const printer = new PrinterAdapter({
+      transport: { type: 'network', host: '127.0.0.1', port: virtualPrinter.port }
+    });
+    await printer.start();
+    await printer.printMarkdown('# Hello\n\nDear **friend**, have a lovely day.');
+    await printer.close();
+    await waitFor(100);
+
+    if (jobs.length !== 1) throw new Error(`Expected 1 job, saw ${jobs.length}`);
+    const files = readdirSync(jobs[0].dir).sort();
+    if (files.join(',') !== 'commands.txt,job.bin,receipt.html,receipt.txt') {
+      throw new Error(`Unexpected job files: ${files.join(', ')}`);
+    }
+    const receipt = readFileSync(join(jobs[0].dir, 'receipt.txt'), 'utf-8');
+    if (!receipt.includes('Dear friend, have a lovely day.')) {
+      throw new Error(`Receipt is missing the letter:\n${receipt}`);
+    }
+    console.log(`   ✅ Saved ${jobs[0].bytes} bytes to ${jobs[0].dir}\n`);
+    return true;
+  } catch (error) {
+    console.error('   ❌ Receipt test failed:', error.message, '\n');
+    return false;
+  } finally {
+    await virtualPrinter.stop();
+  }
+}
+
+async function testCodes(dir) {
+  console.log('2. Printing native QR codes and barcodes...');
+  const profile = PROFILES['epson-tm-t20iii'];
+  const { virtualPrinter, jobs } = await startVirtualPrinter(dir, {}, profile);
+
+  try {
+    const printer = new PrinterAdapter({
+      transport: { type: 'network', host: '127.0.0.1', port: virtualPrinter.port },
+      profile
+    });
+    await printer.start();
+    await printer.printText('Scan me');
+    await printer.printQrCode('https://example.com/letters/7', { size: 4, errorCorrection: 'Q' });
+    await printer.printBarcode('LETTER-7', { height: 60 });
+    await printer.close();
+    await waitFor(100);
+
+    const commands = readFileSync(join(jobs[0].dir, 'commands.txt'), 'utf-8');
+    for (const expected of ['QR_SIZE module=4', 'QR_ERROR_CORRECTION level=Q', 'BARCODE type=CODE128']) {
+      if (!commands.includes(expected)) throw new Error(`Job is missing ${expected}:\n${commands}`);
+    }
+    const receipt = readFileSync(join(jobs[0].dir, 'receipt.txt'), 'utf-8');
+    if (!receipt.includes('[QR: https://example.com/letters/7]') || !receipt.includes('[CODE128: LETTER-7]')) {
+      throw new Error(`Receipt is missing the codes:\n${receipt}`);
+    }
+    console.log('   ✅ Sent GS ( k and GS k commands instead of images\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ QR code and barcode test failed:', error.message, '\n');
+    return false;
+  } finally {
+    await virtualPrinter.stop();
+  }
+}
+
+async function testStatus(dir) {
+  console.log('3. Answering status requests from the fault state...');
+  const { virtualPrinter, jobs } = await startVirtualPrinter(dir);
+
+  try {
+    const healthy = await query(virtualPrinter.port, [0x10, 0x04, 1, 0x10, 0x04, 4]);
+    virtualPrinter.setFault('paperOut', true);
+    const paperOut = await query(virtualPrinter.port, [0x10, 0x04, 1, 0x10, 0x04, 2, 0x10, 0x04, 4]);
+    await waitFor(50);
+
+    if (healthy.join(',') !== [0x12, 0x12].join(',')) {
+      throw new Error(`Healthy status was ${healthy.map((b) => b.toString(16))}`);
+    }
+    if (paperOut.join(',') !== [0x1a, 0x72, 0x7e].join(',')) {
+      throw new Error(`Paper-out status was ${paperOut.map((b) => b.toString(16))}`);
+    }
+    if (jobs.length !== 0) throw new Error('Status-only connections were saved as jobs');
+    console.log('   ✅ Reported online, then offline with paper out\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Status test failed:', error.message, '\n');
+    return false;
+  } finally {
+    await virtualPrinter.stop();
+  }
+}
+
+async function testBlockedJob(dir) {
+  console.log('4. Refusing to print with the cover open...');
+  const { virtualPrinter, jobs } = await startVirtualPrinter(dir, { coverOpen: true });
+
+  try {
+    await query(virtualPrinter.port, [...Buffer.from('Hello\n')]);
+    await waitFor(50);
+
+    if (jobs.length !== 1 || jobs[0].printed) throw new Error('Job was printed with the cover open');
+    if (existsSync(join(jobs[0].dir, 'receipt.txt'))) throw new Error('A receipt was rendered');
+    console.log(`   ✅ Job kept unprinted (${jobs[0].blockedBy.join(', ')})\n`);
+    return true;
+  } catch (error) {
+    console.error('   ❌ Blocked job test failed:', error.message, '\n');
+    return false;
+  } finally {
+    await virtualPrinter.stop();
+  }
+}
+
+async function testFaultChecks(dir) {
+  console.log('5. Refusing to print when the printer reports a fault...');
+  const { virtualPrinter, jobs } = await startVirtualPrinter(dir, { coverOpen: true });
+  const createPrinter = () =>
+    new PrinterAdapter({
+      transport: { type: 'network', host: '127.0.0.1', port: virtualPrinter.port },
+      statusChecks: true
+    });
+
+  try {
+    let refused = null;
+    await createPrinter().start().catch((error) => (refused = error));
+    if (refused?.name !== 'PrinterFaultError') throw new Error('start() did not refuse with the cover open');
+
+    // A fault that appears mid-job stops the rest of the job
+    virtualPrinter.setFault('coverOpen', false);
+    const printer = createPrinter();
+    await printer.start();
+    await printer.printText('Before the paper ran out');
+    virtualPrinter.setFault('paperOut', true);
+    let stopped = null;
+    await printer.printText('After the paper ran out').catch((error) => (stopped = error));
+    await printer.close();
+    await waitFor(100);
+
+    if (!stopped?.status?.paperOut) throw new Error('Printing continued after the paper ran out');
+    if (printer.isReady) throw new Error('isReady ignores the paper-out fault');
+    const sent = readFileSync(join(jobs[0].dir, 'job.bin'));
+    if (!sent.includes('Before the paper ran out') || sent.includes('After the paper ran out')) {
+      throw new Error('The printer received the wrong part of the job');
+    }
+    console.log('   ✅ Refused to start with the cover open and stopped mid-job when the paper ran out\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Fault check test failed:', error.message, '\n');
+    return false;
+  } finally {
+    await virtualPrinter.stop();
+  }
+}
+
+async function testStatusMessages(dir) {
+  console.log('6. Reading split status messages and turning them off again...');
+  // Sends each automatic status back message in two halves, like a slow serial link
+  const reference = new VirtualPrinter({ port: 0, outputDir: dir, faults: { paperNearEnd: true } });
+  const received = [];
+  const server = net.createServer((socket) => {
+    socket.on('error', () => {});
+    socket.on('data', (data) => {
+      received.push(...data);
+      for (let i = 0; i + 2 < data.length; i++) {
+        if (data[i] === 0x1d && data[i + 1] === 0x61 && data[i + 2] !== 0) {
+          const message = reference._autoStatus();
+          socket.write(message.subarray(0, 2));
+          setTimeout(() => socket.write(message.subarray(2)), 30);
+        } else if (data[i] === 0x10 && data[i + 1] === 0x04) {
+          socket.write(Buffer.from([reference.statusByte(data[i + 2])]));
+        }
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const printer = new PrinterAdapter({
+      transport: { type: 'network', host: '127.0.0.1', port: server.address().port },
+      statusChecks: true,
+      statusTimeout: 500
+    });
+    await printer.start();
+    if (printer.status?.source !== 'ASB' || !printer.status.paperNearEnd) {
+      throw new Error(`Status was ${JSON.stringify(printer.status)}`);
+    }
+
+    const socket = printer._device._socket;
+    const listeners = socket.listenerCount('data');
+    for (let i = 0; i < 3; i++) await printer._readDevice(10);
+    if (socket.listenerCount('data') !== listeners) throw new Error('Timed-out reads left their listeners behind');
+
+    await printer.close();
+    await waitFor(100);
+    if (Buffer.from(received.slice(-3)).toString('hex') !== '1d6100') {
+      throw new Error('Automatic status back was left on after closing');
+    }
+
+    console.log('   ✅ A split status message was put back together, timed-out reads cleaned up, and GS a 0 was sent on close\n');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Status message test failed:', error.message, '\n');
+    return false;
+  } finally {
+    server.close();
+  }
+}
+
+async function main() {
+  const dir = mkdtempSync(join(tmpdir(), 'virtual-printer-'));
+  try {
+    const results = [
+      await testReceipt(dir),
+      await testCodes(dir),
+      await testStatus(dir),
+      await testBlockedJob(dir),
+      await testFaultChecks(dir),
+      await testStatusMessages(dir)
+    ];
+
+    if (results.every(Boolean)) {
+      console.log('✅ Virtual printer tests passed!');
+      return 0;
+    }
+    console.log('❌ Some virtual printer tests failed');
+    return 1;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error(error);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+import { config as dotenvConfig } from "dotenv";
+import readline from "readline";
+import VirtualPrinter, { FAULTS, parseFaults } from "./src/lib/virtual-printer.mjs";
+import { getProfile, profileForPaperWidth } from "./src/lib/profiles.mjs";
+
+dotenvConfig();
+
+/** Keys that toggle a fault while the server is running. */
+const FAULT_KEYS = {
+  p: "paperOut",
+  n: "paperNearEnd",
+  c: "coverOpen",
+  x: "cutterError",
+};
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+};
+const flagFaults = FAULTS.filter((fault) =>
+  args.includes(`--${fault.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)}`)
+);
+
+console.log("🖨️  Motivational Printer - Virtual Printer");
+console.log("========================================\n");
+
+function describeFaults(faults) {
+  const active = FAULTS.filter((fault) => faults[fault]);
+  return active.length ? active.join(", ") : "none";
+}
+
+async function runVirtualPrinter() {
+  const printer = new VirtualPrinter({
+    host: option("host") || process.env.VIRTUAL_PRINTER_HOST || "127.0.0.1",
+    port: parseInt(option("port") || process.env.VIRTUAL_PRINTER_PORT) || 9100,
+    outputDir: option("out") || process.env.VIRTUAL_PRINTER_OUTPUT_DIR || "./virtual-printer",
+    profile: option("paper-width")
+      ? profileForPaperWidth(parseInt(option("paper-width")))
+      : getProfile(option("profile")),
+    faults: {
+      ...parseFaults(process.env.VIRTUAL_PRINTER_FAULTS),
+      ...Object.fromEntries(flagFaults.map((fault) => [fault, true])),
+    },
+    busyMs: parseInt(option("busy-ms") || process.env.VIRTUAL_PRINTER_BUSY_MS) || 0,
+  });
+
+  printer.on("connection", (remote) => console.log(`📥 Job started from ${remote}`));
+  printer.on("job", (job) => {
+    if (job.partial) {
+      console.log(`⚠️  Printed part of the job before ${job.blockedBy.join(", ") || "going offline"}; saved to ${job.dir}`);
+    } else if (job.printed) {
+      console.log(`✅ Printed ${job.bytes} bytes (${job.commands} commands) to ${job.dir}`);
+    } else {
+      console.log(`⚠️  Not printed (${job.blockedBy.join(", ")}); raw job saved to ${job.dir}`);
+    }
+  });
+  printer.on("status", (faults) => console.log(`🔧 Faults: ${describeFaults(faults)}`));
+  printer.on("error", (error) => console.error("❌ Virtual printer error:", error.message));
+
+  await printer.start();
+
+  console.log(`Listening on ${printer.host}:${printer.port} (${printer.profile.name}, ${printer.paperWidth}mm paper)`);
+  console.log(`Jobs are saved to ${printer.outputDir}/<timestamp>/`);
+  console.log(`Faults: ${describeFaults(printer.faults)}\n`);
+  console.log("Print to it with:");
+  console.log(
+    `  PRINTER_TRANSPORT=network PRINTER_HOST=${printer.host} PRINTER_PORT=${printer.port} npm run plan-and-write\n`
+  );
+
+  if (process.stdin.isTTY) {
+    console.log(
+      "Toggle faults: [p] paper out, [n] paper near end, [c] cover open, [x] cutter error, [q] quit\n"
+    );
+    readline.emitKeypressEvents(process.stdin);
+    process.stdin.setRawMode(true);
+    process.stdin.on("keypress", (key, { name, ctrl } = {}) => {
+      if (name === "q" || (ctrl && name === "c")) {
+        printer.stop().then(() => process.exit(0));
+      } else if (FAULT_KEYS[name]) {
+        printer.setFault(FAULT_KEYS[name]);
+      }
+    });
+  }
+
+  process.on("SIGINT", () => printer.stop().then(() => process.exit(0)));
+  process.on("SIGTERM", () => printer.stop().then(() => process.exit(0)));
+}
+
+runVirtualPrinter().catch((error) => {
+  console.error("\n❌ Could not start the virtual printer:", error.message);
+  process.exit(1);
+});
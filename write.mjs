@@ -2,16 +2,18 @@
 
 import { config as dotenvConfig } from "dotenv";
 import { existsSync } from "fs";
-import PrinterAdapter from "./src/lib/printer.mjs";
+import PrinterManager, { summarizeResults } from "./src/lib/printer-manager.mjs";
+import RunLog from "./src/lib/run-log.mjs";
 import LLMAdapter from "./src/lib/llm.mjs";
+import { getRepetitionGuard } from "./src/lib/repetition.mjs";
 import Planner from "./src/lib/planner.mjs";
-import { getShortDateFormatted } from "./src/lib/date.mjs";
-import { archiveMessage } from "./src/lib/archive.mjs";
+import { archiveMessage, archivePath, countArchivedMessages, readRecentLetters } from "./src/lib/archive.mjs";
 
 // Load environment variables
 dotenvConfig();
 
 const noPrinter = process.argv.includes("--no-printer");
+const streaming = process.argv.includes("--stream") || process.env.WRITER_STREAM === "true";
 
 if (noPrinter) {
   console.log(
@@ -23,6 +25,16 @@ console.log("✍️  Motivational Printer - Writing Phase");
 console.log("=======================================\n");
 
 async function runWriting() {
+  const runLog = new RunLog({ command: "write" });
+  runLog.set({ fakeMode: noPrinter, streamed: streaming });
+
+  // Every request to the model goes in the record, however the run ends
+  let llm = null;
+  const finishRun = (status, error) => {
+    if (llm) runLog.set({ requests: llm.requestAttempts });
+    return runLog.finish(status, error);
+  };
+
   try {
     // Check if planning has been done
     console.log("🔍 Checking for planning results...");
@@ -40,46 +52,130 @@ async function runWriting() {
       planResult = null;
     }
 
+    // Load the printers and their layouts up front, so a broken config fails before generating
+    const manager = new PrinterManager({ fakeMode: noPrinter });
+    for (const printer of manager.printers) {
+      console.log(
+        `🧾 ${printer.name}: ${printer.profile.name}, layout template ${printer.template.name || printer.templateName}`
+      );
+    }
+    runLog.set({ planned: Boolean(planResult), printers: manager.printers.map((printer) => printer.name) });
+
     console.log("");
 
-    // Initialize printer
-    const printer = new PrinterAdapter({
-      fakeMode: noPrinter,
+    // Initialize LLM with custom prompt if available; letter lengths are
+    // measured on the first printer
+    llm = new LLMAdapter({
+      customUserPrompt: planResult?.enhancedUserPrompt,
+      printer: manager.printers[0],
     });
 
-    console.log("🖨️  Initializing printer...");
-    await printer.start();
+    let message;
+    let results;
+    let streamError = null;
 
-    // Initialize LLM with custom prompt if available
-    const llm = new LLMAdapter({
-      customUserPrompt: planResult?.enhancedUserPrompt,
-    });
+    if (streaming) {
+      console.log("🤖 Writing letter with Your Printer, printing each line as it is written...");
+      if (process.env.LETTER_TARGET_LENGTH || process.env.LETTER_MAX_LENGTH) {
+        console.log("⚠️  Letter length limits are not applied to streamed letters");
+      }
+      if (getRepetitionGuard()) {
+        console.log("⚠️  Streamed letters get the recent letters' digests, but are not checked for repetition");
+      }
+      console.log(`🖨️  Printing on ${manager.printers.length} printer(s)...\n`);
+
+      const date = new Date();
+      const streamed = await manager.streamLetter({
+        chunks: llm.streamMessage(),
+        variables: {
+          LETTER_NUMBER: countArchivedMessages() + 1,
+          ARCHIVE_FILE: archivePath(date),
+        },
+        date,
+        description: `Letter ${archivePath(date)}`,
+        // The paper warning goes by the last letter's length
+        expectedMessage: existsSync("./archive") ? readRecentLetters(1)[0]?.text : "",
+      });
+      ({ message, results } = streamed);
+      streamError = streamed.error;
 
-    console.log("🤖 Generating letter with Your Printer...");
+      if (streamError && !message) {
+        console.log(`\n⚠️  The letter stopped before any text arrived: ${streamError.message}`);
+      } else if (streamError) {
+        console.log(`\n⚠️  The letter stopped partway: ${streamError.message}`);
+      } else {
+        console.log("\n✅ Letter written successfully!");
+      }
+      console.log(`📄 Length: ${message.length} characters`);
 
-    // Generate the motivational message
-    const message = await llm.generateMessage();
+      // A letter that stopped partway is archived as far as it got
+      if (message) {
+        const archiveInfo = archiveMessage(message, date);
+        console.log(`💾 Message archived to: ${archiveInfo.filename}`);
+        runLog.set({ archiveFile: archiveInfo.filename, messageLength: message.length });
+      }
+    } else {
+      console.log("🤖 Generating letter with Your Printer...");
 
-    console.log("✅ Letter generated successfully!");
-    console.log(`📄 Length: ${message.length} characters`);
+      // Generate the motivational message, recording the attempts even if none fit
+      try {
+        message = await llm.generateMessage();
+      } finally {
+        if (llm.lengthReport) runLog.set({ length: llm.lengthReport });
+        if (llm.repetitionReport) runLog.set({ repetition: llm.repetitionReport });
+      }
 
-    // Archive the message
-    const archiveInfo = archiveMessage(message);
-    console.log(`💾 Message archived to: ${archiveInfo.filename}`);
+      console.log("✅ Letter generated successfully!");
+      console.log(`📄 Length: ${message.length} characters`);
 
-    // Print the message
-    console.log("\n🖨️  Printing letter...");
+      // Archive the message
+      const archiveInfo = archiveMessage(message);
+      console.log(`💾 Message archived to: ${archiveInfo.filename}`);
+      runLog.set({ archiveFile: archiveInfo.filename, messageLength: message.length });
 
-    // Print date header
-    await printer.printText(getShortDateFormatted() + "\n\n", "CT", 1);
+      // Print the message
+      console.log(`\n🖨️  Printing letter on ${manager.printers.length} printer(s)...`);
 
-    // Print the main message with extra newlines for tearing
-    await printer.printText(message + "\n\n\n", "LT");
+      // Each copy is queued first so it survives an unplugged or empty printer
+      results = await manager.printLetter({
+        variables: {
+          MESSAGE: message,
+          LETTER_NUMBER: countArchivedMessages(),
+          ARCHIVE_FILE: archiveInfo.filename,
+        },
+        description: `Letter ${archiveInfo.filename}`,
+      });
+    }
+    const status = summarizeResults(results);
+    runLog.set({ printers: results });
 
-    // Close printer
-    await printer.close();
+    for (const result of results) {
+      for (const id of result.printedQueuedJobs) {
+        console.log(`📬 ${result.printer}: printed queued job ${id}`);
+      }
+      if (result.printed) {
+        console.log(`✅ ${result.printer}: letter printed${result.streamed ? " as it was written" : ""}`);
+      } else if (result.jobId) {
+        console.log(`⚠️  ${result.printer}: could not print (${result.error}); queued as ${result.jobId}`);
+      } else {
+        console.log(`❌ ${result.printer}: ${result.error}`);
+      }
+      if (result.previewPath) {
+        console.log(`   👀 Preview saved to: ${result.previewPath}`);
+      }
+      if (result.replacedCharacters > 0) {
+        console.log(
+          `   🔤 ${result.replacedCharacters} character(s) were transliterated for the printer's codepage`
+        );
+      }
+      if (result.paperWarning) {
+        console.log(`   🧻 ${result.paperWarning}; load a new roll and run \`npm run status -- --new-roll\``);
+      }
+    }
 
-    console.log("✅ Letter printed successfully!");
+    if (results.some((result) => !result.printed && result.jobId)) {
+      console.log("💡 Queued letters print on the next run; run `npm run queue -- watch` to keep retrying");
+    }
 
     if (planResult) {
       console.log("\n📊 Planning Context Used:");
@@ -89,13 +185,43 @@ async function runWriting() {
       );
     }
 
-    console.log("\n🎉 Your personalized motivational letter is ready!");
+    if (streamError) {
+      console.log(`\n🗒️  Run logged to: ${finishRun(message ? "incomplete" : "failed", streamError)}`);
+      console.error(
+        message
+          ? "\n❌ Writing failed: the letter was printed and archived only as far as it got"
+          : "\n❌ Writing failed: nothing was printed"
+      );
+      console.error("💡 Run `npm run write` again for a complete letter");
+      process.exit(1);
+    }
+    console.log(`\n🗒️  Run logged to: ${finishRun(status)}`);
+
+    if (status === "failed") {
+      throw new Error("The letter could not be printed or queued on any printer");
+    }
+    console.log(
+      status === "printed"
+        ? "\n🎉 Your personalized motivational letter is ready!"
+        : "\n📬 Your personalized motivational letter is written; some copies are waiting in the print queue."
+    );
   } catch (error) {
     console.error("\n❌ Writing failed:", error.message);
+    if (!runLog.record.finishedAt) {
+      console.error(`🗒️  Run logged to: ${finishRun("failed", error)}`);
+    }
 
     if (error.message.includes("API key")) {
       console.error(
-        "\n💡 Tip: Make sure your ANTHROPIC_API_KEY is set in your .env file"
+        "\n💡 Tip: Make sure your ANTHROPIC_API_KEY (or WRITER_API_KEY for other providers) is set in your .env file"
+      );
+    } else if (/did not answer within|overloaded|529/.test(error.message)) {
+      console.error(
+        "\n💡 Tip: The model stayed unavailable after every retry; try again later, or set WRITER_FALLBACK_MODEL"
+      );
+    } else if (error.message.includes("printer config")) {
+      console.error(
+        "\n💡 Tip: Check the JSON in printers.json (see printers.example.json and PRINTER_README.md)"
       );
     } else if (
       error.message.includes("printer") ||
@@ -107,6 +233,10 @@ async function runWriting() {
       console.error(
         "    You can also run in fake mode by setting fakeMode: true in the PrinterAdapter"
       );
+    } else if (error.message.includes("layout template")) {
+      console.error(
+        "\n💡 Tip: Check PRINTER_TEMPLATE and the JSON in ./templates/ (see PRINTER_README.md)"
+      );
     } else if (error.message.includes("prompts")) {
       console.error(
         "\n💡 Tip: Make sure your prompt files exist in ./prompts/private/"